@@ -0,0 +1,91 @@
+// ===== CLIENT CONFIGURATION =====
+
+// The one place the browser learns where the API server is. A page served against another server
+// (QA, prod) declares it in its <head>:
+//
+//   <meta name="bom-api-base" content="https://bom-qa.example.com/api">
+//
+// Without the tag the local development server is used. Which database the server queries is its
+// environment profile (APP_ENV on the server), read from GET /api/config.
+//
+// API calls name the page they come from (X-BOM-View), which the server puts in the QUERY_TAG of
+// their Snowflake statements. The page file name is used unless the page declares
+// <meta name="bom-view" content="...">.
+
+const DEFAULT_API_BASE_URL = 'http://localhost:3000/api';
+
+export const API_BASE_URL =
+    document.querySelector('meta[name="bom-api-base"]')?.content?.replace(/\/$/, '') || DEFAULT_API_BASE_URL;
+
+export const VIEW_NAME =
+    document.querySelector('meta[name="bom-view"]')?.content ||
+    window.location.pathname.split('/').pop().replace(/\.html?$/, '') ||
+    'index';
+
+
+/**
+ * Send X-BOM-View with every API request of this page
+ * @param {string} viewName - Page name (default VIEW_NAME)
+ */
+export function installViewHeader(viewName = VIEW_NAME) {
+    const originalFetch = window.fetch.bind(window);
+
+    window.fetch = (input, init = {}) => {
+        const url = input instanceof Request ? input.url : String(input);
+        if (!url.startsWith(API_BASE_URL)) {
+            return originalFetch(input, init);
+        }
+
+        const headers = new Headers(init.headers || (input instanceof Request ? input.headers : undefined));
+        headers.set('X-BOM-View', viewName);
+        return originalFetch(input, { ...init, headers });
+    };
+}
+
+
+/**
+ * Fetch the server's environment profile
+ * @returns {Promise<Object|null>} - { environment: { name, label, dataSource, database, schema, warehouse }, serverTime }
+ */
+export async function loadAppConfig() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/config`, { credentials: 'include' });
+        if (!response.ok) {
+            throw new Error(`Config request failed: ${response.status} ${response.statusText}`);
+        }
+
+        const config = await response.json();
+        console.log(`🌍 Environment: ${config.environment.label} (${config.environment.database}.${config.environment.schema})`);
+        return config;
+    } catch (error) {
+        console.error('❌ Alert! Could not load the server configuration:', error);
+        return null;
+    }
+}
+
+
+/**
+ * Show the environment as a badge, e.g. "QA · ONEMNS_QA.DMT_BOM"
+ * @param {Object|null} environment - From loadAppConfig; null shows "Unknown environment"
+ * @param {HTMLElement} container - Element the badge is rendered into
+ */
+export function renderEnvironmentBadge(environment, container) {
+    if (!container) return;
+
+    container.className = `environment-badge env-${environment ? environment.name : 'unknown'}`;
+    container.textContent = environment
+        ? `${environment.label} · ${environment.database}.${environment.schema}`
+        : 'Unknown environment';
+    container.title = environment
+        ? `Data source: ${environment.dataSource}${environment.warehouse ? `, warehouse ${environment.warehouse}` : ''}\nAPI: ${API_BASE_URL}`
+        : `API: ${API_BASE_URL}`;
+}
+
+
+export default {
+    API_BASE_URL,
+    VIEW_NAME,
+    installViewHeader,
+    loadAppConfig,
+    renderEnvironmentBadge
+};
@@ -8,7 +8,16 @@ import pivotTable from './pivot-table.js';
 import core from './core.js';
 import data from './data.js';
 import ui from './ui.js';
-import { initializeFilterSystem } from './pivot-filtering-system.js';
+import filterSystem, { initializeFilterSystem } from './pivot-filtering-system.js';
+import { API_BASE_URL, installViewHeader, loadAppConfig, renderEnvironmentBadge } from './app-config.js';
+import auth from './auth.js';
+import queryHistory from './query-history.js';
+import bomExplosion from './bom-explosion.js';
+import whatIf from './what-if.js';
+import variance from './variance.js';
+import asOf from './as-of.js';
+import { installQueueHandler } from './request-queue.js';
+import { installRequestLog } from './request-log.js';
 
 
 let isConnectingToDatabase = false; // Flag global
@@ -71,7 +80,10 @@ function initializeApp() {
         pivotTable: pivotTable,
         
         // Add the init function for reuse
-        init: initializeApp
+        init: initializeApp,
+
+        // Reload the Recent queries panel (after a load)
+        refreshRecentQueries: refreshRecentQueries
     };
 
     
@@ -79,6 +91,14 @@ function initializeApp() {
     // Initialize UI
     ui.initDragAndDrop();
 
+    // Show which environment (database/schema) the server is pointed at
+    loadAppConfig().then(config => {
+        state.environment = config ? config.environment : null;
+        state.timeTravel = Boolean(config && config.timeTravel);
+        renderEnvironmentBadge(state.environment, document.getElementById('environmentBadge'));
+        setupAsOf();
+    });
+
     // Set up database connection
     setupDatabaseConnection(elements);
 
@@ -149,6 +169,8 @@ function initializeApp() {
             // Use filtered data for pivot table generation
             const filteredData = data.preFilterData(state.factData);
             state.filteredData = filteredData;
+        } else {
+            state.filteredData = null;
         }
         
         // Refresh the pivot table (this will respect current hierarchy expansion states)
@@ -224,7 +246,15 @@ function initializeApp() {
         });
     }
     
-    // STEP 12: Add handler for reconnect button
+    // STEP 12: Add handler for fact table selector
+    const factSelector = document.getElementById('factSelector');
+    if (factSelector) {
+        factSelector.addEventListener('change', function() {
+            switchFactTable(elements, factSelector.value);
+        });
+    }
+
+    // STEP 13: Add handler for reconnect button
     const reconnectBtn = document.getElementById('reconnectBtn');
     if (reconnectBtn) {
         reconnectBtn.addEventListener('click', function() {
@@ -232,10 +262,522 @@ function initializeApp() {
         });
     }
 
+    // STEP 14: Recent queries panel (the user's past loads from the server's query log)
+    const refreshRecentQueriesBtn = document.getElementById('refreshRecentQueriesBtn');
+    if (refreshRecentQueriesBtn) {
+        refreshRecentQueriesBtn.addEventListener('click', refreshRecentQueries);
+    }
+    refreshRecentQueries();
+
+    // STEP 15: BOM explosion and where-used panels (component tree of a root GMID, and inverted)
+    const showWhereUsed = setupWhereUsed();
+    setupBomExplosion(showWhereUsed);
+
+    // STEP 16: What-if scenario panel (COST_UNIT overrides compared with the baseline in the pivot)
+    setupWhatIf();
+
+    // STEP 17: Year-over-year variance panel (base / compare / Δ / Δ % in the pivot, BOM cost movers)
+    setupVariance();
+
     console.log("✅ Status: Application initialization complete");
 }
 
 
+/**
+ * Wire the BOM explosion panel: the root input suggests the loaded root GMIDs, Explode loads the
+ * tree of the latest year, the LE / year selector reloads it for another context. Double-clicking a
+ * component shows where it is used.
+ * @param {Function} showWhereUsed - From setupWhereUsed
+ */
+function setupBomExplosion(showWhereUsed) {
+    const rootInput = document.getElementById('bomExplosionRoot');
+    const contextSelect = document.getElementById('bomExplosionContext');
+    const explodeBtn = document.getElementById('bomExplosionBtn');
+    const downloadBtn = document.getElementById('downloadBomExplosionBtn');
+    if (!rootInput || !explodeBtn) return;
+
+    let current = null;
+
+    rootInput.addEventListener('focus', () => {
+        bomExplosion.renderRootOptions(
+            document.getElementById('bomExplosionRootOptions'),
+            stateModule.state.dimensions.root_gmid_display
+        );
+        if (!rootInput.value && stateModule.state.selectedRootGmids.length > 0) {
+            rootInput.value = stateModule.state.selectedRootGmids[0];
+        }
+    });
+
+    const explode = async ({ le = null, year = null } = {}) => {
+        const rootGmid = rootInput.value.trim();
+        if (!rootGmid) {
+            ui.addLogEntry('Pick a root GMID to explode', 'warning');
+            return;
+        }
+
+        const container = document.getElementById('bomExplosionTable');
+        const summary = document.getElementById('bomExplosionSummary');
+        explodeBtn.disabled = true;
+        try {
+            current = await bomExplosion.fetchExplosion(rootGmid, { le, year, fact: stateModule.state.factTable });
+            bomExplosion.renderContextOptions(contextSelect, current);
+            bomExplosion.renderExplosion(container, current, { decimalPlaces: stateModule.state.decimalPlaces });
+            summary.textContent = current.nodes.length > 0
+                ? `${current.rootDisplay} · ${current.LE} ${current.ZYEAR} · ${current.totals.nodeCount} components on ${current.totals.levels} levels${current.asOf ? ` · ${asOf.formatAsOf(current.asOf)}` : ''}`
+                : '';
+            downloadBtn.disabled = current.nodes.length === 0;
+        } catch (error) {
+            console.error('❌ Alert! Could not load the BOM explosion:', error);
+            ui.addLogEntry(`BOM explosion of ${rootGmid} failed: ${error.message}`, 'error');
+        } finally {
+            explodeBtn.disabled = false;
+        }
+    };
+
+    explodeBtn.addEventListener('click', () => explode());
+    rootInput.addEventListener('keydown', event => {
+        if (event.key === 'Enter') explode();
+    });
+    contextSelect.addEventListener('change', () => {
+        const [le, year] = contextSelect.value.split('|');
+        explode({ le, year });
+    });
+    downloadBtn.addEventListener('click', () => {
+        if (current) bomExplosion.downloadExplosionCsv(current);
+    });
+    document.getElementById('bomExplosionTable').addEventListener('dblclick', event => {
+        const row = event.target.closest('tr[data-path]');
+        if (row) showWhereUsed(row.dataset.path.split('/').pop());
+    });
+}
+
+
+/**
+ * Component GMID of a GMID hierarchy node: the last PATH_GMID segment, else the code in its label
+ * ('C110 - Vial')
+ * @param {Object} node - Hierarchy node
+ * @returns {string|null}
+ */
+function componentGmidOfNode(node) {
+    if (typeof node.factId === 'string') {
+        return node.factId.split('/').pop();
+    }
+    const label = String(node.label || '').split('//').pop();
+    const match = label.match(/^([^\s/]+) - /);
+    return match ? match[1] : null;
+}
+
+
+/**
+ * Wire the where-used panel. Double-clicking a GMID row in the pivot table looks it up too.
+ * @returns {Function} - componentGmid => void, fills the panel for a component
+ */
+function setupWhereUsed() {
+    const componentInput = document.getElementById('whereUsedComponent');
+    const filteredCheckbox = document.getElementById('whereUsedFiltered');
+    const findBtn = document.getElementById('whereUsedBtn');
+    if (!componentInput || !findBtn) return () => {};
+
+    const find = async () => {
+        const componentGmid = componentInput.value.trim();
+        if (!componentGmid) {
+            ui.addLogEntry('Enter a component GMID to look up', 'warning');
+            return;
+        }
+
+        const filterParams = filteredCheckbox.checked ? stateModule.state.lastFilterParams || {} : {};
+        const container = document.getElementById('whereUsedTable');
+        const summary = document.getElementById('whereUsedSummary');
+        findBtn.disabled = true;
+        try {
+            const whereUsed = await bomExplosion.fetchWhereUsed(componentGmid, {
+                le: filterParams.LE,
+                year: filterParams.ZYEAR,
+                fact: stateModule.state.factTable
+            });
+            bomExplosion.renderWhereUsed(container, whereUsed, { decimalPlaces: stateModule.state.decimalPlaces });
+            summary.textContent = whereUsed.usages.length > 0
+                ? `${whereUsed.componentLabel} · ${whereUsed.totals.paths} paths in ${whereUsed.totals.roots} roots${whereUsed.truncated ? ' (first roots only)' : ''}`
+                : '';
+        } catch (error) {
+            console.error('❌ Alert! Could not load the where-used list:', error);
+            ui.addLogEntry(`Where-used of ${componentGmid} failed: ${error.message}`, 'error');
+        } finally {
+            findBtn.disabled = false;
+        }
+    };
+
+    findBtn.addEventListener('click', find);
+    componentInput.addEventListener('keydown', event => {
+        if (event.key === 'Enter') find();
+    });
+
+    // GMID rows of the pivot table (the table is re-rendered, so the listener sits on the document)
+    document.addEventListener('dblclick', event => {
+        const label = event.target.closest('.dimension-label[data-hierarchy]');
+        if (!label || !label.dataset.hierarchy.startsWith('gmid')) return;
+
+        const hierarchy = stateModule.state.hierarchies[label.dataset.hierarchy];
+        const node = hierarchy && hierarchy.nodesMap ? hierarchy.nodesMap[label.dataset.nodeId] : null;
+        const componentGmid = node ? componentGmidOfNode(node) : null;
+        if (componentGmid) {
+            showWhereUsed(componentGmid);
+        }
+    });
+
+    const showWhereUsed = componentGmid => {
+        componentInput.value = componentGmid;
+        document.getElementById('whereUsedPanel').scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        find();
+    };
+    return showWhereUsed;
+}
+
+
+/**
+ * Reload the Recent queries panel
+ */
+async function refreshRecentQueries() {
+    const container = document.getElementById('recentQueriesList');
+    if (!container) return;
+
+    try {
+        const entries = await queryHistory.fetchRecentQueries({ user: stateModule.state.currentUser?.username });
+        queryHistory.renderRecentQueries(container, entries, {
+            factTable: stateModule.state.factTable,
+            onRerun: rerunQuery
+        });
+    } catch (error) {
+        console.error('❌ Alert! Could not load recent queries:', error);
+        container.innerHTML = '<div class="recent-queries-empty">Recent queries unavailable</div>';
+    }
+}
+
+
+/**
+ * Load the data of a past query again, with the filters it ran with
+ * @param {Object} entry - Query log entry
+ */
+function rerunQuery(entry) {
+    if (!filterSystem.state) {
+        ui.addLogEntry('Filters are still initializing, try again in a moment', 'warning');
+        return;
+    }
+
+    console.log(`🔁 Re-running ${entry.route} on ${entry.table} from ${new Date(entry.timestamp).toLocaleString()}`);
+    showAsOf(stateModule.state.timeTravel ? entry.asOf || null : null);
+    filterSystem.applyAllFilters(entry.filters);
+}
+
+
+/**
+ * Wire the what-if panel: edit overrides, apply them to the pivot (scenario and delta columns next to
+ * the baseline), save and load named scenarios, go back to the baseline
+ */
+function setupWhatIf() {
+    const nameInput = document.getElementById('whatIfName');
+    const overridesContainer = document.getElementById('whatIfOverrides');
+    const savedSelect = document.getElementById('whatIfSavedScenarios');
+    const status = document.getElementById('whatIfStatus');
+    if (!nameInput || !overridesContainer) return;
+
+    const state = stateModule.state;
+    const user = () => state.currentUser?.username;
+
+    const refreshSaved = (selected = '') => {
+        savedSelect.length = 1;
+        whatIf.loadSavedScenarios(user()).forEach(scenario => {
+            savedSelect.add(new Option(scenario.name, scenario.name, false, scenario.name === selected));
+        });
+    };
+
+    const showStatus = () => {
+        status.textContent = state.whatIfScenario ? `Active: ${state.whatIfScenario.name}` : 'Baseline';
+        status.classList.toggle('active', Boolean(state.whatIfScenario));
+    };
+
+    const readScenario = () => whatIf.normalizeScenario({
+        name: nameInput.value,
+        overrides: whatIf.readOverrides(overridesContainer)
+    });
+
+    const regenerate = () => {
+        if (state.factData && state.factData.length > 0) {
+            pivotTable.generatePivotTable();
+        }
+    };
+
+    document.getElementById('whatIfAddBtn').addEventListener('click', () => {
+        overridesContainer.appendChild(whatIf.createOverrideRow());
+    });
+
+    document.getElementById('whatIfApplyBtn').addEventListener('click', () => {
+        try {
+            state.whatIfScenario = readScenario();
+        } catch (error) {
+            ui.addLogEntry(error.message, 'warning');
+            return;
+        }
+        console.log(`🧪 What-if scenario "${state.whatIfScenario.name}" active with ${state.whatIfScenario.overrides.length} overrides`);
+        ui.addLogEntry(`Scenario "${state.whatIfScenario.name}" applied`, 'info');
+        showStatus();
+        regenerate();
+    });
+
+    document.getElementById('whatIfSaveBtn').addEventListener('click', () => {
+        try {
+            const saved = whatIf.saveScenario(user(), readScenario());
+            refreshSaved(saved.name);
+            ui.addLogEntry(`Scenario "${saved.name}" saved`, 'info');
+        } catch (error) {
+            ui.addLogEntry(error.message, 'warning');
+        }
+    });
+
+    document.getElementById('whatIfClearBtn').addEventListener('click', () => {
+        if (!state.whatIfScenario) return;
+        console.log(`🧪 What-if scenario "${state.whatIfScenario.name}" cleared`);
+        state.whatIfScenario = null;
+        showStatus();
+        regenerate();
+    });
+
+    savedSelect.addEventListener('change', () => {
+        const scenario = whatIf.loadSavedScenarios(user()).find(saved => saved.name === savedSelect.value);
+        if (!scenario) return;
+        nameInput.value = scenario.name;
+        whatIf.renderOverrides(overridesContainer, scenario.overrides);
+    });
+
+    document.getElementById('whatIfDeleteBtn').addEventListener('click', () => {
+        if (!savedSelect.value) return;
+        whatIf.deleteScenario(user(), savedSelect.value);
+        ui.addLogEntry(`Scenario "${savedSelect.value}" deleted`, 'info');
+        refreshSaved();
+    });
+
+    whatIf.renderOverrides(overridesContainer, [{}]);
+    refreshSaved();
+    showStatus();
+}
+
+
+/**
+ * Wire the variance panel: Compare turns every pivot measure into base, compare, Δ and Δ % columns
+ * for the two picked years, Off goes back. Movers loads the quantity / price split of a root's cost
+ * change between the same years, sorted by the chosen effect; with as-of dates each side is read as
+ * it was at the end of that day, so one year can be compared between two closes.
+ */
+function setupVariance() {
+    const baseSelect = document.getElementById('varianceBaseYear');
+    const compareSelect = document.getElementById('varianceCompareYear');
+    const status = document.getElementById('varianceStatus');
+    const rootInput = document.getElementById('varianceRoot');
+    const leSelect = document.getElementById('varianceLe');
+    const sortSelect = document.getElementById('varianceSort');
+    const moversBtn = document.getElementById('varianceMoversBtn');
+    if (!baseSelect || !compareSelect) return;
+
+    const state = stateModule.state;
+    let movers = null;
+
+    // Years of the loaded rows, else of the year dimension (aggregated rows may not be split by year yet)
+    const refreshYears = () => {
+        const loaded = variance.listYears(state.factData);
+        const years = loaded.length > 0
+            ? loaded
+            : Object.keys(state.mappings?.year?.yearToDetails || {}).sort((a, b) => b.localeCompare(a));
+
+        [[baseSelect, years[1] ?? years[0]], [compareSelect, years[0]]].forEach(([select, fallback]) => {
+            const current = select.value || fallback;
+            select.innerHTML = '';
+            years.forEach(year => select.add(new Option(year, year, false, year === current)));
+        });
+    };
+
+    const showStatus = () => {
+        const mode = state.varianceMode;
+        status.textContent = mode ? `${mode.baseYear} → ${mode.compareYear}` : 'Off';
+        status.classList.toggle('active', Boolean(mode));
+    };
+
+    const regenerate = () => {
+        if (state.factData && state.factData.length > 0) {
+            pivotTable.generatePivotTable();
+        }
+    };
+
+    baseSelect.addEventListener('focus', refreshYears);
+    compareSelect.addEventListener('focus', refreshYears);
+
+    document.getElementById('varianceApplyBtn').addEventListener('click', () => {
+        refreshYears();
+        try {
+            state.varianceMode = variance.normalizeVariance({ baseYear: baseSelect.value, compareYear: compareSelect.value });
+        } catch (error) {
+            ui.addLogEntry(error.message, 'warning');
+            return;
+        }
+
+        const loaded = variance.listYears(state.factData);
+        const missing = [state.varianceMode.baseYear, state.varianceMode.compareYear].filter(year => loaded.length > 0 && !loaded.includes(year));
+        if (missing.length > 0) {
+            ui.addLogEntry(`No rows loaded for ${missing.join(', ')}: widen the ZYEAR filter to compare`, 'warning');
+        }
+
+        console.log(`📈 Variance mode ${state.varianceMode.baseYear} → ${state.varianceMode.compareYear}`);
+        ui.addLogEntry(`Comparing ${state.varianceMode.baseYear} with ${state.varianceMode.compareYear}`, 'info');
+        showStatus();
+        regenerate();
+    });
+
+    document.getElementById('varianceClearBtn').addEventListener('click', () => {
+        if (!state.varianceMode) return;
+        console.log('📈 Variance mode off');
+        state.varianceMode = null;
+        showStatus();
+        regenerate();
+    });
+
+    Object.entries(variance.MOVER_SORTS).forEach(([key, label]) => sortSelect.add(new Option(label, key)));
+
+    rootInput.addEventListener('focus', () => {
+        bomExplosion.renderRootOptions(
+            document.getElementById('bomExplosionRootOptions'),
+            stateModule.state.dimensions.root_gmid_display
+        );
+        if (!rootInput.value && state.selectedRootGmids.length > 0) {
+            rootInput.value = state.selectedRootGmids[0];
+        }
+    });
+
+    const renderMovers = () => {
+        if (!movers) return;
+        variance.renderMovers(document.getElementById('varianceTable'), movers, {
+            sortBy: sortSelect.value,
+            decimalPlaces: state.decimalPlaces
+        });
+    };
+
+    const loadMovers = async () => {
+        const rootGmid = rootInput.value.trim();
+        if (!rootGmid) {
+            ui.addLogEntry('Pick a root GMID to compare', 'warning');
+            return;
+        }
+        refreshYears();
+
+        const summary = document.getElementById('varianceSummary');
+        moversBtn.disabled = true;
+        try {
+            movers = await variance.fetchCostVariance(rootGmid, {
+                base: baseSelect.value,
+                compare: compareSelect.value,
+                le: leSelect.value,
+                fact: state.factTable,
+                baseAsOf: document.getElementById('varianceBaseAsOf').value,
+                compareAsOf: document.getElementById('varianceCompareAsOf').value
+            });
+
+            leSelect.length = 1;
+            movers.legalEntities.forEach(le => leSelect.add(new Option(le, le, false, le === movers.LE)));
+
+            const { totals } = movers;
+            summary.textContent = movers.movers.length > 0
+                ? `${movers.rootDisplay} · ${movers.LE} · ${variance.sideLabel(movers.base, movers.baseAsOf)} → ${variance.sideLabel(movers.compare, movers.compareAsOf)} · quantity ${totals.qtyEffect.toFixed(state.decimalPlaces)}, price ${totals.priceEffect.toFixed(state.decimalPlaces)}`
+                : '';
+            renderMovers();
+        } catch (error) {
+            console.error('❌ Alert! Could not load the cost variance:', error);
+            ui.addLogEntry(`Cost variance of ${rootGmid} failed: ${error.message}`, 'error');
+        } finally {
+            moversBtn.disabled = false;
+        }
+    };
+
+    moversBtn.addEventListener('click', loadMovers);
+    rootInput.addEventListener('keydown', event => {
+        if (event.key === 'Enter') loadMovers();
+    });
+    rootInput.addEventListener('change', () => {
+        leSelect.length = 1;
+    });
+    leSelect.addEventListener('change', loadMovers);
+    sortSelect.addEventListener('change', renderMovers);
+
+    refreshYears();
+    showStatus();
+}
+
+
+/**
+ * Use a point in time for the following API requests and show it in the picker and on the pivot
+ * @param {string|null} value - UTC ISO timestamp, null for the current data
+ */
+function showAsOf(value) {
+    const state = stateModule.state;
+    state.asOf = value;
+
+    const input = document.getElementById('asOfInput');
+    if (input) input.value = asOf.toInputValue(value);
+    const closes = document.getElementById('asOfCloses');
+    if (closes) closes.value = Array.from(closes.options).some(option => option.value === value) ? value : '';
+
+    asOf.renderAsOfBadge(document.getElementById('asOfBadge'), value);
+}
+
+
+/**
+ * Wire the as-of picker (date and time, or one of the recent month-end closes; Now goes back to the
+ * current data). A new point in time reloads the fact data loaded so far. Without time travel on the
+ * server's data source (local fixtures) the picker and the other as-of inputs are disabled.
+ */
+function setupAsOf() {
+    const input = document.getElementById('asOfInput');
+    const closes = document.getElementById('asOfCloses');
+    const nowBtn = document.getElementById('asOfNowBtn');
+    if (!input || !closes) return;
+
+    const state = stateModule.state;
+    document.querySelectorAll('.as-of-input').forEach(element => {
+        element.disabled = !state.timeTravel;
+    });
+    if (!state.timeTravel) {
+        input.title = 'The server\'s data source has no time travel';
+        return;
+    }
+
+    closes.length = 1;
+    asOf.recentMonthEnds().forEach(close => closes.add(new Option(close.label, close.asOf)));
+
+    const pick = value => {
+        if (value === state.asOf) return;
+
+        showAsOf(value);
+        console.log(`🕰️ ${asOf.formatAsOf(value)}`);
+        ui.addLogEntry(`${asOf.formatAsOf(value)}${state.lastFilterParams ? ': reloading the data' : ': press Load Data'}`, 'info');
+
+        // Rows on screen were read at the previous point in time
+        if (state.lastFilterParams && filterSystem.state) {
+            filterSystem.applyAllFilters(state.lastFilterParams);
+        }
+    };
+
+    input.addEventListener('change', () => {
+        try {
+            pick(asOf.toAsOf(input.value));
+        } catch (error) {
+            ui.addLogEntry(error.message, 'warning');
+            input.value = asOf.toInputValue(state.asOf);
+        }
+    });
+    closes.addEventListener('change', () => {
+        if (closes.value) pick(closes.value);
+    });
+    nowBtn.addEventListener('click', () => pick(null));
+}
+
+
 /**
  * Set up the initial database connection
  * @param {Object} elements - DOM elements
@@ -254,7 +796,7 @@ function setupDatabaseConnection(elements) {
             updateConnectionStatus('connecting', 'Connecting to Snowflake database...');
 
             // Check if the backend server is available
-            fetch('http://localhost:3000/api/get_bom_dim')
+            fetch(`${API_BASE_URL}/get_bom_dim?fact=${encodeURIComponent(stateModule.state.factTable)}`, { credentials: 'include' })
             .then(response => {
                 if (!response.ok) {
                     throw new Error(`Server returned ${response.status}`);
@@ -289,6 +831,7 @@ function setupDatabaseConnection(elements) {
                 
                 // Update UI
                 updateTableStatuses(availableDimensions, 'waiting');
+                populateFactSelector();
                 isConnectingToDatabase = false;
         })
         } catch(error) {
@@ -312,7 +855,7 @@ function loadDimensionDataFromDatabase(elements) {
     console.log("✅ Status: Starting dimension data loading from Snowflake database");
     
     // Load only the dimension data
-    data.ingestDimensionData(elements);
+    data.ingestDimensionData(elements, stateModule.state.factTable);
     
     console.log("✅ Status: Snowflake dimension data loading completed successfully");
     
@@ -328,7 +871,7 @@ function loadFactDataFromDatabase(elements) {
     console.log("✅ Status: Starting fact data loading from Snowflake database");
     
     // Load the fact data
-    data.ingestFactData(elements);
+    data.ingestFactData(elements, stateModule.state.factTable);
     
     console.log("✅ Status: Snowflake fact data loading completed successfully");
     
@@ -345,6 +888,73 @@ function loadFactDataFromDatabase(elements) {
 }
 
 
+/**
+ * Fill the fact table selector with the fact tables registered in SETUP
+ */
+function populateFactSelector() {
+    const factSelector = document.getElementById('factSelector');
+    if (!factSelector) return;
+
+    data.fetchFactNames()
+        .then(facts => {
+            if (facts.length === 0) {
+                console.warn('⚠️ Warning: No registered fact tables found');
+                return;
+            }
+
+            const current = stateModule.state.factTable;
+            factSelector.innerHTML = '';
+            facts.forEach(fact => {
+                const option = document.createElement('option');
+                option.value = fact.id;
+                option.textContent = fact.label === fact.id ? fact.id : `${fact.label} (${fact.id})`;
+                option.selected = fact.id === current;
+                factSelector.appendChild(option);
+            });
+            factSelector.disabled = facts.length < 2;
+
+            console.log(`✅ Status: Available fact tables: ${facts.map(fact => fact.id).join(', ')}`);
+        })
+        .catch(error => {
+            console.error('❌ Alert! Error loading fact table names:', error);
+        });
+}
+
+
+/**
+ * Switch the pivot to another fact table: loads its dimensions and measures, keeping the ones it
+ * shares with the current fact, then waits for Load Data to fetch its rows
+ * @param {Object} elements - DOM elements
+ * @param {string} factTable - Selected fact table
+ */
+async function switchFactTable(elements, factTable) {
+    const factSelector = document.getElementById('factSelector');
+    const previousFact = stateModule.state.factTable;
+
+    if (factSelector) factSelector.disabled = true;
+    updateConnectionStatus('connecting', `Loading ${factTable} dimensions...`);
+
+    const success = await data.switchFactTable(elements, factTable);
+
+    if (success) {
+        window.App.state.availableTables = stateModule.state.tableRegistry.facts[factTable].dimensions;
+        updateConnectionStatus('success', `Connected to Snowflake database - press Load Data to load ${factTable}`);
+        updateTableStatuses([], 'waiting');
+
+        // The pivot on screen was calculated from the previous fact
+        const pivotTableHeader = document.getElementById('pivotTableHeader');
+        const pivotTableBody = document.getElementById('pivotTableBody');
+        if (pivotTableHeader) pivotTableHeader.innerHTML = '';
+        if (pivotTableBody) pivotTableBody.innerHTML = '';
+    } else {
+        updateConnectionStatus('error', `Could not switch to ${factTable}`);
+        if (factSelector) factSelector.value = previousFact;
+    }
+
+    if (factSelector) factSelector.disabled = false;
+}
+
+
 /**
  * Reconnect to the database
  * @param {Object} elements - DOM elements
@@ -413,7 +1023,7 @@ function updateTableStatuses(tables, status) {
     if (!tables || !Array.isArray(tables)) return;
     
     // Include the fact table
-    const allTables = [...tables, 'FACT_BOM'];
+    const allTables = [...tables, window.App?.state?.factTable || 'FACT_BOM'];
     
     allTables.forEach(table => {
         const normalizedName = table.replace(/[^a-zA-Z0-9]/g, '').toLowerCase();
@@ -427,8 +1037,51 @@ function updateTableStatuses(tables, status) {
 }
 
 
+/**
+ * Check the sign-in before anything talks to the API, show the user in the header, then start the app
+ */
+async function startApp() {
+    installViewHeader();
+    asOf.installAsOfHeader(() => stateModule.state.asOf);
+    auth.installSessionExpiryHandler();
+    installQueueHandler({
+        onStatus: (table, status, info) => ui.updateTableStatus(table, status, info)
+    });
+    installRequestLog({
+        onRequest: ({ method, path, status, durationMs, requestId, error }) => ui.addLogEntry(
+            `${method} ${path} → ${status} in ${durationMs} ms${error ? `: ${error}` : ''}`,
+            status >= 500 ? 'error' : status >= 400 ? 'warning' : 'info',
+            requestId
+        )
+    });
+
+    let session;
+    try {
+        session = await auth.requireSignIn();
+    } catch (error) {
+        console.error('❌ Alert! Could not check the sign-in:', error);
+        updateConnectionStatus('error', 'Cannot reach the API server');
+        return;
+    }
+    if (!session) {
+        return; // Redirecting to the sign-in page
+    }
+
+    stateModule.state.currentUser = session.user;
+    stateModule.state.entitlements = session.entitlements || null;
+    auth.renderCurrentUser(session, document.getElementById('currentUser'));
+
+    const logoutBtn = document.getElementById('logoutBtn');
+    if (logoutBtn) {
+        logoutBtn.addEventListener('click', () => auth.signOut());
+    }
+
+    initializeApp();
+}
+
+
 // Call initialize when the DOM is loaded
-document.addEventListener('DOMContentLoaded', initializeApp);
+document.addEventListener('DOMContentLoaded', startApp);
 
 document.getElementById('decimalPlaces').addEventListener('change', function(e) {
     const value = parseInt(e.target.value, 10);
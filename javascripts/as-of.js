@@ -0,0 +1,141 @@
+// ===== POINT-IN-TIME (AS-OF) READS =====
+
+// "The BOM as it was at month-end close": with an as-of point in time picked, every API request of
+// the page carries it in X-BOM-As-Of and the server reads each fact and dimension table as it was
+// then (Snowflake time travel, see queryBuilder.normalizeAsOf). Rows already loaded stay as they were
+// read, so picking a time reloads the fact data. The pivot and the exports name the time they show.
+//
+// Two points in time are compared through the cost variance movers (baseAsOf / compareAsOf of
+// GET /api/bom/:rootGmid/variance, see variance.js).
+
+import { API_BASE_URL } from './app-config.js';
+
+export const AS_OF_HEADER = 'X-BOM-As-Of';
+const MONTH_END_COUNT = 13;
+
+
+/**
+ * Send X-BOM-As-Of with every API request while a point in time is picked
+ * @param {Function} getAsOf - Returns the current as-of (ISO timestamp) or null for the current data
+ */
+export function installAsOfHeader(getAsOf) {
+    const originalFetch = window.fetch.bind(window);
+
+    window.fetch = (input, init = {}) => {
+        const url = input instanceof Request ? input.url : String(input);
+        const asOf = getAsOf();
+        if (!asOf || !url.startsWith(API_BASE_URL)) {
+            return originalFetch(input, init);
+        }
+
+        const headers = new Headers(init.headers || (input instanceof Request ? input.headers : undefined));
+        headers.set(AS_OF_HEADER, asOf);
+        return originalFetch(input, { ...init, headers });
+    };
+}
+
+
+/**
+ * As-of timestamp from a datetime-local input value (the browser's time zone)
+ * @param {string} value - '2025-01-31T23:59' or '2025-01-31T23:59:59'; empty = current data
+ * @returns {string|null} - UTC ISO timestamp
+ */
+export function toAsOf(value) {
+    const text = String(value || '').trim();
+    if (!text) {
+        return null;
+    }
+
+    const time = new Date(text).getTime();
+    if (Number.isNaN(time)) {
+        throw new Error(`Invalid as-of '${text}': pick a date and time`);
+    }
+    if (time > Date.now()) {
+        throw new Error(`Invalid as-of '${text}': it is in the future`);
+    }
+    return new Date(time).toISOString();
+}
+
+
+/**
+ * datetime-local input value of an as-of timestamp, in the browser's time zone
+ * @param {string|null} asOf - UTC ISO timestamp
+ * @returns {string} - '2025-01-31T23:59:59', '' for the current data
+ */
+export function toInputValue(asOf) {
+    if (!asOf) {
+        return '';
+    }
+    const date = new Date(asOf);
+    const pad = number => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+
+/**
+ * The last moments of the recent months (local time), latest first, for picking a month-end close
+ * @param {number} count - Number of months
+ * @returns {Array<Object>} - [{ label: 'Jan 2025', asOf }]
+ */
+export function recentMonthEnds(count = MONTH_END_COUNT) {
+    const now = new Date();
+    const closes = [];
+    for (let back = 1; back <= count; back++) {
+        // Day 0 of a month is the last day of the month before
+        const end = new Date(now.getFullYear(), now.getMonth() - back + 1, 0, 23, 59, 59);
+        closes.push({
+            label: end.toLocaleDateString(undefined, { month: 'short', year: 'numeric' }),
+            asOf: end.toISOString()
+        });
+    }
+    return closes;
+}
+
+
+/**
+ * @param {string|null} asOf - UTC ISO timestamp
+ * @returns {string} - 'As of 31/01/2025, 23:59:59' or 'Current data'
+ */
+export function formatAsOf(asOf) {
+    return asOf ? `As of ${new Date(asOf).toLocaleString()}` : 'Current data';
+}
+
+
+/**
+ * File name part naming the as-of of an export ('asof-20250131-2359'), '' for the current data
+ * @param {string|null} asOf - UTC ISO timestamp
+ * @returns {string}
+ */
+export function fileSuffix(asOf) {
+    return asOf ? `asof-${toInputValue(asOf).slice(0, 16).replace(/[-:]/g, '').replace('T', '-')}` : '';
+}
+
+
+/**
+ * Show the as-of on a badge (hidden for the current data)
+ * @param {HTMLElement} badge - Badge element
+ * @param {string|null} asOf - UTC ISO timestamp
+ */
+export function renderAsOfBadge(badge, asOf) {
+    if (!badge) return;
+
+    badge.hidden = !asOf;
+    badge.innerHTML = '';
+    if (asOf) {
+        badge.innerHTML = '<i class="fas fa-history"></i> ';
+        badge.appendChild(document.createTextNode(formatAsOf(asOf)));
+        badge.title = `Tables read as they were at ${asOf} (UTC)`;
+    }
+}
+
+
+export default {
+    AS_OF_HEADER,
+    installAsOfHeader,
+    toAsOf,
+    toInputValue,
+    recentMonthEnds,
+    formatAsOf,
+    fileSuffix,
+    renderAsOfBadge
+};
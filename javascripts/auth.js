@@ -0,0 +1,155 @@
+// ===== SIGN-IN (BROWSER SIDE) =====
+
+// The API answers 401 on every /api route until the browser has signed in through sso.html
+// (POST /api/auth/login); the session cookie does the rest. Pages call requireSignIn() before
+// loading data, and installSessionExpiryHandler() sends the user back to the sign-in page when the
+// session expires mid-way.
+
+import { API_BASE_URL } from './app-config.js';
+
+const DEFAULT_LOGIN_PAGE = 'sso.html';
+
+
+/**
+ * Send the browser to the sign-in page, coming back here afterwards
+ * @param {Object} options - { expired, loginUrl }
+ */
+export function redirectToLogin({ expired = false, loginUrl = DEFAULT_LOGIN_PAGE } = {}) {
+    const target = new URL(loginUrl, window.location.href);
+    target.searchParams.set('returnTo', window.location.pathname + window.location.search);
+    if (expired) {
+        target.searchParams.set('expired', '1');
+    }
+    window.location.href = target.toString();
+}
+
+
+/**
+ * Signed-in user of this browser
+ * @returns {Promise<Object|null>} - { sessionId, user, expiresAt, ... } or null when not signed in
+ */
+export async function getCurrentUser() {
+    const response = await fetch(`${API_BASE_URL}/auth/me`, { credentials: 'include' });
+    if (response.status === 401) {
+        return null;
+    }
+    if (!response.ok) {
+        throw new Error(`Session check failed: ${response.status} ${response.statusText}`);
+    }
+    return response.json();
+}
+
+
+/**
+ * Resolve with the signed-in session, or redirect to the sign-in page
+ * @returns {Promise<Object|null>} - Session (null while redirecting)
+ */
+export async function requireSignIn() {
+    const session = await getCurrentUser();
+    if (!session) {
+        console.log('🔐 Not signed in, redirecting to sign-in page');
+        redirectToLogin();
+        return null;
+    }
+    console.log(`🔐 Signed in as ${session.user.username} until ${new Date(session.expiresAt).toLocaleString()}`);
+    return session;
+}
+
+
+/**
+ * Sign in through the server's identity provider
+ * @param {Object} credentials - { username, role }
+ * @returns {Promise<Object>} - Signed-in session
+ */
+export async function signIn(credentials) {
+    const response = await fetch(`${API_BASE_URL}/auth/login`, {
+        credentials: 'include',
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(credentials)
+    });
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(result.error || `Sign-in failed: ${response.status}`);
+    }
+    return result;
+}
+
+
+/**
+ * Sign out and go to the sign-in page
+ */
+export async function signOut() {
+    try {
+        await fetch(`${API_BASE_URL}/auth/logout`, { credentials: 'include', method: 'POST' });
+    } catch (error) {
+        console.error('❌ Alert! Sign-out request failed:', error);
+    }
+    window.location.href = new URL(DEFAULT_LOGIN_PAGE, window.location.href).toString();
+}
+
+
+/**
+ * Watch API responses: a 401 from a data route means the session expired, so go sign in again
+ * instead of letting every loader report its own error
+ */
+export function installSessionExpiryHandler() {
+    const originalFetch = window.fetch.bind(window);
+    let redirecting = false;
+
+    window.fetch = async (input, init) => {
+        const response = await originalFetch(input, init);
+        const url = typeof input === 'string' ? input : input.url;
+
+        if (response.status === 401 && !redirecting &&
+            url.startsWith(API_BASE_URL) && !url.startsWith(`${API_BASE_URL}/auth/`)) {
+            redirecting = true;
+            const body = await response.clone().json().catch(() => ({}));
+            console.warn(`⌛ ${body.error || 'Session ended'}, redirecting to sign-in page`);
+            redirectToLogin({ expired: true, loginUrl: body.loginUrl });
+        }
+        return response;
+    };
+}
+
+
+/**
+ * Show the signed-in user, e.g. in the page header
+ * @param {Object} session - From getCurrentUser
+ * @param {HTMLElement} container - Element the name is rendered into
+ */
+export function renderCurrentUser(session, container) {
+    if (!container || !session) return;
+
+    container.textContent = session.user.displayName || session.user.username;
+    container.title = `${session.user.username}` +
+        (session.user.roles && session.user.roles.length > 0 ? `\nRoles: ${session.user.roles.join(', ')}` : '') +
+        `\nSigned in via ${session.user.provider}` +
+        (session.entitlements && session.entitlements.restricted ? `\nData access: ${describeEntitlements(session.entitlements)}` : '') +
+        (session.expiresAt ? `\nSession ends ${new Date(session.expiresAt).toLocaleString()}` : '');
+}
+
+
+/**
+ * "LE FR01, DE01; MC MC01" for a restricted user
+ * @param {Object} entitlements - { restricted, fields } from GET /api/auth/me
+ * @returns {string}
+ */
+function describeEntitlements(entitlements) {
+    const limits = Object.entries(entitlements.fields)
+        .filter(([, values]) => values !== null)
+        .map(([field, values]) => `${field} ${values.length > 0 ? values.join(', ') : '(none)'}`);
+    return limits.length > 0 ? limits.join('; ') : 'restricted';
+}
+
+
+export default {
+    redirectToLogin,
+    getCurrentUser,
+    requireSignIn,
+    signIn,
+    signOut,
+    installSessionExpiryHandler,
+    renderCurrentUser
+};
@@ -0,0 +1,382 @@
+// ===== BOM EXPLOSION AND WHERE-USED PANELS =====
+
+// The indented component tree of one ROOT_GMID (GET /api/bom/:rootGmid/explosion, see
+// bomExplosion.js): quantity per parent, extended quantity per unit of the root, extended and
+// rolled-up cost, and each node's share of the root cost. A node with components folds them away
+// when its row is clicked; the table can be downloaded as CSV for Excel.
+//
+// Where-used (GET /api/bom/:componentGmid/where-used) is the same tree upside down: the component,
+// the components it goes into, up to the roots, and under each root its legal entity / year figures.
+
+import { API_BASE_URL } from './app-config.js';
+import asOf from './as-of.js';
+
+const INDENT_REM = 1.25;
+const QTY_DECIMALS = 4;
+const CSV_COLUMNS = [
+    ['level', 'Level'],
+    ['pathGmid', 'PATH_GMID'],
+    ['label', 'Component'],
+    ['qtyPerUnit', 'Qty per parent'],
+    ['extendedQty', 'Extended qty'],
+    ['unitCost', 'Unit cost'],
+    ['extendedCost', 'Extended cost'],
+    ['rolledUpCost', 'Rolled-up cost'],
+    ['percentOfRoot', '% of root']
+];
+
+
+/**
+ * Explosion of a root for one legal entity and year
+ * @param {string} rootGmid - ROOT_GMID
+ * @param {Object} options - { le, year, fact } (le / year empty: the server picks the latest)
+ * @returns {Promise<Object>} - { rootGmid, rootDisplay, LE, ZYEAR, asOf, contexts, nodes, totals }
+ */
+export async function fetchExplosion(rootGmid, { le = null, year = null, fact = null } = {}) {
+    const params = new URLSearchParams();
+    if (le) params.set('LE', le);
+    if (year) params.set('ZYEAR', String(year));
+    if (fact) params.set('fact', fact);
+
+    const response = await fetch(`${API_BASE_URL}/bom/${encodeURIComponent(rootGmid)}/explosion?${params.toString()}`, {
+        credentials: 'include'
+    });
+    if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.message || `BOM explosion request failed: ${response.status} ${response.statusText}`);
+    }
+    return response.json();
+}
+
+
+/**
+ * Fill the root GMID suggestions from the loaded ROOT_GMID dimension
+ * @param {HTMLDataListElement} datalist - Suggestions of the root input
+ * @param {Array<Object>} rootDimension - DIM_ROOT_GMID_DISPLAY rows ({ ROOT_GMID, ROOT_DISPLAY })
+ */
+export function renderRootOptions(datalist, rootDimension) {
+    if (!datalist || !Array.isArray(rootDimension)) return;
+
+    datalist.innerHTML = '';
+    rootDimension.forEach(item => {
+        const option = document.createElement('option');
+        option.value = item.ROOT_GMID;
+        option.label = item.ROOT_DISPLAY || item.ROOT_GMID;
+        datalist.appendChild(option);
+    });
+}
+
+
+/**
+ * Fill the LE / year selector with the contexts the root has rows for
+ * @param {HTMLSelectElement} select - Context selector
+ * @param {Object} explosion - From fetchExplosion
+ */
+export function renderContextOptions(select, explosion) {
+    if (!select) return;
+
+    select.innerHTML = '';
+    explosion.contexts.forEach(context => {
+        const option = document.createElement('option');
+        option.value = `${context.LE}|${context.ZYEAR}`;
+        option.textContent = `${context.LE} · ${context.ZYEAR}`;
+        option.selected = String(context.LE) === String(explosion.LE) && String(context.ZYEAR) === String(explosion.ZYEAR);
+        select.appendChild(option);
+    });
+    select.disabled = explosion.contexts.length === 0;
+}
+
+
+/**
+ * @param {number} value
+ * @param {number} decimals
+ * @returns {string}
+ */
+function formatNumber(value, decimals) {
+    return Number(value).toLocaleString(undefined, { minimumFractionDigits: 0, maximumFractionDigits: decimals });
+}
+
+
+/**
+ * Render the explosion table
+ * @param {HTMLElement} container - Table container
+ * @param {Object} explosion - From fetchExplosion
+ * @param {Object} options - { decimalPlaces }
+ */
+export function renderExplosion(container, explosion, { decimalPlaces = 2 } = {}) {
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    if (explosion.nodes.length === 0) {
+        container.innerHTML = `<div class="bom-explosion-empty">No BOM rows for ${explosion.rootGmid}</div>`;
+        return;
+    }
+
+    const table = document.createElement('table');
+    table.className = 'bom-explosion-table';
+    table.innerHTML = `
+        <thead>
+            <tr>
+                <th>Component</th>
+                <th>Level</th>
+                <th>Qty per parent</th>
+                <th>Extended qty</th>
+                <th>Unit cost</th>
+                <th>Extended cost</th>
+                <th>Rolled-up cost</th>
+                <th>% of root</th>
+            </tr>
+        </thead>
+    `;
+
+    const tbody = document.createElement('tbody');
+    const rows = new Map(); // pathGmid -> tr
+
+    explosion.nodes.forEach(node => {
+        const tr = document.createElement('tr');
+        tr.className = `bom-explosion-level-${Math.min(node.level, 5)}${node.missing ? ' bom-explosion-missing' : ''}`;
+        tr.dataset.path = node.pathGmid;
+        tr.title = node.missing ? `${node.pathGmid} (no row in this legal entity / year)` : node.pathGmid;
+
+        const name = document.createElement('td');
+        name.className = 'bom-explosion-name';
+        name.style.paddingLeft = `${node.level * INDENT_REM + 0.25}rem`;
+        name.innerHTML = node.hasChildren ? '<i class="fas fa-caret-down bom-explosion-toggle"></i> ' : '';
+        name.appendChild(document.createTextNode(node.label));
+        tr.appendChild(name);
+
+        [
+            String(node.level),
+            formatNumber(node.qtyPerUnit, QTY_DECIMALS),
+            formatNumber(node.extendedQty, QTY_DECIMALS),
+            formatNumber(node.unitCost, decimalPlaces),
+            formatNumber(node.extendedCost, decimalPlaces),
+            formatNumber(node.rolledUpCost, decimalPlaces),
+            `${formatNumber(node.percentOfRoot, 1)}%`
+        ].forEach(text => {
+            const td = document.createElement('td');
+            td.className = 'bom-explosion-number';
+            td.textContent = text;
+            tr.appendChild(td);
+        });
+
+        if (node.hasChildren) {
+            tr.classList.add('bom-explosion-parent');
+            tr.addEventListener('click', () => toggleNode(rows, node.pathGmid, tr));
+        }
+
+        rows.set(node.pathGmid, tr);
+        tbody.appendChild(tr);
+    });
+
+    table.appendChild(tbody);
+    container.appendChild(table);
+}
+
+
+/**
+ * Fold or unfold the components of a node
+ * @param {Map} rows - pathGmid (or where-used key) -> tr
+ * @param {string} pathGmid - Clicked node
+ * @param {HTMLTableRowElement} tr - Its row
+ */
+function toggleNode(rows, pathGmid, tr) {
+    const collapse = !tr.classList.contains('bom-explosion-collapsed');
+    tr.classList.toggle('bom-explosion-collapsed', collapse);
+
+    const toggle = tr.querySelector('.bom-explosion-toggle');
+    if (toggle) {
+        toggle.className = `fas ${collapse ? 'fa-caret-right' : 'fa-caret-down'} bom-explosion-toggle`;
+    }
+
+    // Unfolding shows the children again, but not what a folded child keeps hidden
+    const prefix = pathGmid + '/';
+    const hiddenUnder = [];
+    rows.forEach((row, path) => {
+        if (!path.startsWith(prefix)) return;
+
+        if (collapse) {
+            row.hidden = true;
+            return;
+        }
+        row.hidden = hiddenUnder.some(folded => path.startsWith(folded));
+        if (row.classList.contains('bom-explosion-collapsed')) {
+            hiddenUnder.push(path + '/');
+        }
+    });
+}
+
+
+/**
+ * Roots and paths a component is used in
+ * @param {string} componentGmid - COMPONENT_GMID
+ * @param {Object} options - { le, year, fact } (comma-separated or arrays; empty: every context)
+ * @returns {Promise<Object>} - { componentGmid, componentLabel, asOf, usages, totals, truncated }
+ */
+export async function fetchWhereUsed(componentGmid, { le = null, year = null, fact = null } = {}) {
+    const params = new URLSearchParams();
+    const list = values => (Array.isArray(values) ? values.join(',') : String(values));
+    if (le && le.length > 0) params.set('LE', list(le));
+    if (year && year.length > 0) params.set('ZYEAR', list(year));
+    if (fact) params.set('fact', fact);
+
+    const response = await fetch(`${API_BASE_URL}/bom/${encodeURIComponent(componentGmid)}/where-used?${params.toString()}`, {
+        credentials: 'include'
+    });
+    if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.message || `Where-used request failed: ${response.status} ${response.statusText}`);
+    }
+    return response.json();
+}
+
+
+/**
+ * Inverted tree of the usages: component, then each chain of parents up to a root, then the root's
+ * legal entity / year rows. Keys are the component GMIDs joined with '/', so folding works as in the
+ * explosion.
+ * @param {Object} whereUsed - From fetchWhereUsed
+ * @returns {Array<Object>} - Rows in display order: { key, level, label, hasChildren, usage, rootCount }
+ */
+function buildInvertedRows(whereUsed) {
+    const nodes = new Map();
+    const ensure = (key, level, label) => {
+        if (!nodes.has(key)) {
+            nodes.set(key, { key, level, label, children: [], roots: new Set(), usage: null });
+            const parentKey = key.slice(0, key.lastIndexOf('/'));
+            if (level > 0) nodes.get(parentKey).children.push(nodes.get(key));
+        }
+        return nodes.get(key);
+    };
+
+    const top = ensure(whereUsed.componentGmid, 0, whereUsed.componentLabel);
+    whereUsed.usages.forEach(usage => {
+        let key = whereUsed.componentGmid;
+        top.roots.add(usage.rootGmid);
+        usage.ancestors.forEach((ancestor, index) => {
+            key = `${key}/${ancestor.componentGmid}`;
+            ensure(key, index + 1, ancestor.label).roots.add(usage.rootGmid);
+        });
+        const context = ensure(`${key}/${usage.LE}|${usage.ZYEAR}`, usage.ancestors.length + 1, `${usage.LE} · ${usage.ZYEAR}`);
+        context.usage = usage;
+    });
+
+    const rows = [];
+    const visit = node => {
+        rows.push({ key: node.key, level: node.level, label: node.label, hasChildren: node.children.length > 0, usage: node.usage, rootCount: node.roots.size });
+        node.children.sort((a, b) => a.label.localeCompare(b.label));
+        node.children.forEach(visit);
+    };
+    visit(top);
+    return rows;
+}
+
+
+/**
+ * Render the where-used table
+ * @param {HTMLElement} container - Table container
+ * @param {Object} whereUsed - From fetchWhereUsed
+ * @param {Object} options - { decimalPlaces }
+ */
+export function renderWhereUsed(container, whereUsed, { decimalPlaces = 2 } = {}) {
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    if (whereUsed.usages.length === 0) {
+        container.innerHTML = `<div class="bom-explosion-empty">${whereUsed.componentGmid} is not used in any BOM</div>`;
+        return;
+    }
+
+    const table = document.createElement('table');
+    table.className = 'bom-explosion-table';
+    table.innerHTML = `
+        <thead>
+            <tr>
+                <th>Used in</th>
+                <th>Qty per parent</th>
+                <th>Extended qty</th>
+                <th>Cost contribution</th>
+                <th>% of root</th>
+            </tr>
+        </thead>
+    `;
+
+    const tbody = document.createElement('tbody');
+    const rows = new Map(); // key -> tr
+
+    buildInvertedRows(whereUsed).forEach(row => {
+        const tr = document.createElement('tr');
+        tr.className = `bom-explosion-level-${Math.min(row.level, 5)}${row.usage ? ' bom-explosion-context' : ''}`;
+        tr.title = row.usage ? `${row.usage.pathGmid} in ${row.usage.rootLabel}` : `${row.rootCount} root${row.rootCount === 1 ? '' : 's'}`;
+
+        const name = document.createElement('td');
+        name.className = 'bom-explosion-name';
+        name.style.paddingLeft = `${row.level * INDENT_REM + 0.25}rem`;
+        name.innerHTML = row.hasChildren ? '<i class="fas fa-caret-down bom-explosion-toggle"></i> ' : '';
+        name.appendChild(document.createTextNode(row.label));
+        tr.appendChild(name);
+
+        const figures = row.usage
+            ? [
+                formatNumber(row.usage.qtyPerUnit, QTY_DECIMALS),
+                formatNumber(row.usage.extendedQty, QTY_DECIMALS),
+                formatNumber(row.usage.rolledUpCost, decimalPlaces),
+                `${formatNumber(row.usage.percentOfRoot, 1)}%`
+            ]
+            : ['', '', '', ''];
+        figures.forEach(text => {
+            const td = document.createElement('td');
+            td.className = 'bom-explosion-number';
+            td.textContent = text;
+            tr.appendChild(td);
+        });
+
+        if (row.hasChildren) {
+            tr.classList.add('bom-explosion-parent');
+            tr.addEventListener('click', () => toggleNode(rows, row.key, tr));
+        }
+
+        rows.set(row.key, tr);
+        tbody.appendChild(tr);
+    });
+
+    table.appendChild(tbody);
+    container.appendChild(table);
+}
+
+
+/**
+ * Download the explosion as CSV
+ * @param {Object} explosion - From fetchExplosion
+ */
+export function downloadExplosionCsv(explosion) {
+    const escape = value => {
+        const text = String(value ?? '');
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = [
+        CSV_COLUMNS.map(([, header]) => header).join(','),
+        ...explosion.nodes.map(node => CSV_COLUMNS.map(([key]) => escape(node[key])).join(','))
+    ];
+
+    const blob = new Blob([lines.join('\n') + '\n'], { type: 'text/csv;charset=utf-8' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    const suffix = asOf.fileSuffix(explosion.asOf);
+    link.download = `bom-explosion-${explosion.rootGmid}-${explosion.LE}-${explosion.ZYEAR}${suffix ? `-${suffix}` : ''}.csv`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+
+export default {
+    fetchExplosion,
+    renderRootOptions,
+    renderContextOptions,
+    renderExplosion,
+    downloadExplosionCsv,
+    fetchWhereUsed,
+    renderWhereUsed
+};
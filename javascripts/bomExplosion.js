@@ -0,0 +1,291 @@
+// ===== BOM EXPLOSION =====
+
+// The component tree of one ROOT_GMID, indented by PATH_GMID level ('R100/C110/C111' is C111 inside
+// C110 inside R100), for one legal entity and costing year. For every node:
+//
+//   qtyPerUnit    - QTY_UNIT: units of the component per unit of its parent
+//   extendedQty   - units per unit of the root: qtyPerUnit multiplied down the path
+//   unitCost      - COST_UNIT summed over the node's cost elements
+//   extendedCost  - unitCost * extendedQty
+//   rolledUpCost  - extendedCost of the node and everything below it
+//   percentOfRoot - rolledUpCost as a share of the root's rolledUpCost
+//
+// A path whose parent path has no fact row (e.g. filtered out) still hangs under it: the parent is
+// added as a placeholder node with qtyPerUnit 1 and no cost, flagged missing.
+//
+// Where-used (implosion) goes the other way: every root and path a COMPONENT_GMID appears in, each
+// occurrence with the same figures, taken from the explosion of its root so extendedQty and
+// percentOfRoot mean the same in both views.
+//
+// Cost variance compares the explosions of two years node by node and splits the change of each
+// node's extendedCost (its own cost, not rolled up, so the nodes add up to the root's change) into
+//
+//   qtyEffect   - (compareQty - baseQty) * basePrice: the change at last year's price
+//   priceEffect - (comparePrice - basePrice) * compareQty: the rest
+//
+// A component added in the compare year is valued at its new price, so its whole cost is quantity
+// effect; one dropped from the BOM loses its base cost as quantity effect as well.
+
+// Fact columns an explosion is read from
+const STRUCTURE_COLUMNS = ['LE', 'ZYEAR', 'ROOT_GMID', 'PATH_GMID', 'QTY_UNIT', 'COST_UNIT'];
+const PATH_SEPARATOR = '/';
+const MAX_WHERE_USED_ROOTS = 200;
+const DISPLAY_SEPARATOR = '//';
+
+
+/**
+ * @param {string} pathGmid - 'R100/C110/C111'
+ * @returns {string|null} - Parent path ('R100/C110'), null for the root
+ */
+function parentPath(pathGmid) {
+    const index = pathGmid.lastIndexOf(PATH_SEPARATOR);
+    return index === -1 ? null : pathGmid.slice(0, index);
+}
+
+
+/**
+ * Label of a node from its DIM_GMID_DISPLAY text ('R100 - Vaccine Kit//C110 - Vial' -> 'C110 - Vial')
+ * @param {string} display - DISPLAY value
+ * @param {string} fallback - Shown when there is no display text
+ * @returns {string}
+ */
+function nodeLabel(display, fallback) {
+    if (!display) {
+        return fallback;
+    }
+    const segments = String(display).split(DISPLAY_SEPARATOR);
+    return segments[segments.length - 1] || fallback;
+}
+
+
+/**
+ * Legal entity / year combinations a root has rows for, latest year first
+ * @param {Array<Object>} rows - { LE, ZYEAR, ... } fact rows of the root
+ * @returns {Array<Object>} - [{ LE, ZYEAR }]
+ */
+function listContexts(rows) {
+    const seen = new Map();
+    rows.forEach(row => {
+        const key = `${row.LE}|${row.ZYEAR}`;
+        if (!seen.has(key)) {
+            seen.set(key, { LE: row.LE, ZYEAR: row.ZYEAR });
+        }
+    });
+    return Array.from(seen.values()).sort((a, b) =>
+        String(b.ZYEAR).localeCompare(String(a.ZYEAR)) || String(a.LE).localeCompare(String(b.LE))
+    );
+}
+
+
+/**
+ * Build the explosion of a root
+ * @param {string} rootGmid - ROOT_GMID
+ * @param {Array<Object>} rows - One row per PATH_GMID of one LE / year: { PATH_GMID, QTY_UNIT, COST_UNIT }
+ * @param {Object} displays - PATH_GMID -> DISPLAY (DIM_GMID_DISPLAY)
+ * @returns {Object} - { nodes (depth first, parents before children), totals: { nodeCount, levels, rolledUpCost } }
+ */
+function buildExplosion(rootGmid, rows, displays = {}) {
+    const nodes = new Map();
+
+    const addNode = (pathGmid, row) => {
+        const segments = pathGmid.split(PATH_SEPARATOR);
+        nodes.set(pathGmid, {
+            pathGmid,
+            componentGmid: segments[segments.length - 1],
+            parentPath: parentPath(pathGmid),
+            level: segments.length - 1,
+            label: nodeLabel(displays[pathGmid], segments[segments.length - 1]),
+            qtyPerUnit: row ? Number(row.QTY_UNIT) || 0 : 1,
+            unitCost: row ? Number(row.COST_UNIT) || 0 : 0,
+            missing: !row,
+            children: []
+        });
+    };
+
+    rows.forEach(row => {
+        if (row.PATH_GMID === rootGmid || String(row.PATH_GMID).startsWith(rootGmid + PATH_SEPARATOR)) {
+            addNode(row.PATH_GMID, row);
+        }
+    });
+
+    // Placeholders for parents without rows, up to the root
+    Array.from(nodes.keys()).forEach(pathGmid => {
+        for (let parent = parentPath(pathGmid); parent && !nodes.has(parent); parent = parentPath(parent)) {
+            addNode(parent, null);
+        }
+    });
+    if (!nodes.has(rootGmid)) {
+        return { nodes: [], totals: { nodeCount: 0, levels: 0, rolledUpCost: 0 } };
+    }
+
+    nodes.forEach(node => {
+        if (node.parentPath) {
+            nodes.get(node.parentPath).children.push(node);
+        }
+    });
+
+    // Quantities go down the tree, costs roll up on the way back
+    const ordered = [];
+    const visit = (node, parentQty) => {
+        node.extendedQty = parentQty * node.qtyPerUnit;
+        node.extendedCost = node.unitCost * node.extendedQty;
+        ordered.push(node);
+
+        node.children.sort((a, b) => a.pathGmid.localeCompare(b.pathGmid));
+        node.rolledUpCost = node.extendedCost + node.children.reduce((sum, child) => sum + visit(child, node.extendedQty), 0);
+        return node.rolledUpCost;
+    };
+    const rootCost = visit(nodes.get(rootGmid), 1);
+
+    const result = ordered.map(({ children, ...node }) => ({
+        ...node,
+        hasChildren: children.length > 0,
+        percentOfRoot: rootCost !== 0 ? (node.rolledUpCost / rootCost) * 100 : 0
+    }));
+
+    return {
+        nodes: result,
+        totals: {
+            nodeCount: result.length,
+            levels: Math.max(...result.map(node => node.level)) + 1,
+            rolledUpCost: rootCost
+        }
+    };
+}
+
+
+/**
+ * Where a component is used, across roots, legal entities and years
+ * @param {string} componentGmid - COMPONENT_GMID (last segment of the paths it appears in)
+ * @param {Array<Object>} rows - One row per ROOT_GMID, LE, ZYEAR and PATH_GMID of the roots using the
+ *        component: { ROOT_GMID, LE, ZYEAR, PATH_GMID, QTY_UNIT, COST_UNIT }
+ * @param {Object} displays - PATH_GMID -> DISPLAY (DIM_GMID_DISPLAY)
+ * @returns {Object} - { usages, totals: { roots, paths, usages } }; a usage is an explosion node of the
+ *        component plus { rootGmid, rootLabel, LE, ZYEAR, ancestors: [{ pathGmid, componentGmid, label }] }
+ *        with ancestors ordered from the parent up to the root
+ */
+function buildWhereUsed(componentGmid, rows, displays = {}) {
+    const groups = new Map();
+    rows.forEach(row => {
+        const key = `${row.ROOT_GMID}|${row.LE}|${row.ZYEAR}`;
+        if (!groups.has(key)) {
+            groups.set(key, { rootGmid: row.ROOT_GMID, LE: row.LE, ZYEAR: row.ZYEAR, rows: [] });
+        }
+        groups.get(key).rows.push(row);
+    });
+
+    const usages = [];
+    groups.forEach(group => {
+        const { nodes } = buildExplosion(group.rootGmid, group.rows, displays);
+        const byPath = new Map(nodes.map(node => [node.pathGmid, node]));
+
+        nodes
+            .filter(node => node.level > 0 && node.componentGmid === componentGmid && !node.missing)
+            .forEach(node => {
+                const ancestors = [];
+                for (let parent = node.parentPath; parent; parent = byPath.get(parent).parentPath) {
+                    const { pathGmid, componentGmid: gmid, label } = byPath.get(parent);
+                    ancestors.push({ pathGmid, componentGmid: gmid, label });
+                }
+                usages.push({
+                    ...node,
+                    rootGmid: group.rootGmid,
+                    rootLabel: nodes[0].label,
+                    LE: group.LE,
+                    ZYEAR: group.ZYEAR,
+                    ancestors
+                });
+            });
+    });
+
+    usages.sort((a, b) =>
+        String(a.rootGmid).localeCompare(String(b.rootGmid)) ||
+        a.pathGmid.localeCompare(b.pathGmid) ||
+        String(b.ZYEAR).localeCompare(String(a.ZYEAR)) ||
+        String(a.LE).localeCompare(String(b.LE))
+    );
+
+    return {
+        usages,
+        totals: {
+            roots: new Set(usages.map(usage => usage.rootGmid)).size,
+            paths: new Set(usages.map(usage => usage.pathGmid)).size,
+            usages: usages.length
+        }
+    };
+}
+
+
+/**
+ * Quantity / price decomposition of the cost change of a root between two years
+ * @param {string} rootGmid - ROOT_GMID
+ * @param {Array<Object>} baseRows - One row per PATH_GMID of the base year: { PATH_GMID, QTY_UNIT, COST_UNIT }
+ * @param {Array<Object>} compareRows - The same for the compare year
+ * @param {Object} displays - PATH_GMID -> DISPLAY (DIM_GMID_DISPLAY)
+ * @returns {Object} - { movers (largest absolute delta first), totals: { base, compare, delta, qtyEffect, priceEffect } };
+ *        a mover is { pathGmid, componentGmid, label, level, baseQty, compareQty, basePrice, comparePrice,
+ *        baseCost, compareCost, delta, deltaPercent, qtyEffect, priceEffect, status: 'changed' | 'added' | 'removed' }
+ */
+function buildCostVariance(rootGmid, baseRows, compareRows, displays = {}) {
+    const base = new Map(buildExplosion(rootGmid, baseRows, displays).nodes.map(node => [node.pathGmid, node]));
+    const compare = new Map(buildExplosion(rootGmid, compareRows, displays).nodes.map(node => [node.pathGmid, node]));
+    const totals = { base: 0, compare: 0, delta: 0, qtyEffect: 0, priceEffect: 0 };
+
+    const movers = [];
+    new Set([...base.keys(), ...compare.keys()]).forEach(pathGmid => {
+        const before = base.get(pathGmid);
+        const after = compare.get(pathGmid);
+        const inBase = Boolean(before && !before.missing);
+        const inCompare = Boolean(after && !after.missing);
+        if (!inBase && !inCompare) {
+            return;
+        }
+
+        const node = after || before;
+        const baseQty = inBase ? before.extendedQty : 0;
+        const compareQty = inCompare ? after.extendedQty : 0;
+        const basePrice = inBase ? before.unitCost : 0;
+        const comparePrice = inCompare ? after.unitCost : 0;
+        const baseCost = baseQty * basePrice;
+        const compareCost = compareQty * comparePrice;
+        const delta = compareCost - baseCost;
+        const qtyEffect = (compareQty - baseQty) * (inBase ? basePrice : comparePrice);
+
+        movers.push({
+            pathGmid,
+            componentGmid: node.componentGmid,
+            label: node.label,
+            level: node.level,
+            baseQty,
+            compareQty,
+            basePrice,
+            comparePrice,
+            baseCost,
+            compareCost,
+            delta,
+            deltaPercent: baseCost !== 0 ? (delta / Math.abs(baseCost)) * 100 : null,
+            qtyEffect,
+            priceEffect: delta - qtyEffect,
+            status: !inBase ? 'added' : !inCompare ? 'removed' : 'changed'
+        });
+
+        totals.base += baseCost;
+        totals.compare += compareCost;
+        totals.delta += delta;
+        totals.qtyEffect += qtyEffect;
+        totals.priceEffect += delta - qtyEffect;
+    });
+
+    movers.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta) || a.pathGmid.localeCompare(b.pathGmid));
+    return { movers, totals };
+}
+
+
+module.exports = {
+    STRUCTURE_COLUMNS,
+    MAX_WHERE_USED_ROOTS,
+    buildExplosion,
+    buildWhereUsed,
+    buildCostVariance,
+    listContexts
+};
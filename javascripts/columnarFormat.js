@@ -0,0 +1,149 @@
+// ===== COLUMNAR ROW TRANSPORT =====
+
+// Compact alternative to NDJSON for large row streams, chosen when the request's Accept header
+// prefers application/vnd.bom.columnar+json. The body is still newline-delimited JSON so it can be
+// streamed and parsed incrementally, but rows are sent column-wise in batches:
+//
+//   {"format":"bom-columnar","version":1,"columns":[{"name":"LE","type":"dict"},{"name":"COST_UNIT","type":"number"}]}
+//   {"rows":5000,"dict":{"LE":["FR01","DE01"]},"data":{"LE":[0,1,0,...],"COST_UNIT":[1.5,2,...]}}
+//   ...
+//   {"end":true,"rows":12345}
+//
+// Column types come from the first row: numbers are sent as plain arrays, everything else is
+// dictionary-encoded (indices into a per-column dictionary that each batch extends, -1 = null).
+// A missing end line means the stream was cut off.
+
+const NDJSON_MIME = 'application/x-ndjson';
+const COLUMNAR_MIME = 'application/vnd.bom.columnar+json';
+const COLUMNAR_BATCH_SIZE = 5000;
+
+
+/**
+ * @param {Object} req - Express request
+ * @returns {boolean} - True when the client asked for the columnar format
+ */
+function prefersColumnar(req) {
+    return req.accepts([NDJSON_MIME, COLUMNAR_MIME]) === COLUMNAR_MIME;
+}
+
+
+/**
+ * NDJSON writer: one JSON object per line
+ * @param {Object} res - Express response
+ * @returns {Object} - { format, write(row), end() }
+ */
+function createNdjsonWriter(res) {
+    res.setHeader('Content-Type', NDJSON_MIME);
+
+    return {
+        format: 'ndjson',
+        write(row) {
+            res.write(JSON.stringify(row) + '\n');
+        },
+        end() {
+            res.end();
+        }
+    };
+}
+
+
+/**
+ * Columnar writer: header line, one line per batch of rows, end line
+ * @param {Object} res - Express response
+ * @param {number} batchSize - Rows per batch line
+ * @returns {Object} - { format, write(row), end() }
+ */
+function createColumnarWriter(res, batchSize = COLUMNAR_BATCH_SIZE) {
+    res.setHeader('Content-Type', COLUMNAR_MIME);
+
+    let columns = null;
+    const dictionaries = {};   // column -> Map(value -> index)
+    let batch = null;
+    let totalRows = 0;
+
+    function startBatch() {
+        batch = { rows: 0, dict: {}, data: {} };
+        columns.forEach(column => {
+            batch.data[column.name] = [];
+        });
+    }
+
+    function flush() {
+        if (!batch || batch.rows === 0) {
+            return;
+        }
+        res.write(JSON.stringify(batch) + '\n');
+        startBatch();
+    }
+
+    function encode(column, value) {
+        if (value === null || value === undefined) {
+            return column.type === 'dict' ? -1 : null;
+        }
+        if (column.type !== 'dict') {
+            return value;
+        }
+
+        const dictionary = dictionaries[column.name];
+        let index = dictionary.get(value);
+        if (index === undefined) {
+            index = dictionary.size;
+            dictionary.set(value, index);
+            (batch.dict[column.name] = batch.dict[column.name] || []).push(value);
+        }
+        return index;
+    }
+
+    return {
+        format: 'columnar',
+
+        write(row) {
+            if (!columns) {
+                columns = Object.keys(row).map(name => ({
+                    name,
+                    type: typeof row[name] === 'number' ? 'number' : 'dict'
+                }));
+                columns.filter(column => column.type === 'dict').forEach(column => {
+                    dictionaries[column.name] = new Map();
+                });
+                res.write(JSON.stringify({ format: 'bom-columnar', version: 1, columns }) + '\n');
+                startBatch();
+            }
+
+            columns.forEach(column => {
+                batch.data[column.name].push(encode(column, row[column.name]));
+            });
+            batch.rows++;
+            totalRows++;
+
+            if (batch.rows >= batchSize) {
+                flush();
+            }
+        },
+
+        end() {
+            flush();
+            res.end(JSON.stringify({ end: true, rows: totalRows }) + '\n');
+        }
+    };
+}
+
+
+/**
+ * Pick the row writer for a response from the request's Accept header (NDJSON by default)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Object} - { format, write(row), end() }
+ */
+function createRowWriter(req, res) {
+    res.setHeader('Vary', 'Accept');
+    return prefersColumnar(req) ? createColumnarWriter(res) : createNdjsonWriter(res);
+}
+
+
+module.exports = {
+    NDJSON_MIME,
+    COLUMNAR_MIME,
+    prefersColumnar,
+    createRowWriter
+};
@@ -5,6 +5,7 @@ Functions in this module handle various data-centric tasks identified for the pr
 import stateModule from './state.js';
 import ui from './ui.js'
 import pivotTable from './pivot-table.js';
+import { API_BASE_URL } from './app-config.js';
 
 
 // Get reference to application state
@@ -12,79 +13,240 @@ const state = stateModule.state;
 
 
 /**
- * API Constants - Endpoints for data retrieval
+ * API Constants - Endpoints for data retrieval (server location: app-config.js)
  */
-const API_BASE_URL = 'http://localhost:3000/api';
 
 
 const ENDPOINTS = {
     GET_DIMENSIONS: `${API_BASE_URL}/get_bom_dim`,
     GET_DATA: `${API_BASE_URL}/data/`,
     GET_FACT_NAMES: `${API_BASE_URL}/get_fact_names`,
-    GET_DIMENSION_FIELDS: `${API_BASE_URL}/dimension-fields/`
+    GET_DIMENSION_FIELDS: `${API_BASE_URL}/dimension-fields/`,
+    GET_REGISTRY: `${API_BASE_URL}/registry`,
+    PIVOT_AGGREGATE: `${API_BASE_URL}/pivot/aggregate`
 };
 
 
 /**
- * ENHANCED: Configuration for dimension field loading
- * Maps each dimension to the specific fields needed for filtering
+ * Row stream formats (see columnarFormat.js on the server)
  */
-const DIMENSION_FIELD_CONFIG = {
-    'DIM_LE': {
-        fields: ['LE', 'LE_DESC', 'PATH'],
-        displayField: 'LE_DESC',
-        valueField: 'LE',
-        filterField: 'LE'
-    },
-    'DIM_COST_ELEMENT': {
-        fields: ['COST_ELEMENT', 'COST_ELEMENT_DESC', 'PATH'],
-        displayField: 'COST_ELEMENT_DESC',
-        valueField: 'COST_ELEMENT',
-        filterField: 'COST_ELEMENT'
-    },
-    'DIM_SMARTCODE': {
-        fields: ['SMARTCODE', 'SMARTCODE_DESC', 'PATH'],
-        displayField: 'SMARTCODE_DESC',
-        valueField: 'SMARTCODE',
-        filterField: 'ROOT_SMARTCODE'
-    },
-    'DIM_GMID_DISPLAY': {
-        fields: ['PATH_GMID', 'ROOT_GMID', 'DISPLAY'], 
-        valueField: 'PATH_GMID', 
-        displayField: 'DISPLAY',
-        filterField: 'PATH_GMID'
-    },
-    'DIM_ROOT_GMID_DISPLAY': {
-        fields: ['ROOT_GMID', 'ROOT_DISPLAY'],
-        displayField: 'ROOT_DISPLAY',
-        valueField: 'ROOT_GMID',
-        filterField: 'ROOT_GMID'
-    },
-    'DIM_ITEM_COST_TYPE': {
-        fields: ['ITEM_COST_TYPE', 'ITEM_COST_TYPE_DESC'],
-        displayField: 'ITEM_COST_TYPE_DESC',
-        valueField: 'ITEM_COST_TYPE',
-        filterField: 'ITEM_COST_TYPE'
-    },
-    'DIM_MATERIAL_TYPE': {
-        fields: ['MATERIAL_TYPE', 'MATERIAL_TYPE_DESC'],
-        displayField: 'MATERIAL_TYPE_DESC',
-        valueField: 'MATERIAL_TYPE',
-        filterField: 'COMPONENT_MATERIAL_TYPE'
-    },
-    'DIM_MC': {
-        fields: ['MC', 'LE_DESC', 'PATH'],
-        displayField: 'LE_DESC',
-        valueField: 'MC',
-        filterField: 'MC'
-    },
-    'DIM_YEAR': {
-        fields: ['YEAR'],
-        displayField: 'YEAR',
-        valueField: 'YEAR',
-        filterField: 'ZYEAR'
+const NDJSON_MIME = 'application/x-ndjson';
+const COLUMNAR_MIME = 'application/vnd.bom.columnar+json';
+
+// Measures used until the table registry is loaded (the registry lists each fact's measures)
+const DEFAULT_MEASURE_FIELDS = ['COST_UNIT', 'QTY_UNIT'];
+
+
+/**
+ * Accept header for row streams: columnar first when enabled, NDJSON as fallback
+ * @returns {string}
+ */
+function getRowStreamAcceptHeader() {
+    return state.columnarTransport
+        ? `${COLUMNAR_MIME}, ${NDJSON_MIME};q=0.9`
+        : NDJSON_MIME;
+}
+
+
+/**
+ * Decoder for the columnar format. Dictionary-encoded columns are expanded back into row objects
+ * (what the rest of the app works with) and COST_UNIT/QTY_UNIT are copied into growable
+ * Float64Arrays on the way, so totals can be computed without touching the row objects.
+ * Null measures become NaN in the typed arrays.
+ * @returns {{push: Function, finish: Function}}
+ */
+function createColumnarDecoder() {
+    const measureFields = getMeasureFields();
+    let columns = [];
+    const dictionaries = {};
+    const measures = {};
+    const rows = [];
+    let measureLength = 0;
+    let complete = false;
+
+    function ensureMeasureCapacity(required) {
+        Object.keys(measures).forEach(name => {
+            if (measures[name].length < required) {
+                const grown = new Float64Array(Math.max(required, measures[name].length * 2));
+                grown.set(measures[name]);
+                measures[name] = grown;
+            }
+        });
     }
-};
+
+    return {
+        push(message) {
+            if (message.columns) {
+                columns = message.columns;
+                columns.forEach(column => {
+                    if (column.type === 'dict') {
+                        dictionaries[column.name] = [];
+                    }
+                    if (measureFields.includes(column.name)) {
+                        measures[column.name] = new Float64Array(1024);
+                    }
+                });
+                return;
+            }
+
+            if (message.end) {
+                complete = true;
+                return;
+            }
+
+            Object.entries(message.dict || {}).forEach(([name, values]) => {
+                const dictionary = dictionaries[name];
+                for (let i = 0; i < values.length; i++) {
+                    dictionary.push(values[i]);
+                }
+            });
+
+            for (let i = 0; i < message.rows; i++) {
+                const row = {};
+                columns.forEach(column => {
+                    const value = message.data[column.name][i];
+                    row[column.name] = column.type === 'dict'
+                        ? (value < 0 ? null : dictionaries[column.name][value])
+                        : value;
+                });
+                rows.push(row);
+            }
+
+            ensureMeasureCapacity(measureLength + message.rows);
+            Object.keys(measures).forEach(name => {
+                const target = measures[name];
+                const values = message.data[name];
+                for (let i = 0; i < message.rows; i++) {
+                    target[measureLength + i] = values[i] === null ? NaN : Number(values[i]);
+                }
+            });
+            measureLength += message.rows;
+        },
+
+        finish() {
+            if (!complete) {
+                throw new Error('Columnar stream ended before its end marker');
+            }
+
+            const typedColumns = {};
+            Object.keys(measures).forEach(name => {
+                typedColumns[name] = measures[name].slice(0, measureLength);
+            });
+
+            // Non-enumerable so spreading/serializing the rows is unaffected
+            Object.defineProperty(rows, '_columns', { value: typedColumns, enumerable: false });
+            return rows;
+        }
+    };
+}
+
+
+/**
+ * Read a row stream in whichever format the server answered with (Content-Type)
+ * @param {Response} response - fetch response of a row-streaming route
+ * @param {string} label - Name used in warnings
+ * @returns {Promise<Array>} - Row objects (with rows._columns typed arrays for the columnar format)
+ */
+async function readRowStream(response, label) {
+    const columnar = (response.headers.get('Content-Type') || '').includes(COLUMNAR_MIME);
+    const decoder = columnar ? createColumnarDecoder() : null;
+    const rows = [];
+
+    const handleLine = line => {
+        if (!line.trim()) {
+            return;
+        }
+        try {
+            const parsed = JSON.parse(line);
+            if (decoder) {
+                decoder.push(parsed);
+            } else {
+                rows.push(parsed);
+            }
+        } catch (e) {
+            console.warn(`Invalid line in ${label}:`, e);
+        }
+    };
+
+    const reader = response.body.getReader();
+    const textDecoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += textDecoder.decode(value, { stream: true });
+
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(handleLine);
+    }
+    handleLine(buffer);
+
+    return decoder ? decoder.finish() : rows;
+}
+
+
+/**
+ * Load the table registry (see tableRegistry.js on the server): every fact with its dimensions,
+ * join columns and measures, and every dimension with its key, label, partition field and hierarchy
+ * type. The loaders and hierarchy builders below are driven from it.
+ * @returns {Promise<Object>} - { facts, dimensions }
+ */
+async function loadTableRegistry() {
+    const response = await fetch(ENDPOINTS.GET_REGISTRY, { credentials: 'include' });
+    if (!response.ok) {
+        throw new Error(`Table registry request failed: ${response.status} ${response.statusText}`);
+    }
+
+    state.tableRegistry = await response.json();
+    console.log(`✅ Status: Table registry loaded: ${Object.keys(state.tableRegistry.facts).length} facts, ${Object.keys(state.tableRegistry.dimensions).length} dimensions`);
+    return state.tableRegistry;
+}
+
+
+/**
+ * Registry entry of a dimension
+ * @param {string} dimension - Table name (DIM_LE) or dimension key (le)
+ * @returns {Object|null}
+ */
+function getRegistryDimension(dimension) {
+    if (!dimension || !state.tableRegistry) {
+        return null;
+    }
+    const table = dimension.startsWith('DIM_') ? dimension : `DIM_${dimension.toUpperCase()}`;
+    return state.tableRegistry.dimensions[table] || null;
+}
+
+
+/**
+ * Field loading configuration of a dimension: the fields needed for filtering
+ * @param {string} dimTable - Dimension table name
+ * @returns {Object|null} - { fields, displayField, valueField, filterField }
+ */
+function getDimensionFieldConfig(dimTable) {
+    const dimension = getRegistryDimension(dimTable);
+    if (!dimension) {
+        return null;
+    }
+    return {
+        fields: dimension.fields,
+        displayField: dimension.labelField,
+        valueField: dimension.key,
+        filterField: dimension.factColumn
+    };
+}
+
+
+/**
+ * Measures of a fact table
+ * @param {string} factTable - Fact table name (default: the loaded fact)
+ * @returns {Array<string>}
+ */
+function getMeasureFields(factTable = state.factTable) {
+    const fact = state.tableRegistry?.facts?.[factTable];
+    return fact ? fact.measures : DEFAULT_MEASURE_FIELDS;
+}
 
 
 /**
@@ -100,6 +262,7 @@ async function fetchDimensionFields(tableName, fields) {
         console.log(`⏳ Status: Fetching optimized fields [${fields.join(', ')}] from ${tableName}...`);
         
         const response = await fetch(url, {
+            credentials: 'include',
             method: 'POST',
             headers: { 
                 'Accept': 'application/x-ndjson',
@@ -204,6 +367,7 @@ async function fetchOptimizedData(tableName, fields = null) {
         console.log(`⏳ Status: Fetching optimized data from ${tableName}...`);
         
         const response = await fetch(url, {
+            credentials: 'include',
             headers: { 'Accept': 'application/x-ndjson' }
         });
         
@@ -261,14 +425,15 @@ async function validateAllDimensionFields() {
     const validationRequest = {};
     
     // Build validation request for all dimensions
-    Object.entries(DIMENSION_FIELD_CONFIG).forEach(([dimTable, config]) => {
-        validationRequest[dimTable] = config.fields;
+    Object.values(state.tableRegistry?.dimensions || {}).forEach(dimension => {
+        validationRequest[dimension.table] = dimension.fields;
     });
     
     try {
         console.log('⏳ Status: Validating all dimension fields...');
         
         const response = await fetch(`${API_BASE_URL}/validate-fields`, {
+            credentials: 'include',
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ tables: validationRequest })
@@ -303,15 +468,14 @@ async function validateAllDimensionFields() {
  * This loads a small sample to initialize the dimension and hierarchy
  * @returns {Promise<Array>} - Small array of GMID_DISPLAY records
  */
-async function loadGmidDisplayPlaceholder() {
-    const API_BASE_URL = 'http://localhost:3000/api';
-    
+async function loadGmidDisplayPlaceholder(tableName = 'DIM_GMID_DISPLAY') {
     try {
-        console.log('📦 Loading GMID_DISPLAY placeholder data...');
+        console.log(`📦 Loading ${tableName} placeholder data...`);
         
-        const url = `${API_BASE_URL}/data/DIM_GMID_DISPLAY/placeholder?limit=10`;
+        const url = `${API_BASE_URL}/data/${tableName}/placeholder?limit=10`;
         
         const response = await fetch(url, {
+            credentials: 'include',
             headers: { 'Accept': 'application/x-ndjson' }
         });
         
@@ -425,7 +589,10 @@ async function ingestDimensionFilterDataOnly(elements, selectedFact = 'FACT_BOM'
     console.log('⏳ Status: Loading optimized dimension filter data from Snowflake database server...');
     
     try {
-        // Step 1: Validate all fields before starting
+        // Step 1: Load the table registry, then validate all fields before starting
+        await loadTableRegistry();
+        state.factTable = selectedFact;
+        
         const validation = await validateAllDimensionFields();
         if (validation) {
             console.log(`📊 Field validation: ${validation.summary.tablesValidated}/${validation.summary.totalTables} tables validated`);
@@ -442,9 +609,7 @@ async function ingestDimensionFilterDataOnly(elements, selectedFact = 'FACT_BOM'
                 id: `${dim}`,
                 label: dim.replace(/^DIM_/, ''),
                 type: 'dimension',
-                hierarchical: ['LE', 'COST_ELEMENT', 'GMID_DISPLAY', 'SMARTCODE', 'MC', 'YEAR', 'ITEM_COST_TYPE', 'MATERIAL_TYPE', 'ROOT_GMID_DISPLAY'].includes(
-                    dim.replace(/^DIM_/, '')
-                )
+                hierarchical: Boolean(getRegistryDimension(dim)?.hierarchy)
             });
         });
         
@@ -468,7 +633,7 @@ async function ingestDimensionFilterDataOnly(elements, selectedFact = 'FACT_BOM'
             try {
                 ui.updateTableStatus(dim, 'loading');
                 
-                const fieldConfig = DIMENSION_FIELD_CONFIG[dim];
+                const fieldConfig = getDimensionFieldConfig(dim);
                 if (!fieldConfig) {
                     console.warn(`No field configuration found for ${dim}, using fallback`);
                     ui.updateTableStatus(dim, 'warning');
@@ -537,10 +702,8 @@ async function ingestDimensionFilterDataOnly(elements, selectedFact = 'FACT_BOM'
             }
         });
         
-        [
-            { id: 'COST_UNIT', label: 'Cost Unit' },
-            { id: 'QTY_UNIT', label: 'Quantity Unit' }
-        ].forEach(measure => {
+        const fact = state.tableRegistry.facts[selectedFact];
+        fact.measures.map(id => ({ id, label: fact.measureLabels[id] || id })).forEach(measure => {
             state.availableFields.push({
                 id: measure.id,
                 label: measure.label,
@@ -580,6 +743,7 @@ async function ingestDimensionFilterDataOnly(elements, selectedFact = 'FACT_BOM'
 async function clearServerCache() {
     try {
         const response = await fetch(`${API_BASE_URL}/clear-cache`, {
+            credentials: 'include',
             method: 'POST'
         });
         
@@ -632,42 +796,19 @@ async function buildAndPersistDimensionHierarchies(elements = null) {
                 
                 let hierarchy = null;
                 
-                // Build hierarchy based on dimension type
-                switch (dimKey) {
-                    case 'le':
-                        hierarchy = buildLegalEntityHierarchy(dimensionFilter.data);
-                        break;
-                    case 'cost_element':
-                        hierarchy = buildCostElementHierarchy(dimensionFilter.data);
-                        break;
-                    case 'smartcode':
-                        hierarchy = buildSmartCodeHierarchy(dimensionFilter.data);
-                        break;
-                    case 'mc':
-                        hierarchy = buildManagementCentreHierarchy(dimensionFilter.data);
-                        break;
-                    case 'gmid_display':
-                        hierarchy = buildGmidDisplayHierarchy(dimensionFilter.data);
-                        break;
-                    case 'item_cost_type':
-                        hierarchy = buildItemCostTypeHierarchy(dimensionFilter.data);
-                        break;
-                    case 'material_type':
-                        hierarchy = buildMaterialTypeHierarchy(dimensionFilter.data);
-                        break;
-                    case 'year':
-                        hierarchy = buildBusinessYearHierarchy(dimensionFilter.data);
-                        break;
-                    default:
-                        // For unknown dimensions, try to build a flat hierarchy
-                        console.warn(`Unknown dimension type: ${dimKey}, building flat hierarchy`);
-                        hierarchy = buildStandaloneFlatHierarchy(
-                            dimensionFilter.data, 
-                            dimKey.toUpperCase(),
-                            dimensionFilter.config?.valueField || 'ID',
-                            dimensionFilter.config?.displayField || 'LABEL'
-                        );
-                        break;
+                // Build hierarchy based on the registry's hierarchy type
+                const dimension = getRegistryDimension(dimKey);
+                if (dimension && dimension.hierarchy) {
+                    hierarchy = buildDimensionHierarchy(dimension, dimensionFilter.data);
+                } else {
+                    // For dimensions without a hierarchy, build a flat one
+                    console.warn(`No hierarchy registered for dimension: ${dimKey}, building flat hierarchy`);
+                    hierarchy = buildStandaloneFlatHierarchy(
+                        dimensionFilter.data, 
+                        dimKey.toUpperCase(),
+                        dimensionFilter.config?.valueField || 'ID',
+                        dimensionFilter.config?.displayField || 'LABEL'
+                    );
                 }
 
                 if (hierarchy && hierarchy.root) {
@@ -820,55 +961,28 @@ async function fetchDatabaseData(databaseObjectName) {
     try {
         console.log(`⏳ Status: Fetching data for ${databaseObjectName}...`);
         const response = await fetch(url, {
-            headers: { 'Accept': 'application/x-ndjson' }
+            credentials: 'include',
+            headers: { 'Accept': getRowStreamAcceptHeader() }
         });
         
         if (!response.ok) {
             throw new Error(`Error while loading data from ${databaseObjectName} via the API: ${response.status}`);
         }
 
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
-        let buffer = '';
-        const rows = [];
+        let rows = [];
         let networkError = false;
 
         try {
-            while (true) {
-                const { done, value } = await reader.read();
-                if (done) break;
-                buffer += decoder.decode(value, { stream: true });
-
-                const lines = buffer.split('\n');
-                buffer = lines.pop(); 
-
-                lines.forEach(line => {
-                    if (line.trim()) {
-                        try {
-                            rows.push(JSON.parse(line));
-                        } catch (e) {
-                            console.warn(`Invalid line in ${databaseObjectName}:`, e);
-                        }
-                    }
-                });
-            }
+            rows = await readRowStream(response, databaseObjectName);
         } catch (err) {
             networkError = true;
-            console.error(`❌ Network error while fetching NDJSON data for ${databaseObjectName}:`, err);
+            console.error(`❌ Network error while fetching data for ${databaseObjectName}:`, err);
         }
 
         if (networkError || rows.length === 0) {
             throw new Error(`Network error while loading data for ${databaseObjectName}`);
         }
 
-        if (buffer.trim()) {
-            try {
-                rows.push(JSON.parse(buffer));
-            } catch (e) {
-                console.warn(`Invalid lines in ${databaseObjectName}:`, e);
-            }
-        }
-
         console.log(`✅ ${rows.length} rows loaded from Snowflake database object: ${databaseObjectName}`);
         return { data: rows };
     } catch (err) {
@@ -878,6 +992,191 @@ async function fetchDatabaseData(databaseObjectName) {
 }
 
 
+/**
+ * Chunked fact loading: rows per chunk request and how often a dropped chunk is retried
+ */
+const CHUNKED_LOAD = {
+    chunkSize: 50000,
+    maxRetries: 5,
+    retryDelayMs: 1000   // doubled on every retry
+};
+
+// tableName -> { cursor, chunks, loaded, estimated } kept when a chunked load gives up,
+// so the next load of the same table resumes where it stopped
+const chunkedLoadCheckpoints = new Map();
+
+
+/**
+ * Fetch one keyset-paginated chunk
+ * @param {string} tableName - Table to load
+ * @param {string|null} cursor - X-Next-Cursor of the previous chunk (null = first chunk)
+ * @param {number} chunkSize - Rows per chunk
+ * @returns {Promise<Object>} - { rows, nextCursor, hasMore }
+ */
+async function fetchTableChunk(tableName, cursor, chunkSize) {
+    const params = new URLSearchParams({ chunkSize: String(chunkSize) });
+    if (cursor) {
+        params.set('cursor', cursor);
+    }
+
+    const response = await fetch(`${ENDPOINTS.GET_DATA}${tableName}/chunk?${params}`, {
+        credentials: 'include',
+        headers: { 'Accept': getRowStreamAcceptHeader() }
+    });
+
+    if (!response.ok) {
+        const error = new Error(`Error while loading a chunk of ${tableName} via the API: ${response.status}`);
+        // Client errors (bad cursor, unknown table) will not get better by retrying
+        error.retryable = response.status >= 500;
+        throw error;
+    }
+
+    const hasMore = response.headers.get('X-Has-More') === 'true';
+    const expectedRows = parseInt(response.headers.get('X-Chunk-Rows'), 10);
+    const rows = await readRowStream(response, `${tableName} chunk`);
+
+    // A connection dropped mid-body can still end "cleanly" for NDJSON: compare with the announced size
+    if (!isNaN(expectedRows) && rows.length !== expectedRows) {
+        throw new Error(`Chunk of ${tableName} truncated: ${rows.length} of ${expectedRows} rows received`);
+    }
+
+    return { rows, nextCursor: response.headers.get('X-Next-Cursor'), hasMore };
+}
+
+
+/**
+ * Concatenate chunk results, including their rows._columns typed arrays when every chunk has them
+ * @param {Array<Array>} chunks - Row arrays in load order
+ * @returns {Array}
+ */
+function mergeRowChunks(chunks) {
+    if (chunks.length === 1) {
+        return chunks[0];
+    }
+
+    const rows = [];
+    chunks.forEach(chunk => {
+        for (let i = 0; i < chunk.length; i++) {
+            rows.push(chunk[i]);
+        }
+    });
+
+    if (chunks.length > 0 && chunks.every(chunk => chunk._columns)) {
+        const typedColumns = {};
+        Object.keys(chunks[0]._columns).forEach(name => {
+            const merged = new Float64Array(rows.length);
+            let offset = 0;
+            chunks.forEach(chunk => {
+                merged.set(chunk._columns[name], offset);
+                offset += chunk.length;
+            });
+            typedColumns[name] = merged;
+        });
+        Object.defineProperty(rows, '_columns', { value: typedColumns, enumerable: false });
+    }
+    return rows;
+}
+
+
+/**
+ * Load a whole table in keyset-paginated chunks. The server's row-count estimate is fetched first,
+ * so progress can be reported as a real percentage with an ETA. A chunk that fails (network drop,
+ * truncated body, 5xx) is retried from the last cursor with exponential backoff; if it still fails
+ * the rows received so far are kept and the next call for the same table resumes from there.
+ * @param {string} tableName - Table to load
+ * @param {Object} options - { chunkSize, onProgress({ loaded, estimated, percent, etaSeconds, chunks, retrying, resumed }) }
+ * @returns {Promise<Object>} - { data, error }, like fetchDatabaseData
+ */
+async function fetchDatabaseDataChunked(tableName, { chunkSize = CHUNKED_LOAD.chunkSize, onProgress = null } = {}) {
+    const checkpoint = chunkedLoadCheckpoints.get(tableName)
+        || { cursor: null, chunks: [], loaded: 0, estimated: null };
+    const resumed = checkpoint.loaded > 0;
+    chunkedLoadCheckpoints.delete(tableName);
+
+    if (resumed) {
+        console.log(`🔁 Resuming ${tableName} load after ${checkpoint.loaded.toLocaleString()} rows`);
+    }
+
+    if (checkpoint.estimated === null) {
+        try {
+            const response = await fetch(`${ENDPOINTS.GET_DATA}${tableName}/estimate`, { credentials: 'include' });
+            if (response.ok) {
+                checkpoint.estimated = (await response.json()).estimatedRows;
+                console.log(`📏 ${tableName}: ~${(checkpoint.estimated || 0).toLocaleString()} rows expected`);
+            }
+        } catch (err) {
+            // Progress then falls back to a row counter without percentage
+            console.warn(`⚠️ No row estimate for ${tableName}:`, err.message);
+        }
+    }
+
+    const startedAt = Date.now();
+    const loadedAtStart = checkpoint.loaded;
+
+    const report = (retrying = false, done = false) => {
+        if (typeof onProgress !== 'function') {
+            return;
+        }
+
+        const { loaded, estimated } = checkpoint;
+        const elapsedSeconds = (Date.now() - startedAt) / 1000;
+        const rate = elapsedSeconds > 0 ? (loaded - loadedAtStart) / elapsedSeconds : 0;
+
+        let percent = null;
+        let etaSeconds = null;
+        if (done) {
+            percent = 100;
+            etaSeconds = 0;
+        } else if (estimated) {
+            // The estimate is metadata and may be slightly off: never claim 100% before the last chunk
+            percent = Math.min(99, Math.floor((loaded / estimated) * 100));
+            etaSeconds = rate > 0 ? Math.max(0, (estimated - loaded) / rate) : null;
+        }
+
+        onProgress({ loaded, estimated, percent, etaSeconds, chunks: checkpoint.chunks.length, retrying, resumed });
+    };
+
+    report();
+
+    let hasMore = true;
+    while (hasMore) {
+        let attempt = 0;
+        let chunk = null;
+
+        while (!chunk) {
+            try {
+                chunk = await fetchTableChunk(tableName, checkpoint.cursor, chunkSize);
+            } catch (err) {
+                attempt++;
+                if (err.retryable === false || attempt > CHUNKED_LOAD.maxRetries) {
+                    console.error(`❌ Chunked load of ${tableName} stopped after ${checkpoint.loaded.toLocaleString()} rows:`, err);
+                    if (checkpoint.loaded > 0 && err.retryable !== false) {
+                        chunkedLoadCheckpoints.set(tableName, checkpoint);
+                    }
+                    return { data: null, error: err };
+                }
+
+                const delay = CHUNKED_LOAD.retryDelayMs * Math.pow(2, attempt - 1);
+                console.warn(`⚠️ Chunk of ${tableName} failed (${err.message}), retry ${attempt}/${CHUNKED_LOAD.maxRetries} in ${delay}ms`);
+                report(true);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+
+        checkpoint.chunks.push(chunk.rows);
+        checkpoint.loaded += chunk.rows.length;
+        checkpoint.cursor = chunk.nextCursor;
+        hasMore = chunk.hasMore && Boolean(chunk.nextCursor);
+        report(false, !hasMore);
+    }
+
+    const rows = mergeRowChunks(checkpoint.chunks);
+    const seconds = ((Date.now() - startedAt) / 1000).toFixed(1);
+    console.log(`✅ ${rows.length} rows loaded from ${tableName} in ${checkpoint.chunks.length} chunk(s), ${seconds}s`);
+    return { data: rows };
+}
+
+
 /**
  * Fetches dimension names related to a specific fact table
  * @param {string} factTable - Name of the fact table
@@ -885,29 +1184,14 @@ async function fetchDatabaseData(databaseObjectName) {
  */
 async function fetchDimensionNamesForFact(factTable) {
     try {
-        const url = `${ENDPOINTS.GET_DIMENSIONS}?fact=${encodeURIComponent(factTable)}`;
-        const response = await fetch(url);
+        const registry = state.tableRegistry || await loadTableRegistry();
+        const fact = registry.facts[factTable];
         
-        if (!response.ok) {
-            throw new Error('Error loading dimensions data');
+        if (!fact) {
+            throw new Error(`Fact table ${factTable} is not registered in SETUP`);
         }
-        
-        const text = await response.text();
-        const dims = text
-            .split('\n')
-            .filter(Boolean)
-            .map(line => {
-                try {
-                    const obj = JSON.parse(line);
-                    const key = Object.keys(obj).find(k => typeof obj[k] === 'string');
-                    return obj[key];
-                } catch {
-                    return null;
-                }
-            })
-            .filter(Boolean);
             
-        return dims;
+        return fact.dimensions;
     } catch (error) {
         console.error('❌ Error fetching dimension names for fact:', error);
         throw error;
@@ -915,18 +1199,115 @@ async function fetchDimensionNamesForFact(factTable) {
 }
 
 
+/**
+ * Fact tables the user can pick: the FACT_ tables the server lists that are registered in SETUP
+ * @returns {Promise<Array>} - [{ id, label }]
+ */
+async function fetchFactNames() {
+    const registry = state.tableRegistry || await loadTableRegistry();
+
+    const response = await fetch(ENDPOINTS.GET_FACT_NAMES, { credentials: 'include' });
+    if (!response.ok) {
+        throw new Error(`Fact names request failed: ${response.status} ${response.statusText}`);
+    }
+
+    const rows = await readRowStream(response, 'fact names');
+    return rows
+        .map(row => row.TABLE_NAME)
+        .filter(table => registry.facts[table])
+        .map(table => ({ id: table, label: registry.facts[table].label || table }));
+}
+
+
+/**
+ * Switch the pivot to another fact table. Dimensions both facts share keep their loaded rows and
+ * their place in the row/column zones; the other dimensions, the fact rows, the cube and the mappings
+ * are dropped and the new fact's dimensions and measures are loaded.
+ * @param {Object} elements - DOM elements object
+ * @param {string} factTable - Fact table to switch to
+ * @returns {Promise<boolean>} - Success status
+ */
+async function switchFactTable(elements, factTable) {
+    if (factTable === state.factTable && state.dimensionsLoaded) {
+        return true;
+    }
+
+    const registry = state.tableRegistry || await loadTableRegistry();
+    const fact = registry.facts[factTable];
+    if (!fact) {
+        console.error(`❌ Fact table ${factTable} is not registered in SETUP`);
+        return false;
+    }
+
+    const previousFact = state.factTable;
+    const sharedDimensions = (registry.facts[previousFact]?.dimensions || [])
+        .filter(dim => fact.dimensions.includes(dim));
+    console.log(`🔀 Switching fact table ${previousFact} → ${factTable} (${sharedDimensions.length} shared dimensions kept)`);
+
+    // Layout and expansion state of the shared dimensions survive the switch
+    const layout = {
+        rowFields: state.rowFields.filter(field => sharedDimensions.includes(field)),
+        columnFields: state.columnFields.filter(field => sharedDimensions.includes(field)),
+        valueFields: state.valueFields.filter(field => fact.measures.includes(field))
+    };
+    const expandedNodes = {};
+    sharedDimensions.forEach(dim => {
+        const dimKey = dim.replace(/^DIM_/, '').toLowerCase();
+        if (state.expandedNodes?.[dimKey]) {
+            expandedNodes[dimKey] = state.expandedNodes[dimKey];
+        }
+    });
+
+    // Everything computed from the previous fact's rows
+    state.factData = [];
+    state.filteredData = null;
+    state.filteredFactData = null;
+    state.factCube = null;
+    state.mappings = {};
+    state.aggregateGrain = [];
+    state.lastFilterParams = null;
+    state.pivotData = null;
+    state.factDataLoaded = false;
+    state.dimensionsLoaded = false;
+    ui.updateTableStatus(previousFact, 'waiting');
+
+    const success = await ingestDimensionData(elements, factTable, { reuseLoaded: true });
+    if (!success) {
+        // Selecting the previous fact again reloads its dimensions (dimensionsLoaded is false)
+        state.factTable = previousFact;
+        return false;
+    }
+
+    state.rowFields = layout.rowFields;
+    state.columnFields = layout.columnFields;
+    state.valueFields = layout.valueFields;
+    Object.assign(state.expandedNodes, expandedNodes);
+    ui.renderFieldContainers(elements, state);
+
+    console.log(`✅ Status: Switched to ${fact.label} (${factTable})`);
+    return true;
+}
+
+
 /**
  * PHASE 1: Ingest only dimension data from database
  * @param {Object} elements - DOM elements object
  * @param {string} selectedFact - Name of the fact table to get dimensions for (default: 'FACT_BOM')
+ * @param {Object} options - { reuseLoaded } keeps the rows of dimensions already loaded for the previous fact
  * @returns {Promise<void>}
  */
-async function ingestDimensionData(elements, selectedFact = 'FACT_BOM') {
+async function ingestDimensionData(elements, selectedFact = 'FACT_BOM', { reuseLoaded = false } = {}) {
     console.log('⏳ Status: Loading dimension data with GMID limited loading...');
     
     try {        
-        // 1. Get dimensions related to the selected fact table
+        // 1. Get dimensions related to the selected fact table (from the table registry)
+        await loadTableRegistry();
+        state.factTable = selectedFact;
         const dimNames = await fetchDimensionNamesForFact(selectedFact);
+
+        // Rows as loaded (ingestFactData later trims state.dimensions to the fact's keys)
+        const previousRows = reuseLoaded ? (state.loadedDimensionRows || {}) : {};
+        state.loadedDimensionRows = {};
         
         console.log(`✅ Status: Loading ${dimNames.length} dimensions`);
 
@@ -937,10 +1318,9 @@ async function ingestDimensionData(elements, selectedFact = 'FACT_BOM') {
                 id: `${dim}`,
                 label: dim.replace(/^DIM_/, ''),
                 type: 'dimension',
-                hierarchical: ['LE', 'COST_ELEMENT', 'GMID_DISPLAY', 'ROOT_GMID_DISPLAY', 'SMARTCODE', 'MC', 'YEAR', 'ITEM_COST_TYPE', 'MATERIAL_TYPE'].includes(
-                    dim.replace(/^DIM_/, '')
-                ),
-                suppressFilter: dim === 'DIM_GMID_DISPLAY' // Flag to suppress filter UI
+                hierarchical: Boolean(getRegistryDimension(dim)?.hierarchy),
+                // Partitioned dimensions (GMID_DISPLAY) are loaded on demand: no filter UI for them
+                suppressFilter: Boolean(getRegistryDimension(dim)?.partitionField)
             });
         });
         
@@ -961,17 +1341,26 @@ async function ingestDimensionData(elements, selectedFact = 'FACT_BOM') {
             state.dimensions[dimKey] = [];
         });
         
-        // 4. Fetch dimension data with special handling for GMID_DISPLAY
+        // 4. Fetch dimension data with special handling for partitioned dimensions (GMID_DISPLAY)
         const dimensionPromises = dimNames.map(async dim => {
+            const isPartitioned = Boolean(getRegistryDimension(dim)?.partitionField);
             try {
                 ui.updateTableStatus(dim, 'loading');
                 
                 let data, error;
                 
-                // Special handling for GMID_DISPLAY - load placeholder data
-                if (dim === 'DIM_GMID_DISPLAY') {
-                    console.log("📦 Loading GMID_DISPLAY with 10-record limit...");
-                    const gmidData = await loadGmidDisplayPlaceholder();
+                // Shared with the previous fact - keep what is already loaded
+                if (previousRows[dim]) {
+                    data = previousRows[dim];
+                    error = null;
+                    console.log(`♻️ Reusing ${dim}: ${data.length} rows already loaded`);
+                    if (isPartitioned) {
+                        ui.updateTableStatus(dim, 'limited', data.length);
+                    }
+                } else if (isPartitioned) {
+                    // Partitioned dimensions - load placeholder data
+                    console.log(`📦 Loading ${dim} with 10-record limit...`);
+                    const gmidData = await loadGmidDisplayPlaceholder(dim);
                     data = gmidData;
                     error = null;
                     
@@ -998,8 +1387,9 @@ async function ingestDimensionData(elements, selectedFact = 'FACT_BOM') {
                 
                 const dimKey = dim.replace(/^DIM_/, '').toLowerCase();
                 state.dimensions[dimKey] = data;
+                state.loadedDimensionRows[dim] = data;
                 
-                if (dim !== 'DIM_GMID_DISPLAY') {
+                if (!isPartitioned) {
                     ui.updateTableStatus(dim, 'loaded', data.length);
                 }
                 console.log(`✅ Status: Loaded dimension ${dim}: ${data.length} rows`);
@@ -1042,10 +1432,8 @@ async function ingestDimensionData(elements, selectedFact = 'FACT_BOM') {
         });
         
         // Add measure fields
-        [
-            { id: 'COST_UNIT', label: 'Cost Unit' },
-            { id: 'QTY_UNIT', label: 'Quantity Unit' }
-        ].forEach(measure => {
+        const fact = state.tableRegistry.facts[selectedFact];
+        fact.measures.map(id => ({ id, label: fact.measureLabels[id] || id })).forEach(measure => {
             state.availableFields.push({
                 id: measure.id,
                 label: measure.label,
@@ -1142,8 +1530,6 @@ async function replaceGmidPlaceholderWithRealData(selectedRootGmids, additionalF
     console.log(`🔄 Enhanced GMID replacement with filtered data for ${selectedRootGmids.length} ROOT_GMIDs...`);
     
     try {
-        const API_BASE_URL = 'http://localhost:3000/api';
-        
         // Build query parameters for ROOT_GMID filtering
         const queryParams = new URLSearchParams();
         queryParams.append('ROOT_GMID', selectedRootGmids.join(','));
@@ -1158,6 +1544,7 @@ async function replaceGmidPlaceholderWithRealData(selectedRootGmids, additionalF
         console.log(`📡 Fetching enhanced GMID data from: ${url}`);
         
         const response = await fetch(url, {
+            credentials: 'include',
             headers: { 'Accept': 'application/x-ndjson' }
         });
         
@@ -1279,8 +1666,6 @@ async function replaceGmidPlaceholderWithOptimizedFiltering(filterParams, option
     console.log(`📊 Filter parameters:`, filterParams);
     
     try {
-        const API_BASE_URL = 'http://localhost:3000/api';
-        
         // Use the new optimized JOIN endpoint
         const url = `${API_BASE_URL}/data/DIM_GMID_DISPLAY/filtered-join`;
         
@@ -1293,6 +1678,7 @@ async function replaceGmidPlaceholderWithOptimizedFiltering(filterParams, option
         console.log(`📡 Fetching optimized GMID data using JOIN approach...`);
         
         const response = await fetch(url, {
+            credentials: 'include',
             method: 'POST',
             headers: { 
                 'Accept': 'application/x-ndjson',
@@ -1623,10 +2009,8 @@ async function fetchFilteredFactDataDirect(filterParams) {
     // This function should call the existing fetchFilteredFactData method
     // from the EnhancedFilterSystem class or similar functionality
     
-    const API_BASE_URL = 'http://localhost:3000/api';
-    
     try {
-        console.log(`📡 Fetching filtered FACT_BOM data with parameters:`, filterParams);
+        console.log(`📡 Fetching filtered ${state.factTable} data with parameters:`, filterParams);
         
         // Build query parameters
         const queryParams = new URLSearchParams();
@@ -1637,54 +2021,104 @@ async function fetchFilteredFactDataDirect(filterParams) {
             }
         });
         
-        const url = `${API_BASE_URL}/data/FACT_BOM/filtered?${queryParams.toString()}`;
+        const url = `${API_BASE_URL}/data/${state.factTable}/filtered?${queryParams.toString()}`;
         
         const response = await fetch(url, {
-            headers: { 'Accept': 'application/x-ndjson' }
+            credentials: 'include',
+            headers: { 'Accept': getRowStreamAcceptHeader() }
         });
         
         if (!response.ok) {
             throw new Error(`API returned ${response.status}: ${response.statusText}`);
         }
 
-        // Parse NDJSON response
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
-        let buffer = '';
-        const rows = [];
+        // NDJSON or columnar, depending on what the server negotiated
+        const rows = await readRowStream(response, state.factTable);
 
-        while (true) {
-            const { done, value } = await reader.read();
-            if (done) break;
-            
-            buffer += decoder.decode(value, { stream: true });
-            const lines = buffer.split('\n');
-            buffer = lines.pop();
+        console.log(`✅ Retrieved ${rows.length} filtered ${state.factTable} records`);
+        return rows;
+        
+    } catch (error) {
+        console.error('❌ Error fetching filtered fact data:', error);
+        throw error;
+    }
+}
 
-            lines.forEach(line => {
-                if (line.trim()) {
-                    try {
-                        rows.push(JSON.parse(line));
-                    } catch (e) {
-                        console.warn('Invalid JSON line in fact data:', e);
-                    }
-                }
-            });
+
+/**
+ * Maps pivot dimension fields (e.g. DIM_LE) to the FACT_BOM columns they group by
+ * @param {Array} fieldIds - Dimension field ids from the row/column zones
+ * @returns {Array} - Unique FACT_BOM field names
+ */
+function getFactFieldsForLayout(fieldIds) {
+    const factFields = [];
+
+    (fieldIds || []).forEach(fieldId => {
+        const factField = getFactIdField(extractDimensionName(fieldId));
+        if (factField && !factFields.includes(factField)) {
+            factFields.push(factField);
         }
+    });
 
-        if (buffer.trim()) {
-            try {
-                rows.push(JSON.parse(buffer));
-            } catch (e) {
-                console.warn('Invalid final JSON in fact data:', e);
-            }
+    return factFields;
+}
+
+
+/**
+ * Fetches pivot aggregates computed in Snowflake for the current layout and filters.
+ * The returned rows keep the FACT_BOM shape (key fields plus summed measures),
+ * so the pivot calculators can use them in place of raw fact records.
+ * @param {Object} filterParams - Filter parameters keyed by FACT_BOM field
+ * @param {Array} rowFields - Dimension fields on the row axis
+ * @param {Array} columnFields - Dimension fields on the column axis
+ * @param {Array} valueFields - Measures to sum
+ * @param {Object} options - { signal } aborts the request (the server then cancels the query);
+ *        { extraGrain } fact fields to group by as well (e.g. the fields a what-if scenario matches on)
+ * @returns {Promise<{rows: Array, totals: Object, groupBy: Array, stats: Object}>}
+ */
+async function fetchPivotAggregates(filterParams, rowFields = [], columnFields = [], valueFields = getMeasureFields(), { signal, extraGrain = [] } = {}) {
+    const layoutRowFields = getFactFieldsForLayout(rowFields);
+    const body = {
+        fact: state.factTable,
+        rowFields: [...layoutRowFields, ...extraGrain.filter(field => !layoutRowFields.includes(field))],
+        columnFields: getFactFieldsForLayout(columnFields),
+        valueFields: valueFields,
+        filters: {}
+    };
+
+    Object.entries(filterParams || {}).forEach(([field, values]) => {
+        if (values && Array.isArray(values) && values.length > 0) {
+            body.filters[field] = values;
         }
+    });
+
+    try {
+        console.log(`📡 Requesting server-side pivot aggregation by [${[...body.rowFields, ...body.columnFields].join(', ')}]...`);
+
+        const response = await fetch(ENDPOINTS.PIVOT_AGGREGATE, {
+            credentials: 'include',
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+            signal
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text().catch(() => 'Unknown error');
+            throw new Error(`API returned ${response.status}: ${response.statusText}. ${errorText}`);
+        }
+
+        const result = await response.json();
+        console.log(`✅ Received ${result.rows.length} aggregated groups covering ${result.stats.factRecordCount} ${state.factTable} records (${result.stats.durationMs}ms)`);
+
+        return result;
 
-        console.log(`✅ Retrieved ${rows.length} filtered FACT_BOM records`);
-        return rows;
-        
     } catch (error) {
-        console.error('❌ Error fetching filtered fact data:', error);
+        if (error.name === 'AbortError') {
+            console.log('🛑 Pivot aggregation request aborted');
+            throw error;
+        }
+        console.error('❌ Error fetching pivot aggregates:', error);
         throw error;
     }
 }
@@ -1860,15 +2294,23 @@ async function ingestFactData(elements, selectedFact = 'FACT_BOM') {
         console.log(`⏳ Status: Loading fact data from ${selectedFact}...`);
         ui.updateTableStatus(selectedFact, 'loading');
         
+        // Chunked so a dropped connection resumes from the last chunk instead of starting over
         // Definition switched from const to let to allow data filtering
-        let { data: factData, error: factError } = await fetchDatabaseData(selectedFact);
+        let { data: factData, error: factError } = await fetchDatabaseDataChunked(selectedFact, {
+            onProgress: progress => {
+                ui.updateTableStatus(selectedFact, 'loading', progress);
+                if (typeof window.updatePivotLoaderProgress === 'function') {
+                    window.updatePivotLoaderProgress(progress);
+                }
+            }
+        });
 
-        console.log(`✅ Status: Loaded fact data ${selectedFact}: ${factData.length} rows`);
-        
         if (factError || !factData) {
             ui.updateTableStatus(selectedFact, 'error');
             throw new Error(`Error loading fact data: ${selectedFact}`);
         }
+
+        console.log(`✅ Status: Loaded fact data ${selectedFact}: ${factData.length} rows`);
         
         // Store fact data
         state.factData = factData;
@@ -1941,6 +2383,9 @@ async function ingestFactData(elements, selectedFact = 'FACT_BOM') {
         const hierarchies = processDimensionHierarchies(state.dimensions, state.factData);
         state.hierarchies = hierarchies || {};
         console.log("✅ Status: Dimension hierarchies rebuilt with fact data:", Object.keys(state.hierarchies));
+
+        // Index the fact rows once so pivot cells are bitset intersections instead of scans
+        pivotTable.getFactCube();
         
         // Complete mappings initialization now that we have fact data
         console.log("⏳ Status: Completing mappings with fact data");
@@ -2291,22 +2736,19 @@ function flattenHierarchyRespectingState(node, expansionState) {
 }
 
 
-// Helper function to get the fact ID field for a dimension
+/**
+ * Fact column a dimension joins on, from the table registry (per-fact join overrides first)
+ * @param {string} dimName - Dimension key (le) or table name (DIM_LE)
+ * @returns {string|null}
+ */
 function getFactIdField(dimName) {
-    // Define mapping between dimension names and fact table field names
-    const factIdFieldMap = {
-        'le': 'LE',
-        'cost_element': 'COST_ELEMENT',
-        'gmid_display': 'PATH_GMID',
-        'root_gmid_display': 'ROOT_GMID',
-        'smartcode': 'ROOT_SMARTCODE',
-        'item_cost_type': 'ITEM_COST_TYPE',
-        'material_type': 'COMPONENT_MATERIAL_TYPE',
-        'mc': 'MC',
-        'year': 'ZYEAR'
-    };
+    const dimension = getRegistryDimension(dimName);
+    if (!dimension) {
+        return null;
+    }
     
-    return factIdFieldMap[dimName.toLowerCase()] || null;
+    const joins = state.tableRegistry.facts[state.factTable]?.joins || {};
+    return joins[dimension.table] || dimension.factColumn;
 }
 
 
@@ -2702,6 +3144,44 @@ function filterDataByMultipleDimensions(data, rowDef) {
 }
 
 
+/**
+ * Cube fast path for preservingFilterByMultipleDimensions. Only used when data is the pivot's
+ * calculation data and every filtering dimension is an indexed leaf, where the cube gives exactly
+ * the rows the successive scans would.
+ * @param {Array} data - Records to filter
+ * @param {Object} rowDef - Multi-dimension row definition
+ * @returns {Array|Object|null} - Filtered records, the empty marker, or null when the cube cannot answer
+ */
+function filterLeafDimensionsWithCube(data, rowDef) {
+    if (data !== pivotTable.getCalculationData()) {
+        return null;
+    }
+
+    const cube = pivotTable.getFactCube();
+    if (!cube) {
+        return null;
+    }
+
+    const filtering = rowDef.dimensions.filter(dimension =>
+        dimension.hierarchyField && !(dimension._id === 'ROOT' || dimension._id.includes('_ROOT')));
+
+    const indexable = filtering.every(dimension =>
+        dimension.factId !== undefined && dimension.factId !== null &&
+        cube.hasField(getFactIdField(extractDimensionName(dimension.hierarchyField))));
+    if (!indexable) {
+        return null;
+    }
+
+    const bitset = cube.intersect(filtering.map(dimension => pivotTable.getNodeBitset({ ...dimension, isLeaf: true }, cube)));
+    const filteredData = bitset ? cube.rowIds(bitset).map(rowId => data[rowId]) : [...data];
+
+    if (filteredData.length === 0) {
+        return { _isEmpty: true, _hierarchyNode: true, _rowDef: rowDef };
+    }
+    return filteredData;
+}
+
+
 /**
  * Modified version of filterDataByMultipleDimensions that preserves hierarchies
  * Add this new function to js
@@ -2711,7 +3191,13 @@ function preservingFilterByMultipleDimensions(data, rowDef) {
     if (!rowDef.dimensions) {
         return preservingFilterByDimension(data, rowDef);
     }
-    
+
+    // Leaf-only combinations over the full calculation data: intersect the fact cube's bitsets
+    const indexedResult = filterLeafDimensionsWithCube(data, rowDef);
+    if (indexedResult) {
+        return indexedResult;
+    }
+
     // Start with all data
     let filteredData = [...data];
     let isEmpty = false;
@@ -2763,8 +3249,11 @@ function preservingFilterByMultipleDimensions(data, rowDef) {
 /**
  * Initialize all dimension mappings
  * Builds mappings between dimension tables and fact table
+ * @param {Array} factRecords - Raw fact rows the mappings are checked against. Server aggregated
+ *   rows only carry their grain columns, so with those pass [] and the mappings come from the
+ *   dimension tables alone.
  */
-function initializeMappings() {
+function initializeMappings(factRecords = state.factData) {
     console.log("⏳ Status: Starting dimension mappings initialization");
     
     // Initialize state.mappings object if it doesn't exist
@@ -2773,9 +3262,9 @@ function initializeMappings() {
     }
     
     // 1. Initialize legal entity mapping
-    if (state.dimensions && state.dimensions.le && state.factData) {
+    if (state.dimensions && state.dimensions.le && factRecords) {
         console.log("⏳ Status: Initializing Legal Entity mapping");
-        state.mappings.legalEntity = buildLegalEntityMapping(state.dimensions.le, state.factData);
+        state.mappings.legalEntity = buildLegalEntityMapping(state.dimensions.le, factRecords);
         
         console.log("✅ Status: Legal Entity Mapping initialized with", 
             Object.keys(state.mappings.legalEntity.leToDetails || {}).length, "entities mapped");
@@ -2784,9 +3273,9 @@ function initializeMappings() {
     }
     
     // 2. Initialize cost element mapping
-    if (state.dimensions && state.dimensions.cost_element && state.factData) {
+    if (state.dimensions && state.dimensions.cost_element && factRecords) {
         console.log("⏳ Status: Initializing Cost Element mapping");
-        state.mappings.costElement = buildCostElementMapping(state.dimensions.cost_element, state.factData);
+        state.mappings.costElement = buildCostElementMapping(state.dimensions.cost_element, factRecords);
         
         console.log("✅ Status: Cost Element Mapping initialized with", 
             Object.keys(state.mappings.costElement.costElementToDetails || {}).length, "elements mapped");
@@ -2795,9 +3284,9 @@ function initializeMappings() {
     }
     
     // 3. Initialize smart code mapping
-    if (state.dimensions && state.dimensions.smartcode && state.factData) {
+    if (state.dimensions && state.dimensions.smartcode && factRecords) {
         console.log("⏳ Status: Initializing Smart Code mapping");
-        state.mappings.smartCode = buildSmartCodeMapping(state.dimensions.smartcode, state.factData);
+        state.mappings.smartCode = buildSmartCodeMapping(state.dimensions.smartcode, factRecords);
         
         console.log("✅ Status: Smart Code Mapping initialized with", 
             Object.keys(state.mappings.smartCode.smartCodeToDetails || {}).length, "smart codes mapped");
@@ -2806,9 +3295,9 @@ function initializeMappings() {
     }
     
     // 4. Initialize GMID display mapping - FIXED to correctly map to COMPONENT_GMID
-    if (state.dimensions && state.dimensions.gmid_display && state.factData) {
+    if (state.dimensions && state.dimensions.gmid_display && factRecords) {
         console.log("⏳ Status: Initializing GMID Display mapping");
-        state.mappings.gmidDisplay = buildGmidDisplayMapping(state.dimensions.gmid_display, state.factData);
+        state.mappings.gmidDisplay = buildGmidDisplayMapping(state.dimensions.gmid_display, factRecords);
         
         console.log("✅ Status: GMID Display Mapping initialized with", 
             Object.keys(state.mappings.gmidDisplay.gmidToDisplay || {}).length, "GMIDs mapped");
@@ -2817,9 +3306,9 @@ function initializeMappings() {
     }
 
     // 5. Initialize ITEM_COST_TYPE mapping
-    if (state.dimensions && state.dimensions.item_cost_type && state.factData) {
+    if (state.dimensions && state.dimensions.item_cost_type && factRecords) {
         console.log("⏳ Status: Initializing ITEM_COST_TYPE mapping");
-        state.mappings.itemCostType = buildItemCostTypeMapping(state.dimensions.item_cost_type, state.factData);
+        state.mappings.itemCostType = buildItemCostTypeMapping(state.dimensions.item_cost_type, factRecords);
         
         console.log("✅ Status: ITEM_COST_TYPE Mapping initialized with", 
             Object.keys(state.mappings.itemCostType.costTypeToDetails || {}).length, "item cost types mapped");
@@ -2828,9 +3317,9 @@ function initializeMappings() {
     }
 
     // 6. Initialize MATERIAL_TYPE mapping
-    if (state.dimensions && state.dimensions.material_type && state.factData) {
+    if (state.dimensions && state.dimensions.material_type && factRecords) {
         console.log("⏳ Status: Initializing MATERIAL_TYPE mapping");
-        state.mappings.materialType = buildMaterialTypeMapping(state.dimensions.material_type, state.factData);
+        state.mappings.materialType = buildMaterialTypeMapping(state.dimensions.material_type, factRecords);
         
         console.log("✅ Status: MATERIAL_TYPE Mapping initialized with", 
             Object.keys(state.mappings.materialType.materialTypeToDetails || {}).length, "material types mapped");
@@ -2839,9 +3328,9 @@ function initializeMappings() {
     }
 
     // 7. Initialize ZYEAR mapping
-    if (state.dimensions && state.dimensions.year && state.factData) {
+    if (state.dimensions && state.dimensions.year && factRecords) {
         console.log("⏳ Status: Initializing YEAR mapping");
-        state.mappings.year = buildBusinessYearMapping(state.dimensions.year, state.factData);
+        state.mappings.year = buildBusinessYearMapping(state.dimensions.year, factRecords);
         
         console.log("✅ Status: ZYEAR Mapping initialized with", 
             Object.keys(state.mappings.year.yearToDetails || {}).length, "year entries mapped");
@@ -2850,9 +3339,9 @@ function initializeMappings() {
     }
 
     // 8. Initialize MC mapping
-    if (state.dimensions && state.dimensions.mc && state.factData) {
+    if (state.dimensions && state.dimensions.mc && factRecords) {
         console.log("⏳ Status: Initializing MC mapping");
-        state.mappings.managementCentre = buildManagementCentreMapping(state.dimensions.mc, state.factData);
+        state.mappings.managementCentre = buildManagementCentreMapping(state.dimensions.mc, factRecords);
         
         console.log("✅ Status: MC Mapping initialized with", 
             Object.keys(state.mappings.managementCentre.mcToDetails || {}).length, "MCs mapped");
@@ -2861,7 +3350,7 @@ function initializeMappings() {
     }
         
     // 7. Add integrity checks to verify mappings are working
-    verifyFactDimensionMappings();
+    verifyFactDimensionMappings(factRecords);
     
     console.log("✅ Status: All mappings initialized successfully");
 }
@@ -2870,8 +3359,9 @@ function initializeMappings() {
 /**
  * Verify that fact records can be properly joined with dimensions
  * This helps diagnose mapping issues
+ * @param {Array} factRecords - Raw fact rows to sample
  */
-function verifyFactDimensionMappings() {
+function verifyFactDimensionMappings(factRecords = state.factData) {
     console.log("⏳ Status: Starting fact dimension mapping verification...");
     
     // Enhanced safety checks for state and factData
@@ -2880,13 +3370,13 @@ function verifyFactDimensionMappings() {
         return;
     }
     
-    if (!state.factData || !Array.isArray(state.factData) || state.factData.length === 0) {
+    if (!factRecords || !Array.isArray(factRecords) || factRecords.length === 0) {
         console.warn("⚠️ Warning: No fact data available for mapping verification");
         return;
     }
     
-    const sampleSize = Math.min(10, state.factData.length);
-    const sampleRecords = state.factData.slice(0, sampleSize);
+    const sampleSize = Math.min(10, factRecords.length);
+    const sampleRecords = factRecords.slice(0, sampleSize);
     
     console.log(`📊 Verifying mappings with ${sampleSize} sample records...`);
     
@@ -4048,111 +4538,22 @@ function processDimensionHierarchies(dimensions){
     const hierarchies = {};
     
     try {
-        // Process legal entity hierarchy
-        if (dimensions && dimensions.le && dimensions.le.length > 0) {
-            try {
-                hierarchies.le = buildLegalEntityHierarchy(dimensions.le);
-                // Precompute descendant factIds for legal entity hierarchy
-                precomputeDescendantFactIds(hierarchies.le, 'LE');
-            } catch (error) {
-                console.error("❌ Error building legal entity hierarchy:", error);
-                // Create fallback hierarchy
-                hierarchies.le = createFallbackHierarchy("Legal Entities", "LE_ROOT");
-            }
-        }
-        
-        // Process cost element hierarchy
-        if (dimensions && dimensions.cost_element && dimensions.cost_element.length > 0) {
-            try {
-                hierarchies.cost_element = buildCostElementHierarchy(dimensions.cost_element);
-                // Precompute descendant factIds for cost element hierarchy
-                precomputeDescendantFactIds(hierarchies.cost_element, 'COST_ELEMENT');
-            } catch (error) {
-                console.error("❌ Error building cost element hierarchy:", error);
-                // Create fallback hierarchy
-                hierarchies.cost_element = createFallbackHierarchy("Cost Elements", "COST_ELEMENT_ROOT");
-            }
-        }
-        
-        // Process smart code hierarchy
-        if (dimensions && dimensions.smartcode && dimensions.smartcode.length > 0) {
-            try {
-                hierarchies.smartcode = buildSmartCodeHierarchy(dimensions.smartcode);
-                // Precompute descendant factIds for smart code hierarchy
-                precomputeDescendantFactIds(hierarchies.smartcode, 'ROOT_SMARTCODE');
-            } catch (error) {
-                console.error("❌ Error building smart code hierarchy:", error);
-                // Create fallback hierarchy
-                hierarchies.smartcode = createFallbackHierarchy("Smart Codes", "SMARTCODE_ROOT");
-            }
-        }
-
-        // Process MC hierarchy
-        if (dimensions && dimensions.mc && dimensions.mc.length > 0) {
-            try {
-                hierarchies.mc = buildManagementCentreHierarchy(dimensions.mc);
-                // Precompute descendant factIds for management_center hierarchy
-                precomputeDescendantFactIds(hierarchies.mc, 'MC');
-            } catch (error) {
-                console.error("❌ Error building management center hierarchy:", error);
-                // Create fallback hierarchy
-                hierarchies.mc = createFallbackHierarchy("Management Centers", "MC_ROOT");
-            }
-        }
-
-        // Process ITEM_COST_TYPE hierarchy
-        if (dimensions && dimensions.item_cost_type && dimensions.item_cost_type.length > 0) {
-            try {
-                hierarchies.item_cost_type = buildItemCostTypeHierarchy(dimensions.item_cost_type);
-                // Precompute descendant factIds for management_center hierarchy
-                precomputeDescendantFactIds(hierarchies.item_cost_type, 'ITEM_COST_TYPE');
-            } catch (error) {
-                console.error("❌ Error building item cost type hierarchy:", error);
-                // Create fallback hierarchy
-                hierarchies.item_cost_type = createFallbackHierarchy("Item Cost Types", "ITEM_COST_TYPE_ROOT");
-            }
-        }
-
-        // Process MATERIAL_TYPE hierarchy
-        if (dimensions && dimensions.material_type && dimensions.material_type.length > 0) {
-            try {
-                hierarchies.material_type = buildMaterialTypeHierarchy(dimensions.material_type);
-                // Precompute descendant factIds for management_center hierarchy
-                precomputeDescendantFactIds(hierarchies.material_type, 'MATERIAL_TYPE');
-            } catch (error) {
-                console.error("❌ Error building material type hierarchy:", error);
-                // Create fallback hierarchy
-                hierarchies.material_type = createFallbackHierarchy("Material Types", "MATERIAL_TYPE_ROOT");
-            }
-        }
-
-        // Process YEAR hierarchy
-        if (dimensions && dimensions.year && dimensions.year.length > 0) {
-            try {
-                // Build YEAR hierarchy with the original function signature
-                hierarchies.year = buildBusinessYearHierarchy(dimensions.year);
-                // Precompute descendant factIds for YEAR hierarchy
-                precomputeDescendantFactIds(hierarchies.year, 'ZYEAR');
-            } catch (error) {
-                console.error("❌ Error building year hierarchy:", error);
-                // Create fallback hierarchy
-                hierarchies.year = createFallbackHierarchy("Years", "YEAR_ROOT");
+        Object.entries(dimensions || {}).forEach(([dimKey, rows]) => {
+            const dimension = getRegistryDimension(dimKey);
+            if (!dimension || !dimension.hierarchy || !rows || rows.length === 0) {
+                return;
             }
-        }
-
-        // Process GMID hierarchy
-        if (dimensions && dimensions.gmid_display && dimensions.gmid_display.length > 0) {
+            
             try {
-                // Build GMID hierarchy with the original function signature
-                hierarchies.gmid_display = buildGmidDisplayHierarchy(dimensions.gmid_display);
-                // Precompute descendant factIds for GMID hierarchy
-                precomputeDescendantFactIds(hierarchies.gmid_display, 'PATH_GMID');
+                hierarchies[dimKey] = buildDimensionHierarchy(dimension, rows);
+                // Precompute descendant factIds for the dimension's fact column
+                precomputeDescendantFactIds(hierarchies[dimKey], getFactIdField(dimKey));
             } catch (error) {
-                console.error("❌ Error building GMID display hierarchy:", error);
+                console.error(`❌ Error building ${dimension.label} hierarchy:`, error);
                 // Create fallback hierarchy
-                hierarchies.gmid_display = createFallbackHierarchy("GMID Display", "GMID_DISPLAY_ROOT");
+                hierarchies[dimKey] = createFallbackHierarchy(dimension.label, `${dimension.name}_ROOT`);
             }
-        }
+        });
     } catch (error) {
         console.error("❌ Error in processDimensionHierarchies:", error);
     }
@@ -4162,6 +4563,43 @@ function processDimensionHierarchies(dimensions){
 }
 
 
+/**
+ * Hierarchy builders by registry hierarchy type
+ */
+const HIERARCHY_BUILDERS = {
+    // PATH column split into levels, labelled by path segment
+    path: (rows, dimension) => buildPathHierarchyWithSegmentLabels(rows, createPathSegmentLabelConfig({
+        pathField: dimension.hierarchy.pathField || 'PATH',
+        idField: dimension.key,
+        displayField: dimension.hierarchy.displayField || null,
+        pathSeparator: dimension.hierarchy.separator || '//',
+        data: rows
+    })),
+    // GMID display paths, loaded per ROOT_GMID
+    gmid: rows => buildGmidDisplayHierarchy(rows),
+    // One level of members under ROOT
+    flat: (rows, dimension) => buildStandaloneFlatHierarchy(rows, dimension.name, dimension.key, dimension.labelField)
+};
+
+
+/**
+ * Build a dimension's hierarchy with the builder its registry entry names
+ * @param {Object} dimension - Registry dimension
+ * @param {Array} rows - Dimension rows
+ * @returns {Object} - Hierarchy { root, nodesMap }
+ */
+function buildDimensionHierarchy(dimension, rows) {
+    const type = dimension.hierarchy?.type || 'flat';
+    const builder = HIERARCHY_BUILDERS[type];
+    if (!builder) {
+        throw new Error(`Unknown hierarchy type '${type}' for ${dimension.table}`);
+    }
+
+    console.log(`⏳ Status: Building ${dimension.name} hierarchy (${type}) from ${rows?.length || 0} records...`);
+    return builder(rows, dimension);
+}
+
+
 /**
  * Creates a fallback hierarchy when a regular hierarchy build fails
  * This ensures we always have a valid hierarchy structure
@@ -4933,7 +5371,9 @@ function buildLegalEntityMapping(legalEntityData, bomData) {
         mapping.leToDetails[leCode]
     ).length;
     
-    const mappingCoveragePercent = Math.round((mappedLeCodesCount / mapping.usedLeCodes.size) * 100);
+    const mappingCoveragePercent = mapping.usedLeCodes.size > 0
+        ? Math.round((mappedLeCodesCount / mapping.usedLeCodes.size) * 100)
+        : 100;
     console.log(`✅ Status: LE mapping coverage: ${mappedLeCodesCount}/${mapping.usedLeCodes.size} (${mappingCoveragePercent}%)`);
     
     return mapping;
@@ -5942,8 +6382,6 @@ function filterFactDataByRootGmids() {
 
 // Endpoint selection logic:
 async function loadGmidDisplayDataWithEndpointSelection(rootGmids, pathGmids = null) {
-    const API_BASE_URL = 'http://localhost:3000/api';
-    
     // Choose endpoint based on filtering complexity
     let endpoint, queryParams;
     
@@ -5972,6 +6410,7 @@ async function loadGmidDisplayDataWithEndpointSelection(rootGmids, pathGmids = n
     
     // Rest of your existing fetch logic...
     const response = await fetch(url, {
+        credentials: 'include',
         headers: { 'Accept': 'application/x-ndjson' }
     });
     
@@ -5988,6 +6427,11 @@ export default {
     extractPathGmidsFromFactData,
     coordinateComprehensiveFiltering,
     fetchFilteredFactDataDirect,
+    fetchPivotAggregates,
+    readRowStream,
+    fetchDatabaseDataChunked,
+    createColumnarDecoder,
+    getFactFieldsForLayout,
     isGmidDimensionFiltered,
     getGmidFilterMetadata,
 
@@ -6028,6 +6472,13 @@ export default {
     processDimensionHierarchies,
     getNodeById,
     getFactIdField,
+    loadTableRegistry,
+    getRegistryDimension,
+    getDimensionFieldConfig,
+    getMeasureFields,
+    buildDimensionHierarchy,
+    fetchFactNames,
+    switchFactTable,
     flattenHierarchy,
     enhancedToggleNodeExpansion,
     
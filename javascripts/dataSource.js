@@ -0,0 +1,193 @@
+// ===== DATA SOURCE ADAPTERS =====
+
+// Every route in snowflakeServer.js talks to a data source through the same interface:
+//
+//   name                      - 'snowflake' or 'local'
+//   connect()                 - open (or reuse) the underlying connection
+//   execute(sql, binds, { signal })    - run a query, resolve with all rows
+//   streamRows(sql, binds, { signal }) - run a query, resolve with a readable stream emitting one row per 'data' event
+//
+// Aborting the optional signal (req.abortSignal, fired when the browser disconnects) cancels the
+// running statement and destroys the stream without an 'error' event.
+//   getColumns(tableName)     - upper-cased column names of a BOM table, in ordinal order
+//   listTables(prefix)        - table names in the BOM schema starting with prefix
+//   getLastAltered(tableName) - ISO timestamp of the table's last data/DDL change (result cache invalidation)
+//   estimateRowCount(tableName) - approximate row count, cheap enough to call before a chunked load
+//   close()                   - release the connection
+//   forSession(session)       - the same interface bound to one browser session ({ id, config })
+//   withContext(context)      - the same interface running every statement with { queryTag, warehouse }
+//                               (an object, or a function called per statement; see workloadRouting.js)
+//
+// Routes use req.dataSource (bound in snowflakeServer.js) so each query runs under its caller's session,
+// tagged and routed for the request.
+// The environment profile (APP_ENV, see environment.js) picks the source: its 'local' profile switches
+// the server to the file-backed stand-in (see localDataSource.js).
+
+const queryBuilder = require('./queryBuilder');
+const { getEnvironment } = require('./environment');
+
+
+/**
+ * Snowflake implementation, backed by the per-session SSO connection pool in snowflakeClient.js
+ * The client is required lazily so the local source runs without snowflake-sdk installed.
+ * @param {Object} session - Browser session ({ id, config }); omitted = shared .env session
+ * @param {Object|Function|null} context - { queryTag, warehouse } of every statement, see withContext
+ * @returns {Object} - Data source
+ */
+function createSnowflakeDataSource(session = {}, context = null) {
+    const {
+        executeSnowflakeQuery,
+        connectToSnowflake,
+        closeSnowflakeConnection,
+        isExpiredSessionError,
+        cancelOnAbort,
+        trackQuery,
+        enterWarehouse,
+        getPoolStats
+    } = require('./snowflakeClient');
+
+    const routing = () => {
+        const { queryTag = null, warehouse = null } = (typeof context === 'function' ? context() : context) || {};
+        return { queryTag, warehouse };
+    };
+
+    return {
+        name: 'snowflake',
+
+        session,
+
+        connect() {
+            return connectToSnowflake(session);
+        },
+
+        execute(sql, binds = [], options = {}) {
+            return executeSnowflakeQuery(sql, binds, session, { ...routing(), ...options });
+        },
+
+        async streamRows(sql, binds = [], { signal } = {}) {
+            const { queryTag, warehouse } = routing();
+            const conn = await connectToSnowflake(session);
+            const leaveWarehouse = await enterWarehouse(session, warehouse);
+            const release = trackQuery(session);
+            // complete fires once the statement has run, before its rows are streamed
+            const statement = conn.execute({
+                sqlText: sql,
+                binds: binds,
+                streamResult: true,
+                parameters: queryTag ? { QUERY_TAG: queryTag } : undefined,
+                complete: () => leaveWarehouse()
+            });
+            const stream = statement.streamRows();
+
+            const detach = cancelOnAbort(statement, signal);
+            if (signal) {
+                const stopStreaming = () => stream.destroy();
+                if (signal.aborted) {
+                    stopStreaming();
+                } else {
+                    signal.addEventListener('abort', stopStreaming, { once: true });
+                    stream.on('close', () => signal.removeEventListener('abort', stopStreaming));
+                }
+            }
+
+            stream.on('end', release);
+            stream.on('close', () => {
+                leaveWarehouse();
+                release();
+                detach();
+            });
+            stream.on('error', err => {
+                release();
+                // Drop the dead connection so the client's retry logs in again
+                if (isExpiredSessionError(err)) {
+                    closeSnowflakeConnection(session.id || 'default');
+                }
+            });
+            return stream;
+        },
+
+        async getColumns(tableName) {
+            const rows = await executeSnowflakeQuery(`
+                SELECT COLUMN_NAME, DATA_TYPE, IS_NULLABLE
+                FROM ${queryBuilder.DATABASE}.INFORMATION_SCHEMA.COLUMNS
+                WHERE TABLE_SCHEMA = ?
+                AND TABLE_NAME = ?
+                ORDER BY ORDINAL_POSITION
+            `, [queryBuilder.SCHEMA, queryBuilder.normalizeIdentifier(tableName, 'table')], session, routing());
+
+            return rows.map(row => row.COLUMN_NAME.toUpperCase());
+        },
+
+        async listTables(prefix = '') {
+            const rows = await executeSnowflakeQuery(
+                `SELECT TABLE_NAME FROM ${queryBuilder.DATABASE}.INFORMATION_SCHEMA.TABLES WHERE TABLE_SCHEMA = ? AND STARTSWITH(TABLE_NAME, ?)`,
+                [queryBuilder.SCHEMA, prefix.toUpperCase()],
+                session,
+                routing()
+            );
+            return rows.map(row => row.TABLE_NAME);
+        },
+
+        async getLastAltered(tableName) {
+            const rows = await executeSnowflakeQuery(
+                `SELECT LAST_ALTERED FROM ${queryBuilder.DATABASE}.INFORMATION_SCHEMA.TABLES WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ?`,
+                [queryBuilder.SCHEMA, queryBuilder.normalizeIdentifier(tableName, 'table')],
+                session,
+                routing()
+            );
+            return rows.length > 0 && rows[0].LAST_ALTERED ? new Date(rows[0].LAST_ALTERED).toISOString() : null;
+        },
+
+        // ROW_COUNT is maintained by Snowflake as table metadata, so no warehouse scan is needed
+        async estimateRowCount(tableName) {
+            const rows = await executeSnowflakeQuery(
+                `SELECT ROW_COUNT FROM ${queryBuilder.DATABASE}.INFORMATION_SCHEMA.TABLES WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ?`,
+                [queryBuilder.SCHEMA, queryBuilder.normalizeIdentifier(tableName, 'table')],
+                session,
+                routing()
+            );
+            return rows.length > 0 && rows[0].ROW_COUNT !== null ? Number(rows[0].ROW_COUNT) : null;
+        },
+
+        forSession(nextSession) {
+            return createSnowflakeDataSource(nextSession);
+        },
+
+        withContext(nextContext) {
+            return createSnowflakeDataSource(session, nextContext);
+        },
+
+        poolStats() {
+            return getPoolStats();
+        },
+
+        close() {
+            closeSnowflakeConnection(session.id);
+        }
+    };
+}
+
+
+/**
+ * Create the data source of the active environment profile (see environment.js)
+ * @param {string} type - 'snowflake' or 'local'
+ * @returns {Object} - Data source
+ */
+function createDataSource(type = getEnvironment().dataSource) {
+    switch (type.toLowerCase()) {
+        case 'snowflake':
+            return createSnowflakeDataSource();
+        case 'local': {
+            const { createLocalDataSource } = require('./localDataSource');
+            return createLocalDataSource({ fixturesDir: getEnvironment().fixturesDir });
+        }
+        default:
+            throw new Error(`Unknown data source '${type}'. Use 'snowflake' or 'local'.`);
+    }
+}
+
+
+module.exports = {
+    createDataSource,
+    createSnowflakeDataSource
+};
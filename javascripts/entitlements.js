@@ -0,0 +1,221 @@
+// ===== ROW-LEVEL ENTITLEMENTS =====
+
+// Which legal entities (LE), management centres (MC) and root smartcodes (ROOT_SMARTCODE) a signed-in
+// user may see. The server runs every fact and dimension query against the user's row filter (see
+// rowFilterFor and queryBuilder.scopedTable), so filter parameters can only narrow it further.
+//
+// entitlements.json (or ENTITLEMENTS_CONFIG):
+//   defaultAccess: 'all' | 'none'   - users without any grant
+//   roles: { ROLE: grant }          - grants of a role (the identity provider's roles)
+//   users: { username: grant }      - grants of one user
+// A grant is 'all', { LE: [...], MC: [...], ROOT_SMARTCODE: [...] } or a list of such objects. A row is
+// visible when it matches every field of at least one of the user's grants.
+// Fields are fact columns; a dimension is restricted on its key when it joins the fact on one of them
+// (DIM_SMARTCODE.SMARTCODE for ROOT_SMARTCODE). Tables without any of the fields (cost elements, GMIDs,
+// years) are shared reference data.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, 'entitlements.json');
+const ENTITLEMENTS_TTL = 5 * 60 * 1000; // 5 minutes, like the table registry
+const ENTITLEMENT_FIELDS = ['LE', 'MC', 'ROOT_SMARTCODE'];
+
+const UNRESTRICTED = Object.freeze({ unrestricted: true, grants: [], key: 'all' });
+
+
+/**
+ * Validate one grant of the config file
+ * @param {*} grant - 'all', { FIELD: [values] } or a list of those
+ * @param {string} owner - 'role X' / 'user Y', for the error message
+ * @returns {Array<Object>|'all'} - Grants with upper-cased fields and string values
+ */
+function normalizeGrant(grant, owner) {
+    if (grant === 'all') {
+        return 'all';
+    }
+
+    const grants = Array.isArray(grant) ? grant : [grant];
+    return grants.map(entry => {
+        if (!entry || typeof entry !== 'object' || Object.keys(entry).length === 0) {
+            throw new Error(`Invalid entitlements config: grant of ${owner} must be 'all' or list allowed values of ${ENTITLEMENT_FIELDS.join(', ')}`);
+        }
+
+        const normalized = {};
+        Object.entries(entry).forEach(([field, values]) => {
+            const column = field.toUpperCase();
+            if (!ENTITLEMENT_FIELDS.includes(column)) {
+                throw new Error(`Invalid entitlements config: unknown field '${field}' in grant of ${owner}`);
+            }
+            if (!Array.isArray(values) || values.length === 0) {
+                throw new Error(`Invalid entitlements config: ${column} of ${owner} must be a non-empty list`);
+            }
+            normalized[column] = [...new Set(values.map(String))];
+        });
+        return normalized;
+    });
+}
+
+
+/**
+ * Read and validate the config file
+ * @param {string} configPath - JSON file
+ * @returns {Object} - { defaultAccess, roles, users } with normalized grants
+ */
+function loadConfig(configPath) {
+    if (!fs.existsSync(configPath)) {
+        console.warn(`⚠️ Entitlements config not found at ${configPath}, every user sees all rows`);
+        return { defaultAccess: 'all', roles: {}, users: {} };
+    }
+
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    const defaultAccess = config.defaultAccess || 'all';
+    if (!['all', 'none'].includes(defaultAccess)) {
+        throw new Error(`Invalid entitlements config: defaultAccess must be 'all' or 'none'`);
+    }
+
+    const roles = {};
+    Object.entries(config.roles || {}).forEach(([role, grant]) => {
+        roles[role.toUpperCase()] = normalizeGrant(grant, `role ${role}`);
+    });
+
+    const users = {};
+    Object.entries(config.users || {}).forEach(([username, grant]) => {
+        users[username.toLowerCase()] = normalizeGrant(grant, `user ${username}`);
+    });
+
+    return { defaultAccess, roles, users };
+}
+
+
+/**
+ * Column of a table that carries each entitlement field
+ * @param {string} table - Table name
+ * @param {Object} registry - Table registry ({ facts, dimensions })
+ * @param {Array<string>} columns - Table columns
+ * @returns {Object} - { FIELD: column }, e.g. { ROOT_SMARTCODE: 'SMARTCODE' } for DIM_SMARTCODE
+ */
+function entitlementColumns(table, registry, columns) {
+    const dimension = registry.dimensions[table];
+    const result = {};
+
+    ENTITLEMENT_FIELDS.forEach(field => {
+        if (dimension && dimension.factColumn === field) {
+            result[field] = dimension.key;
+        } else if (columns.includes(field)) {
+            result[field] = field;
+        }
+    });
+    return result;
+}
+
+
+/**
+ * Create the entitlement lookup. The config is loaded on first use and reloaded after ENTITLEMENTS_TTL.
+ * @param {Object} options - { configPath, ttl }
+ * @returns {Object} - Entitlements API
+ */
+function createEntitlements({ configPath = process.env.ENTITLEMENTS_CONFIG || DEFAULT_CONFIG_PATH, ttl = ENTITLEMENTS_TTL } = {}) {
+    let config = null;
+    let loadedAt = 0;
+
+    function getConfig() {
+        if (!config || (Date.now() - loadedAt) >= ttl) {
+            config = loadConfig(configPath);
+            loadedAt = Date.now();
+            console.log(`🔏 Entitlements loaded: ${Object.keys(config.roles).length} roles, ${Object.keys(config.users).length} users, default access '${config.defaultAccess}'`);
+        }
+        return config;
+    }
+
+    return {
+        /**
+         * Grants of a signed-in user: those of the username and of each of the user's roles
+         * @param {Object|null} user - session.user ({ username, roles })
+         * @returns {Object} - { unrestricted, grants, key } (key identifies the grants, e.g. for cache keys)
+         */
+        forUser(user) {
+            if (!user) {
+                return { unrestricted: false, grants: [], key: 'none' };
+            }
+
+            const { defaultAccess, roles, users } = getConfig();
+            const assigned = [
+                users[String(user.username).toLowerCase()],
+                ...(user.roles || []).map(role => roles[String(role).toUpperCase()])
+            ].filter(Boolean);
+
+            if (assigned.includes('all') || (assigned.length === 0 && defaultAccess === 'all')) {
+                return UNRESTRICTED;
+            }
+
+            const grants = assigned.flat();
+            const key = crypto.createHash('sha1').update(JSON.stringify(grants)).digest('hex').slice(0, 12);
+            return { unrestricted: false, grants, key };
+        },
+
+        /**
+         * Row filter of a table for queryBuilder.scopedTable
+         * @param {Object} entitlement - From forUser
+         * @param {string} table - Table name
+         * @param {Object} context - { registry, columns }
+         * @returns {Array<Object>|null} - [{ COLUMN: [values] }, ...]; null when the table is not restricted,
+         *          [] when no row is visible
+         */
+        rowFilterFor(entitlement, table, { registry, columns }) {
+            if (entitlement.unrestricted) {
+                return null;
+            }
+
+            // A table whose columns could not be read shows a restricted user nothing
+            if (columns.length === 0 && !registry.dimensions[table]) {
+                return [];
+            }
+
+            const columnFor = entitlementColumns(table, registry, columns);
+            if (Object.keys(columnFor).length === 0) {
+                return null;
+            }
+
+            const rowFilter = [];
+            for (const grant of entitlement.grants) {
+                const clause = {};
+                Object.entries(grant).forEach(([field, values]) => {
+                    if (columnFor[field]) {
+                        clause[columnFor[field]] = values;
+                    }
+                });
+                // A grant on fields this table does not have leaves all of its rows visible
+                if (Object.keys(clause).length === 0) {
+                    return null;
+                }
+                rowFilter.push(clause);
+            }
+            return rowFilter;
+        },
+
+        /**
+         * What the browser needs to offer only entitled filter values
+         * @param {Object} entitlement - From forUser
+         * @returns {Object} - { restricted, fields: { FIELD: [values] | null } } (null: any value)
+         */
+        describe(entitlement) {
+            const fields = {};
+            ENTITLEMENT_FIELDS.forEach(field => {
+                if (entitlement.unrestricted || entitlement.grants.some(grant => !grant[field])) {
+                    fields[field] = null;
+                } else {
+                    fields[field] = [...new Set(entitlement.grants.flatMap(grant => grant[field]))];
+                }
+            });
+            return { restricted: !entitlement.unrestricted, fields };
+        }
+    };
+}
+
+
+module.exports = {
+    ENTITLEMENT_FIELDS,
+    createEntitlements
+};
@@ -0,0 +1,109 @@
+// ===== ENVIRONMENT PROFILES =====
+
+// Which database and schema the server queries, picked by profile name instead of by editing source:
+//
+//   APP_ENV=qa node snowflakeServer.js
+//
+// Profiles live in environments.json (or ENVIRONMENTS_CONFIG):
+//   { label, dataSource: 'snowflake' | 'local', database, schema, warehouse, role, account, fixturesDir,
+//     authProvider: 'snowflake' | 'dev' (see identityProviders.js) }
+// Settings a profile leaves out fall back to .env (DATABASE, SCHEMA, WAREHOUSE, ROLE, ACCOUNT,
+// LOCAL_FIXTURES_DIR, AUTH_PROVIDER). Without APP_ENV, DATA_SOURCE=local still selects the 'local' profile.
+// The browser reads the public part of the active profile from GET /api/config.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, 'environments.json');
+
+let activeEnvironment = null;
+
+
+/**
+ * Read the profiles file
+ * @param {string} configPath - JSON file
+ * @returns {Object} - { default, profiles }
+ */
+function loadProfiles(configPath) {
+    if (!fs.existsSync(configPath)) {
+        throw new Error(`Environment profiles not found at ${configPath}`);
+    }
+
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    return { default: config.default || 'prod', profiles: config.profiles || {} };
+}
+
+
+/**
+ * Resolve a profile, filling what it leaves out from the process environment
+ * @param {string} name - Profile name (default: APP_ENV, else 'local' for DATA_SOURCE=local, else the file's default)
+ * @param {string} configPath - Profiles file
+ * @returns {Object} - { name, label, dataSource, database, schema, warehouse, role, account, fixturesDir, authProvider, profiles }
+ */
+function loadEnvironment(name = null, configPath = process.env.ENVIRONMENTS_CONFIG || DEFAULT_CONFIG_PATH) {
+    const config = loadProfiles(configPath);
+    const fallbackName = (process.env.DATA_SOURCE || '').toLowerCase() === 'local' ? 'local' : config.default;
+    const profileName = (name || process.env.APP_ENV || fallbackName).toLowerCase();
+    const profile = config.profiles[profileName];
+
+    if (!profile) {
+        throw new Error(`Unknown environment '${profileName}'. Use one of: ${Object.keys(config.profiles).join(', ')}`);
+    }
+
+    const fixturesDir = profile.fixturesDir
+        ? path.resolve(path.dirname(configPath), profile.fixturesDir)
+        : process.env.LOCAL_FIXTURES_DIR;
+
+    return {
+        name: profileName,
+        label: profile.label || profileName,
+        dataSource: profile.dataSource || process.env.DATA_SOURCE || 'snowflake',
+        database: profile.database || process.env.DATABASE,
+        schema: profile.schema || process.env.SCHEMA,
+        warehouse: profile.warehouse || process.env.WAREHOUSE,
+        role: profile.role || process.env.ROLE,
+        account: profile.account || process.env.ACCOUNT,
+        fixturesDir,
+        authProvider: profile.authProvider || process.env.AUTH_PROVIDER || 'snowflake',
+        profiles: Object.keys(config.profiles)
+    };
+}
+
+
+/**
+ * The environment this server process runs against, resolved once on first use
+ * @returns {Object} - See loadEnvironment
+ */
+function getEnvironment() {
+    if (!activeEnvironment) {
+        activeEnvironment = loadEnvironment();
+        console.log(`🌍 Environment: ${activeEnvironment.label} (${activeEnvironment.name}) - ${activeEnvironment.dataSource} ${activeEnvironment.database}.${activeEnvironment.schema}`);
+    }
+    return activeEnvironment;
+}
+
+
+/**
+ * What the browser may know about the environment (no account or role)
+ * @param {Object} environment - Resolved environment
+ * @returns {Object} - { name, label, dataSource, database, schema, warehouse, authProvider, profiles }
+ */
+function describeEnvironment(environment = getEnvironment()) {
+    return {
+        name: environment.name,
+        label: environment.label,
+        dataSource: environment.dataSource,
+        database: environment.database,
+        schema: environment.schema,
+        warehouse: environment.warehouse || null,
+        authProvider: environment.authProvider,
+        profiles: environment.profiles
+    };
+}
+
+
+module.exports = {
+    loadEnvironment,
+    getEnvironment,
+    describeEnvironment
+};
@@ -0,0 +1,244 @@
+// ===== FACT CUBE (BITMAP INDEX) =====
+
+// Index over the fact rows the pivot works on, built once per fact array (pivotTable.getFactCube on the
+// main thread, pivot-worker.js in the worker):
+//   - the dimension key fields (LE, COST_ELEMENT, PATH_GMID, ...) are dictionary-encoded and the row IDs
+//     of every distinct value are stored as a posting list
+//   - the rows of a hierarchy node are the union of its fact IDs' postings, kept as a bitset (one bit per
+//     row) and cached per node
+//   - a cross-dimensional cell is the AND of its nodes' bitsets, summed over a measure column
+// A cell then costs O(rows / 32) instead of a scan of every fact row per filter.
+
+// Node bitsets kept per cube; each is rows / 8 bytes (62 KB for 500k rows)
+const MAX_CACHED_BITSETS = 1000;
+
+
+/**
+ * Dictionary-encode the dimension key fields and copy the measures into typed arrays
+ * @param {Array} factData - Fact rows (rows._columns typed arrays from the columnar decoder are reused)
+ * @param {Array<string>} fields - Fact fields to encode
+ * @param {Array<string>} measureFields - Measures to copy
+ * @returns {Object} - { rowCount, fields: { FIELD: { codes: Int32Array, dict } }, measures: { NAME: Float64Array } }
+ */
+export function encodeFactColumns(factData, fields, measureFields) {
+    const rowCount = factData.length;
+    const encodedFields = {};
+    const measures = {};
+
+    fields.forEach(field => {
+        const codes = new Int32Array(rowCount);
+        const dict = [];
+        const index = new Map();
+
+        for (let i = 0; i < rowCount; i++) {
+            const value = factData[i][field];
+            if (value === null || value === undefined) {
+                codes[i] = -1;
+                continue;
+            }
+            let code = index.get(value);
+            if (code === undefined) {
+                code = dict.length;
+                dict.push(value);
+                index.set(value, code);
+            }
+            codes[i] = code;
+        }
+
+        encodedFields[field] = { codes, dict };
+    });
+
+    measureFields.forEach(field => {
+        const typed = factData._columns?.[field];
+        if (typed && typed.length === rowCount) {
+            measures[field] = typed;
+            return;
+        }
+
+        const values = new Float64Array(rowCount);
+        for (let i = 0; i < rowCount; i++) {
+            const value = factData[i][field];
+            values[i] = typeof value === 'number' ? value : parseFloat(value || 0);
+        }
+        measures[field] = values;
+    });
+
+    return { rowCount, fields: encodedFields, measures };
+}
+
+
+/**
+ * Build a cube over encoded fact columns. Posting lists are built per field on first use.
+ * @param {Object} columns - Output of encodeFactColumns
+ * @returns {Object} - Cube API
+ */
+export function createFactCube(columns) {
+    const rowCount = columns.rowCount;
+    const wordCount = Math.ceil(rowCount / 32);
+    const postings = {};            // field -> { index: Map(value -> code), offsets: Int32Array, rowIds: Int32Array }
+    const bitsetCache = new Map();  // cache key -> Uint32Array (Map order = LRU order)
+
+    function getPostings(field) {
+        if (postings[field]) {
+            return postings[field];
+        }
+
+        const { codes, dict } = columns.fields[field];
+
+        // Counting sort of the row IDs by code
+        const offsets = new Int32Array(dict.length + 1);
+        for (let i = 0; i < rowCount; i++) {
+            if (codes[i] >= 0) offsets[codes[i] + 1]++;
+        }
+        for (let c = 0; c < dict.length; c++) {
+            offsets[c + 1] += offsets[c];
+        }
+
+        const cursor = offsets.slice(0, dict.length);
+        const rowIds = new Int32Array(offsets[dict.length]);
+        for (let i = 0; i < rowCount; i++) {
+            const code = codes[i];
+            if (code >= 0) rowIds[cursor[code]++] = i;
+        }
+
+        postings[field] = {
+            index: new Map(dict.map((value, code) => [value, code])),
+            offsets,
+            rowIds
+        };
+        return postings[field];
+    }
+
+    return {
+        rowCount,
+        columns,
+
+        /**
+         * @param {string} field - Fact field
+         * @returns {boolean} - True when the field is encoded in this cube
+         */
+        hasField(field) {
+            return Boolean(columns.fields[field]);
+        },
+
+        /**
+         * Bitset of the rows whose field holds one of the values, cached under cacheKey
+         * @param {string} cacheKey - e.g. 'le:EU'
+         * @param {string} field - Fact field
+         * @param {Iterable} values - Fact IDs
+         * @returns {Uint32Array}
+         */
+        bitsetFor(cacheKey, field, values) {
+            const cached = bitsetCache.get(cacheKey);
+            if (cached) {
+                bitsetCache.delete(cacheKey);
+                bitsetCache.set(cacheKey, cached);
+                return cached;
+            }
+
+            const { index, offsets, rowIds } = getPostings(field);
+            const bitset = new Uint32Array(wordCount);
+            for (const value of values) {
+                const code = index.get(value);
+                if (code === undefined) continue;
+                for (let p = offsets[code]; p < offsets[code + 1]; p++) {
+                    const row = rowIds[p];
+                    bitset[row >>> 5] |= 1 << (row & 31);
+                }
+            }
+
+            if (bitsetCache.size >= MAX_CACHED_BITSETS) {
+                bitsetCache.delete(bitsetCache.keys().next().value);
+            }
+            bitsetCache.set(cacheKey, bitset);
+            return bitset;
+        },
+
+        /**
+         * AND several bitsets; null entries stand for "all rows"
+         * @param {Array<Uint32Array|null>} bitsets
+         * @returns {Uint32Array|null} - null when nothing filters
+         */
+        intersect(bitsets) {
+            const filters = bitsets.filter(Boolean);
+            if (filters.length === 0) {
+                return null;
+            }
+            if (filters.length === 1) {
+                return filters[0];
+            }
+
+            const result = filters[0].slice();
+            for (let f = 1; f < filters.length; f++) {
+                const other = filters[f];
+                for (let w = 0; w < wordCount; w++) {
+                    result[w] &= other[w];
+                }
+            }
+            return result;
+        },
+
+        /**
+         * Sum a measure over the rows of a bitset (NaN = null measure, skipped)
+         * @param {Uint32Array|null} bitset - null = all rows
+         * @param {string} measureField
+         * @returns {number}
+         */
+        sum(bitset, measureField) {
+            const values = columns.measures[measureField];
+            if (!values) {
+                return 0;
+            }
+
+            let total = 0;
+            if (!bitset) {
+                for (let i = 0; i < rowCount; i++) {
+                    if (values[i] === values[i]) total += values[i];
+                }
+                return total;
+            }
+
+            for (let w = 0; w < wordCount; w++) {
+                let word = bitset[w];
+                while (word !== 0) {
+                    const bit = 31 - Math.clz32(word & -word);
+                    const value = values[(w << 5) + bit];
+                    if (value === value) total += value;
+                    word &= word - 1;
+                }
+            }
+            return total;
+        },
+
+        /**
+         * Row IDs of a bitset, in row order
+         * @param {Uint32Array} bitset
+         * @returns {Array<number>}
+         */
+        rowIds(bitset) {
+            const ids = [];
+            for (let w = 0; w < wordCount; w++) {
+                let word = bitset[w];
+                while (word !== 0) {
+                    const bit = 31 - Math.clz32(word & -word);
+                    ids.push((w << 5) + bit);
+                    word &= word - 1;
+                }
+            }
+            return ids;
+        },
+
+        /**
+         * Forget cached node bitsets (hierarchies changed)
+         */
+        clearBitsets() {
+            bitsetCache.clear();
+        }
+    };
+}
+
+
+export default {
+    encodeFactColumns,
+    createFactCube
+};
@@ -0,0 +1,115 @@
+// ===== IDENTITY PROVIDERS =====
+
+// Who a browser session belongs to. POST /api/auth/login hands the login form's fields to the
+// provider of the active environment profile (authProvider in environments.json, see environment.js):
+//
+//   dev       - local stub, signs in whoever is named (default DEV_USER); works offline
+//   snowflake - Snowflake SSO: opens the session's connection with authenticator 'externalbrowser',
+//               so the identity provider behind Snowflake checks the user
+//
+// A provider is { name, description, fields, authenticate({ credentials, session, dataSource }) } and
+// resolves with { username, displayName, roles } or rejects with 'Invalid credentials: ...'.
+// Add one to IDENTITY_PROVIDERS to plug in another login (e.g. a trusted reverse proxy header).
+
+const { getEnvironment } = require('./environment');
+
+const DEV_DEFAULT_USER = 'dev.user@local';
+const USERNAME_PATTERN = /^[A-Za-z0-9._@-]{1,128}$/;
+
+
+/**
+ * @param {*} username - Username from the login form
+ * @returns {string} - Trimmed username
+ */
+function validateUsername(username) {
+    const value = String(username || '').trim();
+    if (!USERNAME_PATTERN.test(value)) {
+        throw new Error('Invalid credentials: a username like first.last@company.com is required');
+    }
+    return value;
+}
+
+
+/**
+ * "first.last@company.com" -> "First Last"
+ * @param {string} username
+ * @returns {string}
+ */
+function toDisplayName(username) {
+    return username
+        .split('@')[0]
+        .split(/[._-]/)
+        .filter(Boolean)
+        .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+        .join(' ');
+}
+
+
+const IDENTITY_PROVIDERS = {
+    dev: {
+        name: 'dev',
+        description: 'Local development sign-in (no password check)',
+        fields: ['username'],
+
+        async authenticate({ credentials }) {
+            const username = validateUsername(credentials.username || process.env.DEV_USER || DEV_DEFAULT_USER);
+            return {
+                username,
+                displayName: toDisplayName(username),
+                roles: (process.env.DEV_ROLES || 'ANALYST').split(',').map(role => role.trim()).filter(Boolean)
+            };
+        }
+    },
+
+    snowflake: {
+        name: 'snowflake',
+        description: 'Snowflake single sign-on',
+        fields: ['username', 'role'],
+
+        async authenticate({ credentials, session, dataSource }) {
+            const username = validateUsername(credentials.username);
+
+            // The SSO round trip happens when the session's connection logs in
+            const boundSource = dataSource.forSession({
+                ...session,
+                config: { ...session.config, username, role: credentials.role || session.config.role }
+            });
+            const rows = await boundSource.execute('SELECT CURRENT_USER() AS USER_NAME, CURRENT_ROLE() AS ROLE_NAME');
+
+            // The browser SSO may have signed in a different account than the one typed in the form
+            const signedInUser = rows.length > 0 ? String(rows[0].USER_NAME || '') : '';
+            if (signedInUser.toUpperCase() !== username.toUpperCase()) {
+                throw new Error(`Invalid credentials: Snowflake signed in '${signedInUser || 'nobody'}', not '${username}'`);
+            }
+
+            return {
+                username,
+                displayName: toDisplayName(username),
+                roles: rows.length > 0 && rows[0].ROLE_NAME ? [rows[0].ROLE_NAME] : []
+            };
+        }
+    }
+};
+
+
+/**
+ * Identity provider of the active environment profile
+ * @param {string} name - Provider name (default: the environment's authProvider)
+ * @returns {Object} - Provider
+ */
+function getIdentityProvider(name = getEnvironment().authProvider) {
+    const provider = IDENTITY_PROVIDERS[name];
+    if (!provider) {
+        throw new Error(`Unknown identity provider '${name}'. Use one of: ${Object.keys(IDENTITY_PROVIDERS).join(', ')}`);
+    }
+    if (provider.name === 'dev' && getEnvironment().name === 'prod') {
+        throw new Error("The 'dev' identity provider signs anyone in and cannot be used with the prod environment");
+    }
+    return provider;
+}
+
+
+module.exports = {
+    IDENTITY_PROVIDERS,
+    getIdentityProvider
+};
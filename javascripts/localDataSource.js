@@ -0,0 +1,211 @@
+// ===== LOCAL FILE-BACKED DATA SOURCE =====
+
+// Offline stand-in for Snowflake. FACT_BOM, SETUP and the DIM_* tables are loaded from fixture files
+// (one file per table, named after it: FACT_BOM.csv, DIM_LE.parquet, ...) into an in-memory DuckDB
+// database attached under the environment's database and schema names, so the SQL built by the routes
+// runs unchanged.
+//
+// Usage: APP_ENV=local LOCAL_FIXTURES_DIR=./fixtures node snowflakeServer.js
+
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const queryBuilder = require('./queryBuilder');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+const FIXTURE_READERS = {
+    '.csv': file => `read_csv_auto('${file}', header = true, all_varchar = false)`,
+    '.parquet': file => `read_parquet('${file}')`,
+    '.ndjson': file => `read_json_auto('${file}', format = 'newline_delimited')`
+};
+
+
+/**
+ * Snowflake returns unquoted identifiers upper-cased and numbers as JS numbers; mirror that
+ * so the browser cannot tell the two sources apart.
+ * @param {Object} row - Row as returned by DuckDB
+ * @returns {Object} - Row with upper-cased keys and BigInt values converted
+ */
+function normalizeRow(row) {
+    const normalized = {};
+    Object.entries(row).forEach(([key, value]) => {
+        normalized[key.toUpperCase()] = typeof value === 'bigint' ? Number(value) : value;
+    });
+    return normalized;
+}
+
+
+/**
+ * Create the local data source
+ * @param {Object} options - { fixturesDir }
+ * @returns {Object} - Data source (see dataSource.js for the interface)
+ */
+function createLocalDataSource({ fixturesDir } = {}) {
+    const directory = path.resolve(fixturesDir || DEFAULT_FIXTURES_DIR);
+
+    let connection = null;
+    let connecting = null;
+    let loadedAt = null;
+
+    async function run(conn, sql, binds = []) {
+        const reader = await conn.runAndReadAll(sql, binds);
+        return reader.getRowObjectsJS();
+    }
+
+    async function loadFixtures(conn) {
+        if (!fs.existsSync(directory)) {
+            throw new Error(`Local fixtures directory not found: ${directory}`);
+        }
+
+        await run(conn, `ATTACH ':memory:' AS ${queryBuilder.DATABASE}`);
+        await run(conn, `CREATE SCHEMA ${queryBuilder.DATABASE}.${queryBuilder.SCHEMA}`);
+
+        const files = fs.readdirSync(directory)
+            .filter(file => FIXTURE_READERS[path.extname(file).toLowerCase()]);
+
+        for (const file of files) {
+            const tableName = queryBuilder.normalizeIdentifier(path.basename(file, path.extname(file)), 'table');
+            const reader = FIXTURE_READERS[path.extname(file).toLowerCase()];
+            const filePath = path.join(directory, file).replace(/'/g, "''");
+
+            await run(conn, `CREATE TABLE ${queryBuilder.qualifyTable(tableName)} AS SELECT * FROM ${reader(filePath)}`);
+            console.log(`📦 Loaded local fixture ${file} as ${tableName}`);
+        }
+
+        loadedAt = new Date().toISOString();
+        console.log(`✅ Local data source ready: ${files.length} tables from ${directory}`);
+    }
+
+    async function connect() {
+        if (connection) {
+            return connection;
+        }
+        if (connecting) {
+            return connecting;
+        }
+
+        connecting = (async () => {
+            const { DuckDBInstance } = require('@duckdb/node-api');
+            const instance = await DuckDBInstance.create(':memory:');
+            const conn = await instance.connect();
+
+            await loadFixtures(conn);
+
+            connection = conn;
+            connecting = null;
+            return conn;
+        })().catch(err => {
+            connecting = null;
+            throw new Error('❌ Local data source failed to load: ' + err.message);
+        });
+
+        return connecting;
+    }
+
+    async function execute(sql, binds = []) {
+        const conn = await connect();
+        const rows = await run(conn, sql, binds);
+        return rows.map(normalizeRow);
+    }
+
+    const source = {
+        name: 'local',
+
+        connect,
+
+        execute,
+
+        async streamRows(sql, binds = [], { signal } = {}) {
+            const rows = await execute(sql, binds);
+            const stream = Readable.from(rows, { objectMode: true });
+
+            // The in-memory query has already finished; just stop emitting rows
+            if (signal) {
+                if (signal.aborted) {
+                    stream.destroy();
+                } else {
+                    signal.addEventListener('abort', () => stream.destroy(), { once: true });
+                }
+            }
+            return stream;
+        },
+
+        async getColumns(tableName) {
+            const rows = await execute(`
+                SELECT column_name AS COLUMN_NAME
+                FROM information_schema.columns
+                WHERE table_catalog = ? AND table_schema = ? AND table_name = ?
+                ORDER BY ordinal_position
+            `, [queryBuilder.DATABASE, queryBuilder.SCHEMA, queryBuilder.normalizeIdentifier(tableName, 'table')]);
+
+            return rows.map(row => row.COLUMN_NAME.toUpperCase());
+        },
+
+        async listTables(prefix = '') {
+            const rows = await execute(`
+                SELECT table_name AS TABLE_NAME
+                FROM information_schema.tables
+                WHERE table_catalog = ? AND table_schema = ? AND starts_with(table_name, ?)
+                ORDER BY table_name
+            `, [queryBuilder.DATABASE, queryBuilder.SCHEMA, prefix.toUpperCase()]);
+
+            return rows.map(row => row.TABLE_NAME);
+        },
+
+        // Fixtures are loaded once, so every table changes when (and only when) they are reloaded
+        async getLastAltered() {
+            await connect();
+            return loadedAt;
+        },
+
+        async estimateRowCount(tableName) {
+            const rows = await execute(`SELECT COUNT(*) AS ROW_COUNT FROM ${queryBuilder.qualifyTable(tableName)}`);
+            return rows.length > 0 ? Number(rows[0].ROW_COUNT) : null;
+        },
+
+        // One shared in-memory database: every browser session sees the same fixtures, and a session
+        // ending (logout) must not close it for the others
+        forSession() {
+            return sessionSource;
+        },
+
+        // Fixtures have no warehouses or query tags; the context is still worked out per statement,
+        // so the workload routing shows in the log and the query audit as it would on Snowflake
+        withContext(context) {
+            const resolve = () => (typeof context === 'function' ? context() : context);
+            return {
+                ...sessionSource,
+                execute(sql, binds, options) {
+                    resolve();
+                    return sessionSource.execute(sql, binds, options);
+                },
+                streamRows(sql, binds, options) {
+                    resolve();
+                    return sessionSource.streamRows(sql, binds, options);
+                }
+            };
+        },
+
+        poolStats() {
+            return { maxSessions: 1, sessions: [] };
+        },
+
+        close() {
+            if (connection) {
+                connection.closeSync();
+                connection = null;
+                console.log('✅ Local data source closed');
+            }
+        }
+    };
+
+    const sessionSource = { ...source, close() {} };
+
+    return source;
+}
+
+
+module.exports = {
+    createLocalDataSource
+};
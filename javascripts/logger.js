@@ -0,0 +1,142 @@
+// ===== STRUCTURED LOGGING =====
+
+// One JSON line per log entry on stdout (warnings and errors on stderr):
+//
+//   {"time":"2025-07-25T10:15:02.113Z","level":"info","msg":"✅ Query completed successfully: 8 rows returned",
+//    "requestId":"3f0c…","user":"jane.doe@corp.com"}
+//
+// Every API call gets a request ID (the caller's X-Request-Id when it sends a sane one, else a new
+// UUID), returned in the X-Request-Id response header and added to every line logged while the call
+// is served - including the existing console.log calls, which captureConsole() routes through here
+// (log/info -> info, warn -> warn, error -> error, debug -> debug). An Error argument is kept as
+// { message, code, stack } under "error".
+//
+// LOG_LEVEL: debug | info | warn | error (default info)
+// LOG_FORMAT: json (default) | text - one readable line per entry, for local development
+
+const crypto = require('crypto');
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{8,64}$/;
+
+// { requestId, req } of the request being served
+const requestContext = new AsyncLocalStorage();
+
+
+/**
+ * @param {Error} error
+ * @returns {Object} - JSON-friendly error
+ */
+function serializeError(error) {
+    return {
+        message: error.message,
+        ...(error.code !== undefined ? { code: error.code } : {}),
+        stack: error.stack
+    };
+}
+
+
+/**
+ * Create the logger
+ * @param {Object} options - { level, format, stdout, stderr }
+ * @returns {Object} - Logger API
+ */
+function createLogger({
+    level = process.env.LOG_LEVEL || 'info',
+    format = process.env.LOG_FORMAT || 'json',
+    stdout = process.stdout,
+    stderr = process.stderr
+} = {}) {
+    const threshold = LEVELS[String(level).toLowerCase()] || LEVELS.info;
+
+    /**
+     * Write one entry
+     * @param {string} entryLevel - debug | info | warn | error
+     * @param {string} msg - Message
+     * @param {Object} fields - Extra fields; requestId / user override those of the current request
+     */
+    function write(entryLevel, msg, fields = {}) {
+        if (LEVELS[entryLevel] < threshold) {
+            return;
+        }
+
+        const context = requestContext.getStore();
+        const user = context && context.req.session && context.req.session.user;
+        const entry = {
+            time: new Date().toISOString(),
+            level: entryLevel,
+            msg,
+            ...(context ? { requestId: context.requestId } : {}),
+            ...(user ? { user: user.username } : {}),
+            ...fields
+        };
+
+        const line = format === 'text'
+            ? `${entry.time} ${entryLevel.toUpperCase().padEnd(5)} ${entry.requestId ? `[${entry.requestId.slice(0, 8)}] ` : ''}${msg}${entry.error ? `\n${entry.error.stack}` : ''}`
+            : JSON.stringify(entry);
+
+        (LEVELS[entryLevel] >= LEVELS.warn ? stderr : stdout).write(line + '\n');
+    }
+
+    const logger = {
+        debug: (msg, fields) => write('debug', msg, fields),
+        info: (msg, fields) => write('info', msg, fields),
+        warn: (msg, fields) => write('warn', msg, fields),
+        error: (msg, fields) => write('error', msg, fields),
+
+        /**
+         * Send console.log / info / warn / error / debug through the logger
+         */
+        captureConsole() {
+            const methods = { log: 'info', info: 'info', warn: 'warn', error: 'error', debug: 'debug' };
+            Object.entries(methods).forEach(([method, entryLevel]) => {
+                console[method] = (...args) => {
+                    const error = args.find(arg => arg instanceof Error);
+                    const msg = util.format(...args.map(arg => (arg instanceof Error ? arg.message : arg)));
+                    write(entryLevel, msg, error ? { error: serializeError(error) } : {});
+                };
+            });
+        },
+
+        /**
+         * Express middleware: give the request its ID, return it in X-Request-Id and log one line when
+         * the response is done. Must run after the body parser, so the rest of the chain runs inside
+         * the request's logging context.
+         * @returns {Function}
+         */
+        requestIds() {
+            return (req, res, next) => {
+                const incoming = req.get(REQUEST_ID_HEADER);
+                req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+                res.set(REQUEST_ID_HEADER, req.id);
+
+                const startTime = Date.now();
+                res.on('close', () => {
+                    const status = res.writableFinished ? res.statusCode : 499;
+                    const user = req.session && req.session.user;
+                    write(status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info', `${req.method} ${req.originalUrl.split('?')[0]} ${status} in ${Date.now() - startTime}ms`, {
+                        requestId: req.id,
+                        ...(user ? { user: user.username } : {}),
+                        method: req.method,
+                        route: req.route ? `${req.baseUrl}${req.route.path}` : null,
+                        status,
+                        durationMs: Date.now() - startTime
+                    });
+                });
+
+                requestContext.run({ requestId: req.id, req }, next);
+            };
+        }
+    };
+
+    return logger;
+}
+
+
+module.exports = {
+    REQUEST_ID_HEADER,
+    createLogger
+};
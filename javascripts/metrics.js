@@ -0,0 +1,292 @@
+// ===== PROMETHEUS METRICS =====
+
+// Counters, gauges and histograms served by GET /metrics in the Prometheus text format (version
+// 0.0.4), so the app can be scraped and alerted on like any other service. Written here rather than
+// taken from a client library; only what the server needs:
+//
+//   counter(name, help, labelNames)            - inc(labels, value), set(labels, value) for totals
+//                                                 kept elsewhere (e.g. result cache counters)
+//   gauge(name, help, labelNames)              - set(labels, value), inc(labels), dec(labels)
+//   histogram(name, help, labelNames, buckets) - observe(labels, seconds)
+//   collect(fn)                                - fn() runs before every scrape to refresh gauges
+//
+// Label values should stay bounded: routes are labelled with their Express path ('/api/data/:table'),
+// never the requested URL.
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const DEFAULT_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+
+/**
+ * @param {*} value - Label value
+ * @returns {string} - Escaped for the text format
+ */
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+
+/**
+ * '{method="GET",route="/api/data/:table"}' (empty string without labels)
+ * @param {Object} labels - { name: value }
+ * @returns {string}
+ */
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+
+/**
+ * @param {number} value
+ * @returns {string} - Number in the text format (+Inf, -Inf, NaN)
+ */
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+
+/**
+ * Error type of a finished request, or null when it succeeded
+ * @param {number} status - HTTP status
+ * @param {boolean} aborted - The client went away first
+ * @returns {string|null}
+ */
+function classifyError(status, aborted) {
+    if (aborted) return 'aborted';
+    if (status === 400) return 'validation';
+    if (status === 401 || status === 403) return 'auth';
+    if (status === 404) return 'not_found';
+    if (status === 429) return 'busy';
+    if (status === 503) return 'unavailable';
+    if (status >= 500) return 'server';
+    if (status >= 400) return 'client';
+    return null;
+}
+
+
+/**
+ * Create a metrics registry with the server's HTTP and Snowflake metrics
+ * @param {Object} options - { prefix }
+ * @returns {Object} - Registry API
+ */
+function createMetrics({ prefix = 'bom_' } = {}) {
+    const metrics = new Map();
+    const collectors = [];
+
+    /**
+     * Register a metric; its series are keyed by their label string
+     */
+    function register(type, name, help, labelNames, extra = {}) {
+        const metric = { type, name: prefix + name, help, labelNames, series: new Map(), ...extra };
+        metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    function seriesKey(metric, labels = {}) {
+        const picked = {};
+        metric.labelNames.forEach(label => {
+            picked[label] = labels[label] !== undefined && labels[label] !== null ? labels[label] : '';
+        });
+        return formatLabels(picked);
+    }
+
+    function scalar(type, name, help, labelNames) {
+        const metric = register(type, name, help, labelNames);
+        const api = {
+            inc(labels = {}, value = 1) {
+                const key = seriesKey(metric, labels);
+                metric.series.set(key, (metric.series.get(key) || 0) + value);
+            },
+            set(labels = {}, value) {
+                metric.series.set(seriesKey(metric, labels), value);
+            }
+        };
+        if (type === 'gauge') {
+            api.dec = (labels = {}, value = 1) => api.inc(labels, -value);
+        }
+        return api;
+    }
+
+    const registry = {
+        contentType: CONTENT_TYPE,
+
+        counter(name, help, labelNames = []) {
+            return scalar('counter', name, help, labelNames);
+        },
+
+        gauge(name, help, labelNames = []) {
+            return scalar('gauge', name, help, labelNames);
+        },
+
+        histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+            const metric = register('histogram', name, help, labelNames, { buckets: [...buckets].sort((a, b) => a - b) });
+            return {
+                observe(labels = {}, value) {
+                    const key = seriesKey(metric, labels);
+                    let series = metric.series.get(key);
+                    if (!series) {
+                        series = { labels: key, counts: metric.buckets.map(() => 0), sum: 0, count: 0 };
+                        metric.series.set(key, series);
+                    }
+                    metric.buckets.forEach((bound, index) => {
+                        if (value <= bound) series.counts[index]++;
+                    });
+                    series.sum += value;
+                    series.count++;
+                }
+            };
+        },
+
+        /**
+         * @param {Function} fn - Called before every scrape
+         */
+        collect(fn) {
+            collectors.push(fn);
+        },
+
+        /**
+         * Every metric in the text format
+         * @returns {string}
+         */
+        render() {
+            collectors.forEach(fn => {
+                try {
+                    fn();
+                } catch (error) {
+                    console.warn('⚠️ Metrics collector failed:', error.message);
+                }
+            });
+
+            const lines = [];
+            metrics.forEach(metric => {
+                lines.push(`# HELP ${metric.name} ${metric.help}`);
+                lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+                if (metric.type !== 'histogram') {
+                    metric.series.forEach((value, labels) => lines.push(`${metric.name}${labels} ${formatValue(value)}`));
+                    return;
+                }
+
+                metric.series.forEach(series => {
+                    // Bucket labels go after the series labels: {route="x",le="0.5"}
+                    const withLe = le => (series.labels ? `${series.labels.slice(0, -1)},le="${le}"}` : `{le="${le}"}`);
+                    metric.buckets.forEach((bound, index) => {
+                        lines.push(`${metric.name}_bucket${withLe(formatValue(bound))} ${series.counts[index]}`);
+                    });
+                    lines.push(`${metric.name}_bucket${withLe('+Inf')} ${series.count}`);
+                    lines.push(`${metric.name}_sum${series.labels} ${series.sum}`);
+                    lines.push(`${metric.name}_count${series.labels} ${series.count}`);
+                });
+            });
+            return lines.join('\n') + '\n';
+        }
+    };
+
+    // HTTP traffic, labelled by the matched route
+    const requests = registry.counter('http_requests_total', 'HTTP requests by route and status', ['method', 'route', 'status']);
+    const latency = registry.histogram('http_request_duration_seconds', 'Time from request to the end of the response', ['method', 'route']);
+    const errors = registry.counter('http_errors_total', 'Failed requests by error type', ['route', 'type']);
+    const inFlight = registry.gauge('http_requests_in_flight', 'Requests not answered yet');
+    const rowsSent = registry.counter('rows_sent_total', 'Rows returned to the browser (result cache hits included)', ['route']);
+
+    // Statements on the data source
+    const statements = registry.counter('statements_total', 'Statements run on the data source', ['kind', 'outcome']);
+    const statementLatency = registry.histogram('statement_duration_seconds', 'Statement run time until its rows are all read', ['kind']);
+    const activeStreams = registry.gauge('active_streams', 'Row streams open from the data source');
+
+    /**
+     * Express middleware: counts every request once it is answered (or abandoned)
+     * @returns {Function}
+     */
+    registry.middleware = () => (req, res, next) => {
+        const start = process.hrtime.bigint();
+        inFlight.inc();
+
+        res.on('close', () => {
+            inFlight.dec();
+            const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+            const aborted = !res.writableFinished;
+            const status = aborted ? 499 : res.statusCode;
+            const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+
+            requests.inc({ method: req.method, route, status });
+            latency.observe({ method: req.method, route }, seconds);
+
+            const type = classifyError(status, aborted);
+            if (type) {
+                errors.inc({ route, type });
+            }
+            if (req.queryAudit && req.queryAudit.rowCount > 0) {
+                rowsSent.inc({ route }, req.queryAudit.rowCount);
+            }
+        });
+        next();
+    };
+
+    /**
+     * The same data source, with its statements counted and timed
+     * @param {Object} source - Session-bound data source
+     * @returns {Object}
+     */
+    registry.instrumentDataSource = source => ({
+        ...source,
+
+        async execute(sql, binds, options) {
+            const start = process.hrtime.bigint();
+            try {
+                const rows = await source.execute(sql, binds, options);
+                statements.inc({ kind: 'execute', outcome: 'ok' });
+                return rows;
+            } catch (error) {
+                statements.inc({ kind: 'execute', outcome: 'error' });
+                throw error;
+            } finally {
+                statementLatency.observe({ kind: 'execute' }, Number(process.hrtime.bigint() - start) / 1e9);
+            }
+        },
+
+        async streamRows(sql, binds, options) {
+            const start = process.hrtime.bigint();
+            let stream;
+            try {
+                stream = await source.streamRows(sql, binds, options);
+            } catch (error) {
+                statements.inc({ kind: 'stream', outcome: 'error' });
+                throw error;
+            }
+
+            activeStreams.inc();
+            let outcome = 'ok';
+            stream.on('error', () => {
+                outcome = 'error';
+            });
+            stream.on('close', () => {
+                activeStreams.dec();
+                statements.inc({ kind: 'stream', outcome: stream.readableEnded || outcome === 'error' ? outcome : 'cancelled' });
+                statementLatency.observe({ kind: 'stream' }, Number(process.hrtime.bigint() - start) / 1e9);
+            });
+            return stream;
+        }
+    });
+
+    // The process itself
+    const uptime = registry.gauge('process_uptime_seconds', 'Seconds since the server started');
+    const memory = registry.gauge('process_memory_bytes', 'Memory use of the server process', ['type']);
+    registry.collect(() => {
+        uptime.set({}, Math.round(process.uptime()));
+        const usage = process.memoryUsage();
+        memory.set({ type: 'rss' }, usage.rss);
+        memory.set({ type: 'heap_used' }, usage.heapUsed);
+        memory.set({ type: 'heap_total' }, usage.heapTotal);
+    });
+
+    return registry;
+}
+
+
+module.exports = {
+    createMetrics
+};
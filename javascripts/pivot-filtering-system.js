@@ -1,3 +1,5 @@
+import { API_BASE_URL } from './app-config.js';
+
 /**
  * EnhancedFilterSystem - Main class for managing all filtering logic
  */
@@ -28,6 +30,9 @@ class EnhancedFilterSystem {
     
     // Track dropdown open states
     this.openDropdowns = {};
+
+    // In-flight server requests by kind ('fact', 'gmid'); a newer request aborts the older one
+    this.activeRequests = {};
     
     // Element references
     this.elements = {
@@ -106,6 +111,9 @@ class EnhancedFilterSystem {
       }
     };
     
+    // Every filter this page knows; initialize() keeps the ones the loaded fact table has
+    this.baseFilterMeta = this.filterMeta;
+
     // Performance tracking
     this.perfTracking = {
       lastFilterTime: 0,
@@ -131,8 +139,13 @@ class EnhancedFilterSystem {
       return false;
     }
 
+    this.applyFactTableToFilterMeta();
+    this.applyEntitlementsToFilterMeta();
+
     // Ensure GMID_DISPLAY placeholder data exists
-    await this.ensureGmidPlaceholderData();
+    if (this.factHasDimension('gmid_display')) {
+      await this.ensureGmidPlaceholderData();
+    }
     
     this.initializeHierarchyFilters();
     this.createFilterComponents();
@@ -158,6 +171,87 @@ class EnhancedFilterSystem {
   }
 
 
+  /**
+   * Keep the filters of the dimensions the loaded fact table joins, filtering on that fact's columns
+   * (state.tableRegistry / state.factTable). Without a registry every filter is kept.
+   */
+  applyFactTableToFilterMeta() {
+    const fact = this.state.tableRegistry?.facts?.[this.state.factTable];
+    if (!fact) {
+      this.filterMeta = this.baseFilterMeta;
+      return;
+    }
+
+    this.filterMeta = {};
+    Object.values(this.baseFilterMeta).forEach(dimension => {
+      const factField = fact.joins[`DIM_${dimension.dimensionKey.toUpperCase()}`];
+      if (factField) {
+        this.filterMeta[dimension.id] = { ...dimension, factField };
+      }
+    });
+
+    console.log(`✅ Status: ${Object.keys(this.filterMeta).length} filters for ${this.state.factTable}`);
+  }
+
+
+  /**
+   * Offer only the values the signed-in user is entitled to (state.entitlements, from GET /api/auth/me).
+   * A filter on a restricted fact field (LE, MC, ROOT_SMARTCODE) gets the allowed values as entitledValues;
+   * the server applies the same limits to every query, so other values would only return empty results.
+   */
+  applyEntitlementsToFilterMeta() {
+    const fields = this.state.entitlements?.fields || {};
+
+    Object.values(this.filterMeta).forEach(dimension => {
+      const allowed = fields[dimension.factField];
+      dimension.entitledValues = Array.isArray(allowed) ? new Set(allowed) : null;
+      if (dimension.entitledValues) {
+        console.log(`🔏 ${dimension.label}: limited to ${allowed.length} entitled values`);
+      }
+    });
+  }
+
+
+  /**
+   * @param {Object} dimension - Dimension configuration
+   * @param {*} value - Fact field value
+   * @returns {boolean} - True when the user may see rows with this value
+   */
+  isEntitledValue(dimension, value) {
+    return !dimension.entitledValues || dimension.entitledValues.has(String(value));
+  }
+
+
+  /**
+   * @param {Object} node - Hierarchy node
+   * @param {Object} dimension - Dimension configuration
+   * @returns {boolean} - True when the node or one of its descendants is an entitled value
+   */
+  isEntitledNode(node, dimension) {
+    if (!dimension.entitledValues) {
+      return true;
+    }
+    if (node.isLeaf && node.factId) {
+      const factIds = Array.isArray(node.factId) ? node.factId : [node.factId];
+      return factIds.some(id => this.isEntitledValue(dimension, id));
+    }
+    if (!node.children || node.children.length === 0) {
+      return true;
+    }
+    return this.nodeHasAvailableDescendants(node, this.state.hierarchies[dimension.dimensionKey], dimension.entitledValues);
+  }
+
+
+  /**
+   * @param {string} dimensionKey - e.g. 'gmid_display'
+   * @returns {boolean} - True when the loaded fact table joins the dimension (or no registry is loaded)
+   */
+  factHasDimension(dimensionKey) {
+    const fact = this.state.tableRegistry?.facts?.[this.state.factTable];
+    return !fact || fact.dimensions.includes(`DIM_${dimensionKey.toUpperCase()}`);
+  }
+
+
   // Ensure GMID placeholder data exists
   async ensureGmidPlaceholderData() {
       if (!this.state.dimensions.gmid_display || this.state.dimensions.gmid_display.length === 0) {
@@ -202,12 +296,68 @@ class EnhancedFilterSystem {
   }
 
 
+  /**
+   * Start a server request, aborting the previous request of the same kind if it is still running.
+   * The server cancels the aborted Snowflake statement when the connection drops.
+   * @param {string} kind - Request kind ('fact', 'gmid')
+   * @returns {AbortController} - Controller whose signal goes to fetch
+   */
+  beginRequest(kind) {
+    const previous = this.activeRequests[kind];
+    if (previous) {
+      previous.superseded = true;
+      previous.abort();
+      console.log(`🛑 Aborted superseded ${kind} request`);
+    }
+
+    const controller = new AbortController();
+    this.activeRequests[kind] = controller;
+    return controller;
+  }
+
+
+  /**
+   * Forget a finished request (unless a newer one already replaced it)
+   * @param {string} kind - Request kind
+   * @param {AbortController} controller - Controller returned by beginRequest
+   */
+  endRequest(kind, controller) {
+    if (this.activeRequests[kind] === controller) {
+      delete this.activeRequests[kind];
+    }
+  }
+
+
+  /**
+   * Abort every in-flight request, e.g. when the user resets the filters
+   */
+  cancelActiveRequests() {
+    Object.keys(this.activeRequests).forEach(kind => {
+      const controller = this.activeRequests[kind];
+      controller.superseded = true;
+      controller.abort();
+      console.log(`🛑 Cancelled ${kind} request`);
+    });
+    this.activeRequests = {};
+  }
+
+
+  /**
+   * Error thrown by a request that a newer one replaced; callers drop its result silently
+   * @param {string} kind - Request kind
+   * @returns {Error}
+   */
+  createSupersededError(kind) {
+    const error = new Error(`${kind} request superseded by a newer one`);
+    error.name = 'SupersededRequestError';
+    return error;
+  }
+
+
   /**
    * Load GMID_DISPLAY data for specific ROOT_GMIDs
    */
   async loadGmidDisplayData(rootGmids, additionalFilters = {}, options = {}) {
-    const API_BASE_URL = 'http://localhost:3000/api';
-    
     // Validate inputs
     if (!rootGmids || !Array.isArray(rootGmids) || rootGmids.length === 0) {
         console.warn('⚠️ No ROOT_GMIDs provided for GMID data loading');
@@ -226,6 +376,9 @@ class EnhancedFilterSystem {
     
     console.log(`📡 Loading GMID data for ${limitedRootGmids.length} ROOT_GMIDs...`);
     
+    const controller = this.beginRequest('gmid');
+    let timeoutId = null;
+    
     try {
         // Determine if we need enhanced endpoint
         const hasPathGmidFilter = additionalFilters.PATH_GMID && 
@@ -278,13 +431,13 @@ class EnhancedFilterSystem {
         console.log(`📊 GMID API URL: ${finalUrl}`);
         
         // Set up request with timeout
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => {
+        timeoutId = setTimeout(() => {
             controller.abort();
             console.warn(`⏰ GMID data request timeout after ${timeout}ms`);
         }, timeout);
         
         const response = await fetch(finalUrl, {
+            credentials: 'include',
             headers: { 
                 'Accept': 'application/x-ndjson',
                 'X-Request-Source': 'EnhancedFilterSystem',
@@ -293,8 +446,6 @@ class EnhancedFilterSystem {
             signal: controller.signal
         });
         
-        clearTimeout(timeoutId);
-        
         if (!response.ok) {
             const errorText = await response.text().catch(() => 'Unknown error');
             throw new Error(`API returned ${response.status}: ${response.statusText}. ${errorText}`);
@@ -354,6 +505,9 @@ class EnhancedFilterSystem {
                 }
             }
         } catch (streamError) {
+            if (controller.superseded) {
+                throw this.createSupersededError('gmid');
+            }
             console.error('❌ Error during GMID data streaming:', streamError);
             throw new Error(`Streaming error: ${streamError.message}`);
         }
@@ -447,6 +601,10 @@ class EnhancedFilterSystem {
         return rows;
         
     } catch (error) {
+        if (controller.superseded || error.name === 'SupersededRequestError') {
+            console.log('ℹ️ GMID data request superseded, discarding its result');
+            throw this.createSupersededError('gmid');
+        }
         if (error.name === 'AbortError') {
             console.error(`❌ GMID data request timeout after ${timeout}ms`);
             throw new Error(`Request timeout - GMID data loading took longer than ${timeout/1000} seconds`);
@@ -466,6 +624,9 @@ class EnhancedFilterSystem {
         }
         
         throw error;
+    } finally {
+        clearTimeout(timeoutId);
+        this.endRequest('gmid', controller);
     }
   }
 
@@ -1141,6 +1302,9 @@ class EnhancedFilterSystem {
   resetAllFilters() {
     console.log('🔄 Resetting all filters to zero selection...');
     
+    // Results of loads started for the old selection are no longer wanted
+    this.cancelActiveRequests();
+    
     // Clear all filter selections (making everything excluded/unchecked)
     Object.values(this.filterMeta).forEach(dimension => {
         if (dimension.hierarchical) {
@@ -1353,7 +1517,7 @@ class EnhancedFilterSystem {
     // Clear any remaining small data references
     if (this.state) {
         this.state.factData = [];
-        this.state.filteredData = [];
+        this.state.filteredData = null;
         this.state.factDataLoaded = false;
     }
     
@@ -1821,7 +1985,7 @@ class EnhancedFilterSystem {
    * @param {number} level - Current nesting level
    */
   renderHierarchyNode(container, node, dimension, level) {
-    if (!node) return;
+    if (!node || !this.isEntitledNode(node, dimension)) return;
     
     const nodeContainer = document.createElement('div');
     nodeContainer.className = 'filter-tree-node';
@@ -2181,8 +2345,11 @@ class EnhancedFilterSystem {
         console.log(`Available dimensions:`, Object.keys(this.state.dimensions || {}));
     }
     
-    // Convert to array format
+    // Convert to array format, leaving out values the user is not entitled to
     valueSet.forEach(value => {
+      if (!this.isEntitledValue(dimension, value)) {
+        return;
+      }
       result.push({
         value: value,
         id: value,
@@ -2470,8 +2637,10 @@ class EnhancedFilterSystem {
 
   /**
    * Apply all filters to the data
+   * @param {Object|null} replayParams - Filter parameters of an earlier load ({ FACT_FIELD: [values] },
+   *        e.g. from the Recent queries panel) to load again instead of the current selections
    */
-  async applyAllFilters() {
+  async applyAllFilters(replayParams = null) {
     console.log('🚀 === APPLYING FILTERS WITH OPTIMIZED GMID FILTERING ===');
     console.time('ApplyOptimizedFilters');
 
@@ -2479,7 +2648,9 @@ class EnhancedFilterSystem {
     this.showLoadingStep('Validating filter selections...', 1, 6); // Updated to 6 steps
 
     // Build and validate filter parameters
-    const validFilterParams = this.buildValidFilterParameters();
+    const validFilterParams = replayParams
+      ? { isValid: true, params: replayParams, dimensionStates: {} }
+      : this.buildValidFilterParameters();
 
     if (!validFilterParams.isValid) {
         console.log(`❌ Filter validation failed: ${validFilterParams.reason}`);
@@ -2506,13 +2677,42 @@ class EnhancedFilterSystem {
             console.warn('⚠️ GMID filtering failed, but continuing with fact data filtering');
         }
         
-        // STEP 3: Fetch filtered fact data
-        this.showLoadingStep('Fetching filtered FACT_BOM data...', 3, 6);
-        
-        const factData = await this.fetchFilteredFactData(validFilterParams.params);
+        // Remember the filter set so the pivot can re-aggregate when the layout changes
+        this.state.lastFilterParams = validFilterParams.params;
+
+        // STEP 3: Fetch filtered fact data (or let Snowflake aggregate it for the pivot)
+        let factData;
+        let matchingRecordCount;
+        let aggregated = false;
+
+        if (this.state.serverAggregation && window.App?.pivotTable?.ensureServerAggregates) {
+            this.showLoadingStep(`Aggregating ${this.state.factTable} data in Snowflake...`, 3, 6);
+
+            try {
+                const aggregateResult = await window.App.pivotTable.ensureServerAggregates(true);
+                factData = aggregateResult.rows;
+                matchingRecordCount = aggregateResult.stats.factRecordCount;
+                aggregated = true;
+            } catch (aggregateError) {
+                if (aggregateError.name === 'SupersededRequestError') {
+                    throw aggregateError;
+                }
+                console.error('❌ Server-side aggregation failed, fetching raw fact data instead:', aggregateError);
+                this.state.aggregateGrain = [];
+            }
+        }
+
+        if (!aggregated) {
+            this.showLoadingStep(`Fetching filtered ${this.state.factTable} data...`, 3, 6);
+
+            factData = await this.fetchFilteredFactData(validFilterParams.params);
+            matchingRecordCount = factData ? factData.length : 0;
+        }
         
         if (!factData || factData.length === 0) {
             console.log('⚠️ No FACT_BOM data returned for current filter selection');
+            // The filter is applied and matched nothing: the pivot shows zero, not the previous rows
+            this.state.filteredData = [];
             this.showErrorState('No data matches selected filters - try different selections');
             this.handleEmptyFilterResult();
             return;
@@ -2525,7 +2725,7 @@ class EnhancedFilterSystem {
         this.state.filteredData = factData;
         this.state.factDataLoaded = true;
         
-        console.log(`✅ SUCCESS: Retrieved ${factData.length} FACT_BOM records matching filters`);
+        console.log(`✅ SUCCESS: Retrieved ${factData.length} rows covering ${matchingRecordCount} FACT_BOM records matching filters`);
         
         // STEP 5: Update dimension filters to reflect fact data constraints (optional)
         this.showLoadingStep('Updating dimension filters...', 5, 6);
@@ -2538,12 +2738,13 @@ class EnhancedFilterSystem {
         this.showLoadingStep('Finalizing data processing...', 6, 6);
         
         // Start animated progress for the record count
-        this.animateDataLoadingProgress(factData.length, 2000);
+        this.animateDataLoadingProgress(matchingRecordCount, 2000);
         
         // Initialize mappings and refresh UI (in background)
         setTimeout(() => {
             if (window.App && window.App.data && window.App.data.initializeMappings) {
-                window.App.data.initializeMappings();
+                // Aggregated rows only carry the grain columns: map from the dimension tables alone
+                window.App.data.initializeMappings(aggregated ? [] : factData);
             }
             
             // Refresh pivot table with new data
@@ -2558,8 +2759,18 @@ class EnhancedFilterSystem {
         
         console.timeEnd('ApplyOptimizedFilters');
         console.log('🚀 === OPTIMIZED FILTER APPLICATION COMPLETE ===');
+
+        // The load is now in the server's query log
+        if (window.App?.refreshRecentQueries) {
+            window.App.refreshRecentQueries();
+        }
         
     } catch (error) {
+        if (error.name === 'SupersededRequestError') {
+            // A newer Apply is already loading; let it own the UI
+            console.log('ℹ️ Filter application superseded by a newer one');
+            return;
+        }
         console.error('❌ Error in optimized filter application:', error);
         this.showErrorState(`Error loading data: ${error.message}`);
         this.handleFilterError(error);
@@ -3727,10 +3938,12 @@ class EnhancedFilterSystem {
    * @returns {Promise<Array>} - Promise resolving to filtered fact data
    */
   async fetchFilteredFactData(filterParams) {
-    const API_BASE_URL = 'http://localhost:3000/api';
+    // Abort the previous FACT_BOM load if the user applied new filters before it finished
+    const controller = this.beginRequest('fact');
+    let timeoutId = null;
     
     try {
-      console.log('🚀 FETCHING FACT_BOM DATA with validated parameters:', filterParams);
+      console.log(`🚀 FETCHING ${this.state.factTable} DATA with validated parameters:`, filterParams);
       
       // Validate parameters before sending
       const paramCount = Object.keys(filterParams).length;
@@ -3757,20 +3970,18 @@ class EnhancedFilterSystem {
         console.log(`🔍 ${field}: [${cleanValues.slice(0, 3).join(', ')}${cleanValues.length > 3 ? `, ... +${cleanValues.length - 3} more` : ''}] (${cleanValues.length} values)`);
       });
       
-      const url = `${API_BASE_URL}/data/FACT_BOM/filtered?${queryParams.toString()}`;
+      const url = `${API_BASE_URL}/data/${this.state.factTable}/filtered?${queryParams.toString()}`;
       console.log(`📡 API URL: ${url}`);
       
       // Add request timeout
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 60000); // 60 second timeout
+      timeoutId = setTimeout(() => controller.abort(), 60000); // 60 second timeout
       
       const response = await fetch(url, {
+        credentials: 'include',
         headers: { 'Accept': 'application/x-ndjson' },
         signal: controller.signal
       });
       
-      clearTimeout(timeoutId);
-      
       if (!response.ok) {
         const errorText = await response.text();
         console.error(`❌ API Error Response (${response.status}):`, errorText);
@@ -3861,6 +4072,10 @@ class EnhancedFilterSystem {
       return rows;
       
     } catch (error) {
+      if (controller.superseded) {
+        console.log('ℹ️ FACT_BOM request superseded, discarding its result');
+        throw this.createSupersededError('fact');
+      }
       if (error.name === 'AbortError') {
         console.error('❌ Request timeout: API took longer than 60 seconds to respond');
         throw new Error('Request timeout - please try with fewer filter selections');
@@ -3868,6 +4083,9 @@ class EnhancedFilterSystem {
       
       console.error('❌ Error fetching filtered FACT_BOM data:', error);
       throw error;
+    } finally {
+      clearTimeout(timeoutId);
+      this.endRequest('fact', controller);
     }
   }
 
@@ -4321,7 +4539,7 @@ class EnhancedFilterSystem {
         const allValues = this.getUniqueValuesForDimension(dimension);
   
         const validSet = new Set();
-        this.state.filteredData.forEach(record => {
+        (this.state.filteredData || this.state.factData || []).forEach(record => {
           const value = record[dimension.factField];
           if (value !== undefined && value !== null) validSet.add(value);
         });
@@ -4365,7 +4583,7 @@ class EnhancedFilterSystem {
         if (!treeContainer) return;
 
         const validFactIds = new Set();
-        this.state.filteredData.forEach(record => {
+        (this.state.filteredData || this.state.factData || []).forEach(record => {
           const value = record[dimension.factField];
           if (value !== undefined && value !== null) {
             validFactIds.add(value);
@@ -13,6 +13,7 @@ class PivotLoadingManager {
         this.currentStep = 0;
         this.statusTimeout = null;
         this.autoHideTimeout = null;
+        this.progressMode = false;
         
         // Create and inject the loading HTML
         this.createLoadingElements();
@@ -276,6 +277,10 @@ class PivotLoadingManager {
         if (fullLoader) fullLoader.classList.remove('active');
         if (compactLoader) compactLoader.classList.remove('active');
         
+        this.progressMode = false;
+        const progressBar = fullLoader?.querySelector('.pivot-progress-bar');
+        if (progressBar) progressBar.style.width = '';
+        
         // Reset status items after animation completes
         setTimeout(() => {
             this.resetStatusItems();
@@ -310,6 +315,45 @@ class PivotLoadingManager {
         if (loadingSubtitle && subtitle) loadingSubtitle.textContent = subtitle;
     }
     
+    /**
+     * Show real progress of a chunked data load instead of the timed steps
+     * @param {Object} progress - { loaded, estimated, percent, etaSeconds, retrying } from data.fetchDatabaseDataChunked
+     */
+    updateProgress(progress = {}) {
+        const loader = document.getElementById('pivotFullLoader');
+        if (!loader) return;
+        
+        const { loaded = 0, estimated = null, percent = null, etaSeconds = null, retrying = false } = progress;
+        
+        // Open the overlay on the first update; the load itself decides when it is done
+        if (!this.isLoading) {
+            this.isLoading = true;
+            this.progressMode = true;
+            loader.classList.add('active');
+        }
+        
+        const progressBar = loader.querySelector('.pivot-progress-bar');
+        if (progressBar) {
+            progressBar.style.width = percent !== null ? `${percent}%` : '';
+        }
+        
+        let subtitle = estimated
+            ? `${loaded.toLocaleString()} of ~${estimated.toLocaleString()} rows`
+            : `${loaded.toLocaleString()} rows`;
+        if (etaSeconds !== null && percent !== 100) {
+            subtitle += ` - about ${Math.max(1, Math.round(etaSeconds))}s remaining`;
+        }
+        if (retrying) {
+            subtitle += ' - connection lost, resuming...';
+        }
+        
+        this.updateMessage(percent !== null ? `Loading Fact Data (${percent}%)` : 'Loading Fact Data', subtitle);
+        
+        if (percent === 100 && this.progressMode) {
+            this.hide();
+        }
+    }
+    
     /**
      * Check if loader is currently active
      */
@@ -529,4 +573,11 @@ window.updatePivotLoaderMessage = (title, subtitle) => {
     if (window.pivotLoadingManager) {
         window.pivotLoadingManager.updateMessage(title, subtitle);
     }
+};
+
+// Update chunked load progress (percentage bar + ETA)
+window.updatePivotLoaderProgress = (progress) => {
+    if (window.pivotLoadingManager) {
+        window.pivotLoadingManager.updateProgress(progress);
+    }
 };
\ No newline at end of file
@@ -3,6 +3,9 @@
 import stateModule from './state.js';
 import data from './data.js';
 import PivotTemplateSystem from './pivot-table-template.js';
+import { encodeFactColumns, createFactCube } from './fact-cube.js';
+import whatIf from './what-if.js';
+import variance from './variance.js';
 
 
 // Get reference to application state
@@ -100,6 +103,17 @@ const pivotTable = {
     // Store a reference to the state object
     state: null,
     currentView: 'horizontal',
+    // AbortController of the server aggregation in flight (see ensureServerAggregates)
+    aggregateController: null,
+    // Web Worker computing cell values off the main thread (see pivot-worker.js)
+    pivotWorker: null,
+    workerFactsRef: null,            // Fact cube whose columns were last sent to the worker
+    workerHierarchiesRef: null,      // Hierarchies (and their signature) last sent to the worker
+    workerHierarchiesSignature: null,
+    workerRequestId: 0,
+    workerPending: null,             // Computation in flight
+    workerCells: null,               // cell key -> value of the last finished computation
+    workerCellsData: null,           // Fact array workerCells was computed from
 
     /**
      * Initialize the pivot table system
@@ -331,11 +345,28 @@ const pivotTable = {
      * Get field label from available fields
      */
     getFieldLabel: function (fieldId) {
+        if (whatIf.isScenarioField(fieldId)) {
+            return whatIf.scenarioFieldLabel(fieldId, this.getFieldLabel('COST_UNIT'), this.state.whatIfScenario);
+        }
+        if (variance.isVarianceField(fieldId)) {
+            return variance.varianceFieldLabel(fieldId, field => this.getFieldLabel(field), this.state.varianceMode);
+        }
         const fieldDef = this.state.availableFields.find(f => f.id === fieldId);
         return fieldDef ? fieldDef.label : fieldId;
     },
 
 
+    /**
+     * Value fields of the table: the user's, plus the scenario and delta columns of an active what-if
+     * scenario (see what-if.js); in variance mode each measure becomes its base, compare, Δ and Δ %
+     * columns (see variance.js)
+     */
+    getValueFields: function () {
+        const fields = whatIf.expandValueFields(this.state.valueFields || ['COST_UNIT'], this.state.whatIfScenario);
+        return variance.expandValueFields(fields, this.state.varianceMode, data.getMeasureFields());
+    },
+
+
     /**
      * Format a value for display
      */
@@ -474,6 +505,15 @@ const pivotTable = {
             return 0;
         }
 
+        // Ratios are not summed over the leaves: divide the totals of their parts
+        const parts = variance.ratioParts(measureField);
+        if (parts) {
+            return variance.ratio(
+                this.calculateMeasure(records, rowDef, colDef, parts.numerator),
+                this.calculateMeasure(records, rowDef, colDef, parts.denominator)
+            );
+        }
+
         // CRITICAL FIX: Handle ROOT nodes to show GRAND TOTAL of ALL records
         if (!rowDef || rowDef._id === 'ROOT' || rowDef.label === 'WORLDWIDE' || 
             rowDef._id === 'ROOT_WORLDWIDE' || rowDef._id === 'All GMIDs' ||
@@ -622,8 +662,13 @@ const pivotTable = {
             return 0;
         }
 
+        const parts = variance.ratioParts(measureField);
+        if (parts) {
+            return variance.ratio(this.calculateDirectMeasure(records, parts.numerator), this.calculateDirectMeasure(records, parts.denominator));
+        }
+
         let result = 0;
-        if (measureField === 'COST_UNIT' || measureField === 'QTY_UNIT') {
+        if (data.getMeasureFields().includes(measureField) || whatIf.isScenarioField(measureField) || variance.isVarianceField(measureField)) {
             records.forEach(record => {
                 const value = typeof record[measureField] === 'number' ? 
                     record[measureField] : parseFloat(record[measureField] || 0);
@@ -698,12 +743,506 @@ const pivotTable = {
     },
 
 
+    /**
+     * Records the pivot calculators work on: filtered data when a filter is active (even when it matched
+     * no rows), otherwise fact data. With server-side aggregation both hold the aggregated rows. An active what-if scenario adds its
+     * measures to them, variance mode keeps the rows of its two years with their base / compare
+     * measures (the same array is returned until the data, the scenario or the years change).
+     */
+    getCalculationData: function() {
+        const records = Array.isArray(this.state.filteredData)
+            ? this.state.filteredData
+            : this.state.factData || [];
+        return variance.withVariance(whatIf.withScenario(records, this.state.whatIfScenario), this.state.varianceMode, data.getMeasureFields());
+    },
+
+
+    /**
+     * Make sure the Snowflake aggregates cover every field in the current layout.
+     * Aggregated rows keep the fact table's shape, so they are stored as factData and summed by the usual calculators.
+     * Sums compose, so a grain that already contains the layout fields is reused without a new query.
+     * @param {boolean} force - Re-query even if the current grain covers the layout
+     * @returns {Promise<Object|null>} - Aggregation result, or null when aggregation is not in use
+     */
+    ensureServerAggregates: async function(force = false) {
+        if (!this.state.serverAggregation || !this.state.lastFilterParams) {
+            return null;
+        }
+
+        const rowFields = this.state.rowFields || [];
+        const columnFields = this.state.columnFields || [];
+        const scenarioFields = [...whatIf.scenarioGrainFields(this.state.whatIfScenario), ...variance.varianceGrainFields(this.state.varianceMode)];
+        const requiredFields = [...new Set([...data.getFactFieldsForLayout([...rowFields, ...columnFields]), ...scenarioFields])];
+        const currentGrain = this.state.aggregateGrain || [];
+
+        const grainCovered = this.state.factData && this.state.factData.length > 0 &&
+            requiredFields.every(field => currentGrain.includes(field));
+
+        if (!force && grainCovered) {
+            return { rows: this.state.factData, groupBy: currentGrain, reused: true };
+        }
+
+        // Only the newest aggregation may write to state: abort one still running for an older layout/filter set
+        if (this.aggregateController) {
+            this.aggregateController.abort();
+        }
+        const controller = new AbortController();
+        this.aggregateController = controller;
+
+        let result;
+        try {
+            result = await data.fetchPivotAggregates(
+                this.state.lastFilterParams,
+                rowFields,
+                columnFields,
+                data.getMeasureFields(),
+                { signal: controller.signal, extraGrain: scenarioFields }
+            );
+        } catch (error) {
+            if (controller.signal.aborted) {
+                const superseded = new Error('Aggregation superseded by a newer one');
+                superseded.name = 'SupersededRequestError';
+                throw superseded;
+            }
+            throw error;
+        } finally {
+            if (this.aggregateController === controller) {
+                this.aggregateController = null;
+            }
+        }
+
+        this.state.factData = result.rows;
+        this.state.filteredData = result.rows;
+        this.state.aggregateGrain = result.groupBy;
+        this.state.aggregateTotals = result.totals;
+        this.state.factDataLoaded = true;
+
+        return result;
+    },
+
+
+    /**
+     * Fact fields of the loaded hierarchies (the fields the fact cube indexes)
+     * @returns {Array<string>}
+     */
+    getHierarchyFactFields: function() {
+        return Object.keys(this.state.hierarchies || {})
+            .map(dimName => data.getFactIdField(dimName))
+            .filter((field, index, fields) => field && fields.indexOf(field) === index);
+    },
+
+
+    /**
+     * Cheap fingerprint of the hierarchies: changes when a hierarchy is added, removed or rebuilt
+     * with a different number of nodes
+     */
+    getHierarchiesSignature: function() {
+        const hierarchies = this.state.hierarchies || {};
+        return Object.keys(hierarchies)
+            .map(dimName => `${dimName}:${Object.keys(hierarchies[dimName]?.nodesMap || {}).length}`)
+            .join(',');
+    },
+
+
+    /**
+     * Bitmap index over the calculation data (see fact-cube.js). Built once per fact array, i.e. after
+     * ingest and after every filter change; node bitsets are dropped when the hierarchies change.
+     * @returns {Object|null} - null when there is no data
+     */
+    getFactCube: function() {
+        const factData = this.getCalculationData();
+        if (!factData || factData.length === 0) {
+            return null;
+        }
+
+        const fields = this.getHierarchyFactFields();
+        const signature = this.getHierarchiesSignature();
+        const cube = this.state.factCube;
+
+        if (cube && cube.source === factData && fields.every(field => cube.hasField(field))) {
+            if (cube.hierarchies !== this.state.hierarchies || cube.hierarchiesSignature !== signature) {
+                cube.clearBitsets();
+                cube.hierarchies = this.state.hierarchies;
+                cube.hierarchiesSignature = signature;
+            }
+            return cube;
+        }
+
+        const startTime = performance.now();
+        const newCube = createFactCube(encodeFactColumns(factData, fields, [
+            ...data.getMeasureFields(),
+            ...whatIf.scenarioMeasureFields(this.state.whatIfScenario),
+            ...variance.varianceMeasureFields(this.state.varianceMode, data.getMeasureFields())
+        ]));
+        newCube.source = factData;
+        newCube.hierarchies = this.state.hierarchies;
+        newCube.hierarchiesSignature = signature;
+        this.state.factCube = newCube;
+
+        console.log(`🧊 Fact cube built: ${factData.length.toLocaleString()} rows, ${fields.length} indexed fields in ${Math.round(performance.now() - startTime)}ms`);
+        return newCube;
+    },
+
+
+    /**
+     * Rows of a pivot node as a cube bitset, with the same rules as filterRecordsByDimension:
+     * leaves match their factId, parents the factIds of all their leaves
+     * @returns {Uint32Array|null} - null when the node does not filter
+     */
+    getNodeBitset: function(node, cube) {
+        if (!node || !node.hierarchyField || this.isAllNode(node)) {
+            return null;
+        }
+
+        const dimName = data.extractDimensionName(node.hierarchyField);
+        const factField = data.getFactIdField(dimName);
+        if (!factField || !cube.hasField(factField)) {
+            return null;
+        }
+
+        let factIds = null;
+        if (node.isLeaf && node.factId) {
+            factIds = Array.isArray(node.factId) ? node.factId : [node.factId];
+        } else {
+            const hierarchy = this.state.hierarchies?.[dimName];
+            const hierarchyNode = hierarchy?.nodesMap?.[node._id];
+            if (hierarchyNode) {
+                // precomputeDescendantFactIds (data.js) has usually done the walk already
+                factIds = hierarchyNode.descendantFactIds && hierarchyNode.descendantFactIds.length > 0
+                    ? hierarchyNode.descendantFactIds
+                    : this.getAllLeafDescendants(hierarchyNode, hierarchy)
+                        .flatMap(leaf => Array.isArray(leaf.factId) ? leaf.factId : [leaf.factId])
+                        .filter(factId => factId !== undefined && factId !== null);
+            }
+        }
+
+        if (!factIds || factIds.length === 0) {
+            return null;
+        }
+        return cube.bitsetFor(`${dimName}:${node._id}`, factField, factIds);
+    },
+
+
+    /**
+     * Value of a row × column × measure cell from the worker results or, failing that, the fact cube
+     * @returns {number|undefined} - undefined when neither is available (caller scans the records)
+     */
+    getIndexedCellValue: function(rowNodes, columnNodes, valueField) {
+        const parts = variance.ratioParts(valueField);
+        if (parts) {
+            const numerator = this.getIndexedCellValue(rowNodes, columnNodes, parts.numerator);
+            const denominator = this.getIndexedCellValue(rowNodes, columnNodes, parts.denominator);
+            return numerator === undefined || denominator === undefined ? undefined : variance.ratio(numerator, denominator);
+        }
+
+        const workerValue = this.lookupWorkerCell(rowNodes, columnNodes, valueField);
+        if (workerValue !== undefined) {
+            return workerValue;
+        }
+
+        const cube = this.getFactCube();
+        if (!cube) {
+            return undefined;
+        }
+
+        const bitsets = [...(rowNodes || []), ...(columnNodes || [])].map(node => this.getNodeBitset(node, cube));
+        return cube.sum(cube.intersect(bitsets), valueField);
+    },
+
+
+    /**
+     * Start the pivot worker on first use. Returns null (calculate on the main thread) when workers are
+     * not supported, disabled with state.pivotWorker = false, or the worker has failed before.
+     * @returns {Worker|null}
+     */
+    getPivotWorker: function() {
+        if (this.pivotWorker) {
+            return this.pivotWorker;
+        }
+        if (this.state?.pivotWorker === false || typeof Worker === 'undefined') {
+            return null;
+        }
+
+        try {
+            const worker = new Worker(new URL('./pivot-worker.js', import.meta.url), { type: 'module' });
+            worker.onmessage = (event) => this.handlePivotWorkerMessage(event.data);
+            worker.onerror = (event) => {
+                console.error("❌ Pivot worker failed, calculating on the main thread from now on:", event.message);
+                this.state.pivotWorker = false;
+                this.terminatePivotWorker(new Error(`Pivot worker failed: ${event.message}`));
+            };
+            this.pivotWorker = worker;
+            console.log("🧵 Pivot worker started");
+        } catch (error) {
+            console.warn("⚠️ Pivot worker unavailable, calculating on the main thread:", error.message);
+            this.state.pivotWorker = false;
+        }
+        return this.pivotWorker;
+    },
+
+
+    /**
+     * Stop the worker and fail the computation in flight
+     * @param {Error} reason - Passed to the pending computation
+     */
+    terminatePivotWorker: function(reason) {
+        if (this.pivotWorker) {
+            this.pivotWorker.terminate();
+            this.pivotWorker = null;
+        }
+        this.workerFactsRef = null;
+        this.workerHierarchiesRef = null;
+        this.workerCells = null;
+
+        if (this.workerPending) {
+            const pending = this.workerPending;
+            this.workerPending = null;
+            pending.reject(reason);
+        }
+    },
+
+
+    /**
+     * Send the fact cube's columns to the worker once per cube: dimension key fields as dictionary
+     * codes (Int32Array), measures as Float64Arrays. Copies are transferred, so the main-thread
+     * cube keeps its own buffers.
+     * @param {Worker} worker
+     * @param {Object} cube - From getFactCube
+     */
+    syncWorkerFacts: function(worker, cube) {
+        if (this.workerFactsRef === cube) {
+            return;
+        }
+
+        const { rowCount, fields, measures } = cube.columns;
+        const workerFields = {};
+        const workerMeasures = {};
+        const transfer = [];
+
+        Object.entries(fields).forEach(([field, { codes, dict }]) => {
+            workerFields[field] = { codes: codes.slice(), dict };
+            transfer.push(workerFields[field].codes.buffer);
+        });
+        Object.entries(measures).forEach(([field, values]) => {
+            workerMeasures[field] = values.slice();
+            transfer.push(workerMeasures[field].buffer);
+        });
+
+        worker.postMessage({ type: 'facts', rowCount, fields: workerFields, measures: workerMeasures }, transfer);
+        this.workerFactsRef = cube;
+    },
+
+
+    /**
+     * Send a compact copy of the hierarchies (children, factId, isLeaf per node) when they changed
+     * @param {Worker} worker
+     */
+    syncWorkerHierarchies: function(worker) {
+        const hierarchies = this.state.hierarchies || {};
+        const signature = this.getHierarchiesSignature();
+
+        if (this.workerHierarchiesRef === hierarchies && this.workerHierarchiesSignature === signature) {
+            return;
+        }
+
+        const dimensions = {};
+        Object.entries(hierarchies).forEach(([dimName, hierarchy]) => {
+            if (!hierarchy || !hierarchy.nodesMap) return;
+
+            const nodes = {};
+            Object.entries(hierarchy.nodesMap).forEach(([id, node]) => {
+                nodes[id] = {
+                    children: (node.children || []).map(child => typeof child === 'string' ? child : child.id),
+                    factId: node.factId,
+                    isLeaf: !!node.isLeaf
+                };
+            });
+            dimensions[dimName] = { factField: data.getFactIdField(dimName), nodes };
+        });
+
+        worker.postMessage({ type: 'hierarchies', dimensions });
+        this.workerHierarchiesRef = hierarchies;
+        this.workerHierarchiesSignature = signature;
+        this.workerCells = null;
+    },
+
+
+    /**
+     * Node reference understood by the worker; null for nodes that do not filter (see isAllNode)
+     */
+    toWorkerNodeRef: function(node) {
+        if (!node || !node.hierarchyField || this.isAllNode(node)) {
+            return null;
+        }
+        return {
+            dim: data.extractDimensionName(node.hierarchyField),
+            id: node._id,
+            factId: node.isLeaf ? node.factId : undefined
+        };
+    },
+
+
+    /**
+     * Key of a list of row or column nodes in the worker cell cache
+     */
+    getNodeListKey: function(nodes) {
+        return (nodes || []).map(node => node ? `${node.hierarchyField}:${node._id}` : '*').join('|');
+    },
+
+
+    /**
+     * Value computed by the worker for a row × column × measure cell
+     * @returns {number|undefined} - undefined when the worker did not compute this cell
+     */
+    lookupWorkerCell: function(rowNodes, columnNodes, valueField) {
+        if (!this.workerCells || this.workerCellsData !== this.getCalculationData()) {
+            return undefined;
+        }
+        return this.workerCells.get(`${this.getNodeListKey(rowNodes)}#${this.getNodeListKey(columnNodes)}#${valueField}`);
+    },
+
+
+    /**
+     * Compute the cells of the current layout in the worker: every pivot row (and multi-dimension row
+     * combination) against no column, every column node and the multi-column combinations. The
+     * calculators then read the results through lookupWorkerCell.
+     * @param {Function} onProgress - Called with the percentage of rows computed
+     * @returns {Promise<boolean>} - false when the worker is not used
+     */
+    computePivotCellsInWorker: async function(onProgress = null) {
+        const worker = this.getPivotWorker();
+        const factData = this.getCalculationData();
+        const pivotData = this.state.pivotData;
+
+        if (!worker || !pivotData || !pivotData.rows || factData.length === 0) {
+            return false;
+        }
+
+        const rowFields = this.state.rowFields || [];
+        const columnFields = this.state.columnFields || [];
+        // Ratios are divided from their parts on lookup (see getIndexedCellValue)
+        const valueFields = this.getValueFields().filter(field => !variance.ratioParts(field));
+
+        const rowSets = new Map();
+        pivotData.rows.forEach(row => rowSets.set(this.getNodeListKey([row]), [row]));
+        if (rowFields.length > 1) {
+            this.generateEnhancedRowCombinations(rowFields).forEach(combination => {
+                rowSets.set(this.getNodeListKey(combination.nodes), combination.nodes);
+            });
+        }
+
+        const columnSets = new Map([['', []]]);
+        (pivotData.columns || [])
+            .filter(col => col.hierarchyField)
+            .forEach(col => columnSets.set(this.getNodeListKey([col]), [col]));
+        if (columnFields.length > 1) {
+            try {
+                PivotTemplateSystem.generateTemplate6ColumnCombinations(pivotData, columnFields, this).forEach(combo => {
+                    columnSets.set(this.getNodeListKey(combo.nodes), combo.nodes);
+                });
+            } catch (error) {
+                console.warn("⚠️ Column combinations not precomputed:", error.message);
+            }
+        }
+
+        this.syncWorkerHierarchies(worker);
+        this.syncWorkerFacts(worker, this.getFactCube());
+
+        // Only the newest computation may fill the cache
+        if (this.workerPending) {
+            const superseded = new Error('Pivot calculation superseded by a newer one');
+            superseded.name = 'SupersededRequestError';
+            this.workerPending.reject(superseded);
+        }
+
+        const requestId = ++this.workerRequestId;
+        const rows = Array.from(rowSets.values());
+        const columns = Array.from(columnSets.values());
+
+        return new Promise((resolve, reject) => {
+            this.workerPending = {
+                requestId,
+                rowKeys: Array.from(rowSets.keys()),
+                columnKeys: Array.from(columnSets.keys()),
+                valueFields,
+                cells: new Map(),
+                rowsDone: 0,
+                factData,
+                onProgress,
+                resolve,
+                reject
+            };
+
+            worker.postMessage({
+                type: 'compute',
+                requestId,
+                config: { rowFields, columnFields, valueFields },
+                rows: rows.map(nodes => nodes.map(node => this.toWorkerNodeRef(node))),
+                columns: columns.map(nodes => nodes.map(node => this.toWorkerNodeRef(node)))
+            });
+            console.log(`🧵 Pivot worker computing ${rows.length} rows × ${columns.length} columns × ${valueFields.length} measures`);
+        });
+    },
+
+
+    /**
+     * Collect worker batches into the pending computation's cell map
+     * @param {Object} message - cells / done / error message from pivot-worker.js
+     */
+    handlePivotWorkerMessage: function(message) {
+        const pending = this.workerPending;
+        if (!pending || message.requestId !== pending.requestId) {
+            return;   // result of a superseded computation
+        }
+
+        switch (message.type) {
+            case 'cells': {
+                const { rowStart, rowCount, values } = message;
+                const columnCount = pending.columnKeys.length;
+                const measureCount = pending.valueFields.length;
+
+                for (let r = 0; r < rowCount; r++) {
+                    const rowKey = pending.rowKeys[rowStart + r];
+                    for (let c = 0; c < columnCount; c++) {
+                        for (let m = 0; m < measureCount; m++) {
+                            const value = values[((r * columnCount) + c) * measureCount + m];
+                            pending.cells.set(`${rowKey}#${pending.columnKeys[c]}#${pending.valueFields[m]}`, value);
+                        }
+                    }
+                }
+
+                pending.rowsDone += rowCount;
+                if (typeof pending.onProgress === 'function') {
+                    pending.onProgress(Math.round((pending.rowsDone / pending.rowKeys.length) * 100));
+                }
+                break;
+            }
+
+            case 'done':
+                this.workerPending = null;
+                this.workerCells = pending.cells;
+                this.workerCellsData = pending.factData;
+                console.log(`✅ Pivot worker computed ${pending.cells.size} cells in ${message.elapsedMs}ms`);
+                pending.resolve(true);
+                break;
+
+            case 'error':
+                this.workerPending = null;
+                pending.reject(new Error(message.message));
+                break;
+        }
+    },
+
+
     /**
      * Calculate cross-dimensional measure for stacked columns
      */
     calculateCrossDimensionalMeasure: function(rowNode, columnNodes, measureField) {
+        const indexedValue = this.getIndexedCellValue([rowNode], columnNodes, measureField);
+        if (indexedValue !== undefined) return indexedValue;
+
         // Start with all fact data
-        let filteredData = [...(this.state.filteredData || this.state.factData)];
+        let filteredData = [...this.getCalculationData()];
         
         // console.log(`🔍 CROSS-CALC: Row ${rowNode.label} × Columns [${columnNodes.map(n => n.label).join(', ')}] × ${measureField}`);
         
@@ -752,16 +1291,18 @@ const pivotTable = {
 
     /**
      * Process pivot data
+     * @param {Object} options - { deferCells: build the row/column structure only, the caller calculates the cells }
+     * @returns {boolean} - false when there is no fact data
      */
-    processPivotData: function () {
+    processPivotData: function (options = {}) {
         if (!this.state.factData || this.state.factData.length === 0) {
             console.error("No fact data available for pivot table");
-            return;
+            return false;
         }
 
         const rowFields = this.state.rowFields || [];
         const columnFields = this.state.columnFields || [];
-        const valueFields = this.state.valueFields || ['COST_UNIT'];
+        const valueFields = this.getValueFields();
 
         if (rowFields.length === 0) {
             console.warn("No row fields selected, defaulting to first available dimension");
@@ -820,7 +1361,10 @@ const pivotTable = {
         console.log(`📊 Pivot data structure: ${this.state.pivotData.rows.length} rows, ${this.state.pivotData.columns.length} columns`);
 
         // Calculate the values for each cell
-        this.calculatePivotCells();
+        if (!options.deferCells) {
+            this.calculatePivotCells();
+        }
+        return true;
     },
 
 
@@ -1148,13 +1692,11 @@ const pivotTable = {
         const pivotData = this.state.pivotData;
         
         // Use filtered data if available
-        const factData = this.state.filteredData && this.state.filteredData.length > 0 
-            ? this.state.filteredData 
-            : this.state.factData || [];
+        const factData = this.getCalculationData();
         
         // console.log(`🔍 CALC: Using ${this.state.filteredData ? 'FILTERED' : 'ORIGINAL'} data with ${factData.length} records`);
         
-        const valueFields = this.state.valueFields || ['COST_UNIT'];
+        const valueFields = this.getValueFields();
 
         if (!pivotData || !pivotData.rows || pivotData.rows.length === 0) {
             console.error("Invalid pivot data structure");
@@ -1187,6 +1729,13 @@ const pivotTable = {
                 // HAS COLUMN DIMENSIONS: Use cross-tabulation with proper filtering
                 realColumns.forEach((colDef) => {
                     valueFields.forEach((fieldId) => {
+                        const key = `${colDef._id}|${fieldId}`;
+                        const indexedValue = this.getIndexedCellValue([rowDef], [colDef], fieldId);
+                        if (indexedValue !== undefined) {
+                            rowData[key] = indexedValue;
+                            return;
+                        }
+
                         // CRITICAL FIX: Apply BOTH row and column filtering
                         let crossFilteredData = [...factData];
                         
@@ -1198,7 +1747,6 @@ const pivotTable = {
                         
                         // Calculate measure on the cross-filtered data
                         const value = this.calculateDirectMeasure(crossFilteredData, fieldId);
-                        const key = `${colDef._id}|${fieldId}`;
                         rowData[key] = typeof value === 'number' ? value : (parseFloat(value) || 0);
                         
                         // console.log(`🔍 CROSS-CALC: Row ${rowDef.label} × Col ${colDef.label} × ${fieldId} = ${value} (from ${crossFilteredData.length} records)`);
@@ -1207,7 +1755,10 @@ const pivotTable = {
             } else {
                 // NO COLUMN DIMENSIONS: Calculate measures directly
                 valueFields.forEach((fieldId) => {
-                    const value = this.calculateMeasure(factData, rowDef, null, fieldId);
+                    const indexedValue = this.getIndexedCellValue([rowDef], [], fieldId);
+                    const value = indexedValue !== undefined
+                        ? indexedValue
+                        : this.calculateMeasure(factData, rowDef, null, fieldId);
                     rowData[fieldId] = typeof value === 'number' ? value : (parseFloat(value) || 0);
                     // console.log(`🔍 DIRECT-CALC: Row ${rowDef.label} × ${fieldId} = ${value}`);
                 });
@@ -1245,6 +1796,11 @@ const pivotTable = {
         // For leaf nodes, use direct factId filtering (much faster)
         if (node.isLeaf && node.factId) {
             const factField = data.getFactIdField(dimName);
+            const cube = records === this.getCalculationData() ? this.getFactCube() : null;
+            if (cube && factField && cube.hasField(factField)) {
+                const bitset = this.getNodeBitset(node, cube);
+                return bitset ? cube.rowIds(bitset).map(rowId => records[rowId]) : records;
+            }
             if (factField) {
                 return records.filter(record => {
                     if (Array.isArray(node.factId)) {
@@ -1281,6 +1837,16 @@ const pivotTable = {
     },
 
 
+    /**
+     * ROOT and "all" nodes cover every record and are never filtered on
+     */
+    isAllNode: function(dimNode) {
+        return dimNode._id === 'ROOT' || dimNode.label === 'WORLDWIDE' || 
+            dimNode.label === 'All GMIDs' || dimNode.label === 'All Cost Elements' ||
+            dimNode.label === 'Sanofi' || dimNode.label === 'All Years';
+    },
+
+
     /**
      * Filter records based on dimension information
      * @param {Array} records - The records to filter
@@ -1297,13 +1863,18 @@ const pivotTable = {
         // console.log(`🔍 Filtering by ${dimName}: ${dimNode.label} (${dimNode._id})`);
 
         // Don't filter ROOT nodes
-        if (dimNode._id === 'ROOT' || dimNode.label === 'WORLDWIDE' || 
-            dimNode.label === 'All GMIDs' || dimNode.label === 'All Cost Elements' ||
-            dimNode.label === 'Sanofi' || dimNode.label === 'All Years') {
+        if (this.isAllNode(dimNode)) {
             // console.log(`  ROOT/ALL node - no filtering`);
             return records;
         }
 
+        // The full calculation data is indexed: read the node's rows from the fact cube instead of scanning
+        const cube = records === this.getCalculationData() ? this.getFactCube() : null;
+        if (cube) {
+            const bitset = this.getNodeBitset(dimNode, cube);
+            return bitset ? cube.rowIds(bitset).map(rowId => records[rowId]) : records;
+        }
+
         // For leaf nodes with factId, filter directly
         if (dimNode.isLeaf && dimNode.factId) {
             const factField = data.getFactIdField(dimName);
@@ -1517,7 +2088,7 @@ const pivotTable = {
             cellHtml += '<span class="leaf-node" style="display: inline-block; width: 16px; height: 16px; margin-right: 8px; text-align: center; line-height: 14px; color: #6c757d;">•</span>';
         }
 
-        cellHtml += `<span class="dimension-label">${rowDef.label || rowDef._id}</span>`;
+        cellHtml += `<span class="dimension-label" data-node-id="${rowDef._id}" data-hierarchy="${dimName}">${rowDef.label || rowDef._id}</span>`;
         cellHtml += '</td>';
 
         return cellHtml;
@@ -2443,7 +3014,7 @@ const pivotTable = {
         this.showSimpleLoader();
 
         // Small delay to let loading animation show
-        setTimeout(() => {
+        setTimeout(async () => {
             try {
                 const elements = {
                     pivotTableHeader: document.getElementById('pivotTableHeader'),
@@ -2458,12 +3029,36 @@ const pivotTable = {
 
                 const rowFields = this.state.rowFields || [];
                 const columnFields = this.state.columnFields || [];
-                const valueFields = this.state.valueFields || ['COST_UNIT'];
+                const valueFields = this.getValueFields();
                 
                 console.log(`📊 Template-based generation: ${rowFields.length} row fields, ${columnFields.length} column fields, ${valueFields.length} value fields`);
 
-                // Process pivot data
-                this.processPivotData();
+                // Let Snowflake aggregate the facts for this layout when server-side aggregation is on
+                try {
+                    await this.ensureServerAggregates();
+                } catch (aggregateError) {
+                    if (aggregateError.name === 'SupersededRequestError') {
+                        // A newer generation is rendering the new layout
+                        return;
+                    }
+                    console.error("Server-side aggregation failed, using loaded fact data:", aggregateError);
+                }
+
+                // Process pivot data: build the structure, let the worker calculate the cells, then
+                // fill pivotData from its results (cells it did not compute fall back to the main thread)
+                if (this.processPivotData({ deferCells: true })) {
+                    try {
+                        await this.computePivotCellsInWorker(percent => {
+                            this.updateSimpleLoaderText(`Calculating Pivot Table... ${percent}%`);
+                        });
+                    } catch (workerError) {
+                        if (workerError.name === 'SupersededRequestError') {
+                            return;
+                        }
+                        console.error("Pivot worker calculation failed, calculating on the main thread:", workerError);
+                    }
+                    this.calculatePivotCells();
+                }
                 
                 // Determine template type
                 const templateType = PivotTemplateSystem.getTemplateType(rowFields, columnFields, valueFields);
@@ -2528,6 +3123,7 @@ const pivotTable = {
         
         // Show loader
         const loader = document.getElementById('simpleLoader');
+        this.updateSimpleLoaderText('Updating Pivot Table...');
         if (loader) {
             loader.style.display = 'block';
             // Fade in
@@ -2538,6 +3134,17 @@ const pivotTable = {
     },
 
 
+    /**
+     * Change the text under the simple loading spinner
+     */
+    updateSimpleLoaderText: function(text) {
+        const loaderText = document.querySelector('#simpleLoader .simple-text');
+        if (loaderText) {
+            loaderText.textContent = text;
+        }
+    },
+
+
     /**
      * Hide simple loading spinner
      */
@@ -2604,7 +3211,7 @@ const pivotTable = {
         });
 
         // 2. HIDE ZERO COLUMNS
-        const valueFields = this.state?.valueFields || [];
+        const valueFields = this.getValueFields();
         const headerRow = table.querySelector('thead tr:last-child'); // Get the row with measure headers
         
         if (headerRow && valueFields.length > 0) {
@@ -2785,8 +3392,11 @@ const pivotTable = {
      * Calculate value for multi-dimensional cross-tabulation
      */
     calculateMultiDimensionalValue: function(rowNodes, columnNodes, valueField) {
+        const indexedValue = this.getIndexedCellValue(rowNodes, columnNodes, valueField);
+        if (indexedValue !== undefined) return indexedValue;
+
         // Start with all fact data
-        let filteredData = [...(this.state.filteredData || this.state.factData || [])];
+        let filteredData = [...this.getCalculationData()];
         
         if (filteredData.length === 0) return 0;
         
@@ -2812,8 +3422,11 @@ const pivotTable = {
      * Calculate value for multi-row combination (no columns)
      */
     calculateMultiRowValue: function(dimensionNodes, valueField) {
+        const indexedValue = this.getIndexedCellValue(dimensionNodes, [], valueField);
+        if (indexedValue !== undefined) return indexedValue;
+
         // Start with all fact data
-        let filteredData = [...(this.state.filteredData || this.state.factData || [])];
+        let filteredData = [...this.getCalculationData()];
         
         if (filteredData.length === 0) return 0;
         
@@ -2834,8 +3447,11 @@ const pivotTable = {
      * Calculate value for multi-row + column combination
      */
     calculateMultiRowColumnValue: function(rowNodes, columnNode, valueField) {
+        const indexedValue = this.getIndexedCellValue(rowNodes, columnNode ? [columnNode] : [], valueField);
+        if (indexedValue !== undefined) return indexedValue;
+
         // Start with all fact data
-        let filteredData = [...(this.state.filteredData || this.state.factData || [])];
+        let filteredData = [...this.getCalculationData()];
         
         if (filteredData.length === 0) return 0;
         
@@ -2885,7 +3501,7 @@ const pivotTable = {
         
         // Display real node name
         const realNodeName = node.label || node._id;
-        cellHtml += `<span class="dimension-label">${realNodeName}</span>`;
+        cellHtml += `<span class="dimension-label" data-node-id="${node._id}" data-hierarchy="${dimName}">${realNodeName}</span>`;
         cellHtml += '</td>';
         
         return cellHtml;
@@ -3330,10 +3946,15 @@ const pivotTable = {
 
 
     calculateGrandTotals: function(valueFields) {
-        const factData = this.state.filteredData?.length > 0 ? this.state.filteredData : this.state.factData;
+        const factData = this.getCalculationData();
         const totals = {};
         
         valueFields.forEach(field => {
+            if (variance.ratioParts(field)) {
+                totals[field] = this.calculateDirectMeasure(factData, field);
+                return;
+            }
+
             let total = 0;
             factData.forEach(record => {
                 const value = parseFloat(record[field] || 0);
@@ -3481,7 +4102,7 @@ const pivotTable = {
         };
         
         const rowFields = this.state.rowFields || [];
-        const valueFields = this.state.valueFields || [];
+        const valueFields = this.getValueFields();
         
         // Generate matrix of all visible rows based on current expansion states
         const visibleRowMatrix = this.generateVisibleRowMatrix(rowFields);
@@ -3882,8 +4503,11 @@ const pivotTable = {
             return 0;
         }
 
+        const indexedValue = this.getIndexedCellValue(dimensionCells, [], valueField);
+        if (indexedValue !== undefined) return indexedValue;
+
         // Start with all fact data
-        let filteredData = [...(this.state.filteredData || this.state.factData || [])];
+        let filteredData = [...this.getCalculationData()];
         
         if (filteredData.length === 0) {
             console.warn("No fact data available for calculation");
@@ -3942,7 +4566,7 @@ const pivotTable = {
         }
         
         // Calculate values by applying filters from all dimensions
-        const factData = this.state.filteredData?.length > 0 ? this.state.filteredData : this.state.factData;
+        const factData = this.getCalculationData();
         
         valueFields.forEach(fieldId => {
             // Start with all data
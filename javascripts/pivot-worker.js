@@ -0,0 +1,186 @@
+// ===== PIVOT COMPUTATION WORKER =====
+
+// Computes pivot cell values off the main thread. Started by pivot-table.js (getPivotWorker) as a
+// module worker; it keeps its own copy of the data, indexed as a fact cube (fact-cube.js):
+//
+//   { type: 'facts', rowCount, fields: { LE: { codes: Int32Array, dict: [...] } },
+//     measures: { COST_UNIT: Float64Array, QTY_UNIT: Float64Array } }         (buffers transferred)
+//   { type: 'hierarchies', dimensions: { le: { factField, nodes: { id: { children, factId, isLeaf } } } } }
+//   { type: 'compute', requestId, config: { rowFields, columnFields, valueFields },
+//     rows: [[nodeRef, ...], ...], columns: [[nodeRef, ...], ...] }
+//
+// A nodeRef is { dim, id, factId } (factId only for leaves) or null for a ROOT / "all" node.
+// Results are posted in row batches so the page can show progress while the rest is computed:
+//
+//   { type: 'cells', requestId, rowStart, rowCount, values: Float64Array }   (transferred)
+//     values[((r * columns.length) + c) * valueFields.length + m]
+//   { type: 'done', requestId, elapsedMs }
+//   { type: 'error', requestId, message }
+//
+// A newer compute request supersedes the running one: it stops at the next batch boundary.
+
+import { createFactCube } from './fact-cube.js';
+
+const ROW_BATCH_SIZE = 50;
+
+let cube = null;
+let dimensions = {};
+let currentRequestId = null;
+
+
+/**
+ * Collect the fact IDs of every leaf below a hierarchy node
+ * @param {Object} hierarchy - { nodes }
+ * @param {string} nodeId - Node to start from
+ * @returns {Set}
+ */
+function collectLeafFactIds(hierarchy, nodeId) {
+    const factIds = new Set();
+    const stack = [nodeId];
+    const seen = new Set();
+
+    while (stack.length > 0) {
+        const id = stack.pop();
+        if (seen.has(id)) continue;
+        seen.add(id);
+
+        const node = hierarchy.nodes[id];
+        if (!node) continue;
+
+        if (node.isLeaf) {
+            if (Array.isArray(node.factId)) {
+                node.factId.forEach(factId => factIds.add(factId));
+            } else if (node.factId !== undefined && node.factId !== null) {
+                factIds.add(node.factId);
+            }
+            continue;
+        }
+        (node.children || []).forEach(childId => stack.push(childId));
+    }
+    return factIds;
+}
+
+
+/**
+ * Rows a node covers, mirroring pivotTable.filterRecordsByDimension: leaves match their factId,
+ * parents the factIds of all their leaves, anything unresolvable matches all rows.
+ * @param {Object|null} ref - { dim, id, factId }
+ * @returns {Uint32Array|null} - null when the node does not filter
+ */
+function resolveBitset(ref) {
+    if (!ref) {
+        return null;
+    }
+
+    const hierarchy = dimensions[ref.dim];
+    if (!hierarchy || !hierarchy.factField || !cube.hasField(hierarchy.factField)) {
+        return null;
+    }
+
+    let factIds = null;
+    if (ref.factId !== undefined && ref.factId !== null) {
+        factIds = Array.isArray(ref.factId) ? ref.factId : [ref.factId];
+    } else if (hierarchy.nodes[ref.id]) {
+        factIds = Array.from(collectLeafFactIds(hierarchy, ref.id));
+    }
+
+    if (!factIds || factIds.length === 0) {
+        return null;
+    }
+    return cube.bitsetFor(`${ref.dim}:${ref.id}`, hierarchy.factField, factIds);
+}
+
+
+/**
+ * Compute one batch of rows
+ * @returns {Float64Array}
+ */
+function computeBatch(rows, rowStart, rowCount, columnBitsets, valueFields) {
+    const columnCount = columnBitsets.length;
+    const measureCount = valueFields.length;
+    const values = new Float64Array(rowCount * columnCount * measureCount);
+
+    for (let r = 0; r < rowCount; r++) {
+        const rowBitset = cube.intersect(rows[rowStart + r].map(resolveBitset));
+
+        for (let c = 0; c < columnCount; c++) {
+            const cellBitset = cube.intersect([rowBitset, columnBitsets[c]]);
+            const offset = (r * columnCount + c) * measureCount;
+
+            for (let m = 0; m < measureCount; m++) {
+                values[offset + m] = cube.sum(cellBitset, valueFields[m]);
+            }
+        }
+    }
+    return values;
+}
+
+
+/**
+ * Run a compute request, yielding between batches so a newer request can take over
+ * @param {Object} message - compute message
+ */
+async function compute({ requestId, config, rows, columns }) {
+    currentRequestId = requestId;
+    const startedAt = performance.now();
+
+    if (!cube) {
+        self.postMessage({ type: 'error', requestId, message: 'No fact data loaded in pivot worker' });
+        return;
+    }
+
+    const columnBitsets = columns.map(refs => cube.intersect(refs.map(resolveBitset)));
+
+    for (let rowStart = 0; rowStart < rows.length; rowStart += ROW_BATCH_SIZE) {
+        if (currentRequestId !== requestId) {
+            return;
+        }
+
+        const rowCount = Math.min(ROW_BATCH_SIZE, rows.length - rowStart);
+        const values = computeBatch(rows, rowStart, rowCount, columnBitsets, config.valueFields);
+        self.postMessage({ type: 'cells', requestId, rowStart, rowCount, values }, [values.buffer]);
+
+        // Let queued messages (a superseding request) in
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    if (currentRequestId === requestId) {
+        self.postMessage({ type: 'done', requestId, elapsedMs: Math.round(performance.now() - startedAt) });
+    }
+}
+
+
+self.onmessage = (event) => {
+    const message = event.data;
+
+    try {
+        switch (message.type) {
+            case 'facts':
+                cube = createFactCube({
+                    rowCount: message.rowCount,
+                    fields: message.fields,
+                    measures: message.measures
+                });
+                console.log(`🧵 Pivot worker indexed ${message.rowCount.toLocaleString()} fact rows`);
+                break;
+
+            case 'hierarchies':
+                dimensions = message.dimensions || {};
+                if (cube) {
+                    cube.clearBitsets();
+                }
+                break;
+
+            case 'compute':
+                compute(message).catch(error => {
+                    self.postMessage({ type: 'error', requestId: message.requestId, message: error.message });
+                });
+                break;
+
+            default:
+                console.warn(`⚠️ Pivot worker: unknown message type ${message.type}`);
+        }
+    } catch (error) {
+        self.postMessage({ type: 'error', requestId: message.requestId || null, message: error.message });
+    }
+};
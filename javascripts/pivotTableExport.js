@@ -1,6 +1,7 @@
 // Export logic for BOM Pivot Table (Excel/CSV)
 
 import stateModule from './state.js';
+import asOf from './as-of.js';
 
 const state = stateModule.state;
 
@@ -176,15 +177,21 @@ function exportPivotToExcel() {
     pivotData: state.pivotData,
     rowFields: state.rowFields || [],
     columnFields: state.columnFields || [],
-    valueFields: state.valueFields || ['COST_UNIT'],
+    valueFields: pivotTable.getValueFields ? pivotTable.getValueFields() : (state.valueFields || ['COST_UNIT']),
     getChildNodes,
     isNodeVisible
   });
+  // Data read at a point in time says so on every row and in the file name (see as-of.js)
+  if (state.asOf) {
+    rows.forEach(row => { row.AS_OF = state.asOf; });
+    header.push('AS_OF');
+  }
   // Convert to worksheet
   const ws = window.XLSX.utils.json_to_sheet(rows, {header});
   const wb = window.XLSX.utils.book_new();
   window.XLSX.utils.book_append_sheet(wb, ws, 'PivotExport');
-  window.XLSX.writeFile(wb, 'pivot_export.xlsx');
+  const suffix = asOf.fileSuffix(state.asOf);
+  window.XLSX.writeFile(wb, suffix ? `pivot_export_${suffix}.xlsx` : 'pivot_export.xlsx');
 }
 
 function setupExportButton() {
@@ -0,0 +1,135 @@
+// ===== RECENT QUERIES =====
+
+// The signed-in user's past loads, read from the server's query audit log (GET /api/admin/query-log,
+// see queryLog.js). A fact load (filtered rows or pivot aggregation) of the current fact table can be
+// re-run: its filters go back through the filter system's Apply, read at the same point in time (as-of).
+
+import { API_BASE_URL } from './app-config.js';
+
+// Routes whose audit entries are loads a user can re-run
+const RERUNNABLE_ROUTES = ['/api/data/:table/filtered', '/api/pivot/aggregate'];
+const ROUTE_LABELS = {
+    '/api/data/:table/filtered': 'Filtered rows',
+    '/api/pivot/aggregate': 'Pivot aggregation'
+};
+const PANEL_SIZE = 10;
+
+
+/**
+ * Past loads of a user, newest first
+ * @param {Object} options - { user, limit }
+ * @returns {Promise<Array<Object>>} - Audit entries of re-runnable routes
+ */
+export async function fetchRecentQueries({ user = null, limit = 100 } = {}) {
+    const params = new URLSearchParams({ limit: String(limit) });
+    if (user) {
+        params.set('user', user);
+    }
+
+    const response = await fetch(`${API_BASE_URL}/admin/query-log?${params.toString()}`, { credentials: 'include' });
+    if (!response.ok) {
+        throw new Error(`Query log request failed: ${response.status} ${response.statusText}`);
+    }
+
+    const result = await response.json();
+    return result.entries.filter(entry => RERUNNABLE_ROUTES.includes(entry.route));
+}
+
+
+/**
+ * @param {Object} entry - Audit entry
+ * @param {string} factTable - Fact table loaded in the page
+ * @returns {boolean} - True when the entry can be loaded again into this page
+ */
+export function isRerunnable(entry, factTable) {
+    return RERUNNABLE_ROUTES.includes(entry.route) &&
+        entry.table === factTable &&
+        !entry.error &&
+        Object.keys(entry.filters || {}).length > 0;
+}
+
+
+/**
+ * "LE: FR01, DE01 · ZYEAR: 2024"
+ * @param {Object} filters - Normalized filters of an audit entry
+ * @returns {string}
+ */
+function describeFilters(filters) {
+    const parts = Object.entries(filters || {}).map(([field, values]) => {
+        const shown = values.slice(0, 3).join(', ');
+        return `${field}: ${shown}${values.length > 3 ? ` +${values.length - 3}` : ''}`;
+    });
+    return parts.length > 0 ? parts.join(' · ') : 'No filters';
+}
+
+
+/**
+ * Render the Recent queries list
+ * @param {HTMLElement} container - List element
+ * @param {Array<Object>} entries - From fetchRecentQueries
+ * @param {Object} options - { factTable, onRerun(entry) }
+ */
+export function renderRecentQueries(container, entries, { factTable, onRerun }) {
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    if (entries.length === 0) {
+        container.innerHTML = '<div class="recent-queries-empty">No queries yet</div>';
+        return;
+    }
+
+    entries.slice(0, PANEL_SIZE).forEach(entry => {
+        const item = document.createElement('div');
+        item.className = `recent-query${entry.error ? ' recent-query-error' : ''}`;
+
+        const summary = document.createElement('div');
+        summary.className = 'recent-query-summary';
+
+        const title = document.createElement('span');
+        title.className = 'recent-query-title';
+        title.textContent = `${ROUTE_LABELS[entry.route] || entry.route} · ${entry.table || ''}`;
+
+        const time = document.createElement('span');
+        time.className = 'recent-query-time';
+        time.textContent = new Date(entry.timestamp).toLocaleString();
+        if (entry.asOf) {
+            time.textContent += ` · as of ${new Date(entry.asOf).toLocaleString()}`;
+        }
+
+        summary.appendChild(title);
+        summary.appendChild(time);
+
+        const filters = document.createElement('div');
+        filters.className = 'recent-query-filters';
+        filters.textContent = describeFilters(entry.filters);
+        filters.title = JSON.stringify(entry.filters, null, 1);
+
+        const stats = document.createElement('div');
+        stats.className = 'recent-query-stats';
+        stats.textContent = entry.error
+            ? `Failed: ${entry.error}`
+            : `${entry.rowCount.toLocaleString()} rows · ${entry.durationMs} ms${entry.cache === 'HIT' ? ' · cached' : ''}`;
+
+        item.appendChild(summary);
+        item.appendChild(filters);
+        item.appendChild(stats);
+
+        if (isRerunnable(entry, factTable)) {
+            const rerunBtn = document.createElement('button');
+            rerunBtn.className = 'btn btn-sm recent-query-rerun';
+            rerunBtn.innerHTML = '<i class="fas fa-redo"></i> Re-run';
+            rerunBtn.addEventListener('click', () => onRerun(entry));
+            item.appendChild(rerunBtn);
+        }
+
+        container.appendChild(item);
+    });
+}
+
+
+export default {
+    fetchRecentQueries,
+    isRerunnable,
+    renderRecentQueries
+};
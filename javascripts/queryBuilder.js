@@ -0,0 +1,321 @@
+// ===== PARAMETERIZED QUERY BUILDER =====
+
+// Every identifier (table, column) is validated against a whitelist before it reaches the SQL text,
+// and every value is returned as a bind for executeSnowflakeQuery / connection.execute.
+// The functions here are pure so the generated SQL can be checked without a Snowflake connection.
+
+const { getEnvironment } = require('./environment');
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const AS_OF_PATTERN = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d{1,9})?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+const DEFAULT_MAX_VALUES = 100;
+
+// Database and schema of the active environment profile (APP_ENV, see environment.js)
+const DATABASE = normalizeIdentifier(getEnvironment().database, 'database');
+const SCHEMA = normalizeIdentifier(getEnvironment().schema, 'schema');
+
+
+/**
+ * Validate a table or column name and return it upper-cased
+ * @param {string} name - Identifier supplied by the caller
+ * @param {string} kind - 'table' or 'field', used in the error message
+ * @returns {string} - Upper-cased identifier
+ */
+function normalizeIdentifier(name, kind = 'field') {
+    if (typeof name !== 'string' || !IDENTIFIER_PATTERN.test(name.trim())) {
+        throw new Error(`Invalid ${kind} name: ${name}`);
+    }
+    return name.trim().toUpperCase();
+}
+
+
+/**
+ * Fully qualified table name in the BOM schema
+ * @param {string} tableName - Table name (validated)
+ * @returns {string} - DATABASE.SCHEMA.TABLE
+ */
+function qualifyTable(tableName) {
+    return `${DATABASE}.${SCHEMA}.${normalizeIdentifier(tableName, 'table')}`;
+}
+
+
+/**
+ * Check a column against the allowed list (usually the cached table schema)
+ * @param {string} column - Column requested by the caller
+ * @param {Array<string>} allowedColumns - Upper-cased column whitelist
+ * @returns {string} - Upper-cased column name
+ */
+function assertAllowedColumn(column, allowedColumns) {
+    const upperColumn = normalizeIdentifier(column, 'field');
+
+    if (!Array.isArray(allowedColumns) || !allowedColumns.includes(upperColumn)) {
+        throw new Error(`Invalid field '${column}'. Valid fields: ${(allowedColumns || []).join(', ')}`);
+    }
+    return upperColumn;
+}
+
+
+/**
+ * Normalize filter values from a query string ("a,b") or a JSON body (["a", "b"])
+ * @param {string|Array} values - Raw filter values
+ * @returns {Array<string>} - Trimmed, non-empty values
+ */
+function normalizeValues(values) {
+    if (values === null || values === undefined) {
+        return [];
+    }
+
+    const valueArray = Array.isArray(values) ? values : String(values).split(',');
+
+    return valueArray
+        .map(v => (typeof v === 'object' && v !== null && v.hasOwnProperty('value')) ? v.value : v)
+        .filter(v => v !== null && v !== undefined)
+        .map(v => String(v).trim())
+        .filter(v => v);
+}
+
+
+/**
+ * Clamp a LIMIT value to an integer range. Returns null when no limit was requested.
+ * @param {*} value - Requested limit
+ * @param {Object} options - { min, max, fallback }
+ * @returns {number|null}
+ */
+function normalizeLimit(value, { min = 1, max = 10000, fallback = null } = {}) {
+    const parsed = parseInt(value, 10);
+
+    if (isNaN(parsed)) {
+        return fallback;
+    }
+    return Math.min(Math.max(parsed, min), max);
+}
+
+
+/**
+ * Check a point-in-time read and return it as a UTC ISO timestamp. A date alone means the end of that
+ * day (UTC), so '2025-01-31' reads the tables as they were after the January close.
+ * @param {*} value - ISO date or timestamp; empty = now
+ * @returns {string|null} - '2025-01-31T23:59:59.999Z', or null to read the current data
+ */
+function normalizeAsOf(value) {
+    const text = value === undefined || value === null ? '' : String(value).trim();
+    if (!text) {
+        return null;
+    }
+
+    const time = AS_OF_PATTERN.test(text)
+        ? Date.parse(text.length === 10 ? `${text}T23:59:59.999Z` : text)
+        : NaN;
+    if (Number.isNaN(time)) {
+        throw new Error(`Invalid as-of '${text}': expected an ISO date or timestamp`);
+    }
+    if (time > Date.now()) {
+        throw new Error(`Invalid as-of '${text}': it is in the future`);
+    }
+    return new Date(time).toISOString();
+}
+
+
+/**
+ * Build IN (...) conditions for a set of filters
+ * @param {Object} filters - { FIELD: "a,b" | ["a", "b"] }
+ * @param {Object} options - { allowedColumns, alias, maxValues }
+ * @returns {{conditions: Array<string>, binds: Array, fields: Array<string>}}
+ */
+function buildWhereConditions(filters, { allowedColumns, alias = null, maxValues = DEFAULT_MAX_VALUES } = {}) {
+    const conditions = [];
+    const binds = [];
+    const fields = [];
+    const prefix = alias ? `${normalizeIdentifier(alias, 'alias')}.` : '';
+
+    Object.entries(filters || {}).forEach(([field, values]) => {
+        const valueArray = normalizeValues(values);
+        if (valueArray.length === 0) {
+            return;
+        }
+
+        const column = assertAllowedColumn(field, allowedColumns);
+
+        if (valueArray.length > maxValues) {
+            throw new Error(`Too many values for field '${field}' (${valueArray.length}). Maximum ${maxValues} values allowed.`);
+        }
+
+        const placeholders = valueArray.map(() => '?').join(',');
+        conditions.push(`${prefix}${column} IN (${placeholders})`);
+        binds.push(...valueArray);
+        fields.push(column);
+    });
+
+    return { conditions, binds, fields };
+}
+
+
+/**
+ * WHERE condition of a row filter: rows matching every column of at least one clause
+ * @param {Array<Object>|null} rowFilter - [{ COLUMN: [values] }, ...] (null: no restriction, []: no rows)
+ * @returns {{condition: string|null, binds: Array}}
+ */
+function buildRowFilterCondition(rowFilter) {
+    if (!rowFilter) {
+        return { condition: null, binds: [] };
+    }
+    if (rowFilter.length === 0) {
+        return { condition: '1 = 0', binds: [] };
+    }
+
+    const binds = [];
+    const clauses = rowFilter.map(clause => {
+        const parts = Object.entries(clause).map(([column, values]) => {
+            binds.push(...values);
+            return `${normalizeIdentifier(column, 'field')} IN (${values.map(() => '?').join(',')})`;
+        });
+        return `(${parts.join(' AND ')})`;
+    });
+
+    return { condition: `(${clauses.join(' OR ')})`, binds };
+}
+
+
+/**
+ * FROM / JOIN source of a table restricted to a row filter (the signed-in user's entitlements,
+ * see entitlements.js), optionally as it was at a point in time (Snowflake time travel). The binds
+ * belong where the source appears in the statement, i.e. before those of the WHERE clause.
+ * @param {string} tableName - Table name
+ * @param {Array<Object>|null} rowFilter - See buildRowFilterCondition
+ * @param {string|null} asOf - From normalizeAsOf; null reads the current data
+ * @returns {{sql: string, binds: Array}}
+ */
+function scopedTable(tableName, rowFilter = null, asOf = null) {
+    const { condition, binds } = buildRowFilterCondition(rowFilter);
+    const table = asOf ? `${qualifyTable(tableName)} AT(TIMESTAMP => TO_TIMESTAMP_TZ(?))` : qualifyTable(tableName);
+    const tableBinds = asOf ? [asOf] : [];
+
+    if (!condition) {
+        return { sql: table, binds: tableBinds };
+    }
+    return { sql: `(SELECT * FROM ${table} WHERE ${condition})`, binds: [...tableBinds, ...binds] };
+}
+
+
+/**
+ * Build a single-table SELECT with bound filter values
+ * @param {Object} spec
+ * @param {string} spec.table - Table name
+ * @param {Array<string>} spec.allowedColumns - Column whitelist (cached schema or a fixed list)
+ * @param {Array<string>} spec.columns - Columns to select (default: all)
+ * @param {boolean} spec.distinct - Add DISTINCT
+ * @param {Object} spec.filters - Filters for buildWhereConditions
+ * @param {Array<string>} spec.notNull - Columns that must not be NULL
+ * @param {Array<string>} spec.orderBy - ORDER BY columns
+ * @param {number} spec.limit - Optional LIMIT (already normalized)
+ * @param {number} spec.maxValues - Maximum values per filter field
+ * @param {Array<Object>|null} spec.rowFilter - Rows the user is entitled to (see scopedTable)
+ * @param {string|null} spec.asOf - Point in time to read the table at (see normalizeAsOf)
+ * @returns {{sql: string, binds: Array, filterFields: Array<string>}}
+ */
+function buildSelectQuery({
+    table,
+    allowedColumns,
+    columns = [],
+    distinct = false,
+    filters = {},
+    notNull = [],
+    orderBy = [],
+    limit = null,
+    maxValues = DEFAULT_MAX_VALUES,
+    rowFilter = null,
+    asOf = null
+}) {
+    const selectColumns = columns.length > 0
+        ? columns.map(c => assertAllowedColumn(c, allowedColumns))
+        : ['*'];
+
+    const { conditions, binds, fields } = buildWhereConditions(filters, { allowedColumns, maxValues });
+
+    notNull.forEach(column => {
+        conditions.push(`${assertAllowedColumn(column, allowedColumns)} IS NOT NULL`);
+    });
+
+    const source = scopedTable(table, rowFilter, asOf);
+    let sql = `SELECT ${distinct ? 'DISTINCT ' : ''}${selectColumns.join(', ')} FROM ${source.sql}`;
+
+    if (conditions.length > 0) {
+        sql += ` WHERE ${conditions.join(' AND ')}`;
+    }
+
+    if (orderBy.length > 0) {
+        sql += ` ORDER BY ${orderBy.map(c => assertAllowedColumn(c, allowedColumns)).join(', ')}`;
+    }
+
+    if (limit !== null && limit !== undefined) {
+        sql += ` LIMIT ${normalizeLimit(limit, { max: Number.MAX_SAFE_INTEGER })}`;
+    }
+
+    return { sql, binds: [...source.binds, ...binds], filterFields: fields };
+}
+
+
+/**
+ * Build one page of a keyset-paginated scan. Rows are ordered by the key columns (cast to text,
+ * NULL as '') and the page starts strictly after the cursor, so a client can resume from the last
+ * page it received. The key expressions are also selected as KEYSET_0..n so the caller can build
+ * the next cursor from exactly what the database compared.
+ * @param {Object} spec
+ * @param {string} spec.table - Table name
+ * @param {Array<string>} spec.columns - Columns to return (validated)
+ * @param {Array<string>} spec.keyColumns - Columns forming the sort key (validated)
+ * @param {Array<string>|null} spec.cursor - Key values of the last row already received
+ * @param {number} spec.limit - Page size (already normalized)
+ * @param {Array<Object>|null} spec.rowFilter - Rows the user is entitled to (see scopedTable)
+ * @param {string|null} spec.asOf - Point in time to read the table at (see normalizeAsOf)
+ * @returns {{sql: string, binds: Array, keyAliases: Array<string>}}
+ */
+function buildKeysetQuery({ table, columns, keyColumns, cursor = null, limit, rowFilter = null, asOf = null }) {
+    const selectColumns = columns.map(column => normalizeIdentifier(column, 'field'));
+    const keyExpressions = keyColumns.map(column => `COALESCE(CAST(${normalizeIdentifier(column, 'field')} AS VARCHAR), '')`);
+    const keyAliases = keyExpressions.map((_, index) => `KEYSET_${index}`);
+    const source = scopedTable(table, rowFilter, asOf);
+    const binds = [...source.binds];
+
+    let sql = `SELECT ${selectColumns.join(', ')}, ${keyExpressions.map((expr, i) => `${expr} AS ${keyAliases[i]}`).join(', ')} FROM ${source.sql}`;
+
+    if (cursor) {
+        if (!Array.isArray(cursor) || cursor.length !== keyColumns.length) {
+            throw new Error(`Invalid cursor: expected ${keyColumns.length} key values`);
+        }
+
+        // (k1 > v1) OR (k1 = v1 AND k2 > v2) OR ... : row-value comparison without tuple syntax
+        const branches = keyExpressions.map((expr, i) => {
+            const parts = [];
+            for (let j = 0; j < i; j++) {
+                parts.push(`${keyExpressions[j]} = ?`);
+                binds.push(String(cursor[j]));
+            }
+            parts.push(`${expr} > ?`);
+            binds.push(String(cursor[i]));
+            return `(${parts.join(' AND ')})`;
+        });
+        sql += ` WHERE ${branches.join(' OR ')}`;
+    }
+
+    sql += ` ORDER BY ${keyAliases.join(', ')} LIMIT ${normalizeLimit(limit, { max: Number.MAX_SAFE_INTEGER })}`;
+
+    return { sql, binds, keyAliases };
+}
+
+
+module.exports = {
+    DATABASE,
+    SCHEMA,
+    normalizeIdentifier,
+    qualifyTable,
+    assertAllowedColumn,
+    normalizeValues,
+    normalizeLimit,
+    normalizeAsOf,
+    buildWhereConditions,
+    buildRowFilterCondition,
+    scopedTable,
+    buildSelectQuery,
+    buildKeysetQuery
+};
@@ -0,0 +1,113 @@
+// ===== QUERY BUILDER TESTS =====
+
+// The generated SQL and binds of queryBuilder.js, checked offline (no Snowflake connection).
+// Run: node --test javascripts/queryBuilder.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// The database and schema come from the environment profile, read when the module loads
+process.env.APP_ENV = process.env.APP_ENV || 'local';
+const queryBuilder = require('./queryBuilder');
+
+const TABLE = `${queryBuilder.DATABASE}.${queryBuilder.SCHEMA}.FACT_BOM`;
+const COLUMNS = ['LE', 'ZYEAR', 'ROOT_GMID', 'PATH_GMID', 'COST_UNIT'];
+
+
+test('identifiers outside [A-Za-z_][A-Za-z0-9_]* are rejected', () => {
+    assert.strictEqual(queryBuilder.normalizeIdentifier(' fact_bom ', 'table'), 'FACT_BOM');
+
+    ['FACT_BOM; DROP TABLE X', 'FACT-BOM', '1FACT', 'A.B', '', null].forEach(name => {
+        assert.throws(() => queryBuilder.normalizeIdentifier(name, 'table'), /^Error: Invalid table name/);
+    });
+    assert.throws(() => queryBuilder.qualifyTable('FACT_BOM"'), /Invalid table name/);
+    assert.throws(() => queryBuilder.assertAllowedColumn('QTY_UNIT', COLUMNS), /Invalid field 'QTY_UNIT'/);
+    assert.throws(
+        () => queryBuilder.buildSelectQuery({ table: 'FACT_BOM', allowedColumns: COLUMNS, orderBy: ['LE DESC'] }),
+        /Invalid field name/
+    );
+});
+
+
+test('filter values are bound, never interpolated', () => {
+    const { sql, binds } = queryBuilder.buildSelectQuery({
+        table: 'FACT_BOM',
+        allowedColumns: COLUMNS,
+        columns: ['LE', 'COST_UNIT'],
+        filters: { LE: "FR01,x') OR 1=1 --" }
+    });
+
+    assert.strictEqual(sql, `SELECT LE, COST_UNIT FROM ${TABLE} WHERE LE IN (?,?)`);
+    assert.deepStrictEqual(binds, ['FR01', "x') OR 1=1 --"]);
+});
+
+
+test('more than maxValues values for a field is refused', () => {
+    const values = Array.from({ length: 4 }, (_, index) => `V${index}`);
+
+    assert.strictEqual(queryBuilder.buildWhereConditions({ LE: values }, { allowedColumns: COLUMNS, maxValues: 4 }).binds.length, 4);
+    assert.throws(
+        () => queryBuilder.buildWhereConditions({ LE: values }, { allowedColumns: COLUMNS, maxValues: 3 }),
+        /Too many values for field 'LE' \(4\)\. Maximum 3 values allowed\./
+    );
+});
+
+
+test('as-of, row filter and WHERE binds follow their placeholders', () => {
+    const asOf = '2025-01-31T23:59:59.999Z';
+    const { sql, binds } = queryBuilder.buildSelectQuery({
+        table: 'FACT_BOM',
+        allowedColumns: COLUMNS,
+        columns: ['PATH_GMID'],
+        filters: { ZYEAR: '2025' },
+        rowFilter: [{ LE: ['FR01', 'DE01'] }, { LE: ['US01'], ROOT_GMID: ['R100'] }],
+        asOf
+    });
+
+    assert.strictEqual(sql,
+        `SELECT PATH_GMID FROM (SELECT * FROM ${TABLE} AT(TIMESTAMP => TO_TIMESTAMP_TZ(?)) ` +
+        'WHERE ((LE IN (?,?)) OR (LE IN (?) AND ROOT_GMID IN (?)))) WHERE ZYEAR IN (?)');
+    assert.deepStrictEqual(binds, [asOf, 'FR01', 'DE01', 'US01', 'R100', '2025']);
+    assert.strictEqual((sql.match(/\?/g) || []).length, binds.length);
+});
+
+
+test('keyset pages bind the source before the cursor', () => {
+    const { sql, binds } = queryBuilder.buildKeysetQuery({
+        table: 'FACT_BOM',
+        columns: ['LE', 'PATH_GMID'],
+        keyColumns: ['LE', 'PATH_GMID'],
+        cursor: ['FR01', 'R100/C110'],
+        limit: 10,
+        rowFilter: [{ LE: ['FR01'] }],
+        asOf: '2025-01-31T23:59:59.999Z'
+    });
+
+    assert.deepStrictEqual(binds, ['2025-01-31T23:59:59.999Z', 'FR01', 'FR01', 'FR01', 'R100/C110']);
+    assert.strictEqual((sql.match(/\?/g) || []).length, binds.length);
+    assert.throws(
+        () => queryBuilder.buildKeysetQuery({ table: 'FACT_BOM', columns: ['LE'], keyColumns: ['LE', 'ZYEAR'], cursor: ['FR01'], limit: 10 }),
+        /Invalid cursor/
+    );
+});
+
+
+test('an empty row filter matches no rows', () => {
+    assert.deepStrictEqual(queryBuilder.scopedTable('FACT_BOM', []), { sql: `(SELECT * FROM ${TABLE} WHERE 1 = 0)`, binds: [] });
+    assert.deepStrictEqual(queryBuilder.scopedTable('FACT_BOM', null), { sql: TABLE, binds: [] });
+});
+
+
+test('normalizeAsOf reads a date as the end of that day and refuses invalid or future times', () => {
+    assert.strictEqual(queryBuilder.normalizeAsOf(''), null);
+    assert.strictEqual(queryBuilder.normalizeAsOf(undefined), null);
+    assert.strictEqual(queryBuilder.normalizeAsOf('2025-01-31'), '2025-01-31T23:59:59.999Z');
+    assert.strictEqual(queryBuilder.normalizeAsOf('2025-01-31T10:00:00+02:00'), '2025-01-31T08:00:00.000Z');
+
+    ['31/01/2025', '2025-01-31; DROP TABLE X', '2025-13-45', 'yesterday'].forEach(value => {
+        assert.throws(() => queryBuilder.normalizeAsOf(value), /Invalid as-of .*: expected an ISO date or timestamp/);
+    });
+
+    const nextYear = `${new Date().getUTCFullYear() + 1}-01-01`;
+    assert.throws(() => queryBuilder.normalizeAsOf(nextYear), /Invalid as-of .*: it is in the future/);
+});
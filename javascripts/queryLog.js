@@ -0,0 +1,281 @@
+// ===== QUERY AUDIT LOG =====
+
+// Who ran which query, with which filters, returning how many rows, in how long. One NDJSON line per
+// request to a query route (/api/data, /api/dimension-fields, /api/pivot), appended to a local file
+// (QUERY_LOG_FILE, default query-log.ndjson next to this module) and never rewritten:
+//
+//   { id, requestId, timestamp, user, sessionId, method, route, path, table, filters, asOf, sqlHashes,
+//     statements, rowCount, bytes, durationMs, queuedMs, status, cache, workload, error }
+//
+// filters are the request's filter fields with sorted values, so equal loads compare equal; SQL text is
+// only kept as a hash (the binds are in filters). asOf is the point in time the tables were read at
+// (time travel), null for the current data. workload is the warehouse class the request ran in
+// (see workloadRouting.js), queuedMs its wait for a slot (see queryScheduler.js). Read back through
+// GET /api/admin/query-log.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const queryBuilder = require('./queryBuilder');
+
+const DEFAULT_LOG_FILE = path.join(__dirname, 'query-log.ndjson');
+const AUDITED_ROUTE_PATTERN = /^\/api\/(data|dimension-fields|pivot|bom)\//;
+const DEFAULT_READ_LIMIT = 100;
+const MAX_READ_LIMIT = 1000;
+
+
+/**
+ * @param {string} sql - Statement text
+ * @returns {string} - Short stable hash, the same for every run of the statement
+ */
+function hashSql(sql) {
+    return crypto.createHash('sha256').update(sql.replace(/\s+/g, ' ').trim()).digest('hex').slice(0, 16);
+}
+
+
+/**
+ * Filters of a request in a comparable form
+ * @param {Object} filters - { FIELD: "a,b" | ["a", "b"] }
+ * @returns {Object} - { FIELD: ["a", "b"] } with upper-cased fields and sorted values
+ */
+function normalizeFilters(filters) {
+    const normalized = {};
+    Object.keys(filters || {}).sort().forEach(field => {
+        const values = queryBuilder.normalizeValues(filters[field]);
+        if (values.length > 0) {
+            normalized[field.toUpperCase()] = [...new Set(values)].sort();
+        }
+    });
+    return normalized;
+}
+
+
+/**
+ * Filter fields of a request: the query string of GET routes, filters / factFilters of POST bodies
+ * @param {Object} req - Express request
+ * @returns {Object}
+ */
+function getRequestFilters(req) {
+    if (req.method === 'GET') {
+        const { cursor, chunkSize, fields, limit, distinct, orderBy, fact, ...filters } = req.query;
+        return filters;
+    }
+    const body = req.body || {};
+    return body.filters || body.factFilters || {};
+}
+
+
+/**
+ * Data source that remembers the statements it ran and the rows they returned
+ * @param {Object} source - Session-bound data source
+ * @param {Object} audit - Entry being collected for the request
+ * @returns {Object} - Data source with the same interface
+ */
+function auditDataSource(source, audit) {
+    const noteError = error => {
+        audit.error = audit.error || error.message;
+    };
+
+    return {
+        ...source,
+
+        async execute(sql, binds = [], options = {}) {
+            audit.sqlHashes.push(hashSql(sql));
+            try {
+                const rows = await source.execute(sql, binds, options);
+                audit.rowCount += Array.isArray(rows) ? rows.length : 0;
+                return rows;
+            } catch (error) {
+                noteError(error);
+                throw error;
+            }
+        },
+
+        async streamRows(sql, binds = [], options = {}) {
+            audit.sqlHashes.push(hashSql(sql));
+            try {
+                const stream = await source.streamRows(sql, binds, options);
+                stream.on('data', () => {
+                    audit.rowCount++;
+                });
+                stream.on('error', noteError);
+                return stream;
+            } catch (error) {
+                noteError(error);
+                throw error;
+            }
+        }
+    };
+}
+
+
+/**
+ * Create the audit log
+ * @param {Object} options - { filePath }
+ * @returns {Object} - Audit log API
+ */
+function createQueryLog({ filePath = process.env.QUERY_LOG_FILE || DEFAULT_LOG_FILE } = {}) {
+    let output = null;
+
+    function append(entry) {
+        if (!output) {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            output = fs.createWriteStream(filePath, { flags: 'a' });
+            output.on('error', error => console.error(`❌ Query log write failed (${filePath}):`, error.message));
+        }
+        output.write(JSON.stringify(entry) + '\n');
+    }
+
+    const api = {
+        filePath,
+
+        /**
+         * Express middleware: audits every request to a query route. Must run after req.dataSource
+         * is bound, so the statements the route runs are seen. Rows served without a query (result
+         * cache hits) are added to req.queryAudit.rowCount by the route.
+         * @returns {Function}
+         */
+        middleware() {
+            return (req, res, next) => {
+                if (!AUDITED_ROUTE_PATTERN.test(req.path)) {
+                    return next();
+                }
+
+                const startTime = Date.now();
+                const audit = { sqlHashes: [], rowCount: 0, bytes: 0, error: null };
+                req.dataSource = auditDataSource(req.dataSource, audit);
+                req.queryAudit = audit;
+
+                // Bytes sent to the browser, whatever the route writes with
+                const write = res.write.bind(res);
+                const end = res.end.bind(res);
+                const count = (chunk, encoding) => {
+                    if (chunk && typeof chunk !== 'function') {
+                        audit.bytes += Buffer.isBuffer(chunk) ? chunk.length : Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+                    }
+                };
+                res.write = (chunk, encoding, callback) => {
+                    count(chunk, encoding);
+                    return write(chunk, encoding, callback);
+                };
+                res.end = (chunk, encoding, callback) => {
+                    count(chunk, encoding);
+                    return end(chunk, encoding, callback);
+                };
+
+                // Error responses carry the message in { error, message }
+                const json = res.json.bind(res);
+                res.json = body => {
+                    if (res.statusCode >= 400 && body) {
+                        audit.error = body.message || body.error || audit.error;
+                    }
+                    return json(body);
+                };
+
+                res.on('close', () => {
+                    const user = req.session && req.session.user;
+                    api.record({
+                        id: crypto.randomUUID(),
+                        requestId: req.id || null,
+                        timestamp: new Date(startTime).toISOString(),
+                        user: user ? user.username : null,
+                        sessionId: req.session ? req.session.id.substring(0, 8) : null,
+                        method: req.method,
+                        route: req.route ? `${req.baseUrl}${req.route.path}` : req.path,
+                        path: req.path,
+                        table: req.params && req.params.table ? req.params.table.toUpperCase()
+                            : (req.body && req.body.fact ? String(req.body.fact).toUpperCase()
+                                : (req.query && req.query.fact ? String(req.query.fact).toUpperCase() : null)),
+                        filters: normalizeFilters(getRequestFilters(req)),
+                        asOf: req.asOf || null,
+                        sqlHashes: audit.sqlHashes,
+                        statements: audit.sqlHashes.length,
+                        rowCount: audit.rowCount,
+                        bytes: audit.bytes,
+                        durationMs: Date.now() - startTime,
+                        queuedMs: req.queueWaitMs || 0,
+                        status: res.writableFinished ? res.statusCode : 499,
+                        cache: res.getHeader('X-Cache') || null,
+                        workload: req.workload ? req.workload.workload : null,
+                        error: res.writableFinished ? audit.error : (audit.error || 'Client aborted the request')
+                    });
+                });
+
+                next();
+            };
+        },
+
+        /**
+         * Append one entry
+         * @param {Object} entry - Audit entry
+         */
+        record(entry) {
+            try {
+                append(entry);
+            } catch (error) {
+                console.error('❌ Could not write the query log:', error.message);
+            }
+        },
+
+        /**
+         * Entries matching the criteria, newest first
+         * @param {Object} criteria - { user, route, table, status: 'ok' | 'error', since, until, limit }
+         * @returns {Promise<Array<Object>>}
+         */
+        async read({ user = null, route = null, table = null, status = null, since = null, until = null, limit = DEFAULT_READ_LIMIT } = {}) {
+            const maxEntries = queryBuilder.normalizeLimit(limit, { max: MAX_READ_LIMIT, fallback: DEFAULT_READ_LIMIT });
+            const sinceTime = since ? Date.parse(since) : null;
+            const untilTime = until ? Date.parse(until) : null;
+            if (Number.isNaN(sinceTime) || Number.isNaN(untilTime)) {
+                throw new Error('Invalid date: since and until must be ISO timestamps');
+            }
+            if (status && !['ok', 'error'].includes(status)) {
+                throw new Error("Invalid status: use 'ok' or 'error'");
+            }
+
+            if (!fs.existsSync(filePath)) {
+                return [];
+            }
+
+            const matches = [];
+            const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+
+            for await (const line of lines) {
+                if (!line.trim()) continue;
+
+                let entry;
+                try {
+                    entry = JSON.parse(line);
+                } catch (error) {
+                    continue; // a line cut short by a crash
+                }
+
+                const time = Date.parse(entry.timestamp);
+                if (user && entry.user !== user) continue;
+                if (route && !String(entry.route).includes(route)) continue;
+                if (table && entry.table !== table.toUpperCase()) continue;
+                if (status === 'ok' && (entry.error || entry.status >= 400)) continue;
+                if (status === 'error' && !entry.error && entry.status < 400) continue;
+                if (sinceTime !== null && time < sinceTime) continue;
+                if (untilTime !== null && time > untilTime) continue;
+
+                matches.push(entry);
+                if (matches.length > maxEntries) {
+                    matches.shift();
+                }
+            }
+
+            return matches.reverse();
+        }
+    };
+
+    return api;
+}
+
+
+module.exports = {
+    createQueryLog,
+    hashSql,
+    normalizeFilters
+};
@@ -0,0 +1,202 @@
+// ===== QUERY SCHEDULER =====
+
+// Admission control for the query routes, so a burst of "Load Data" clicks does not fire every
+// statement at the warehouse at once. A request runs when fewer than maxConcurrent are running
+// overall and fewer than maxPerUser for its user; otherwise it waits in a queue ordered by the
+// priority of its workload class (workload-routing.json: interactive lookups before bulk extracts),
+// then by arrival. When the queue is full, or a request has waited maxWaitMs, it is answered
+//
+//   429 { error: 'Server busy', message: 'Server busy, retry in N s', retryAfter: N, running, queued }
+//
+// with a Retry-After header. Limits come from the environment: QUERY_MAX_CONCURRENT,
+// QUERY_MAX_PER_USER, QUERY_MAX_QUEUED, QUERY_MAX_WAIT_MS. GET /api/queue shows a user where their
+// requests stand.
+
+const DEFAULT_LIMITS = {
+    maxConcurrent: parseInt(process.env.QUERY_MAX_CONCURRENT, 10) || 6,
+    maxPerUser: parseInt(process.env.QUERY_MAX_PER_USER, 10) || 3,
+    maxQueued: parseInt(process.env.QUERY_MAX_QUEUED, 10) || 50,
+    maxWaitMs: parseInt(process.env.QUERY_MAX_WAIT_MS, 10) || 60 * 1000
+};
+const INITIAL_DURATION_MS = 2000;  // run time assumed before any request has finished
+const DURATION_SMOOTHING = 0.2;    // weight of the latest run in the moving average
+const MAX_RETRY_AFTER_SECONDS = 60;
+
+
+/**
+ * Create the scheduler
+ * @param {Object} limits - { maxConcurrent, maxPerUser, maxQueued, maxWaitMs }
+ * @returns {Object} - Scheduler API
+ */
+function createQueryScheduler(limits = {}) {
+    const { maxConcurrent, maxPerUser, maxQueued, maxWaitMs } = { ...DEFAULT_LIMITS, ...limits };
+
+    // Tickets: { id, user, priority, workload, route, table, enqueuedAt, startedAt, waited, admit }
+    const queue = [];
+    const running = new Set();
+    let sequence = 0;
+    let averageDurationMs = INITIAL_DURATION_MS;
+
+    const runningFor = user => Array.from(running).filter(ticket => ticket.user === user).length;
+
+    // Highest priority first, then first come first served
+    const byPriority = (a, b) => (a.priority - b.priority) || (a.id - b.id);
+
+    /**
+     * Seconds until a slot is likely free for a request behind the current queue
+     * @returns {number}
+     */
+    function estimateRetryAfter() {
+        const rounds = Math.ceil((queue.length + 1) / maxConcurrent);
+        return Math.min(MAX_RETRY_AFTER_SECONDS, Math.max(1, Math.ceil(rounds * averageDurationMs / 1000)));
+    }
+
+    /**
+     * Start queued requests while there is room; a user at maxPerUser lets the next user go ahead
+     */
+    function admitWaiting() {
+        for (let i = 0; i < queue.length && running.size < maxConcurrent; i++) {
+            const ticket = queue[i];
+            if (runningFor(ticket.user) >= maxPerUser) {
+                continue;
+            }
+            queue.splice(i, 1);
+            i--;
+            ticket.admit();
+        }
+    }
+
+    /**
+     * @param {Object} res - Express response
+     * @param {string} reason - Logged reason
+     */
+    function sendBusy(res, reason) {
+        const retryAfter = estimateRetryAfter();
+        console.warn(`🚦 Server busy (${reason}): ${running.size} running, ${queue.length} queued, retry in ${retryAfter}s`);
+        res.set('Retry-After', String(retryAfter));
+        res.status(429).json({
+            error: 'Server busy',
+            message: `Server busy, retry in ${retryAfter} s`,
+            retryAfter,
+            running: running.size,
+            queued: queue.length
+        });
+    }
+
+    const scheduler = {
+        /**
+         * Route middleware: hold the request until it may run. Added per route, after the path, so
+         * req.route and req.params are known when the request is described.
+         * @param {Function} describe - req => { priority, workload, table } (see workloadRouting.contextFor)
+         * @returns {Function}
+         */
+        middleware(describe) {
+            return (req, res, next) => {
+                const user = req.session && req.session.user ? req.session.user.username : (req.session ? req.session.id : 'anonymous');
+                const { priority = 0, workload = null, table = null } = describe(req) || {};
+                const ticket = {
+                    id: ++sequence,
+                    user,
+                    priority,
+                    workload,
+                    route: `${req.method} ${req.baseUrl}${req.route.path}`,
+                    table,
+                    enqueuedAt: Date.now(),
+                    startedAt: null
+                };
+
+                if (queue.length >= maxQueued) {
+                    return sendBusy(res, 'queue full');
+                }
+
+                let timer = null;
+                ticket.admit = () => {
+                    clearTimeout(timer);
+                    ticket.startedAt = Date.now();
+                    running.add(ticket);
+                    req.queueWaitMs = ticket.startedAt - ticket.enqueuedAt;
+                    if (ticket.waited) {
+                        console.log(`🚦 ${ticket.route} of ${user} admitted after ${req.queueWaitMs}ms in the queue`);
+                    }
+                    next();
+                };
+
+                res.on('close', () => {
+                    clearTimeout(timer);
+                    if (running.delete(ticket)) {
+                        const duration = Date.now() - ticket.startedAt;
+                        averageDurationMs += DURATION_SMOOTHING * (duration - averageDurationMs);
+                    } else {
+                        const index = queue.indexOf(ticket);
+                        if (index !== -1) {
+                            queue.splice(index, 1);
+                        }
+                    }
+                    admitWaiting();
+                });
+
+                queue.push(ticket);
+                queue.sort(byPriority);
+                admitWaiting();
+
+                if (!ticket.startedAt) {
+                    ticket.waited = true;
+                    console.log(`🚦 ${ticket.route} of ${user} queued at position ${queue.indexOf(ticket) + 1} (${running.size} running)`);
+                    timer = setTimeout(() => {
+                        const index = queue.indexOf(ticket);
+                        if (index !== -1) {
+                            queue.splice(index, 1);
+                            sendBusy(res, `waited ${maxWaitMs}ms`);
+                        }
+                    }, maxWaitMs);
+                }
+            };
+        },
+
+        /**
+         * Where a user's requests stand
+         * @param {string} user - Username
+         * @returns {Object} - { running, queued, retryAfter, requests: [{ route, table, workload, state, position, waitedMs }] }
+         */
+        describeFor(user) {
+            const now = Date.now();
+            const requests = [
+                ...Array.from(running)
+                    .filter(ticket => ticket.user === user)
+                    .map(ticket => ({ ticket, state: 'running', position: 0 })),
+                ...queue
+                    .map((ticket, index) => ({ ticket, state: 'queued', position: index + 1 }))
+                    .filter(({ ticket }) => ticket.user === user)
+            ].map(({ ticket, state, position }) => ({
+                route: ticket.route,
+                table: ticket.table,
+                workload: ticket.workload,
+                state,
+                position,
+                waitedMs: (ticket.startedAt || now) - ticket.enqueuedAt
+            }));
+
+            return { running: running.size, queued: queue.length, retryAfter: estimateRetryAfter(), requests };
+        },
+
+        /**
+         * Load and limits, for the health endpoint
+         * @returns {Object}
+         */
+        stats() {
+            return {
+                running: running.size,
+                queued: queue.length,
+                averageDurationMs: Math.round(averageDurationMs),
+                limits: { maxConcurrent, maxPerUser, maxQueued, maxWaitMs }
+            };
+        }
+    };
+
+    return scheduler;
+}
+
+
+module.exports = {
+    createQueryScheduler
+};
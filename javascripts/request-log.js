@@ -0,0 +1,53 @@
+// ===== API REQUEST LOG (BROWSER SIDE) =====
+
+// Every API response carries X-Request-Id, the ID on each server log line written while serving it
+// (see logger.js on the server). installRequestLog() reports one entry per API call with that ID, so
+// a problem seen in the activity log can be matched to the exact server log lines.
+
+import { API_BASE_URL } from './app-config.js';
+
+// Polled in the background; one entry a second would drown the rest
+const UNLOGGED_PATHS = ['/queue'];
+
+
+/**
+ * Report each API call once it is answered
+ * @param {Object} options - { onRequest({ method, path, status, durationMs, requestId, error }) };
+ *        error is the message of a failed call
+ */
+export function installRequestLog({ onRequest }) {
+    const originalFetch = window.fetch.bind(window);
+
+    window.fetch = async (input, init = {}) => {
+        const url = input instanceof Request ? input.url : String(input);
+        const path = url.slice(API_BASE_URL.length).split('?')[0];
+        if (!url.startsWith(API_BASE_URL) || UNLOGGED_PATHS.includes(path)) {
+            return originalFetch(input, init);
+        }
+
+        const method = (init.method || (input instanceof Request ? input.method : 'GET')).toUpperCase();
+        const startTime = performance.now();
+        const response = await originalFetch(input, init);
+
+        let error = null;
+        if (!response.ok) {
+            const body = await response.clone().json().catch(() => ({}));
+            error = body.message || body.error || response.statusText;
+        }
+
+        onRequest({
+            method,
+            path,
+            status: response.status,
+            durationMs: Math.round(performance.now() - startTime),
+            requestId: response.headers.get('X-Request-Id'),
+            error
+        });
+        return response;
+    };
+}
+
+
+export default {
+    installRequestLog
+};
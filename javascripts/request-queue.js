@@ -0,0 +1,156 @@
+// ===== QUERY QUEUE (BROWSER SIDE) =====
+
+// The server runs a limited number of queries at once and queues the rest (see queryScheduler.js).
+// While API requests are pending this module polls GET /api/queue and reports the tables whose loads
+// are waiting, with their queue position; a 429 "Server busy" answer is retried after the retryAfter
+// seconds the server asks for, reported the same way.
+
+import { API_BASE_URL } from './app-config.js';
+
+const POLL_INTERVAL_MS = 1000;
+const MAX_BUSY_RETRIES = 5;
+
+// API calls that never wait in the queue, and are not watched
+const UNQUEUED_PATHS = ['/queue', '/auth/', '/config', '/health', '/admin/'];
+
+
+/**
+ * Table a request loads, as the server's queue names it (the :table path segment or the fact body field)
+ * @param {string} url - Request URL
+ * @param {Object} init - fetch options
+ * @returns {string|null}
+ */
+function requestTable(url, init) {
+    const match = url.slice(API_BASE_URL.length).match(/^\/(?:data|dimension-fields)\/([A-Za-z0-9_]+)(?:[/?]|$)/);
+    if (match) {
+        return match[1].toUpperCase();
+    }
+    try {
+        const body = typeof init.body === 'string' ? JSON.parse(init.body) : null;
+        return body && body.fact ? String(body.fact).toUpperCase() : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+
+/**
+ * Resolve after a delay, early (rejecting) if the request is aborted
+ * @param {number} ms - Delay
+ * @param {AbortSignal} signal - Request signal
+ * @returns {Promise<void>}
+ */
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            return reject(signal.reason || new DOMException('Aborted', 'AbortError'));
+        }
+        const timer = setTimeout(resolve, ms);
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(signal.reason || new DOMException('Aborted', 'AbortError'));
+        }, { once: true });
+    });
+}
+
+
+/**
+ * Watch and retry queued API requests
+ * @param {Object} options - { onStatus(table, status, info) }: status 'queued' with { position } or
+ *        { retryAfter }, then 'loading' once a queued load runs
+ */
+export function installQueueHandler({ onStatus }) {
+    const originalFetch = window.fetch.bind(window);
+    const pendingTables = new Map(); // table -> pending request count
+    const queuedTables = new Set();
+    let pending = 0;
+    let pollTimer = null;
+
+    async function poll() {
+        pollTimer = null;
+        try {
+            const response = await originalFetch(`${API_BASE_URL}/queue`, { credentials: 'include' });
+            if (response.ok) {
+                const { requests } = await response.json();
+                const stillQueued = new Set();
+
+                requests.forEach(request => {
+                    if (!request.table || !pendingTables.has(request.table)) return;
+
+                    if (request.state === 'queued') {
+                        stillQueued.add(request.table);
+                        onStatus(request.table, 'queued', { position: request.position });
+                    } else if (queuedTables.has(request.table)) {
+                        onStatus(request.table, 'loading');
+                    }
+                });
+
+                queuedTables.clear();
+                stillQueued.forEach(table => queuedTables.add(table));
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not read the query queue:', error.message);
+        }
+
+        if (pending > 0 && !pollTimer) {
+            pollTimer = setTimeout(poll, POLL_INTERVAL_MS);
+        }
+    }
+
+    window.fetch = async (input, init = {}) => {
+        const url = input instanceof Request ? input.url : String(input);
+        const path = url.slice(API_BASE_URL.length);
+        if (!url.startsWith(API_BASE_URL) || UNQUEUED_PATHS.some(prefix => path.startsWith(prefix))) {
+            return originalFetch(input, init);
+        }
+
+        const table = requestTable(url, init);
+        pending++;
+        if (table) {
+            pendingTables.set(table, (pendingTables.get(table) || 0) + 1);
+        }
+        if (!pollTimer) {
+            pollTimer = setTimeout(poll, POLL_INTERVAL_MS);
+        }
+
+        // A Request's body can be read once, so each attempt sends a copy
+        const send = () => originalFetch(input instanceof Request ? input.clone() : input, init);
+
+        try {
+            let response = await send();
+
+            for (let attempt = 1; response.status === 429 && attempt <= MAX_BUSY_RETRIES; attempt++) {
+                const body = await response.clone().json().catch(() => ({}));
+                const retryAfter = Number(body.retryAfter) || Number(response.headers.get('Retry-After')) || 5;
+
+                console.warn(`🚦 ${body.message || 'Server busy'} (${table || path}), attempt ${attempt}/${MAX_BUSY_RETRIES}`);
+                if (table) {
+                    onStatus(table, 'queued', { retryAfter });
+                }
+
+                await wait(retryAfter * 1000, init.signal || (input instanceof Request ? input.signal : null));
+                response = await send();
+                if (table && response.status !== 429) {
+                    onStatus(table, 'loading');
+                }
+            }
+            return response;
+        } finally {
+            pending--;
+            if (table) {
+                const count = pendingTables.get(table) - 1;
+                if (count > 0) {
+                    pendingTables.set(table, count);
+                } else {
+                    pendingTables.delete(table);
+                    queuedTables.delete(table);
+                }
+            }
+        }
+    };
+}
+
+
+export default {
+    installQueueHandler
+};
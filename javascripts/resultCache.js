@@ -0,0 +1,217 @@
+// ===== QUERY RESULT CACHE =====
+
+// In-memory LRU cache for the results of the heavy read routes (FACT_BOM/filtered, the
+// DIM_GMID_DISPLAY routes, comprehensive-gmid-filter). An entry is:
+//   - keyed by route + normalized filter parameters + cache scope (the caller's Snowflake role,
+//     so row access policies are never bypassed by another user's cached rows)
+//   - stamped with the LAST_ALTERED timestamp of the tables it was read from; a lookup with a
+//     newer timestamp discards it
+//   - bounded by a per-route TTL, a maximum entry count and a maximum total size
+
+const queryBuilder = require('./queryBuilder');
+
+const DEFAULT_MAX_ENTRIES = parseInt(process.env.RESULT_CACHE_MAX_ENTRIES, 10) || 200;
+const DEFAULT_MAX_BYTES = (parseInt(process.env.RESULT_CACHE_MAX_MB, 10) || 256) * 1024 * 1024;
+const DEFAULT_TTL = parseInt(process.env.RESULT_CACHE_TTL_MS, 10) || 30 * 60 * 1000; // 30 minutes
+
+
+/**
+ * Normalize filters so that the same selection always produces the same key:
+ * upper-cased fields, trimmed/deduplicated/sorted values, empty filters dropped.
+ * @param {Object} filters - { FIELD: "a,b" | ["a", "b"] }
+ * @returns {Object} - Normalized filters with sorted keys
+ */
+function normalizeFilters(filters = {}) {
+    const normalized = {};
+
+    Object.keys(filters || {})
+        .map(field => [field.trim().toUpperCase(), queryBuilder.normalizeValues(filters[field])])
+        .filter(([, values]) => values.length > 0)
+        .sort(([a], [b]) => a.localeCompare(b))
+        .forEach(([field, values]) => {
+            normalized[field] = Array.from(new Set(values)).sort();
+        });
+
+    return normalized;
+}
+
+
+/**
+ * Build a cache key
+ * @param {string} route - Route name, e.g. 'FACT_BOM/filtered'
+ * @param {Object} parts - { scope, filters, options }
+ * @returns {string}
+ */
+function buildKey(route, { scope = 'shared', filters = {}, options = {} } = {}) {
+    const sortedOptions = {};
+    Object.keys(options).sort().forEach(key => {
+        if (options[key] !== undefined && options[key] !== null) {
+            sortedOptions[key] = options[key];
+        }
+    });
+
+    return JSON.stringify([route, scope, normalizeFilters(filters), sortedOptions]);
+}
+
+
+/**
+ * Create a result cache
+ * @param {Object} options - { maxEntries, maxBytes, defaultTtl }
+ * @returns {Object} - Cache API
+ */
+function createResultCache({
+    maxEntries = DEFAULT_MAX_ENTRIES,
+    maxBytes = DEFAULT_MAX_BYTES,
+    defaultTtl = DEFAULT_TTL
+} = {}) {
+    // Map iteration order doubles as LRU order: get() re-inserts, eviction takes the first key
+    const entries = new Map();
+    let totalBytes = 0;
+    const counters = { hits: 0, misses: 0, stores: 0, evictions: 0, invalidations: 0, rejected: 0 };
+
+    function remove(key) {
+        const entry = entries.get(key);
+        if (entry) {
+            entries.delete(key);
+            totalBytes -= entry.bytes;
+        }
+        return entry;
+    }
+
+    function evictUntilFits(bytes) {
+        while (entries.size > 0 && (entries.size >= maxEntries || totalBytes + bytes > maxBytes)) {
+            remove(entries.keys().next().value);
+            counters.evictions++;
+        }
+    }
+
+    return {
+        /**
+         * @param {string} key - Key from buildKey
+         * @param {string} version - Current LAST_ALTERED stamp of the entry's tables
+         * @returns {Object|null} - { value, storedAt, route, tables } or null on a miss
+         */
+        get(key, version) {
+            const entry = entries.get(key);
+            if (!entry) {
+                counters.misses++;
+                return null;
+            }
+
+            if (Date.now() > entry.expiresAt) {
+                remove(key);
+                counters.misses++;
+                return null;
+            }
+
+            if (version && entry.version && version !== entry.version) {
+                remove(key);
+                counters.invalidations++;
+                counters.misses++;
+                console.log(`🔄 Result cache entry for ${entry.route} invalidated: ${entry.tables.join(', ')} changed`);
+                return null;
+            }
+
+            // Refresh LRU position
+            entries.delete(key);
+            entries.set(key, entry);
+            entry.hits++;
+            counters.hits++;
+            return entry;
+        },
+
+        /**
+         * @param {string} key - Key from buildKey
+         * @param {*} value - Rows (array) or a JSON response body
+         * @param {Object} meta - { route, tables, version, ttl, bytes }
+         * @returns {boolean} - False when the value is too large to cache
+         */
+        set(key, value, { route, tables = [], version = null, ttl = defaultTtl, bytes = null } = {}) {
+            const size = bytes !== null ? bytes : Buffer.byteLength(JSON.stringify(value));
+
+            if (size > maxBytes / 4) {
+                counters.rejected++;
+                console.log(`⚠️ Result for ${route} not cached: ${(size / 1024 / 1024).toFixed(1)} MB exceeds the per-entry limit`);
+                return false;
+            }
+
+            remove(key);
+            evictUntilFits(size);
+
+            entries.set(key, {
+                value,
+                route,
+                tables,
+                version,
+                bytes: size,
+                rowCount: Array.isArray(value) ? value.length : null,
+                storedAt: Date.now(),
+                expiresAt: Date.now() + ttl,
+                hits: 0
+            });
+            totalBytes += size;
+            counters.stores++;
+            return true;
+        },
+
+        /**
+         * Purge entries, optionally only those of one route or reading one table
+         * @param {Object} filter - { route, table }
+         * @returns {number} - Entries removed
+         */
+        purge({ route = null, table = null } = {}) {
+            let removed = 0;
+            Array.from(entries.entries()).forEach(([key, entry]) => {
+                const routeMatches = !route || entry.route === route;
+                const tableMatches = !table || entry.tables.includes(table.toUpperCase());
+                if (routeMatches && tableMatches) {
+                    remove(key);
+                    removed++;
+                }
+            });
+            return removed;
+        },
+
+        /**
+         * @param {boolean} includeEntries - Also list the entries (without their values)
+         * @returns {Object} - Limits, counters and usage
+         */
+        stats(includeEntries = false) {
+            const now = Date.now();
+            const stats = {
+                entries: entries.size,
+                maxEntries,
+                sizeBytes: totalBytes,
+                sizeMB: +(totalBytes / 1024 / 1024).toFixed(2),
+                maxSizeMB: +(maxBytes / 1024 / 1024).toFixed(2),
+                defaultTtlMs: defaultTtl,
+                ...counters,
+                hitRate: counters.hits + counters.misses > 0
+                    ? +(counters.hits / (counters.hits + counters.misses)).toFixed(3)
+                    : 0
+            };
+
+            if (includeEntries) {
+                stats.items = Array.from(entries.entries()).map(([key, entry]) => ({
+                    key,
+                    route: entry.route,
+                    tables: entry.tables,
+                    version: entry.version,
+                    rowCount: entry.rowCount,
+                    sizeKB: Math.round(entry.bytes / 1024),
+                    hits: entry.hits,
+                    ageMs: now - entry.storedAt,
+                    expiresInMs: entry.expiresAt - now
+                }));
+            }
+            return stats;
+        }
+    };
+}
+
+
+module.exports = {
+    buildKey,
+    normalizeFilters,
+    createResultCache
+};
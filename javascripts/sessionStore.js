@@ -0,0 +1,236 @@
+// ===== BROWSER SESSIONS =====
+
+// Each browser gets an HttpOnly session cookie. The session carries the signed-in user (set by
+// POST /api/auth/login through an identity provider, see identityProviders.js) and the Snowflake
+// identity ({ username, role, warehouse }) its queries run under; snowflakeClient.js keeps one pooled
+// connection per session id.
+//
+// A signed-in session ends SESSION_TTL after login, or after SESSION_IDLE_TIMEOUT without requests.
+// requireAuthentication() answers 401 on /api routes for sessions without a user.
+
+const crypto = require('crypto');
+
+const SESSION_COOKIE = 'bom_session';
+const SESSION_TTL = parseInt(process.env.SESSION_TTL_MS, 10) || 8 * 60 * 60 * 1000; // 8 hours
+const SESSION_IDLE_TIMEOUT = parseInt(process.env.SESSION_IDLE_TIMEOUT_MS, 10) || 60 * 60 * 1000; // 1 hour
+const SESSION_ID_PATTERN = /^[a-f0-9-]{36}$/;
+
+// Where the browser is sent to sign in (resolved against the page's URL)
+const LOGIN_PAGE = process.env.LOGIN_PAGE || 'sso.html';
+
+// sessionId -> { id, config, user, createdAt, lastSeen, expiresAt }
+const sessions = new Map();
+
+
+/**
+ * Read one cookie from the request headers (no cookie-parser dependency)
+ * @param {Object} req - Express request
+ * @param {string} name - Cookie name
+ * @returns {string|null}
+ */
+function readCookie(req, name) {
+    const header = req.headers.cookie || '';
+    const match = header.split(';')
+        .map(part => part.trim())
+        .find(part => part.startsWith(name + '='));
+
+    return match ? decodeURIComponent(match.slice(name.length + 1)) : null;
+}
+
+
+/**
+ * @param {Object} res - Express response
+ * @param {string} value - Cookie value ('' clears it)
+ * @param {number} maxAgeMs - Lifetime
+ */
+function writeSessionCookie(res, value, maxAgeMs) {
+    res.setHeader('Set-Cookie',
+        `${SESSION_COOKIE}=${encodeURIComponent(value)}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${Math.floor(maxAgeMs / 1000)}`);
+}
+
+
+/**
+ * @param {Object} session - Stored session
+ * @param {number} now - Current time
+ * @returns {boolean} - True when the session is past its login lifetime or idle timeout
+ */
+function isExpired(session, now = Date.now()) {
+    if (session.expiresAt && now > session.expiresAt) {
+        return true;
+    }
+    return now - session.lastSeen > (session.user ? SESSION_IDLE_TIMEOUT : SESSION_TTL);
+}
+
+
+/**
+ * Drop expired sessions
+ */
+function pruneSessions() {
+    const now = Date.now();
+    sessions.forEach((session, sessionId) => {
+        if (isExpired(session, now)) {
+            sessions.delete(sessionId);
+        }
+    });
+}
+
+
+/**
+ * Create an anonymous session and set its cookie
+ * @param {Object} res - Express response
+ * @returns {Object} - Session
+ */
+function createSession(res) {
+    pruneSessions();
+    const session = {
+        id: crypto.randomUUID(),
+        config: {},
+        user: null,
+        createdAt: Date.now(),
+        lastSeen: Date.now(),
+        expiresAt: null
+    };
+    sessions.set(session.id, session);
+    writeSessionCookie(res, session.id, SESSION_TTL);
+    return session;
+}
+
+
+/**
+ * Express middleware: attach req.session, creating a session (and cookie) on first contact.
+ * req.sessionExpired is set when the cookie named a session that has timed out.
+ * @returns {Function}
+ */
+function sessionMiddleware() {
+    return (req, res, next) => {
+        const cookieId = readCookie(req, SESSION_COOKIE);
+        let session = cookieId && SESSION_ID_PATTERN.test(cookieId) ? sessions.get(cookieId) : null;
+
+        if (session && isExpired(session)) {
+            console.log(`⌛ Session ${session.id.slice(0, 8)} of ${session.user ? session.user.username : 'anonymous'} expired`);
+            sessions.delete(session.id);
+            req.sessionExpired = Boolean(session.user);
+            session = null;
+        }
+
+        if (!session) {
+            session = createSession(res);
+        }
+
+        session.lastSeen = Date.now();
+        req.session = session;
+        next();
+    };
+}
+
+
+/**
+ * Express middleware: 401 for requests whose session has no signed-in user
+ * @param {Object} options - { publicPaths: paths (relative to the mount point) reachable without login }
+ * @returns {Function}
+ */
+function requireAuthentication({ publicPaths = [] } = {}) {
+    return (req, res, next) => {
+        if (req.session && req.session.user) {
+            return next();
+        }
+        if (req.method === 'OPTIONS' || publicPaths.some(publicPath => req.path === publicPath || req.path.startsWith(publicPath + '/'))) {
+            return next();
+        }
+
+        res.status(401).json({
+            error: req.sessionExpired ? 'Session expired, please sign in again' : 'Not signed in',
+            expired: Boolean(req.sessionExpired),
+            loginUrl: LOGIN_PAGE
+        });
+    };
+}
+
+
+/**
+ * Sign a user in: the session gets a fresh id (so a cookie planted before login is useless) and a
+ * fixed lifetime
+ * @param {Object} res - Express response
+ * @param {Object} session - Current session (anonymous)
+ * @param {Object} user - { username, displayName, roles, provider }
+ * @param {string} id - New session id (default: a random one)
+ * @returns {Object} - The signed-in session
+ */
+function signIn(res, session, user, id = crypto.randomUUID()) {
+    sessions.delete(session.id);
+
+    const now = Date.now();
+    const signedIn = {
+        id,
+        config: { ...session.config, username: user.username },
+        user,
+        createdAt: now,
+        lastSeen: now,
+        expiresAt: now + SESSION_TTL
+    };
+    sessions.set(signedIn.id, signedIn);
+    writeSessionCookie(res, signedIn.id, SESSION_TTL);
+    return signedIn;
+}
+
+
+/**
+ * @param {Object} session - Session from req.session
+ * @returns {Object} - What the browser may see about the session
+ */
+function describeSession(session) {
+    return {
+        sessionId: session.id.slice(0, 8),
+        user: session.user,
+        createdAt: new Date(session.createdAt).toISOString(),
+        expiresAt: session.expiresAt ? new Date(session.expiresAt).toISOString() : null,
+        idleTimeoutMs: SESSION_IDLE_TIMEOUT
+    };
+}
+
+
+/**
+ * Set the Snowflake identity of a session. Only role and warehouse can be changed; the username is
+ * the signed-in user's, and account and authenticator always come from the environment.
+ * @param {Object} session - Session from req.session
+ * @param {Object} userConfig - { role, warehouse }
+ * @returns {Object} - The updated session config
+ */
+function updateSessionConfig(session, userConfig = {}) {
+    const config = {};
+    ['role', 'warehouse'].forEach(key => {
+        const value = userConfig[key];
+        if (value !== undefined && value !== null && String(value).trim() !== '') {
+            config[key] = String(value).trim();
+        }
+    });
+    if (session.user) {
+        config.username = session.user.username;
+    }
+
+    session.config = config;
+    return config;
+}
+
+
+/**
+ * End a session and expire its cookie
+ * @param {Object} res - Express response
+ * @param {Object} session - Session from req.session
+ */
+function destroySession(res, session) {
+    sessions.delete(session.id);
+    writeSessionCookie(res, '', 0);
+}
+
+
+module.exports = {
+    SESSION_COOKIE,
+    LOGIN_PAGE,
+    sessionMiddleware,
+    requireAuthentication,
+    signIn,
+    describeSession,
+    updateSessionConfig,
+    destroySession
+};
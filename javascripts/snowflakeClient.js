@@ -1,72 +1,350 @@
 // ===== FIXED SNOWFLAKE CLIENT =====
 
+const os = require('os');
 const snowflake = require('snowflake-sdk');
+const { getEnvironment } = require('./environment');
 
-// Classic Snowflake connection config from .env (automatic, legacy mode)
+// The driver keeps its own log file (snowflake.log); write it outside the source tree and keep it off
+// the console, where the server's JSON log lines go
+snowflake.configure({
+    logLevel: process.env.SNOWFLAKE_SDK_LOG_LEVEL || 'WARN',
+    logFilePath: process.env.SNOWFLAKE_SDK_LOG_DIR || os.tmpdir(),
+    additionalLogToConsole: false
+});
+
+// Snowflake connection config of the active environment profile (gaps filled from .env)
 function getSnowflakeConfig() {
+    const environment = getEnvironment();
     return {
-        account: process.env.ACCOUNT,
+        account: environment.account,
         username: process.env.USER,
-        role: process.env.ROLE,
+        role: environment.role,
         authenticator: 'externalbrowser',
-        warehouse: process.env.WAREHOUSE,
-        database: process.env.DATABASE,
-        schema: process.env.SCHEMA
+        warehouse: environment.warehouse,
+        database: environment.database,
+        schema: environment.schema
     };
 }
 
-// Connection pool
-let snowflakeConnection = null;
-let cachedConnection = null;
+// Connection pool: one Snowflake connection per browser session, so every query runs
+// under that user's SSO identity and role (and Snowflake row access policies apply to them)
+const POOL_MAX_SESSIONS = parseInt(process.env.SNOWFLAKE_POOL_MAX, 10) || 20;
+const POOL_IDLE_TIMEOUT = parseInt(process.env.SNOWFLAKE_IDLE_TIMEOUT_MS, 10) || 15 * 60 * 1000; // 15 minutes
+const POOL_SWEEP_INTERVAL = 60 * 1000;
+const DEFAULT_SESSION_ID = 'default';
+
+// Snowflake error codes meaning the session token is gone and a fresh login is needed
+const EXPIRED_SESSION_CODES = new Set([390112, 390114, 390111, 390195, 407002]);
+
+// sessionId -> { connection, connecting, config, lastUsed, activeQueries, warehouseGate }
+const pool = new Map();
+
+
+/**
+ * Settings a session may override on top of the .env defaults
+ * @param {Object} userConfig - { username, role, warehouse }
+ * @returns {Object} - Snowflake connection options
+ */
+function buildSessionConfig(userConfig = {}) {
+    const config = getSnowflakeConfig();
+
+    ['username', 'role', 'warehouse'].forEach(key => {
+        if (userConfig[key]) {
+            config[key] = userConfig[key];
+        }
+    });
+    return config;
+}
+
+
+/**
+ * @param {Error} err - Error raised by snowflake-sdk
+ * @returns {boolean} - True when the connection has to be re-established
+ */
+function isExpiredSessionError(err) {
+    if (!err) {
+        return false;
+    }
+    if (EXPIRED_SESSION_CODES.has(Number(err.code))) {
+        return true;
+    }
+    return /token has expired|session no longer exists|not connected/i.test(err.message || '');
+}
+
+
+/**
+ * Destroy one pooled connection and forget its session
+ * @param {string} sessionId - Session to drop
+ * @param {string} reason - Logged reason
+ */
+function evictSession(sessionId, reason) {
+    const entry = pool.get(sessionId);
+    if (!entry) {
+        return;
+    }
+    pool.delete(sessionId);
+
+    if (entry.connection) {
+        entry.connection.destroy((err) => {
+            if (err) {
+                console.error(`❌ Error closing Snowflake connection for session ${sessionId}:`, err.message);
+            }
+        });
+    }
+    console.log(`♻️ Snowflake session ${sessionId} evicted (${reason}), ${pool.size}/${POOL_MAX_SESSIONS} in pool`);
+}
+
 
 /**
- * Initialize Snowflake connection with SSO (externalbrowser)
- * Accepts user credentials from parameters (not .env)
- * @param {Object} userConfig - { account, username, role, warehouse, database, schema }
+ * Make room for a new session by evicting the least recently used idle one
  */
-async function connectToSnowflake() {
-    if (cachedConnection) {
-        return Promise.resolve(cachedConnection);
+function ensurePoolCapacity() {
+    if (pool.size < POOL_MAX_SESSIONS) {
+        return;
     }
-    if (snowflakeConnection) {
-        return snowflakeConnection;
+
+    let oldestId = null;
+    let oldestUse = Infinity;
+    pool.forEach((entry, sessionId) => {
+        if (entry.activeQueries === 0 && !entry.connecting && entry.lastUsed < oldestUse) {
+            oldestId = sessionId;
+            oldestUse = entry.lastUsed;
+        }
+    });
+
+    if (!oldestId) {
+        throw new Error(`Snowflake connection pool exhausted (${POOL_MAX_SESSIONS} active sessions)`);
     }
-    const snowflakeConfig = getSnowflakeConfig();
-    snowflakeConnection = new Promise((resolve, reject) => {
+    evictSession(oldestId, 'pool full');
+}
+
+
+/**
+ * Close connections that have been idle longer than POOL_IDLE_TIMEOUT
+ */
+function sweepIdleSessions() {
+    const now = Date.now();
+    pool.forEach((entry, sessionId) => {
+        if (entry.activeQueries === 0 && !entry.connecting && now - entry.lastUsed > POOL_IDLE_TIMEOUT) {
+            evictSession(sessionId, 'idle');
+        }
+    });
+}
+
+const sweepTimer = setInterval(sweepIdleSessions, POOL_SWEEP_INTERVAL);
+sweepTimer.unref();
+
+
+/**
+ * Initialize (or reuse) the Snowflake connection of a browser session with SSO (externalbrowser)
+ * @param {Object} session - { id, config: { username, role, warehouse } }; omitted = shared .env session
+ * @returns {Promise<Object>} - Connected snowflake-sdk connection
+ */
+async function connectToSnowflake(session = {}) {
+    const sessionId = session.id || DEFAULT_SESSION_ID;
+    let entry = pool.get(sessionId);
+
+    if (entry && entry.connection) {
+        if (entry.connection.isUp()) {
+            entry.lastUsed = Date.now();
+            return entry.connection;
+        }
+        evictSession(sessionId, 'connection down');
+        entry = null;
+    }
+    if (entry && entry.connecting) {
+        return entry.connecting;
+    }
+
+    ensurePoolCapacity();
+
+    const snowflakeConfig = buildSessionConfig(session.config);
+    entry = {
+        connection: null,
+        connecting: null,
+        config: snowflakeConfig,
+        lastUsed: Date.now(),
+        activeQueries: 0,
+        // Warehouse the connection is on; see enterWarehouse
+        warehouseGate: {
+            current: snowflakeConfig.warehouse ? String(snowflakeConfig.warehouse).toUpperCase() : null,
+            running: 0,
+            switching: false,
+            waiting: []
+        }
+    };
+    pool.set(sessionId, entry);
+
+    entry.connecting = new Promise((resolve, reject) => {
         const connection = snowflake.createConnection(snowflakeConfig);
         connection.connectAsync()
             .then(conn => {
-                console.log('✅ Connected to Snowflake successfully via SSO (async)');
-                cachedConnection = conn;
-                snowflakeConnection = null;
+                console.log(`✅ Connected to Snowflake successfully via SSO (session ${sessionId}, user ${snowflakeConfig.username})`);
+                entry.connection = conn;
+                entry.connecting = null;
+                entry.lastUsed = Date.now();
                 resolve(conn);
             })
             .catch(err => {
-                snowflakeConnection = null;
+                pool.delete(sessionId);
                 reject(new Error('❌ Snowflake connection failed: ' + err.message));
             });
     });
-    return snowflakeConnection;
+    return entry.connecting;
 }
 
+
 /**
- * Execute Snowflake query with parameters
+ * Track a running statement so idle eviction never closes a busy connection
+ * @param {Object} session - Session the statement runs under
+ * @returns {Function} - Call when the statement has finished
+ */
+function trackQuery(session = {}) {
+    const entry = pool.get(session.id || DEFAULT_SESSION_ID);
+    if (!entry) {
+        return () => {};
+    }
+
+    entry.activeQueries++;
+    let released = false;
+    return () => {
+        if (!released) {
+            released = true;
+            entry.activeQueries--;
+            entry.lastUsed = Date.now();
+        }
+    };
+}
+
+
+/**
+ * Start the statements waiting at a connection's warehouse gate: those for the current warehouse right
+ * away, then - once nothing is running - switch to the next one asked for
+ * @param {Object} entry - Pool entry
+ */
+function admitWaiting(entry) {
+    const gate = entry.warehouseGate;
+
+    while (gate.waiting.length > 0 && !gate.switching) {
+        const next = gate.waiting[0];
+
+        if (next.warehouse === gate.current) {
+            gate.waiting.shift();
+            gate.running++;
+            let left = false;
+            next.resolve(() => {
+                if (!left) {
+                    left = true;
+                    gate.running--;
+                    admitWaiting(entry);
+                }
+            });
+            continue;
+        }
+        if (gate.running > 0) {
+            return;
+        }
+
+        gate.switching = true;
+        entry.connection.execute({
+            sqlText: `USE WAREHOUSE ${next.warehouse}`,
+            complete: (err) => {
+                gate.switching = false;
+                if (err) {
+                    gate.waiting.shift();
+                    next.reject(err);
+                } else {
+                    console.log(`🏭 Snowflake session ${entry.config.username} switched to warehouse ${next.warehouse}`);
+                    gate.current = next.warehouse;
+                }
+                admitWaiting(entry);
+            }
+        });
+        return;
+    }
+}
+
+
+/**
+ * Wait until the session's connection runs on a warehouse. USE WAREHOUSE is a session setting, so a
+ * statement for another warehouse waits for the running ones to complete before the switch; statements
+ * for the current warehouse run side by side.
+ * @param {Object} session - Session the statement runs under (already connected)
+ * @param {string|null} warehouse - Validated warehouse name; null = the session's own warehouse
+ * @returns {Promise<Function>} - Call when the statement has completed
+ */
+function enterWarehouse(session = {}, warehouse = null) {
+    const entry = pool.get(session.id || DEFAULT_SESSION_ID);
+    const target = warehouse || (entry && entry.config.warehouse);
+    if (!entry || !entry.connection || !target) {
+        return Promise.resolve(() => {});
+    }
+
+    return new Promise((resolve, reject) => {
+        entry.warehouseGate.waiting.push({ warehouse: String(target).toUpperCase(), resolve, reject });
+        admitWaiting(entry);
+    });
+}
+
+
+/**
+ * Cancel a running statement on the warehouse when the signal aborts
+ * @param {Object} statement - snowflake-sdk statement
+ * @param {AbortSignal} signal - Aborted when the browser disconnects
+ * @returns {Function} - Detach the listener once the statement has finished
+ */
+function cancelOnAbort(statement, signal) {
+    if (!signal) {
+        return () => {};
+    }
+
+    const onAbort = () => {
+        statement.cancel(err => {
+            if (err) {
+                console.warn(`⚠️ Could not cancel statement ${statement.getStatementId()}:`, err.message);
+            } else {
+                console.log(`🛑 Cancelled statement ${statement.getStatementId()} (client went away)`);
+            }
+        });
+    };
+
+    if (signal.aborted) {
+        onAbort();
+        return () => {};
+    }
+    signal.addEventListener('abort', onAbort, { once: true });
+    return () => signal.removeEventListener('abort', onAbort);
+}
+
+
+/**
+ * Execute Snowflake query with parameters. Reconnects once if the session token expired.
  * @param {string} sql - SQL query with ? placeholders
  * @param {Array} params - Parameters to bind to the query
+ * @param {Object} session - Browser session ({ id, config }) the query runs under
+ * @param {Object} options - { signal } cancels the statement when aborted; { queryTag, warehouse }
+ *        tag it and pick its warehouse (see workloadRouting.js)
  * @returns {Promise<Array>} - Query results
  */
-async function executeSnowflakeQuery(sql, params = []) {
+async function executeSnowflakeQuery(sql, params = [], session = {}, { signal, queryTag = null, warehouse = null } = {}) {
     console.log('⏳ Executing Snowflake Query:', sql);
     console.log('📊 Parameters:', params);
-    try {
-        const connection = await connectToSnowflake();
+
+    const run = async () => {
+        const connection = await connectToSnowflake(session);
+        const leaveWarehouse = await enterWarehouse(session, warehouse);
+        const release = trackQuery(session);
         return new Promise((resolve, reject) => {
+            let detach = () => {};
             const statement = connection.execute({
                 sqlText: sql,
                 binds: params,
+                parameters: queryTag ? { QUERY_TAG: queryTag } : undefined,
                 complete: (err, stmt, rows) => {
+                    leaveWarehouse();
+                    release();
+                    detach();
                     if (err) {
-                        console.error('❌ Snowflake query error:', err);
                         reject(err);
                     } else {
                         console.log(`✅ Query completed successfully: ${rows.length} rows returned`);
@@ -74,46 +352,66 @@ async function executeSnowflakeQuery(sql, params = []) {
                     }
                 }
             });
+            detach = cancelOnAbort(statement, signal);
         });
+    };
+
+    try {
+        return await run();
     } catch (error) {
+        if (isExpiredSessionError(error) && !(signal && signal.aborted)) {
+            console.warn(`⚠️ Snowflake session ${session.id || DEFAULT_SESSION_ID} expired, reconnecting...`);
+            evictSession(session.id || DEFAULT_SESSION_ID, 'token expired');
+            return run();
+        }
         console.error('❌ Error executing Snowflake query:', error);
         throw error;
     }
 }
 
+
 /**
- * Close Snowflake connection
+ * Close Snowflake connections
+ * @param {string} sessionId - Session to close; omitted = every pooled connection
  */
-function closeSnowflakeConnection() {
-    if (cachedConnection) {
-        cachedConnection.destroy((err) => {
-            if (err) {
-                console.error('❌ Error closing Snowflake connection:', err);
-            } else {
-                console.log('✅ Snowflake connection closed');
-            }
-            cachedConnection = null;
-        });
+function closeSnowflakeConnection(sessionId) {
+    if (sessionId) {
+        evictSession(sessionId, 'closed');
+        return;
     }
+    Array.from(pool.keys()).forEach(id => evictSession(id, 'shutdown'));
+    console.log('✅ Snowflake connections closed');
 }
 
-// ===== GRACEFUL SHUTDOWN =====
-
-process.on('SIGINT', () => {
-    console.log('🔄 Shutting down gracefully...');
-    closeSnowflakeConnection();
-    process.exit(0);
-});
 
-process.on('SIGTERM', () => {
-    console.log('🔄 Shutting down gracefully...');
-    closeSnowflakeConnection();
-    process.exit(0);
-});
+/**
+ * Pool status for the health endpoint
+ * @returns {Object} - { maxSessions, idleTimeoutMs, sessions: [...] }
+ */
+function getPoolStats() {
+    return {
+        maxSessions: POOL_MAX_SESSIONS,
+        idleTimeoutMs: POOL_IDLE_TIMEOUT,
+        sessions: Array.from(pool.entries()).map(([sessionId, entry]) => ({
+            sessionId: sessionId.slice(0, 8),
+            username: entry.config.username,
+            role: entry.config.role,
+            connected: Boolean(entry.connection && entry.connection.isUp()),
+            activeQueries: entry.activeQueries,
+            warehouse: entry.warehouseGate.current,
+            idleMs: Date.now() - entry.lastUsed
+        }))
+    };
+}
 
 // Export functions for use in other files
 module.exports = {
     executeSnowflakeQuery,
     connectToSnowflake,
-    closeSnowflakeConnection
-};
\ No newline at end of file
+    closeSnowflakeConnection,
+    isExpiredSessionError,
+    cancelOnAbort,
+    trackQuery,
+    enterWarehouse,
+    getPoolStats
+};
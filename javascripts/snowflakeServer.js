@@ -2,55 +2,205 @@
 Optimized Snowflake Server with Smart Column Selection
 */
 
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 require('dotenv').config();
-const { executeSnowflakeQuery, connectToSnowflake, closeSnowflakeConnection } = require('./snowflakeClient');
+const { createLogger, REQUEST_ID_HEADER } = require('./logger');
+
+// JSON log lines with level and request ID (LOG_LEVEL, LOG_FORMAT, see logger.js); the console.log
+// calls throughout the server go through it, from the first module loaded below
+const logger = createLogger();
+logger.captureConsole();
+
+const queryBuilder = require('./queryBuilder');
+const { createDataSource } = require('./dataSource');
+const {
+    sessionMiddleware,
+    requireAuthentication,
+    signIn,
+    describeSession,
+    updateSessionConfig,
+    destroySession
+} = require('./sessionStore');
+const { getIdentityProvider } = require('./identityProviders');
+const resultCache = require('./resultCache');
+const { createRowWriter } = require('./columnarFormat');
+const { createTableRegistry } = require('./tableRegistry');
+const { getEnvironment, describeEnvironment } = require('./environment');
+const { createEntitlements } = require('./entitlements');
+const { createQueryLog } = require('./queryLog');
+const { createWorkloadRouter } = require('./workloadRouting');
+const { createQueryScheduler } = require('./queryScheduler');
+const { createMetrics } = require('./metrics');
+const bomExplosion = require('./bomExplosion');
 
 
 const app = express();
 const PORT = process.argv[2] || 3000;
 
-app.use(cors()); 
+// Pages allowed to call the API with the session cookie (credentials: 'include'): CORS_ORIGINS
+// (comma-separated), else any localhost / 127.0.0.1 port, the development setup
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+const LOCAL_ORIGIN_PATTERN = /^https?:\/\/(localhost|127\.0\.0\.1)(:\d+)?$/;
+
+// Point in time the browser asks the queries of a request to read at (see the as-of middleware below)
+const AS_OF_HEADER = 'X-BOM-As-Of';
+
+// Response headers the page reads from another origin; the browser hides any header not listed here
+// (a chunked load without X-Has-More / X-Next-Cursor would stop after its first chunk)
+const EXPOSED_HEADERS = [
+    REQUEST_ID_HEADER,
+    AS_OF_HEADER,
+    'Retry-After',
+    'X-Has-More',
+    'X-Next-Cursor',
+    'X-Chunk-Rows',
+    'X-Selected-Fields',
+    'X-Invalid-Fields',
+    'X-Query-Type',
+    'X-Filter-Count',
+    'X-Max-Records'
+];
+
+app.use(cors({
+    origin: (origin, callback) => {
+        const allowed = !origin ||
+            (CORS_ORIGINS.length > 0 ? CORS_ORIGINS.includes(origin) : LOCAL_ORIGIN_PATTERN.test(origin));
+        callback(null, allowed);
+    },
+    credentials: true,
+    exposedHeaders: EXPOSED_HEADERS
+}));
 app.use(express.json());
 
+// X-Request-Id on every response and every log line of the call
+app.use(logger.requestIds());
+
+// Request counts, latencies and errors per route for GET /metrics (see metrics.js); counted before
+// sign-in so rejected requests show up too
+const metrics = createMetrics();
+app.use(metrics.middleware());
+
+// Snowflake, or the local fixture stand-in for the 'local' environment profile (APP_ENV)
+const dataSource = createDataSource();
+
+// Who may sign in, and how (see identityProviders.js); checked at startup so a bad profile fails fast
+const identityProvider = getIdentityProvider();
+
+// Every /api route except sign-in and the public configuration needs a signed-in session
+app.use(sessionMiddleware());
+app.use('/api', requireAuthentication({ publicPaths: ['/auth', '/config', '/health'] }));
+
+// Every request runs its queries on its own browser session's connection, tagged with the user, page
+// and route and sent to the warehouse of its workload class (workload-routing.json, see
+// workloadRouting.js). Table registry lookups use req.metadataSource: a separate source on the same
+// connection and workload, which queryLog.middleware() does not wrap, so they stay out of the query log.
+const workloadRouter = createWorkloadRouter();
+app.use((req, res, next) => {
+    const sessionSource = dataSource.forSession(req.session).withContext(() => workloadRouter.contextFor(req));
+    req.dataSource = metrics.instrumentDataSource(sessionSource);
+    req.metadataSource = metrics.instrumentDataSource(sessionSource);
+    next();
+});
+
+// Point-in-time reads: X-BOM-As-Of (an ISO date or timestamp, see as-of.js in the browser) makes every
+// fact and dimension query of the request read its tables as they were then, through Snowflake time
+// travel (AT(TIMESTAMP => ...) in queryBuilder.scopedTable). Responses echo the timestamp used.
+app.use((req, res, next) => {
+    try {
+        req.asOf = queryBuilder.normalizeAsOf(req.get(AS_OF_HEADER));
+        if (req.asOf && !supportsTimeTravel()) {
+            throw new Error(`Invalid as-of: the ${dataSource.name} data source has no time travel`);
+        }
+    } catch (error) {
+        return res.status(400).json({
+            error: 'Invalid request parameters',
+            message: error.message
+        });
+    }
+    if (req.asOf) {
+        res.set(AS_OF_HEADER, req.asOf);
+    }
+    next();
+});
+
+// LEs, MCs and root smartcodes the signed-in user may see (entitlements.json, see entitlements.js);
+// every fact and dimension query reads its table through entitledTable(req, table)
+const entitlements = createEntitlements();
+app.use((req, res, next) => {
+    req.entitlements = entitlements.forUser(req.session.user);
+    next();
+});
+
+// Audit trail of every query route: user, filters, SQL hash, rows, bytes, duration, errors (see queryLog.js).
+// Members of ADMIN_ROLES may read everyone's entries through GET /api/admin/query-log (and manage the
+// caches through /api/clear-cache).
+const queryLog = createQueryLog();
+const ADMIN_ROLES = (process.env.ADMIN_ROLES || 'BOM_ADMIN').split(',').map(role => role.trim().toUpperCase()).filter(Boolean);
+app.use(queryLog.middleware());
+
+// Query routes wait for a free slot (QUERY_MAX_CONCURRENT overall, QUERY_MAX_PER_USER per user), in the
+// priority order of their workload class; overload is answered 429 "busy, retry in N s" (see
+// queryScheduler.js). Added per route as queued, after the path.
+const queryScheduler = createQueryScheduler();
+const queued = queryScheduler.middleware(req => workloadRouter.contextFor(req));
+
+// req.abortSignal fires when the browser aborts or disconnects before the response is complete,
+// so the running Snowflake statement is cancelled instead of burning warehouse credits
+app.use((req, res, next) => {
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            console.log(`🛑 Client aborted ${req.method} ${req.path}, cancelling query`);
+            controller.abort();
+        }
+    });
+    req.abortSignal = controller.signal;
+    next();
+});
+
 // Cache for table schemas to avoid repeated queries
 const schemaCache = new Map();
 const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+const schemaCacheStats = { hits: 0, misses: 0 };
+
+// Result cache for the heavy read routes (see resultCache.js)
+const queryResultCache = resultCache.createResultCache();
+const RESULT_TTL = {
+    fact: 30 * 60 * 1000,           // 30 minutes
+    dimension: 2 * 60 * 60 * 1000   // 2 hours
+};
+
+// LAST_ALTERED stamps are re-read at most once a minute so cache lookups stay cheap
+const tableVersionCache = new Map();
+const TABLE_VERSION_TTL = 60 * 1000;
+
+// Facts and dimensions (SETUP + table-registry.json): which columns may be filtered, grouped on
+// and summed, and how each dimension is keyed, joined and loaded (see tableRegistry.js)
+const tableRegistry = createTableRegistry();
+
+// Chunked (keyset-paginated) table loads: /api/data/:table/estimate + /api/data/:table/chunk
+const CHUNK_DEFAULT_SIZE = 50000;
+const CHUNK_MAX_SIZE = 200000;
 
 /**
  * SMART: Get table schema with caching
+ * @param {string} tableName - Table to describe
+ * @param {Object} source - Session-bound data source (req.dataSource)
  */
-async function getTableSchema(tableName) {
-    const cacheKey = tableName.toUpperCase();
+async function getTableSchema(tableName, source) {
+    const cacheKey = queryBuilder.normalizeIdentifier(tableName, 'table');
     const cached = schemaCache.get(cacheKey);
     
     if (cached && (Date.now() - cached.timestamp) < CACHE_TTL) {
+        schemaCacheStats.hits++;
         return cached.columns;
     }
+    schemaCacheStats.misses++;
     
     try {
-        // Pass user config from global context (for SSO)
-        // This function must be refactored to accept userConfig if per-user SSO is needed
-        // For now, fallback to .env or default headers (for demo)
-        const conn = await connectToSnowflake(global._userSnowflakeConfig || {});
-        const result = await new Promise((resolve, reject) => {
-            conn.execute({
-                sqlText: `
-                    SELECT COLUMN_NAME, DATA_TYPE, IS_NULLABLE 
-                    FROM ONEMNS_PROD.INFORMATION_SCHEMA.COLUMNS 
-                    WHERE TABLE_SCHEMA = 'DMT_BOM' 
-                    AND TABLE_NAME = '${tableName.toUpperCase()}'
-                    ORDER BY ORDINAL_POSITION
-                `,
-                complete: (err, stmt, rows) => {
-                    if (err) reject(err);
-                    else resolve(rows);
-                }
-            });
-        });
-        
-        const columns = result.map(row => row.COLUMN_NAME.toUpperCase());
+        const columns = await source.getColumns(cacheKey);
         
         // Cache the result
         schemaCache.set(cacheKey, {
@@ -71,8 +221,8 @@ async function getTableSchema(tableName) {
 /**
  * SMART: Validate and filter requested fields against actual table schema
  */
-async function validateAndFilterFields(tableName, requestedFields) {
-    const availableColumns = await getTableSchema(tableName);
+async function validateAndFilterFields(tableName, requestedFields, source) {
+    const availableColumns = await getTableSchema(tableName, source);
     
     if (availableColumns.length === 0) {
         throw new Error(`Could not retrieve schema for table ${tableName}`);
@@ -98,12 +248,192 @@ async function validateAndFilterFields(tableName, requestedFields) {
 }
 
 
+/**
+ * Combined LAST_ALTERED stamp of the tables a cached result was read from
+ * @param {Object} source - Session-bound data source (req.dataSource)
+ * @param {Array<string>} tables - Table names
+ * @returns {Promise<string>}
+ */
+async function getTablesVersion(source, tables) {
+    const stamps = await Promise.all(tables.map(async table => {
+        const cached = tableVersionCache.get(table);
+        if (cached && (Date.now() - cached.timestamp) < TABLE_VERSION_TTL) {
+            return cached.value;
+        }
+
+        let value = null;
+        try {
+            value = await source.getLastAltered(table);
+        } catch (error) {
+            console.warn(`⚠️ Could not read LAST_ALTERED for ${table}:`, error.message);
+        }
+        tableVersionCache.set(table, { value, timestamp: Date.now() });
+        return value;
+    }));
+
+    return stamps.join('|');
+}
+
+
+/**
+ * Whether the signed-in user holds one of ADMIN_ROLES
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+function isAdmin(req) {
+    return (req.session.user.roles || []).some(role => ADMIN_ROLES.includes(String(role).toUpperCase()));
+}
+
+
+/**
+ * Row filter of a table for the signed-in user (see entitlements.js)
+ * @param {Object} req - Express request
+ * @param {string} tableName - Table name
+ * @returns {Promise<Array<Object>|null>} - See queryBuilder.buildRowFilterCondition
+ */
+async function getRowFilter(req, tableName) {
+    if (req.entitlements.unrestricted) {
+        return null;
+    }
+    const table = queryBuilder.normalizeIdentifier(tableName, 'table');
+    const registry = await tableRegistry.get(req.metadataSource);
+    const columns = await getTableSchema(table, req.dataSource);
+    return entitlements.rowFilterFor(req.entitlements, table, { registry, columns });
+}
+
+
+/**
+ * FROM / JOIN source of a table holding only the rows the signed-in user is entitled to, as of the
+ * request's point in time (req.asOf)
+ * @param {Object} req - Express request
+ * @param {string} tableName - Table name
+ * @param {string|null} asOf - Point in time other than the request's (see queryBuilder.normalizeAsOf)
+ * @returns {Promise<{sql: string, binds: Array}>} - See queryBuilder.scopedTable
+ */
+async function entitledTable(req, tableName, asOf = req.asOf) {
+    return queryBuilder.scopedTable(tableName, await getRowFilter(req, tableName), asOf);
+}
+
+
+/**
+ * Whether the data source can read tables as they were at a past point in time (Snowflake time
+ * travel; the local fixture source cannot)
+ * @returns {boolean}
+ */
+function supportsTimeTravel() {
+    return dataSource.name === 'snowflake';
+}
+
+
+/**
+ * Whose results may be shared: the Snowflake role by default (RESULT_CACHE_SCOPE=user when
+ * row access policies depend on CURRENT_USER()), everyone for the local fixture source.
+ * Users with restricted entitlements only share results with users holding the same grants.
+ * @param {Object} req - Express request
+ * @returns {string}
+ */
+function getCacheScope(req) {
+    let scope;
+    if (dataSource.name === 'local') {
+        scope = 'local';
+    } else if (process.env.RESULT_CACHE_SCOPE === 'user') {
+        scope = `user:${req.session.config.username || process.env.USER}`;
+    } else {
+        scope = `role:${req.session.config.role || process.env.ROLE}`;
+    }
+    if (req.asOf) {
+        scope = `${scope}|asOf:${req.asOf}`;
+    }
+    return req.entitlements.unrestricted ? scope : `${scope}|rows:${req.entitlements.key}`;
+}
+
+
+/**
+ * Look up a cached result for a route
+ * @param {Object} req - Express request
+ * @param {string} route - Route name used in the key and in /api/clear-cache
+ * @param {Array<string>} tables - Tables the result is read from
+ * @param {Object} keyParts - { filters, options } identifying the result
+ * @returns {Promise<Object>} - { key, route, tables, version, entry } (entry is null on a miss)
+ */
+async function lookupResultCache(req, route, tables, { filters = {}, options = {} } = {}) {
+    const key = resultCache.buildKey(route, { scope: getCacheScope(req), filters, options });
+    const version = await getTablesVersion(req.dataSource, tables);
+    const entry = queryResultCache.get(key, version);
+
+    if (entry) {
+        console.log(`💾 Result cache HIT for ${route} (${entry.rowCount !== null ? entry.rowCount + ' rows, ' : ''}${Math.round((Date.now() - entry.storedAt) / 1000)}s old)`);
+    }
+    return { key, route, tables, version, entry };
+}
+
+
+/**
+ * Replay cached rows as NDJSON (or columnar, if the client asked for it)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} cached - Result of lookupResultCache with a hit
+ */
+function sendCachedRows(req, res, cached) {
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('X-Cache', 'HIT');
+    res.setHeader('X-Cache-Age', Math.round((Date.now() - cached.entry.storedAt) / 1000).toString());
+
+    const writer = createRowWriter(req, res);
+    cached.entry.value.forEach(row => writer.write(row));
+    writer.end();
+
+    if (req.queryAudit) {
+        req.queryAudit.rowCount += cached.entry.value.length;
+    }
+}
+
+
+/**
+ * Collect the rows of a streaming query and cache them once the stream has ended.
+ * Nothing is stored if the client aborted, the stream failed or the result outgrew the cache.
+ * @param {Object} stream - Row stream from req.dataSource.streamRows
+ * @param {Object} req - Express request
+ * @param {Object} cached - Result of lookupResultCache with a miss
+ * @param {number} ttl - Lifetime of the entry
+ */
+function cacheStreamedRows(stream, req, cached, ttl) {
+    const maxEntryBytes = queryResultCache.stats().maxSizeMB * 1024 * 1024 / 4;
+    let rows = [];
+    let bytes = 0;
+
+    stream.on('data', row => {
+        if (!rows) {
+            return;
+        }
+        bytes += Buffer.byteLength(JSON.stringify(row)) + 1;
+        if (bytes > maxEntryBytes) {
+            rows = null;
+            return;
+        }
+        rows.push(row);
+    });
+
+    stream.on('end', () => {
+        if (rows && !req.abortSignal.aborted) {
+            queryResultCache.set(cached.key, rows, {
+                route: cached.route,
+                tables: cached.tables,
+                version: cached.version,
+                ttl,
+                bytes
+            });
+        }
+    });
+}
+
+
 /**
  * ENHANCED: Smart dimension fields endpoint with automatic fallback
  * Usage: POST /api/dimension-fields/:table
  * Body: { "fields": ["FIELD1", "FIELD2", ...], "options": { "limit": 1000, "distinct": true } }
  */
-app.post('/api/dimension-fields/:table', async (req, res) => {
+app.post('/api/dimension-fields/:table', queued, async (req, res) => {
     const rawTable = req.params.table;
     const tableName = rawTable.toUpperCase();
     const { fields, options = {} } = req.body;
@@ -117,19 +447,14 @@ app.post('/api/dimension-fields/:table', async (req, res) => {
         });
     }
 
-    // Sanitize field names
-    const sanitizedFields = fields.map(field => {
-        if (!/^[A-Za-z0-9_\.]+$/.test(field)) {
-            throw new Error(`Invalid field name: ${field}`);
-        }
-        return field.toUpperCase();
-    });
-
     try {
+        // Sanitize field names
+        const sanitizedFields = fields.map(field => queryBuilder.normalizeIdentifier(field, 'field'));
+
         console.log(`⏳ Smart fetching fields [${sanitizedFields.join(', ')}] from ${tableName}...`);
 
         // Validate fields against actual schema
-        const validation = await validateAndFilterFields(tableName, sanitizedFields);
+        const validation = await validateAndFilterFields(tableName, sanitizedFields, req.dataSource);
 
         if (validation.validFields.length === 0) {
             return res.status(400).json({
@@ -146,26 +471,21 @@ app.post('/api/dimension-fields/:table', async (req, res) => {
             console.log(`✅ Using valid fields: ${validation.validFields.join(', ')}`);
         }
 
-        const conn = await connectToSnowflake();
-
         // Build optimized SQL query
-        const fieldsString = validation.validFields.join(', ');
-        const distinct = options.distinct !== false ? 'DISTINCT' : '';
-        const orderBy = validation.validFields[0];
-        const whereClause = `WHERE ${validation.validFields[0]} IS NOT NULL`;
-        const sqlQuery = `
-            SELECT ${distinct} ${fieldsString} 
-            FROM ONEMNS_PROD.DMT_BOM.${tableName} 
-            ${whereClause}
-            ORDER BY ${orderBy}
-        `.trim();
+        const { sql: sqlQuery, binds } = queryBuilder.buildSelectQuery({
+            table: tableName,
+            allowedColumns: validation.availableColumns,
+            columns: validation.validFields,
+            distinct: options.distinct !== false,
+            notNull: [validation.validFields[0]],
+            orderBy: [validation.validFields[0]],
+            rowFilter: await getRowFilter(req, tableName),
+            asOf: req.asOf
+        });
 
         console.log(`📊 Executing optimized SQL: ${sqlQuery}`);
 
-        const stream = conn.execute({
-            sqlText: sqlQuery,
-            streamResult: true
-        }).streamRows();
+        const stream = await req.dataSource.streamRows(sqlQuery, binds, { signal: req.abortSignal });
 
         res.setHeader('Content-Type', 'application/x-ndjson');
         res.setHeader('Cache-Control', 'no-cache');
@@ -195,7 +515,7 @@ app.post('/api/dimension-fields/:table', async (req, res) => {
         });
     } catch (err) {
         console.error(`❌ Snowflake error for ${tableName}:`, err.message);
-        if (err.message.includes('Invalid field name')) {
+        if (err.message.includes('Invalid field name') || err.message.includes('Invalid table name')) {
             res.status(400).json({ error: err.message });
         } else if (err.message.includes('Could not retrieve schema')) {
             res.status(404).json({ 
@@ -215,7 +535,7 @@ app.post('/api/dimension-fields/:table', async (req, res) => {
  * OPTIMIZED: Generic data endpoint with smart column selection
  * Usage: GET /api/data/:table?fields=FIELD1,FIELD2&limit=1000&distinct=true
  */
-app.get('/api/data/:table', async (req, res) => {
+app.get('/api/data/:table', queued, async (req, res) => {
     const rawTable = req.params.table;
     const tableName = rawTable.toUpperCase();
     const { fields, limit, distinct, orderBy } = req.query;
@@ -223,15 +543,15 @@ app.get('/api/data/:table', async (req, res) => {
     try {
         console.log(`⏳ Fetching data from ${tableName}...`);
         
-        const conn = await connectToSnowflake();
         let sqlQuery;
+        let binds = [];
         
         if (fields) {
             // Parse requested fields
             const requestedFields = fields.split(',').map(f => f.trim().toUpperCase());
             
             // Validate fields against schema
-            const validation = await validateAndFilterFields(tableName, requestedFields);
+            const validation = await validateAndFilterFields(tableName, requestedFields, req.dataSource);
             
             if (validation.validFields.length === 0) {
                 return res.status(400).json({
@@ -241,48 +561,48 @@ app.get('/api/data/:table', async (req, res) => {
             }
             
             // Build optimized query with specific fields
-            const fieldsString = validation.validFields.join(', ');
-            const distinctClause = distinct === 'true' ? 'DISTINCT' : '';
-            // const limitClause = Math.min(parseInt(limit) || 5000, 10000);
-            const orderByClause = orderBy || validation.validFields[0];
-            
-            // sqlQuery = `
-            //     SELECT ${distinctClause} ${fieldsString} 
-            //     FROM ONEMNS_PROD.DMT_BOM.${tableName}
-            //     WHERE ${validation.validFields[0]} IS NOT NULL
-            //     ORDER BY ${orderByClause}
-            //     LIMIT ${limitClause}
-            // `.trim();
-
-            sqlQuery = `
-                SELECT ${distinctClause} ${fieldsString} 
-                FROM ONEMNS_PROD.DMT_BOM.${tableName}
-                WHERE ${validation.validFields[0]} IS NOT NULL
-                ORDER BY ${orderByClause}
-            `.trim();
+            // orderBy must be one of the table's columns, it is never interpolated as-is
+            const query = queryBuilder.buildSelectQuery({
+                table: tableName,
+                allowedColumns: validation.availableColumns,
+                columns: validation.validFields,
+                distinct: distinct === 'true',
+                notNull: [validation.validFields[0]],
+                orderBy: [orderBy || validation.validFields[0]],
+                rowFilter: await getRowFilter(req, tableName),
+                asOf: req.asOf
+            });
+            sqlQuery = query.sql;
+            binds = query.binds;
             
             console.log(`📊 Optimized query (${validation.validFields.length} columns): ${sqlQuery}`);
             
         } else {
-            // Fallback to all columns with limit
-            // const limitClause = Math.min(parseInt(limit) || 5000, 10000);
-            // sqlQuery = `SELECT * FROM ONEMNS_PROD.DMT_BOM.${tableName} LIMIT ${limitClause}`;
-            sqlQuery = `SELECT * FROM ONEMNS_PROD.DMT_BOM.${tableName}`;
+            // Fallback to all columns - the table must exist in the schema
+            const availableColumns = await getTableSchema(tableName, req.dataSource);
+            if (availableColumns.length === 0) {
+                return res.status(404).json({ error: `Table ${tableName} not found or inaccessible` });
+            }
+            const query = queryBuilder.buildSelectQuery({
+                table: tableName,
+                allowedColumns: availableColumns,
+                rowFilter: await getRowFilter(req, tableName),
+                asOf: req.asOf
+            });
+            sqlQuery = query.sql;
+            binds = query.binds;
             console.log(`📊 Full table query: ${sqlQuery}`);
         }
         
-        const stream = conn.execute({
-            sqlText: sqlQuery,
-            streamResult: true
-        }).streamRows();
+        const stream = await req.dataSource.streamRows(sqlQuery, binds, { signal: req.abortSignal });
 
-        res.setHeader('Content-Type', 'application/x-ndjson');
+        const writer = createRowWriter(req, res);
         res.setHeader('Cache-Control', 'no-cache');
 
         let rowCount = 0;
 
         stream.on('data', row => {
-            res.write(JSON.stringify(row) + '\n');
+            writer.write(row);
             rowCount++;
             
             if (rowCount % 1000 === 0) {
@@ -291,8 +611,8 @@ app.get('/api/data/:table', async (req, res) => {
         });
         
         stream.on('end', () => {
-            console.log(`✅ Completed streaming ${rowCount} rows from ${tableName}`);
-            res.end();
+            console.log(`✅ Completed streaming ${rowCount} rows from ${tableName} (${writer.format})`);
+            writer.end();
         });
         
         stream.on('error', err => {
@@ -305,7 +625,168 @@ app.get('/api/data/:table', async (req, res) => {
         });
     } catch (err) {
         console.error(`❌ Snowflake error for ${tableName}:`, err.message);
-        res.status(500).json({ error: `Error fetching data from ${tableName}: ${err.message}` });
+        if (err.message.includes('Invalid field') || err.message.includes('Invalid table name')) {
+            res.status(400).json({ error: err.message });
+        } else {
+            res.status(500).json({ error: `Error fetching data from ${tableName}: ${err.message}` });
+        }
+    }
+});
+
+
+/**
+ * Row-count estimate published before a chunked load, so the browser can show a real percentage.
+ * The table metadata counts every current row, so for a user with a row filter or a request with an
+ * as-of the rows they would load are counted instead.
+ * Usage: GET /api/data/FACT_BOM/estimate
+ * Returns: { table, estimatedRows, chunkSize, chunks }
+ */
+app.get('/api/data/:table/estimate', queued, async (req, res) => {
+    const tableName = req.params.table.toUpperCase();
+
+    try {
+        const availableColumns = await getTableSchema(tableName, req.dataSource);
+        if (availableColumns.length === 0) {
+            return res.status(404).json({ error: `Table ${tableName} not found or inaccessible` });
+        }
+
+        let estimatedRows;
+        const rowFilter = await getRowFilter(req, tableName);
+        if (rowFilter || req.asOf) {
+            const source = queryBuilder.scopedTable(tableName, rowFilter, req.asOf);
+            const rows = await req.dataSource.execute(`SELECT COUNT(*) AS ROW_COUNT FROM ${source.sql}`, source.binds, { signal: req.abortSignal });
+            estimatedRows = rows.length > 0 ? Number(rows[0].ROW_COUNT) : null;
+        } else {
+            estimatedRows = await req.dataSource.estimateRowCount(tableName);
+        }
+
+        res.json({
+            table: tableName,
+            estimatedRows,
+            chunkSize: CHUNK_DEFAULT_SIZE,
+            chunks: estimatedRows !== null ? Math.max(1, Math.ceil(estimatedRows / CHUNK_DEFAULT_SIZE)) : null
+        });
+    } catch (err) {
+        console.error(`❌ Row estimate error for ${tableName}:`, err.message);
+        if (err.message.includes('Invalid table name')) {
+            res.status(400).json({ error: err.message });
+        } else {
+            res.status(500).json({ error: `Error estimating rows of ${tableName}: ${err.message}` });
+        }
+    }
+});
+
+
+/**
+ * @param {Array<string>} keyValues - Key of the last row in a chunk
+ * @returns {string} - Opaque cursor for the next chunk request
+ */
+function encodeChunkCursor(keyValues) {
+    return Buffer.from(JSON.stringify(keyValues)).toString('base64url');
+}
+
+
+/**
+ * @param {string} cursor - Cursor from X-Next-Cursor
+ * @returns {Array<string>|null}
+ */
+function decodeChunkCursor(cursor) {
+    if (!cursor) {
+        return null;
+    }
+    try {
+        const keyValues = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (Array.isArray(keyValues)) {
+            return keyValues.map(String);
+        }
+    } catch (err) {
+        // fall through
+    }
+    throw new Error('Invalid cursor: not a chunk cursor');
+}
+
+
+/**
+ * One keyset-paginated chunk of a table, ordered by every non-measure column. A chunk never ends in
+ * the middle of a run of rows with the same key, so resuming from X-Next-Cursor after a dropped
+ * connection neither skips nor repeats rows.
+ * Usage: GET /api/data/FACT_BOM/chunk?chunkSize=50000&cursor=<X-Next-Cursor of the previous chunk>
+ * Response headers: X-Next-Cursor, X-Has-More, X-Chunk-Rows. Body: NDJSON or columnar rows.
+ */
+app.get('/api/data/:table/chunk', queued, async (req, res) => {
+    const tableName = req.params.table.toUpperCase();
+
+    try {
+        const availableColumns = await getTableSchema(tableName, req.dataSource);
+        if (availableColumns.length === 0) {
+            return res.status(404).json({ error: `Table ${tableName} not found or inaccessible` });
+        }
+
+        const chunkSize = queryBuilder.normalizeLimit(req.query.chunkSize, { max: CHUNK_MAX_SIZE, fallback: CHUNK_DEFAULT_SIZE });
+        const cursor = decodeChunkCursor(req.query.cursor);
+        const registry = await tableRegistry.get(req.metadataSource);
+        const measureFields = registry.facts[tableName] ? registry.facts[tableName].measures : [];
+        const keyColumns = availableColumns.filter(column => !measureFields.includes(column));
+
+        const query = queryBuilder.buildKeysetQuery({
+            table: tableName,
+            columns: availableColumns,
+            keyColumns,
+            cursor,
+            limit: chunkSize + 1,  // one row of lookahead tells whether the chunk cut a run of equal keys
+            rowFilter: await getRowFilter(req, tableName),
+            asOf: req.asOf
+        });
+
+        const rows = await req.dataSource.execute(query.sql, query.binds, { signal: req.abortSignal });
+        if (req.abortSignal.aborted) {
+            return;
+        }
+
+        const rowKey = row => query.keyAliases.map(alias => row[alias]);
+        const sameKey = (a, b) => a.every((value, i) => value === b[i]);
+
+        const hasMore = rows.length > chunkSize;
+        let rowsToSend = Math.min(rows.length, chunkSize);
+
+        // Rows sharing the lookahead row's key go to the next chunk, which starts after the cursor
+        if (hasMore) {
+            const nextKey = rowKey(rows[chunkSize]);
+            while (rowsToSend > 0 && sameKey(rowKey(rows[rowsToSend - 1]), nextKey)) {
+                rowsToSend--;
+            }
+            if (rowsToSend === 0) {
+                return res.status(400).json({
+                    error: `Invalid chunkSize: more than ${chunkSize} rows share one key in ${tableName}`
+                });
+            }
+            res.setHeader('X-Next-Cursor', encodeChunkCursor(rowKey(rows[rowsToSend - 1])));
+        }
+        res.setHeader('X-Has-More', String(hasMore));
+        res.setHeader('X-Chunk-Rows', String(rowsToSend));
+        res.setHeader('Cache-Control', 'no-cache');
+
+        const writer = createRowWriter(req, res);
+        for (let i = 0; i < rowsToSend; i++) {
+            const row = {};
+            availableColumns.forEach(column => {
+                row[column] = rows[i][column];
+            });
+            writer.write(row);
+        }
+        writer.end();
+
+        console.log(`📦 ${tableName} chunk: ${rowsToSend} rows${cursor ? ' (resumed from cursor)' : ''}, more: ${hasMore}`);
+    } catch (err) {
+        if (req.abortSignal.aborted) {
+            return;
+        }
+        console.error(`❌ Chunk error for ${tableName}:`, err.message);
+        if (err.message.includes('Invalid')) {
+            res.status(400).json({ error: err.message });
+        } else {
+            res.status(500).json({ error: `Error fetching chunk of ${tableName}: ${err.message}` });
+        }
     }
 });
 
@@ -327,7 +808,7 @@ app.post('/api/validate-fields', async (req, res) => {
         
         for (const [tableName, fields] of Object.entries(tables)) {
             try {
-                const validation = await validateAndFilterFields(tableName, fields);
+                const validation = await validateAndFilterFields(tableName, fields, req.dataSource);
                 results[tableName] = {
                     validFields: validation.validFields,
                     invalidFields: validation.invalidFields,
@@ -358,15 +839,54 @@ app.post('/api/validate-fields', async (req, res) => {
 
 
 /**
- * NEW: Clear schema cache endpoint
+ * Inspect the schema and result caches. Cache keys carry other users' filters and entitlement
+ * scopes, so only administrators (ADMIN_ROLES) get the tables and entries; everyone else the counts.
+ * Usage: GET /api/clear-cache
+ */
+app.get('/api/clear-cache', (req, res) => {
+    const admin = isAdmin(req);
+    res.json({
+        schemaCache: {
+            entries: schemaCache.size,
+            ...(admin ? { tables: Array.from(schemaCache.keys()) } : {}),
+            ttlMs: CACHE_TTL
+        },
+        resultCache: queryResultCache.stats(admin),
+        timestamp: new Date().toISOString()
+    });
+});
+
+
+/**
+ * NEW: Clear schema and/or result cache endpoint (administrators only, see ADMIN_ROLES)
+ * Usage: POST /api/clear-cache
+ * Body (all optional): { "cache": "schema" | "results" | "all", "route": "FACT_BOM/filtered", "table": "FACT_BOM" }
  */
 app.post('/api/clear-cache', (req, res) => {
-    const beforeSize = schemaCache.size;
-    schemaCache.clear();
-    console.log(`🧹 Cleared schema cache (${beforeSize} entries)`);
+    if (!isAdmin(req)) {
+        return res.status(403).json({ error: `Only ${ADMIN_ROLES.join(', ')} may clear the caches` });
+    }
+
+    const { cache = 'all', route = null, table = null } = req.body || {};
+    let schemaEntriesCleared = 0;
+    let resultEntriesCleared = 0;
+
+    if (cache === 'all' || cache === 'schema') {
+        schemaEntriesCleared = schemaCache.size;
+        schemaCache.clear();
+        tableRegistry.invalidate();
+    }
+    if (cache === 'all' || cache === 'results') {
+        resultEntriesCleared = queryResultCache.purge({ route, table });
+        tableVersionCache.clear();
+    }
+
+    console.log(`🧹 Cleared caches: ${schemaEntriesCleared} schema entries, ${resultEntriesCleared} result entries`);
     res.json({ 
-        message: 'Schema cache cleared', 
-        entriesCleared: beforeSize,
+        message: 'Cache cleared', 
+        entriesCleared: schemaEntriesCleared + resultEntriesCleared,
+        schemaEntriesCleared,
+        resultEntriesCleared,
         timestamp: new Date().toISOString()
     });
 });
@@ -377,23 +897,13 @@ app.get('/api/get_fact_names', async (req, res) => {
     try {
         console.log('⏳ Fetching fact table names...');
         
-        const conn = await connectToSnowflake();
-        const stream = conn.execute({
-            sqlText: `SELECT TABLE_NAME FROM ONEMNS_PROD.INFORMATION_SCHEMA.TABLES WHERE TABLE_SCHEMA = 'DMT_BOM' AND TABLE_NAME LIKE 'FACT_%'`,
-            streamResult: true
-        }).streamRows();
+        const tableNames = await req.dataSource.listTables('FACT_');
 
         res.setHeader('Content-Type', 'application/x-ndjson');
+        tableNames.forEach(tableName => res.write(JSON.stringify({ TABLE_NAME: tableName }) + '\n'));
 
-        stream.on('data', row => res.write(JSON.stringify(row) + '\n'));
-        stream.on('end', () => {
-            console.log('✅ Completed fetching fact table names');
-            res.end();
-        });
-        stream.on('error', err => {
-            console.error('❌ Error fetching fact table names:', err.message);
-            res.status(500).end();
-        });
+        console.log('✅ Completed fetching fact table names');
+        res.end();
     } catch (err) {
         console.error('❌ Snowflake error:', err.message);
         res.status(500).json({ error: 'Error fetching fact table names' });
@@ -401,103 +911,132 @@ app.get('/api/get_fact_names', async (req, res) => {
 });
 
 
+/**
+ * Dimension tables of a fact table (from the registry, i.e. SETUP)
+ * Usage: GET /api/get_bom_dim?fact=FACT_BOM
+ */
 app.get('/api/get_bom_dim', async (req, res) => {
     try {
-        console.log('⏳ Fetching BOM dimension names...');
+        const factTable = req.query.fact || 'FACT_BOM';
+        console.log(`⏳ Fetching dimension names for ${factTable}...`);
         
-        const conn = await connectToSnowflake();
-        const stream = conn.execute({
-            sqlText: `SELECT DIM_TABLE FROM ONEMNS_PROD.DMT_BOM.SETUP WHERE FACT_TABLE = 'FACT_BOM'`,
-            streamResult: true
-        }).streamRows();
+        const fact = await tableRegistry.getFact(req.metadataSource, factTable);
 
         res.setHeader('Content-Type', 'application/x-ndjson');
+        fact.dimensions.forEach(table => res.write(JSON.stringify({ DIM_TABLE: table }) + '\n'));
 
-        stream.on('data', row => res.write(JSON.stringify(row) + '\n'));
-        stream.on('end', () => {
-            console.log('✅ Completed fetching BOM dimension names');
-            res.end();
-        });
-        stream.on('error', err => {
-            console.error('❌ Error fetching BOM dimensions:', err.message);
-            res.status(500).end();
-        });
+        console.log(`✅ Completed fetching ${fact.dimensions.length} dimension names for ${fact.table}`);
+        res.end();
     } catch (err) {
-        console.error('❌ Snowflake error:', err.message);
-        res.status(500).json({ error: 'Error fetching BOM dimension names' });
+        console.error('❌ Error fetching dimension names:', err.message);
+        res.status(err.message.includes('Invalid') ? 400 : 500).json({ error: err.message });
+    }
+});
+
+
+/**
+ * Table registry: facts (dimensions, join columns, filter fields, measures) and dimensions
+ * (key, label and partition fields, hierarchy type), for the client builders
+ * Usage: GET /api/registry
+ */
+app.get('/api/registry', async (req, res) => {
+    try {
+        const registry = await tableRegistry.get(req.metadataSource);
+        res.setHeader('Cache-Control', 'no-cache');
+        res.json(registry);
+    } catch (err) {
+        console.error('❌ Error loading table registry:', err.message);
+        res.status(500).json({ error: 'Error loading table registry', message: err.message });
     }
 });
 
 
 /**
- * NEW: Placeholder endpoint for DIM_GMID_DISPLAY
- * Returns a small sample of records to initialize the dimension
+ * Registry dimension of a /api/data/:table/... route that loads its rows per partition
+ * (DIM_GMID_DISPLAY is loaded per ROOT_GMID)
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} - Dimension description
+ */
+async function getPartitionedDimension(req) {
+    const dimension = await tableRegistry.getDimension(req.metadataSource, req.params.table);
+    if (!dimension.partitionField) {
+        throw new Error(`Invalid dimension table: ${dimension.table} is not loaded by partition`);
+    }
+    return dimension;
+}
+
+
+/**
+ * Placeholder rows for a partitioned dimension
+ * Returns a small sample of records (from the first three partitions) to initialize the dimension
  * Usage: GET /api/data/DIM_GMID_DISPLAY/placeholder?limit=10
  */
-app.get('/api/data/DIM_GMID_DISPLAY/placeholder', async (req, res) => {
+app.get('/api/data/:table/placeholder', queued, async (req, res) => {
     try {
-        console.log('📦 DIM_GMID_DISPLAY placeholder request...');
+        const dimension = await getPartitionedDimension(req);
+        const { table, key, labelField, partitionField } = dimension;
+        console.log(`📦 ${table} placeholder request...`);
         
         const limit = Math.min(parseInt(req.query.limit) || 10, 50); // Max 50 for safety
+        const source = await entitledTable(req, table);
         
-        // Get a diverse sample of ROOT_GMIDs with their hierarchies
+        // Get a diverse sample of partitions with their hierarchies
         const sql = `
-            WITH SampleRootGmids AS (
-                SELECT DISTINCT ROOT_GMID
-                FROM ONEMNS_PROD.DMT_BOM.DIM_GMID_DISPLAY 
-                WHERE ROOT_GMID IS NOT NULL 
-                AND PATH_GMID IS NOT NULL
-                ORDER BY ROOT_GMID
+            WITH SamplePartitions AS (
+                SELECT DISTINCT ${partitionField}
+                FROM ${source.sql} 
+                WHERE ${partitionField} IS NOT NULL 
+                AND ${key} IS NOT NULL
+                ORDER BY ${partitionField}
                 LIMIT 3
             )
             SELECT DISTINCT
-                g.PATH_GMID,
-                g.ROOT_GMID,
-                g.COMPONENT_GMID,
-                g.DISPLAY
-            FROM ONEMNS_PROD.DMT_BOM.DIM_GMID_DISPLAY g
-            INNER JOIN SampleRootGmids s ON g.ROOT_GMID = s.ROOT_GMID
-            WHERE g.PATH_GMID IS NOT NULL
-            AND g.DISPLAY IS NOT NULL
-            ORDER BY g.ROOT_GMID, g.PATH_GMID
+                ${dimension.fields.map(field => `g.${field}`).join(',\n                ')}
+            FROM ${source.sql} g
+            INNER JOIN SamplePartitions s ON g.${partitionField} = s.${partitionField}
+            WHERE g.${key} IS NOT NULL
+            AND g.${labelField} IS NOT NULL
+            ORDER BY g.${partitionField}, g.${key}
             LIMIT ${limit}
         `.trim();
         
-        console.log(`📊 Fetching ${limit} placeholder GMID records`);
+        console.log(`📊 Fetching ${limit} placeholder ${table} records`);
+        
+        const cached = await lookupResultCache(req, `${table}/placeholder`, [table], { options: { limit } });
+        if (cached.entry) {
+            return sendCachedRows(req, res, cached);
+        }
         
-        const conn = await connectToSnowflake();
-        const stream = conn.execute({
-            sqlText: sql,
-            streamResult: true
-        }).streamRows();
+        const stream = await req.dataSource.streamRows(sql, [...source.binds, ...source.binds], { signal: req.abortSignal });
+        cacheStreamedRows(stream, req, cached, RESULT_TTL.dimension);
         
+        res.setHeader('X-Cache', 'MISS');
         res.setHeader('Content-Type', 'application/x-ndjson');
         res.setHeader('Cache-Control', 'no-cache');
-        res.setHeader('Access-Control-Allow-Origin', '*');
         res.setHeader('X-Placeholder-Limit', limit.toString());
         res.setHeader('X-Data-Type', 'placeholder');
         
         let rowCount = 0;
-        const rootGmidCounts = {};
+        const partitionCounts = {};
         
         stream.on('data', row => {
             res.write(JSON.stringify(row) + '\n');
             rowCount++;
             
-            // Track ROOT_GMID distribution
-            if (row.ROOT_GMID) {
-                rootGmidCounts[row.ROOT_GMID] = (rootGmidCounts[row.ROOT_GMID] || 0) + 1;
+            // Track partition distribution
+            if (row[partitionField]) {
+                partitionCounts[row[partitionField]] = (partitionCounts[row[partitionField]] || 0) + 1;
             }
         });
         
         stream.on('end', () => {
-            console.log(`✅ Placeholder GMID data: ${rowCount} records`);
-            console.log(`📊 ROOT_GMID distribution:`, rootGmidCounts);
+            console.log(`✅ Placeholder ${table} data: ${rowCount} records`);
+            console.log(`📊 ${partitionField} distribution:`, partitionCounts);
             res.end();
         });
         
         stream.on('error', err => {
-            console.error('❌ Error in GMID placeholder:', err);
+            console.error(`❌ Error in ${table} placeholder:`, err);
             if (!res.headersSent) {
                 res.status(500).json({ error: err.message });
             } else {
@@ -506,37 +1045,35 @@ app.get('/api/data/DIM_GMID_DISPLAY/placeholder', async (req, res) => {
         });
         
     } catch (error) {
-        console.error('❌ Error in GMID placeholder endpoint:', error);
-        res.status(500).json({ error: error.message });
+        console.error('❌ Error in placeholder endpoint:', error);
+        res.status(error.message.includes('Invalid') ? 400 : 500).json({ error: error.message });
     }
 });
 
 
 /**
- * FULL LOAD: Get ALL ROOT_GMID records for filter initialization
+ * FULL LOAD: Get every key and label of a dimension for filter initialization
  * Usage: GET /api/data/DIM_ROOT_GMID_DISPLAY/sample (no limit - loads all records)
  */
-app.get('/api/data/DIM_ROOT_GMID_DISPLAY/sample', async (req, res) => {
+app.get('/api/data/:table/sample', queued, async (req, res) => {
     try {
-        console.log('🎯 ROOT_GMID full load request...');
+        const dimension = await tableRegistry.getDimension(req.metadataSource, req.params.table);
+        const { table, key, labelField } = dimension;
+        console.log(`🎯 ${table} full load request...`);
         
+        const columns = [...new Set([key, labelField])];
+        const source = await entitledTable(req, table);
         const sql = `
             SELECT DISTINCT 
-                ROOT_GMID,
-                ROOT_DISPLAY
-            FROM ONEMNS_PROD.DMT_BOM.DIM_ROOT_GMID_DISPLAY
-            WHERE ROOT_GMID IS NOT NULL 
-            AND ROOT_DISPLAY IS NOT NULL
-            ORDER BY ROOT_GMID
+                ${columns.join(',\n                ')}
+            FROM ${source.sql}
+            WHERE ${columns.map(column => `${column} IS NOT NULL`).join('\n            AND ')}
+            ORDER BY ${key}
         `.trim();
         
-        console.log(`📊 Fetching ALL ROOT_GMID records (no limit)`);
+        console.log(`📊 Fetching ALL ${table} records (no limit)`);
         
-        const conn = await connectToSnowflake();
-        const stream = conn.execute({
-            sqlText: sql,
-            streamResult: true
-        }).streamRows();
+        const stream = await req.dataSource.streamRows(sql, source.binds, { signal: req.abortSignal });
         
         res.setHeader('Content-Type', 'application/x-ndjson');
         res.setHeader('Cache-Control', 'no-cache');
@@ -551,17 +1088,17 @@ app.get('/api/data/DIM_ROOT_GMID_DISPLAY/sample', async (req, res) => {
             
             // Log progress for large datasets
             if (rowCount % 1000 === 0) {
-                console.log(`📊 Streamed ${rowCount} ROOT_GMID records...`);
+                console.log(`📊 Streamed ${rowCount} ${table} records...`);
             }
         });
         
         stream.on('end', () => {
-            console.log(`✅ ROOT_GMID full load complete: ${rowCount} records`);
+            console.log(`✅ ${table} full load complete: ${rowCount} records`);
             res.end();
         });
         
         stream.on('error', err => {
-            console.error('❌ Error in ROOT_GMID full load:', err);
+            console.error(`❌ Error in ${table} full load:`, err);
             if (!res.headersSent) {
                 res.status(500).json({ error: err.message });
             } else {
@@ -570,98 +1107,103 @@ app.get('/api/data/DIM_ROOT_GMID_DISPLAY/sample', async (req, res) => {
         });
         
     } catch (error) {
-        console.error('❌ Error in ROOT_GMID full load endpoint:', error);
-        res.status(500).json({ error: error.message });
+        console.error('❌ Error in full load endpoint:', error);
+        res.status(error.message.includes('Invalid') ? 400 : 500).json({ error: error.message });
     }
 });
 
 
 /**
- * SPECIFIC: Optimized endpoint for DIM_GMID_DISPLAY filtering
+ * Rows of the requested partitions of a partitioned dimension (/api/data/:table/filtered)
  * Usage: GET /api/data/DIM_GMID_DISPLAY/filtered?ROOT_GMID=value1,value2
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} dimension - Registry dimension with a partitionField
  */
-app.get('/api/data/DIM_GMID_DISPLAY/filtered', async (req, res) => {
+async function sendPartitionRows(req, res, dimension) {
+    const { table, key, labelField, partitionField } = dimension;
+    const maxPartitions = dimension.maxPartitions || 10;
+
     try {
-        console.log('🔍 DIM_GMID_DISPLAY filtered request:', req.query);
+        console.log(`🔍 ${table} filtered request:`, req.query);
         
-        const { ROOT_GMID } = req.query;
+        const partitionParam = req.query[partitionField];
         
-        if (!ROOT_GMID || !ROOT_GMID.trim()) {
+        if (!partitionParam || !String(partitionParam).trim()) {
             return res.status(400).json({ 
-                error: 'ROOT_GMID parameter is required',
-                example: '/api/data/DIM_GMID_DISPLAY/filtered?ROOT_GMID=MGM#071542,MGM#071543'
+                error: `${partitionField} parameter is required`,
+                example: `/api/data/${table}/filtered?${partitionField}=value1,value2`
             });
         }
         
-        // Parse ROOT_GMID values
-        const rootGmidArray = ROOT_GMID.split(',').map(v => v.trim()).filter(v => v);
+        // Parse partition values
+        const partitionValues = queryBuilder.normalizeValues(partitionParam);
         
-        if (rootGmidArray.length === 0) {
-            return res.status(400).json({ error: 'No valid ROOT_GMID values provided' });
+        if (partitionValues.length === 0) {
+            return res.status(400).json({ error: `No valid ${partitionField} values provided` });
         }
         
-        if (rootGmidArray.length > 10) {
+        if (partitionValues.length > maxPartitions) {
             return res.status(400).json({ 
-                error: `Too many ROOT_GMID values (${rootGmidArray.length}). Maximum 10 allowed for performance.`
+                error: `Too many ${partitionField} values (${partitionValues.length}). Maximum ${maxPartitions} allowed for performance.`
             });
         }
         
-        // Build optimized SQL query for GMID_DISPLAY
-        const placeholders = rootGmidArray.map(() => '?').join(',');
+        // Build optimized SQL query for the partitions
+        const placeholders = partitionValues.map(() => '?').join(',');
+        const source = await entitledTable(req, table);
         const sql = `
             SELECT 
-                PATH_GMID,
-                ROOT_GMID,
-                COMPONENT_GMID,
-                DISPLAY
-            FROM ONEMNS_PROD.DMT_BOM.DIM_GMID_DISPLAY 
-            WHERE ROOT_GMID IN (${placeholders})
-            AND PATH_GMID IS NOT NULL
-            AND DISPLAY IS NOT NULL
-            ORDER BY ROOT_GMID, PATH_GMID
+                ${dimension.fields.join(',\n                ')}
+            FROM ${source.sql} 
+            WHERE ${partitionField} IN (${placeholders})
+            AND ${key} IS NOT NULL
+            AND ${labelField} IS NOT NULL
+            ORDER BY ${partitionField}, ${key}
         `.trim();
         
-        console.log(`📊 Executing optimized DIM_GMID_DISPLAY SQL for ${rootGmidArray.length} ROOT_GMIDs`);
-        console.log(`📊 ROOT_GMID values:`, rootGmidArray);
+        console.log(`📊 Executing optimized ${table} SQL for ${partitionValues.length} ${partitionField}s`);
+        console.log(`📊 ${partitionField} values:`, partitionValues);
+        
+        const cached = await lookupResultCache(req, `${table}/filtered`, [table], { filters: { [partitionField]: partitionValues } });
+        if (cached.entry) {
+            return sendCachedRows(req, res, cached);
+        }
         
-        const conn = await connectToSnowflake();
-        const stream = conn.execute({
-            sqlText: sql,
-            binds: rootGmidArray,
-            streamResult: true
-        }).streamRows();
+        const stream = await req.dataSource.streamRows(sql, [...source.binds, ...partitionValues], { signal: req.abortSignal });
+        cacheStreamedRows(stream, req, cached, RESULT_TTL.dimension);
         
+        res.setHeader('X-Cache', 'MISS');
         res.setHeader('Content-Type', 'application/x-ndjson');
         res.setHeader('Cache-Control', 'no-cache');
-        res.setHeader('Access-Control-Allow-Origin', '*');
-        res.setHeader('X-Root-GMID-Count', rootGmidArray.length.toString());
-        res.setHeader('X-Root-GMID-Values', rootGmidArray.join(','));
+        res.setHeader('X-Partition-Field', partitionField);
+        res.setHeader('X-Partition-Count', partitionValues.length.toString());
         
         let rowCount = 0;
-        let rootGmidCounts = {};
+        let partitionCounts = {};
         
         stream.on('data', row => {
             res.write(JSON.stringify(row) + '\n');
             rowCount++;
             
-            // Track counts per ROOT_GMID for logging
-            if (row.ROOT_GMID) {
-                rootGmidCounts[row.ROOT_GMID] = (rootGmidCounts[row.ROOT_GMID] || 0) + 1;
+            // Track counts per partition for logging
+            if (row[partitionField]) {
+                partitionCounts[row[partitionField]] = (partitionCounts[row[partitionField]] || 0) + 1;
             }
             
             if (rowCount % 1000 === 0) {
-                console.log(`📊 Streamed ${rowCount} GMID_DISPLAY rows...`);
+                console.log(`📊 Streamed ${rowCount} ${table} rows...`);
             }
         });
         
         stream.on('end', () => {
-            console.log(`✅ Completed streaming ${rowCount} GMID_DISPLAY rows`);
-            console.log(`📊 Breakdown by ROOT_GMID:`, rootGmidCounts);
+            console.log(`✅ Completed streaming ${rowCount} ${table} rows`);
+            console.log(`📊 Breakdown by ${partitionField}:`, partitionCounts);
             res.end();
         });
         
         stream.on('error', err => {
-            console.error('❌ Stream error in DIM_GMID_DISPLAY:', err);
+            console.error(`❌ Stream error in ${table}:`, err);
             if (!res.headersSent) {
                 res.status(500).json({ error: err.message });
             } else {
@@ -670,27 +1212,33 @@ app.get('/api/data/DIM_GMID_DISPLAY/filtered', async (req, res) => {
         });
         
     } catch (error) {
-        console.error('❌ Error in DIM_GMID_DISPLAY filtered endpoint:', error);
+        console.error(`❌ Error in ${table} filtered endpoint:`, error);
         res.status(500).json({ error: error.message });
     }
-});
+}
 
 
 /**
- * Optimized GMID filtering using INNER JOIN with FACT_BOM
- * This approach is much more efficient than filtering with large ROOT_GMID lists
+ * Optimized partitioned-dimension filtering using INNER JOIN with its fact table
+ * This approach is much more efficient than filtering with large partition value lists
  * Usage: POST /api/data/DIM_GMID_DISPLAY/filtered-join
  * Body: { 
  *   "factFilters": { "LE": ["value1"], "COST_ELEMENT": ["value2"] },
+ *   "fact": "FACT_BOM",          (optional: defaults to the first fact joined to the dimension)
  *   "maxRecords": 10000,
  *   "orderBy": "ROOT_GMID"
  * }
  */
-app.post('/api/data/DIM_GMID_DISPLAY/filtered-join', async (req, res) => {
+app.post('/api/data/:table/filtered-join', queued, async (req, res) => {
     try {
-        console.log('🚀 Optimized GMID filtering with INNER JOIN request:', req.body);
+        console.log(`🚀 Optimized ${req.params.table} filtering with INNER JOIN request:`, req.body);
+        
+        const dimension = await getPartitionedDimension(req);
+        const { table, key, labelField, partitionField } = dimension;
+        const fact = await tableRegistry.getFactForDimension(req.metadataSource, table, req.body.fact || null);
+        const joinColumn = fact.joins[table];
         
-        const { factFilters = {}, maxRecords = 10000, orderBy = 'ROOT_GMID' } = req.body;
+        const { factFilters = {}, maxRecords = 10000, orderBy = partitionField } = req.body;
         
         // Validate input
         if (!factFilters || typeof factFilters !== 'object' || Object.keys(factFilters).length === 0) {
@@ -705,129 +1253,118 @@ app.post('/api/data/DIM_GMID_DISPLAY/filtered-join', async (req, res) => {
             });
         }
         
-        // Build WHERE clause for FACT_BOM filters
-        const whereConditions = [];
-        const params = [];
-        
-        Object.entries(factFilters).forEach(([field, values]) => {
-            if (values && Array.isArray(values) && values.length > 0) {
-                const upperField = field.toUpperCase();
-                const validFields = [
-                    'LE', 'COST_ELEMENT', 'ROOT_GMID', 'ROOT_SMARTCODE', 
-                    'ITEM_COST_TYPE', 'COMPONENT_MATERIAL_TYPE', 'MC', 'ZYEAR'
-                ];
-                
-                if (!validFields.includes(upperField)) {
-                    throw new Error(`Invalid field '${field}'. Valid fields: ${validFields.join(', ')}`);
-                }
-                
-                if (values.length > 100) {
-                    throw new Error(`Too many values for field '${field}' (${values.length}). Maximum 100 values allowed.`);
-                }
-                
-                const placeholders = values.map(() => '?').join(',');
-                whereConditions.push(`f.${upperField} IN (${placeholders})`);
-                params.push(...values);
-            }
+        // Build WHERE clause for the fact filters (everything except the join column)
+        const { conditions: whereConditions, binds: params } = queryBuilder.buildWhereConditions(factFilters, {
+            allowedColumns: fact.filterFields.filter(field => field !== joinColumn),
+            alias: 'f'
         });
         
+        if (whereConditions.length === 0) {
+            return res.status(400).json({ 
+                error: 'No valid filter values provided',
+                message: 'Filter value arrays cannot be empty'
+            });
+        }
+        
         // Validate max records limit
-        const recordLimit = Math.min(Math.max(maxRecords, 1), 50000); // Between 1 and 50k
+        const recordLimit = queryBuilder.normalizeLimit(maxRecords, { min: 1, max: 50000, fallback: 10000 }); // Between 1 and 50k
         
         // Validate order by field
-        const validOrderFields = ['ROOT_GMID', 'PATH_GMID', 'DISPLAY'];
-        const orderByField = validOrderFields.includes(orderBy.toUpperCase()) ? 
-                            orderBy.toUpperCase() : 'ROOT_GMID';
+        const orderByField = dimension.fields.includes(String(orderBy).toUpperCase()) ? 
+                            String(orderBy).toUpperCase() : partitionField;
         
-        // Build optimized SQL with INNER JOIN
+        // Build optimized SQL with INNER JOIN (both sides restricted to the user's entitlements)
+        const dimensionSource = await entitledTable(req, table);
+        const factSource = await entitledTable(req, fact.table);
         const sql = `
             SELECT DISTINCT
-                g.PATH_GMID,
-                g.ROOT_GMID,
-                g.COMPONENT_GMID,
-                g.DISPLAY
-            FROM ONEMNS_PROD.DMT_BOM.DIM_GMID_DISPLAY g 
-            INNER JOIN ONEMNS_PROD.DMT_BOM.FACT_BOM f 
-                ON g.PATH_GMID = f.PATH_GMID
+                ${dimension.fields.map(field => `g.${field}`).join(',\n                ')}
+            FROM ${dimensionSource.sql} g 
+            INNER JOIN ${factSource.sql} f 
+                ON g.${key} = f.${joinColumn}
             WHERE ${whereConditions.join(' AND ')}
-                AND f.PATH_GMID IS NOT NULL 
-                AND g.DISPLAY IS NOT NULL
-                AND g.ROOT_GMID IS NOT NULL
-            ORDER BY g.${orderByField}, g.PATH_GMID
+                AND f.${joinColumn} IS NOT NULL 
+                AND g.${labelField} IS NOT NULL
+                AND g.${partitionField} IS NOT NULL
+            ORDER BY g.${orderByField}, g.${key}
             LIMIT ${recordLimit}
         `.trim();
         
-        console.log(`📊 Executing optimized GMID JOIN query:`);
+        console.log(`📊 Executing optimized ${table} JOIN query:`);
         console.log(`📊 Filters: ${Object.keys(factFilters).length} dimensions`);
         console.log(`📊 Parameters: ${params.length} values`);
         console.log(`📊 Max records: ${recordLimit}`);
         console.log(`📊 SQL: ${sql}`);
         
         const startTime = Date.now();
-        const conn = await connectToSnowflake();
+        
+        const cached = await lookupResultCache(req, `${table}/filtered-join`, [table, fact.table], {
+            filters: factFilters,
+            options: { limit: recordLimit, orderBy: orderByField }
+        });
+        if (cached.entry) {
+            return sendCachedRows(req, res, cached);
+        }
         
         // Execute with streaming for large results
-        const stream = conn.execute({
-            sqlText: sql,
-            binds: params,
-            streamResult: true
-        }).streamRows();
+        const stream = await req.dataSource.streamRows(sql, [...dimensionSource.binds, ...factSource.binds, ...params], { signal: req.abortSignal });
+        cacheStreamedRows(stream, req, cached, RESULT_TTL.fact);
         
         // Set response headers
+        res.setHeader('X-Cache', 'MISS');
         res.setHeader('Content-Type', 'application/x-ndjson');
         res.setHeader('Cache-Control', 'no-cache');
-        res.setHeader('Access-Control-Allow-Origin', '*');
         res.setHeader('X-Query-Type', 'INNER-JOIN');
         res.setHeader('X-Filter-Count', Object.keys(factFilters).length.toString());
         res.setHeader('X-Parameter-Count', params.length.toString());
         res.setHeader('X-Max-Records', recordLimit.toString());
         
         let rowCount = 0;
-        let rootGmidCounts = {};
-        let pathGmidCounts = {};
+        let partitionCounts = {};
+        let keyCounts = {};
         
         stream.on('data', row => {
             res.write(JSON.stringify(row) + '\n');
             rowCount++;
             
             // Track distribution for logging
-            if (row.ROOT_GMID) {
-                rootGmidCounts[row.ROOT_GMID] = (rootGmidCounts[row.ROOT_GMID] || 0) + 1;
+            if (row[partitionField]) {
+                partitionCounts[row[partitionField]] = (partitionCounts[row[partitionField]] || 0) + 1;
             }
-            if (row.PATH_GMID) {
-                pathGmidCounts[row.PATH_GMID] = (pathGmidCounts[row.PATH_GMID] || 0) + 1;
+            if (row[key]) {
+                keyCounts[row[key]] = (keyCounts[row[key]] || 0) + 1;
             }
             
             if (rowCount % 1000 === 0) {
-                console.log(`📊 Streamed ${rowCount} optimized GMID rows...`);
+                console.log(`📊 Streamed ${rowCount} optimized ${table} rows...`);
             }
         });
         
         stream.on('end', () => {
             const duration = Date.now() - startTime;
-            const uniqueRootGmids = Object.keys(rootGmidCounts).length;
-            const uniquePathGmids = Object.keys(pathGmidCounts).length;
+            const uniquePartitions = Object.keys(partitionCounts).length;
+            const uniqueKeys = Object.keys(keyCounts).length;
             
-            console.log(`✅ Optimized GMID JOIN query completed in ${duration}ms:`);
+            console.log(`✅ Optimized ${table} JOIN query completed in ${duration}ms:`);
             console.log(`   📊 ${rowCount} total records returned`);
-            console.log(`   🎯 ${uniqueRootGmids} unique ROOT_GMIDs`);
-            console.log(`   📋 ${uniquePathGmids} unique PATH_GMIDs`);
+            console.log(`   🎯 ${uniquePartitions} unique ${partitionField}s`);
+            console.log(`   📋 ${uniqueKeys} unique ${key}s`);
             console.log(`   ⚡ Performance: ${Math.round(rowCount / (duration / 1000))} rows/second`);
             
-            // Log top ROOT_GMIDs by count
-            const topRootGmids = Object.entries(rootGmidCounts)
+            // Log top partitions by count
+            const topPartitions = Object.entries(partitionCounts)
                 .sort(([,a], [,b]) => b - a)
                 .slice(0, 5);
             
-            if (topRootGmids.length > 0) {
-                console.log(`   📈 Top ROOT_GMIDs: ${topRootGmids.map(([id, count]) => `${id}(${count})`).join(', ')}`);
+            if (topPartitions.length > 0) {
+                console.log(`   📈 Top ${partitionField}s: ${topPartitions.map(([id, count]) => `${id}(${count})`).join(', ')}`);
             }
             
             res.end();
         });
         
         stream.on('error', err => {
-            console.error('❌ Stream error in optimized GMID JOIN:', err);
+            console.error(`❌ Stream error in optimized ${table} JOIN:`, err);
             if (!res.headersSent) {
                 res.status(500).json({ 
                     error: 'Database query failed',
@@ -840,9 +1377,9 @@ app.post('/api/data/DIM_GMID_DISPLAY/filtered-join', async (req, res) => {
         });
         
     } catch (error) {
-        console.error('❌ Error in optimized GMID JOIN endpoint:', error);
+        console.error('❌ Error in optimized JOIN endpoint:', error);
         
-        if (error.message.includes('Invalid field') || error.message.includes('Too many values')) {
+        if (error.message.includes('Invalid') || error.message.includes('Too many values')) {
             res.status(400).json({ 
                 error: 'Invalid request parameters',
                 message: error.message 
@@ -863,123 +1400,115 @@ app.post('/api/data/DIM_GMID_DISPLAY/filtered-join', async (req, res) => {
 
 
 /**
- * Improved DIM_GMID_DISPLAY filtered endpoint with PATH_GMID support
- * Usage: GET /api/data/DIM_GMID_DISPLAY/filtered?ROOT_GMID=value1,value2&PATH_GMID=path1,path2
+ * Partitioned-dimension filtering by partition and/or key values
+ * Usage: GET /api/data/DIM_GMID_DISPLAY/filtered-enhanced?ROOT_GMID=value1,value2&PATH_GMID=path1,path2
  */
-app.get('/api/data/DIM_GMID_DISPLAY/filtered-enhanced', async (req, res) => {
+app.get('/api/data/:table/filtered-enhanced', queued, async (req, res) => {
     try {
-        console.log('🔍 Enhanced DIM_GMID_DISPLAY filtered request:', req.query);
+        console.log(`🔍 Enhanced ${req.params.table} filtered request:`, req.query);
         
-        const { ROOT_GMID, PATH_GMID, limit } = req.query;
+        const dimension = await getPartitionedDimension(req);
+        const { table, key, labelField, partitionField } = dimension;
+        const { limit } = req.query;
         
         // Validate that at least one filter is provided
-        if (!ROOT_GMID && !PATH_GMID) {
+        if (!req.query[partitionField] && !req.query[key]) {
             return res.status(400).json({ 
-                error: 'At least one of ROOT_GMID or PATH_GMID parameter is required',
-                example: '/api/data/DIM_GMID_DISPLAY/filtered-enhanced?ROOT_GMID=MGM#071542&PATH_GMID=path1,path2'
+                error: `At least one of ${partitionField} or ${key} parameter is required`,
+                example: `/api/data/${table}/filtered-enhanced?${partitionField}=value1&${key}=key1,key2`
             });
         }
         
-        const whereConditions = [];
-        const params = [];
+        const partitionValues = queryBuilder.normalizeValues(req.query[partitionField]);
+        const keyValues = queryBuilder.normalizeValues(req.query[key]);
         
-        // Handle ROOT_GMID filter
-        if (ROOT_GMID && ROOT_GMID.trim()) {
-            const rootGmidArray = ROOT_GMID.split(',').map(v => v.trim()).filter(v => v);
-            
-            if (rootGmidArray.length > 50) {
-                return res.status(400).json({ 
-                    error: `Too many ROOT_GMID values (${rootGmidArray.length}). Maximum 50 allowed for performance.`
-                });
-            }
-            
-            if (rootGmidArray.length > 0) {
-                const placeholders = rootGmidArray.map(() => '?').join(',');
-                whereConditions.push(`ROOT_GMID IN (${placeholders})`);
-                params.push(...rootGmidArray);
-            }
+        if (partitionValues.length > 50) {
+            return res.status(400).json({ 
+                error: `Too many ${partitionField} values (${partitionValues.length}). Maximum 50 allowed for performance.`
+            });
         }
         
-        // Handle PATH_GMID filter
-        if (PATH_GMID && PATH_GMID.trim()) {
-            const pathGmidArray = PATH_GMID.split(',').map(v => v.trim()).filter(v => v);
-            
-            if (pathGmidArray.length > 1000) {
-                return res.status(400).json({ 
-                    error: `Too many PATH_GMID values (${pathGmidArray.length}). Maximum 1000 allowed for performance.`
-                });
-            }
-            
-            if (pathGmidArray.length > 0) {
-                const placeholders = pathGmidArray.map(() => '?').join(',');
-                whereConditions.push(`PATH_GMID IN (${placeholders})`);
-                params.push(...pathGmidArray);
-            }
-        }
+        if (keyValues.length > 1000) {
+            return res.status(400).json({ 
+                error: `Too many ${key} values (${keyValues.length}). Maximum 1000 allowed for performance.`
+            });
+        }
+        
+        // Handle partition and key filters
+        const { conditions: whereConditions, binds: params } = queryBuilder.buildWhereConditions(
+            { [partitionField]: partitionValues, [key]: keyValues },
+            { allowedColumns: [partitionField, key], maxValues: 1000 }
+        );
+        
+        if (whereConditions.length === 0) {
+            return res.status(400).json({ error: `No valid ${partitionField} or ${key} values provided` });
+        }
         
         // Build optimized SQL query
+        const source = await entitledTable(req, table);
         let sql = `
             SELECT 
-                PATH_GMID,
-                ROOT_GMID,
-                COMPONENT_GMID,
-                DISPLAY
-            FROM ONEMNS_PROD.DMT_BOM.DIM_GMID_DISPLAY 
+                ${dimension.fields.join(',\n                ')}
+            FROM ${source.sql} 
             WHERE ${whereConditions.join(' AND ')}
-            AND PATH_GMID IS NOT NULL
-            AND DISPLAY IS NOT NULL
-            ORDER BY ROOT_GMID, PATH_GMID
+            AND ${key} IS NOT NULL
+            AND ${labelField} IS NOT NULL
+            ORDER BY ${partitionField}, ${key}
         `;
         
         // Add limit if specified
-        if (limit && !isNaN(parseInt(limit))) {
-            const limitValue = Math.min(parseInt(limit), 10000); // Max 10k records
+        const limitValue = queryBuilder.normalizeLimit(limit, { max: 10000 }); // Max 10k records
+        if (limitValue !== null) {
             sql += ` LIMIT ${limitValue}`;
         }
         
-        console.log(`📊 Executing enhanced DIM_GMID_DISPLAY SQL with ${whereConditions.length} conditions:`);
+        console.log(`📊 Executing enhanced ${table} SQL with ${whereConditions.length} conditions:`);
         console.log(`📊 SQL: ${sql}`);
         console.log(`📊 Parameters (${params.length}):`, params.slice(0, 10), params.length > 10 ? `... +${params.length - 10} more` : '');
         
-        const conn = await connectToSnowflake();
-        const stream = conn.execute({
-            sqlText: sql,
-            binds: params,
-            streamResult: true
-        }).streamRows();
+        const cached = await lookupResultCache(req, `${table}/filtered-enhanced`, [table], {
+            filters: { [partitionField]: partitionValues, [key]: keyValues },
+            options: { limit: limitValue }
+        });
+        if (cached.entry) {
+            return sendCachedRows(req, res, cached);
+        }
+        
+        const stream = await req.dataSource.streamRows(sql, [...source.binds, ...params], { signal: req.abortSignal });
+        cacheStreamedRows(stream, req, cached, RESULT_TTL.dimension);
         
+        res.setHeader('X-Cache', 'MISS');
         res.setHeader('Content-Type', 'application/x-ndjson');
         res.setHeader('Cache-Control', 'no-cache');
-        res.setHeader('Access-Control-Allow-Origin', '*');
         res.setHeader('X-Filter-Count', whereConditions.length.toString());
         res.setHeader('X-Parameter-Count', params.length.toString());
         
         let rowCount = 0;
-        let rootGmidCounts = {};
+        let partitionCounts = {};
         
         stream.on('data', row => {
             res.write(JSON.stringify(row) + '\n');
             rowCount++;
             
-            // Track counts per ROOT_GMID for logging
-            if (row.ROOT_GMID) {
-                rootGmidCounts[row.ROOT_GMID] = (rootGmidCounts[row.ROOT_GMID] || 0) + 1;
+            // Track counts per partition for logging
+            if (row[partitionField]) {
+                partitionCounts[row[partitionField]] = (partitionCounts[row[partitionField]] || 0) + 1;
             }
             
             if (rowCount % 1000 === 0) {
-                console.log(`📊 Streamed ${rowCount} enhanced GMID_DISPLAY rows...`);
+                console.log(`📊 Streamed ${rowCount} enhanced ${table} rows...`);
             }
         });
         
         stream.on('end', () => {
-            console.log(`✅ Completed enhanced GMID_DISPLAY streaming: ${rowCount} rows`);
-            console.log(`📊 Breakdown by ROOT_GMID:`, Object.keys(rootGmidCounts).length > 10 ? 
-                `${Object.keys(rootGmidCounts).length} different ROOT_GMIDs` : rootGmidCounts);
+            console.log(`✅ Completed enhanced ${table} streaming: ${rowCount} rows`);
+            console.log(`📊 Breakdown by ${partitionField}:`, Object.keys(partitionCounts).length > 10 ? 
+                `${Object.keys(partitionCounts).length} different ${partitionField}s` : partitionCounts);
             res.end();
         });
         
         stream.on('error', err => {
-            console.error('❌ Stream error in enhanced DIM_GMID_DISPLAY:', err);
+            console.error(`❌ Stream error in enhanced ${table}:`, err);
             if (!res.headersSent) {
                 res.status(500).json({ error: err.message });
             } else {
@@ -988,9 +1517,9 @@ app.get('/api/data/DIM_GMID_DISPLAY/filtered-enhanced', async (req, res) => {
         });
         
     } catch (error) {
-        console.error('❌ Error in enhanced DIM_GMID_DISPLAY filtered endpoint:', error);
+        console.error('❌ Error in enhanced filtered endpoint:', error);
         
-        if (error.message.includes('Too many values')) {
+        if (error.message.includes('Invalid') || error.message.includes('Too many values')) {
             res.status(400).json({ 
                 error: 'Invalid request parameters',
                 message: error.message 
@@ -1005,9 +1534,19 @@ app.get('/api/data/DIM_GMID_DISPLAY/filtered-enhanced', async (req, res) => {
 });
 
 
-app.get('/api/data/FACT_BOM/filtered', async (req, res) => {
+/**
+ * Fact rows matching the filters (/api/data/:table/filtered for a registered fact table).
+ * Selects the fact's join columns and measures; filters may use any join column.
+ * Usage: GET /api/data/FACT_BOM/filtered?ROOT_SMARTCODE=CLEAVE
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} fact - Registry fact description
+ */
+async function sendFactRows(req, res, fact) {
+    const tableName = fact.table;
+
     try {
-        console.log('🔍 FACT_BOM filtered request:', req.query);
+        console.log(`🔍 ${tableName} filtered request:`, req.query);
         
         // Check if any filter parameters were provided
         const hasFilters = Object.keys(req.query).length > 0;
@@ -1015,45 +1554,16 @@ app.get('/api/data/FACT_BOM/filtered', async (req, res) => {
         if (!hasFilters) {
             return res.status(400).json({ 
                 error: 'No filter parameters provided',
-                message: 'At least one filter parameter is required for FACT_BOM queries',
-                example: '/api/data/FACT_BOM/filtered?ROOT_SMARTCODE=CLEAVE',
-                availableFilters: [
-                    'LE', 'COST_ELEMENT', 'PATH_GMID', 'ROOT_GMID',  // CHANGED: COMPONENT_GMID → PATH_GMID
-                    'ROOT_SMARTCODE', 'ITEM_COST_TYPE', 'COMPONENT_MATERIAL_TYPE', 
-                    'MC', 'ZYEAR'
-                ]
+                message: `At least one filter parameter is required for ${tableName} queries`,
+                example: `/api/data/${tableName}/filtered?${fact.filterFields[0]}=value`,
+                availableFilters: fact.filterFields
             });
         }
         
-        const whereConditions = [];
-        const params = [];
-        
-        // Validate and build WHERE conditions
-        Object.entries(req.query).forEach(([field, values]) => {
-            if (values && values.trim()) {
-                // CRITICAL FIX: Update valid fields to include PATH_GMID instead of COMPONENT_GMID
-                const validFields = [
-                    'LE', 'COST_ELEMENT', 'PATH_GMID', 'ROOT_GMID',  // CHANGED: COMPONENT_GMID → PATH_GMID
-                    'ROOT_SMARTCODE', 'ITEM_COST_TYPE', 'COMPONENT_MATERIAL_TYPE', 
-                    'MC', 'ZYEAR'
-                ];
-                
-                const upperField = field.toUpperCase();
-                if (!validFields.includes(upperField)) {
-                    throw new Error(`Invalid field '${field}'. Valid fields: ${validFields.join(', ')}`);
-                }
-                
-                const valueArray = values.split(',').map(v => v.trim()).filter(v => v);
-                if (valueArray.length > 0) {
-                    if (valueArray.length > 50) {
-                        throw new Error(`Too many values for field '${field}' (${valueArray.length}). Maximum 50 values allowed.`);
-                    }
-                    
-                    const placeholders = valueArray.map(() => '?').join(',');
-                    whereConditions.push(`${upperField} IN (${placeholders})`);
-                    params.push(...valueArray);
-                }
-            }
+        // Validate and build WHERE conditions (values are bound, never interpolated)
+        const { conditions: whereConditions, binds: params } = queryBuilder.buildWhereConditions(req.query, {
+            allowedColumns: fact.filterFields,
+            maxValues: 50
         });
         
         if (whereConditions.length === 0) {
@@ -1063,42 +1573,33 @@ app.get('/api/data/FACT_BOM/filtered', async (req, res) => {
             });
         }
         
-        // CRITICAL FIX: Update SQL query to use PATH_GMID instead of COMPONENT_GMID
+        const source = await entitledTable(req, tableName);
         let sql = `
             SELECT 
-                LE, 
-                COST_ELEMENT, 
-                PATH_GMID,        -- CHANGED: COMPONENT_GMID → PATH_GMID
-                ROOT_GMID,
-                ROOT_SMARTCODE, 
-                ITEM_COST_TYPE, 
-                COMPONENT_MATERIAL_TYPE, 
-                MC, 
-                ZYEAR,
-                COST_UNIT, 
-                QTY_UNIT
-            FROM ONEMNS_PROD.DMT_BOM.FACT_BOM
+                ${[...fact.filterFields, ...fact.measures].join(',\n                ')}
+            FROM ${source.sql}
             WHERE ${whereConditions.join(' AND ')}
         `.trim();
         
-        // Add ordering for consistency - CHANGED: Use PATH_GMID for ordering
-        sql += ` ORDER BY LE, ROOT_SMARTCODE, PATH_GMID`;
+        // Add ordering for consistency
+        sql += ` ORDER BY ${fact.orderBy.join(', ')}`;
         
-        console.log(`📊 Executing FACT_BOM SQL with ${whereConditions.length} filters:`);
+        console.log(`📊 Executing ${tableName} SQL with ${whereConditions.length} filters:`);
         console.log(`📊 SQL: ${sql}`);
         console.log(`📊 Parameters (${params.length}):`, params.slice(0, 10), params.length > 10 ? `... +${params.length - 10} more` : '');
         
-        const conn = await connectToSnowflake();
-        const stream = conn.execute({
-            sqlText: sql,
-            binds: params,
-            streamResult: true
-        }).streamRows();
+        const cached = await lookupResultCache(req, `${tableName}/filtered`, [tableName], { filters: req.query });
+        if (cached.entry) {
+            return sendCachedRows(req, res, cached);
+        }
+        
+        const stream = await req.dataSource.streamRows(sql, [...source.binds, ...params], { signal: req.abortSignal });
+        cacheStreamedRows(stream, req, cached, RESULT_TTL.fact);
         
         // Set response headers
-        res.setHeader('Content-Type', 'application/x-ndjson');
+        res.setHeader('X-Cache', 'MISS');
+        const writer = createRowWriter(req, res);
         res.setHeader('Cache-Control', 'no-cache');
-        res.setHeader('Access-Control-Allow-Origin', '*');
         res.setHeader('X-Filter-Count', whereConditions.length.toString());
         res.setHeader('X-Parameter-Count', params.length.toString());
         
@@ -1106,24 +1607,25 @@ app.get('/api/data/FACT_BOM/filtered', async (req, res) => {
         let startTime = Date.now();
         
         stream.on('data', row => {
-            res.write(JSON.stringify(row) + '\n');
+            writer.write(row);
             rowCount++;
             
             if (rowCount % 5000 === 0) {
                 const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
-                console.log(`📊 Streamed ${rowCount} FACT_BOM rows (${elapsed}s)...`);
+                console.log(`📊 Streamed ${rowCount} ${tableName} rows (${elapsed}s)...`);
             }
         });
         
         stream.on('end', () => {
-            const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
-            console.log(`✅ Completed FACT_BOM query: ${rowCount} rows in ${elapsed}s`);
-            console.log(`📊 Query performance: ${Math.round(rowCount / elapsed)} rows/second`);
-            res.end();
+            const duration = Date.now() - startTime;
+            const rowsPerSecond = duration > 0 ? Math.round(rowCount / (duration / 1000)) : rowCount;
+            console.log(`✅ Completed ${tableName} query: ${rowCount} rows in ${(duration / 1000).toFixed(1)}s (${writer.format})`);
+            console.log(`📊 Query performance: ${rowsPerSecond} rows/second`);
+            writer.end();
         });
         
         stream.on('error', err => {
-            console.error('❌ Stream error in FACT_BOM query:', err);
+            console.error(`❌ Stream error in ${tableName} query:`, err);
             if (!res.headersSent) {
                 res.status(500).json({ 
                     error: 'Database query failed',
@@ -1136,7 +1638,7 @@ app.get('/api/data/FACT_BOM/filtered', async (req, res) => {
         });
         
     } catch (error) {
-        console.error('❌ Error in FACT_BOM filtered endpoint:', error);
+        console.error(`❌ Error in ${tableName} filtered endpoint:`, error);
         
         if (error.message.includes('Invalid field') || error.message.includes('Too many values')) {
             res.status(400).json({ 
@@ -1155,90 +1657,550 @@ app.get('/api/data/FACT_BOM/filtered', async (req, res) => {
             });
         }
     }
+}
+
+
+/**
+ * Server-side pivot aggregation for a registered fact table (FACT_BOM by default)
+ * Sums the requested measures in Snowflake, grouped by the row and column fields, so the browser
+ * receives one row per pivot cell instead of every raw fact record.
+ * Detail groups and the grand total come back from a single GROUPING SETS query.
+ * Usage: POST /api/pivot/aggregate
+ * Body: {
+ *   "fact": "FACT_BOM",
+ *   "rowFields": ["LE"],
+ *   "columnFields": ["ZYEAR"],
+ *   "valueFields": ["COST_UNIT", "QTY_UNIT"],
+ *   "filters": { "ROOT_SMARTCODE": ["CLEAVE"], "ZYEAR": ["2025"] }
+ * }
+ */
+app.post('/api/pivot/aggregate', queued, async (req, res) => {
+    try {
+        console.log('🧮 Pivot aggregation request:', req.body);
+
+        const { fact: factTable = 'FACT_BOM', rowFields = [], columnFields = [], filters = {} } = req.body;
+        const fact = await tableRegistry.getFact(req.metadataSource, factTable);
+        const valueFields = req.body.valueFields || fact.measures.slice(0, 1);
+
+        if (!Array.isArray(rowFields) || !Array.isArray(columnFields) || !Array.isArray(valueFields)) {
+            return res.status(400).json({
+                error: 'rowFields, columnFields and valueFields must be arrays',
+                example: { rowFields: ['LE'], columnFields: ['ZYEAR'], valueFields: ['COST_UNIT'], filters: { ROOT_SMARTCODE: ['CLEAVE'] } }
+            });
+        }
+
+        // Validate grouping fields (row and column fields share one GROUP BY)
+        const groupFields = [...new Set([...rowFields, ...columnFields].map(f => String(f).toUpperCase()))];
+        groupFields.forEach(field => queryBuilder.assertAllowedColumn(field, fact.filterFields));
+
+        // Validate measures
+        const measures = [...new Set(valueFields.map(f => String(f).toUpperCase()))];
+        if (measures.length === 0) {
+            throw new Error(`Invalid field: at least one value field is required (${fact.measures.join(', ')})`);
+        }
+        measures.forEach(field => queryBuilder.assertAllowedColumn(field, fact.measures));
+
+        // Build WHERE clause from the current filter set
+        const { conditions: whereConditions, binds: params } = queryBuilder.buildWhereConditions(filters, {
+            allowedColumns: fact.filterFields
+        });
+
+        const selectList = [
+            ...groupFields,
+            ...measures.map(m => `SUM(${m}) AS ${m}`),
+            'COUNT(*) AS RECORD_COUNT'
+        ];
+
+        // GROUPING_ID is 0 for detail groups and non-zero for the grand total row
+        if (groupFields.length > 0) {
+            selectList.push(`GROUPING_ID(${groupFields.join(', ')}) AS GROUPING_LEVEL`);
+        }
+
+        const source = await entitledTable(req, fact.table);
+        let sql = `
+            SELECT ${selectList.join(',\n                ')}
+            FROM ${source.sql}
+        `;
+
+        if (whereConditions.length > 0) {
+            sql += ` WHERE ${whereConditions.join(' AND ')}`;
+        }
+
+        if (groupFields.length > 0) {
+            sql += ` GROUP BY GROUPING SETS ((${groupFields.join(', ')}), ())`;
+        }
+
+        console.log(`📊 Executing pivot aggregation: ${groupFields.length} group fields, ${measures.length} measures, ${whereConditions.length} filters`);
+        console.log(`📊 SQL: ${sql.trim()}`);
+        console.log(`📊 Parameters (${params.length}):`, params.slice(0, 10), params.length > 10 ? `... +${params.length - 10} more` : '');
+
+        const startTime = Date.now();
+
+        const aggregateResult = await req.dataSource.execute(sql, [...source.binds, ...params], { signal: req.abortSignal });
+
+        // Split detail groups from the grand total
+        const rows = [];
+        let totals = null;
+
+        aggregateResult.forEach(row => {
+            if (groupFields.length === 0 || row.GROUPING_LEVEL > 0) {
+                totals = row;
+            } else {
+                delete row.GROUPING_LEVEL;
+                rows.push(row);
+            }
+        });
+
+        if (totals) {
+            delete totals.GROUPING_LEVEL;
+            groupFields.forEach(field => delete totals[field]);
+        }
+
+        const duration = Date.now() - startTime;
+        const stats = {
+            groupCount: rows.length,
+            factRecordCount: totals ? Number(totals.RECORD_COUNT) || 0 : 0,
+            durationMs: duration
+        };
+
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('X-Query-Type', 'PIVOT-AGGREGATE');
+        res.setHeader('X-Group-Fields', groupFields.join(','));
+        res.setHeader('X-Filter-Count', whereConditions.length.toString());
+
+        console.log(`✅ Pivot aggregation complete in ${duration}ms: ${stats.groupCount} groups from ${stats.factRecordCount} ${fact.table} records`);
+
+        res.json({
+            success: true,
+            fact: fact.table,
+            groupBy: groupFields,
+            valueFields: measures,
+            rows: rows,
+            totals: totals,
+            stats: stats
+        });
+
+    } catch (error) {
+        console.error('❌ Error in pivot aggregation endpoint:', error);
+
+        if (error.message.includes('Invalid') || error.message.includes('Too many values')) {
+            res.status(400).json({
+                error: 'Invalid request parameters',
+                message: error.message
+            });
+        } else if (error.message.includes('connection') || error.message.includes('timeout')) {
+            res.status(503).json({
+                error: 'Database connection issue',
+                message: 'Please try again in a moment'
+            });
+        } else {
+            res.status(500).json({
+                error: 'Internal server error',
+                message: error.message
+            });
+        }
+    }
 });
 
 
 /**
- * Fallback filtered endpoint for other dimension tables
- * Usage: GET /api/data/:table/filtered?FIELD1=value1,value2&FIELD2=value3
+ * BOM explosion of one ROOT_GMID: the indented component tree with extended quantity, extended
+ * cost and share of the root cost at each level, for one legal entity and year (see bomExplosion.js).
+ * Without LE / ZYEAR the latest year and the first legal entity the root has rows for are used;
+ * contexts lists every combination so the page can offer the others.
+ * Usage: GET /api/bom/:rootGmid/explosion?LE=FR01&ZYEAR=2025&fact=FACT_BOM
  */
-app.get('/api/data/:table/filtered', async (req, res) => {
-    const rawTable = req.params.table;
-    const tableName = rawTable.toUpperCase();
-    
+app.get('/api/bom/:rootGmid/explosion', queued, async (req, res) => {
     try {
-        console.log(`🔍 Generic filtered ${tableName} request:`, req.query);
-        
-        // Redirect specific tables to their optimized endpoints
-        if (tableName === 'FACT_BOM') {
-            return res.status(400).json({ 
-                error: 'Use /api/data/FACT_BOM/filtered endpoint for FACT_BOM table',
-                redirectTo: '/api/data/FACT_BOM/filtered'
+        const rootGmid = queryBuilder.normalizeValues(req.params.rootGmid)[0];
+        if (!rootGmid) {
+            throw new Error('Invalid ROOT_GMID: a root GMID is required');
+        }
+
+        const fact = await tableRegistry.getFact(req.metadataSource, req.query.fact || 'FACT_BOM');
+        bomExplosion.STRUCTURE_COLUMNS.forEach(column => queryBuilder.assertAllowedColumn(column, [...fact.filterFields, ...fact.measures]));
+
+        const factSource = await entitledTable(req, fact.table);
+        const displaySource = await entitledTable(req, 'DIM_GMID_DISPLAY');
+
+        // Legal entity / year combinations of the root, so the page can offer the others
+        const contextSql = `
+            SELECT DISTINCT LE, ZYEAR
+            FROM ${factSource.sql}
+            WHERE ROOT_GMID = ?
+        `;
+        const displaySql = `
+            SELECT PATH_GMID, DISPLAY
+            FROM ${displaySource.sql}
+            WHERE ROOT_GMID = ?
+        `;
+
+        const startTime = Date.now();
+        const [contextRows, displayRows] = await Promise.all([
+            req.dataSource.execute(contextSql, [...factSource.binds, rootGmid], { signal: req.abortSignal }),
+            req.dataSource.execute(displaySql, [...displaySource.binds, rootGmid], { signal: req.abortSignal })
+        ]);
+
+        // Missing LE / ZYEAR: from the first context matching what was given
+        const contexts = bomExplosion.listContexts(contextRows);
+        const requestedLe = queryBuilder.normalizeValues(req.query.LE)[0];
+        const requestedYear = queryBuilder.normalizeValues(req.query.ZYEAR)[0];
+        const fallback = contexts.find(context =>
+            (!requestedLe || String(context.LE) === requestedLe) && (!requestedYear || String(context.ZYEAR) === requestedYear)
+        ) || {};
+        const le = requestedLe || fallback.LE;
+        const year = requestedYear || fallback.ZYEAR;
+
+        const displays = {};
+        displayRows.forEach(row => {
+            displays[row.PATH_GMID] = row.DISPLAY;
+        });
+
+        // One row per path of the context; the cost elements of a path share its quantity
+        let factRows = [];
+        if (le != null && year != null) {
+            const factSql = `
+                SELECT PATH_GMID,
+                    MAX(QTY_UNIT) AS QTY_UNIT,
+                    SUM(COST_UNIT) AS COST_UNIT
+                FROM ${factSource.sql}
+                WHERE ROOT_GMID = ? AND LE = ? AND ZYEAR = ?
+                GROUP BY PATH_GMID
+            `;
+            factRows = await req.dataSource.execute(factSql, [...factSource.binds, rootGmid, le, year], { signal: req.abortSignal });
+        }
+
+        const { nodes, totals } = bomExplosion.buildExplosion(rootGmid, factRows, displays);
+        const duration = Date.now() - startTime;
+
+        console.log(`🌳 BOM explosion of ${rootGmid} (${le || '-'} ${year || '-'}) in ${duration}ms: ${totals.nodeCount} nodes on ${totals.levels} levels`);
+
+        res.json({
+            success: true,
+            fact: fact.table,
+            rootGmid,
+            rootDisplay: displays[rootGmid] || rootGmid,
+            LE: le || null,
+            ZYEAR: year || null,
+            asOf: req.asOf,
+            contexts,
+            nodes,
+            totals,
+            stats: { durationMs: duration }
+        });
+
+    } catch (error) {
+        console.error('❌ Error in BOM explosion endpoint:', error);
+
+        if (error.message.includes('Invalid')) {
+            res.status(400).json({
+                error: 'Invalid request parameters',
+                message: error.message
+            });
+        } else if (error.message.includes('connection') || error.message.includes('timeout')) {
+            res.status(503).json({
+                error: 'Database connection issue',
+                message: 'Please try again in a moment'
+            });
+        } else {
+            res.status(500).json({
+                error: 'Internal server error',
+                message: error.message
             });
         }
-        
-        if (tableName === 'DIM_GMID_DISPLAY') {
-            return res.status(400).json({ 
-                error: 'Use /api/data/DIM_GMID_DISPLAY/filtered endpoint for GMID_DISPLAY table',
-                redirectTo: '/api/data/DIM_GMID_DISPLAY/filtered?ROOT_GMID=value1,value2'
+    }
+});
+
+
+/**
+ * Where-used (implosion) of a component GMID: every root and path containing it, with the
+ * component's quantity, extended quantity and cost contribution in each legal entity and year.
+ * LE and ZYEAR narrow the contexts (comma-separated lists); at most MAX_WHERE_USED_ROOTS roots are
+ * returned, truncated tells when there were more.
+ * Usage: GET /api/bom/:componentGmid/where-used?LE=FR01&ZYEAR=2024,2025&fact=FACT_BOM
+ */
+app.get('/api/bom/:componentGmid/where-used', queued, async (req, res) => {
+    try {
+        const componentGmid = queryBuilder.normalizeValues(req.params.componentGmid)[0];
+        if (!componentGmid) {
+            throw new Error('Invalid COMPONENT_GMID: a component GMID is required');
+        }
+
+        const fact = await tableRegistry.getFact(req.metadataSource, req.query.fact || 'FACT_BOM');
+        bomExplosion.STRUCTURE_COLUMNS.forEach(column => queryBuilder.assertAllowedColumn(column, [...fact.filterFields, ...fact.measures]));
+
+        const { conditions, binds } = queryBuilder.buildWhereConditions(
+            { LE: req.query.LE, ZYEAR: req.query.ZYEAR },
+            { allowedColumns: fact.filterFields }
+        );
+        const contextSql = conditions.map(condition => ` AND ${condition}`).join('');
+        const factSource = await entitledTable(req, fact.table);
+        const displaySource = await entitledTable(req, 'DIM_GMID_DISPLAY');
+
+        // Roots with a path ending in the component ('R100/C110' for C110)
+        const likePattern = `%/${componentGmid.replace(/[!%_]/g, '!$&')}`;
+        const maxRoots = bomExplosion.MAX_WHERE_USED_ROOTS;
+        const rootSql = `
+            SELECT DISTINCT ROOT_GMID
+            FROM ${factSource.sql}
+            WHERE PATH_GMID LIKE ? ESCAPE '!'${contextSql}
+            ORDER BY ROOT_GMID
+            LIMIT ${maxRoots + 1}
+        `;
+
+        const startTime = Date.now();
+        const rootRows = await req.dataSource.execute(rootSql, [...factSource.binds, likePattern, ...binds], { signal: req.abortSignal });
+        const truncated = rootRows.length > maxRoots;
+        const rootGmids = rootRows.slice(0, maxRoots).map(row => row.ROOT_GMID);
+
+        let factRows = [];
+        let displayRows = [];
+        if (rootGmids.length > 0) {
+            const rootPlaceholders = rootGmids.map(() => '?').join(',');
+            const factSql = `
+                SELECT ROOT_GMID, LE, ZYEAR, PATH_GMID,
+                    MAX(QTY_UNIT) AS QTY_UNIT,
+                    SUM(COST_UNIT) AS COST_UNIT
+                FROM ${factSource.sql}
+                WHERE ROOT_GMID IN (${rootPlaceholders})${contextSql}
+                GROUP BY ROOT_GMID, LE, ZYEAR, PATH_GMID
+            `;
+            const displaySql = `
+                SELECT PATH_GMID, DISPLAY
+                FROM ${displaySource.sql}
+                WHERE ROOT_GMID IN (${rootPlaceholders})
+            `;
+            [factRows, displayRows] = await Promise.all([
+                req.dataSource.execute(factSql, [...factSource.binds, ...rootGmids, ...binds], { signal: req.abortSignal }),
+                req.dataSource.execute(displaySql, [...displaySource.binds, ...rootGmids], { signal: req.abortSignal })
+            ]);
+        }
+
+        const displays = {};
+        displayRows.forEach(row => {
+            displays[row.PATH_GMID] = row.DISPLAY;
+        });
+
+        const { usages, totals } = bomExplosion.buildWhereUsed(componentGmid, factRows, displays);
+        const duration = Date.now() - startTime;
+
+        console.log(`🌳 Where-used of ${componentGmid} in ${duration}ms: ${totals.usages} usages on ${totals.paths} paths of ${totals.roots} roots${truncated ? ` (first ${maxRoots} roots)` : ''}`);
+
+        res.json({
+            success: true,
+            fact: fact.table,
+            componentGmid,
+            componentLabel: usages.length > 0 ? usages[0].label : componentGmid,
+            asOf: req.asOf,
+            usages,
+            totals,
+            truncated,
+            stats: { durationMs: duration }
+        });
+
+    } catch (error) {
+        console.error('❌ Error in where-used endpoint:', error);
+
+        if (error.message.includes('Invalid') || error.message.includes('Too many values')) {
+            res.status(400).json({
+                error: 'Invalid request parameters',
+                message: error.message
+            });
+        } else if (error.message.includes('connection') || error.message.includes('timeout')) {
+            res.status(503).json({
+                error: 'Database connection issue',
+                message: 'Please try again in a moment'
+            });
+        } else {
+            res.status(500).json({
+                error: 'Internal server error',
+                message: error.message
             });
         }
-        
-        const whereConditions = [];
-        const params = [];
-        
-        // Validate table name
-        if (!/^[A-Za-z0-9_]+$/.test(tableName)) {
-            throw new Error(`Invalid table name: ${tableName}`);
+    }
+});
+
+
+/**
+ * Cost variance of one ROOT_GMID between a base and a compare year in one legal entity: per path,
+ * base and compare extended cost, the delta and its split into quantity and price effect, largest
+ * movers first (see bomExplosion.js). Without LE the first legal entity with both years is used.
+ * baseAsOf / compareAsOf read each side as it was at that point in time (time travel), so the same
+ * year can be compared between two closes; either defaults to the request's as-of.
+ * Usage: GET /api/bom/:rootGmid/variance?base=2024&compare=2025&LE=FR01&fact=FACT_BOM
+ *        GET /api/bom/:rootGmid/variance?base=2025&compare=2025&baseAsOf=2025-01-31&compareAsOf=2025-02-28
+ */
+app.get('/api/bom/:rootGmid/variance', queued, async (req, res) => {
+    try {
+        const rootGmid = queryBuilder.normalizeValues(req.params.rootGmid)[0];
+        if (!rootGmid) {
+            throw new Error('Invalid ROOT_GMID: a root GMID is required');
         }
-        
-        // Build WHERE conditions from query parameters
-        Object.entries(req.query).forEach(([field, values]) => {
-            if (values && values.trim()) {
-                // Validate field name
-                if (!/^[A-Za-z0-9_]+$/.test(field)) {
-                    throw new Error(`Invalid field name: ${field}`);
-                }
-                
-                const valueArray = values.split(',').map(v => v.trim()).filter(v => v);
-                if (valueArray.length > 0) {
-                    const placeholders = valueArray.map(() => '?').join(',');
-                    whereConditions.push(`${field.toUpperCase()} IN (${placeholders})`);
-                    params.push(...valueArray);
-                }
+        const baseYear = queryBuilder.normalizeValues(req.query.base)[0];
+        const compareYear = queryBuilder.normalizeValues(req.query.compare)[0];
+        if (!baseYear || !compareYear) {
+            throw new Error('Invalid variance: base and compare years are required');
+        }
+        const baseAsOf = queryBuilder.normalizeAsOf(req.query.baseAsOf) || req.asOf;
+        const compareAsOf = queryBuilder.normalizeAsOf(req.query.compareAsOf) || req.asOf;
+        if ((baseAsOf || compareAsOf) && !supportsTimeTravel()) {
+            throw new Error(`Invalid as-of: the ${dataSource.name} data source has no time travel`);
+        }
+        if (baseYear === compareYear && baseAsOf === compareAsOf) {
+            throw new Error('Invalid variance: base and compare must differ in year or as-of date');
+        }
+
+        const fact = await tableRegistry.getFact(req.metadataSource, req.query.fact || 'FACT_BOM');
+        bomExplosion.STRUCTURE_COLUMNS.forEach(column => queryBuilder.assertAllowedColumn(column, [...fact.filterFields, ...fact.measures]));
+
+        // One query per side: each reads its own year at its own point in time
+        const factSql = source => `
+            SELECT LE, ZYEAR, PATH_GMID,
+                MAX(QTY_UNIT) AS QTY_UNIT,
+                SUM(COST_UNIT) AS COST_UNIT
+            FROM ${source.sql}
+            WHERE ROOT_GMID = ? AND ZYEAR = ?
+            GROUP BY LE, ZYEAR, PATH_GMID
+        `;
+        const readSide = async (year, asOf) => {
+            const source = await entitledTable(req, fact.table, asOf);
+            return req.dataSource.execute(factSql(source), [...source.binds, rootGmid, year], { signal: req.abortSignal });
+        };
+        const displaySource = await entitledTable(req, 'DIM_GMID_DISPLAY', compareAsOf);
+        const displaySql = `
+            SELECT PATH_GMID, DISPLAY
+            FROM ${displaySource.sql}
+            WHERE ROOT_GMID = ?
+        `;
+
+        const startTime = Date.now();
+        const [baseRows, compareRows, displayRows] = await Promise.all([
+            readSide(baseYear, baseAsOf),
+            readSide(compareYear, compareAsOf),
+            req.dataSource.execute(displaySql, [...displaySource.binds, rootGmid], { signal: req.abortSignal })
+        ]);
+
+        // Legal entities costed on both sides come first
+        const sidesByLe = new Map();
+        [baseRows, compareRows].forEach((rows, side) => rows.forEach(row => {
+            const le = String(row.LE);
+            if (!sidesByLe.has(le)) {
+                sidesByLe.set(le, new Set());
             }
+            sidesByLe.get(le).add(side);
+        }));
+        const legalEntities = Array.from(sidesByLe.keys()).sort((a, b) =>
+            (sidesByLe.get(b).size - sidesByLe.get(a).size) || a.localeCompare(b)
+        );
+        const le = queryBuilder.normalizeValues(req.query.LE)[0] || legalEntities[0];
+
+        const displays = {};
+        displayRows.forEach(row => {
+            displays[row.PATH_GMID] = row.DISPLAY;
         });
+
+        const rowsOf = rows => rows.filter(row => String(row.LE) === String(le));
+        const { movers, totals } = bomExplosion.buildCostVariance(rootGmid, rowsOf(baseRows), rowsOf(compareRows), displays);
+        const duration = Date.now() - startTime;
+        const sideLabel = (year, asOf) => asOf ? `${year} as of ${asOf}` : year;
+
+        console.log(`📈 Cost variance of ${rootGmid} (${le || '-'} ${sideLabel(baseYear, baseAsOf)} → ${sideLabel(compareYear, compareAsOf)}) in ${duration}ms: ${movers.length} paths, delta ${totals.delta.toFixed(4)} (qty ${totals.qtyEffect.toFixed(4)}, price ${totals.priceEffect.toFixed(4)})`);
+
+        res.json({
+            success: true,
+            fact: fact.table,
+            rootGmid,
+            rootDisplay: displays[rootGmid] || rootGmid,
+            LE: le || null,
+            base: baseYear,
+            compare: compareYear,
+            baseAsOf: baseAsOf || null,
+            compareAsOf: compareAsOf || null,
+            legalEntities,
+            movers,
+            totals,
+            stats: { durationMs: duration }
+        });
+
+    } catch (error) {
+        console.error('❌ Error in cost variance endpoint:', error);
+
+        if (error.message.includes('Invalid')) {
+            res.status(400).json({
+                error: 'Invalid request parameters',
+                message: error.message
+            });
+        } else if (error.message.includes('connection') || error.message.includes('timeout')) {
+            res.status(503).json({
+                error: 'Database connection issue',
+                message: 'Please try again in a moment'
+            });
+        } else {
+            res.status(500).json({
+                error: 'Internal server error',
+                message: error.message
+            });
+        }
+    }
+});
+
+
+/**
+ * Filtered rows of any table. Registered fact tables and partitioned dimensions (see the registry)
+ * get their own handlers; everything else is filtered on any of its columns.
+ * Usage: GET /api/data/:table/filtered?FIELD1=value1,value2&FIELD2=value3
+ */
+app.get('/api/data/:table/filtered', queued, async (req, res) => {
+    const rawTable = req.params.table;
+    const tableName = rawTable.toUpperCase();
+    
+    try {
+        const registry = await tableRegistry.get(req.metadataSource);
+        if (registry.facts[tableName]) {
+            return sendFactRows(req, res, registry.facts[tableName]);
+        }
+        if (registry.dimensions[tableName] && registry.dimensions[tableName].partitionField) {
+            return sendPartitionRows(req, res, registry.dimensions[tableName]);
+        }
         
-        // Build base SQL query
-        let sql = `SELECT * FROM ONEMNS_PROD.DMT_BOM.${tableName}`;
+        console.log(`🔍 Generic filtered ${tableName} request:`, req.query);
         
-        if (whereConditions.length > 0) {
-            sql += ` WHERE ${whereConditions.join(' AND ')}`;
+        // Validate table name and whitelist filter fields against the cached schema
+        queryBuilder.normalizeIdentifier(tableName, 'table');
+        const availableColumns = await getTableSchema(tableName, req.dataSource);
+        
+        if (availableColumns.length === 0) {
+            return res.status(404).json({ 
+                error: `Table ${tableName} not found`,
+                suggestion: `Check table name and verify it exists in ${queryBuilder.DATABASE}.${queryBuilder.SCHEMA}`
+            });
         }
         
-        // Add ordering for consistency
-        sql += ` ORDER BY 1`; // Order by first column
+        // Build SQL query, ordered by the first column for consistency
+        const { sql, binds: params, filterFields } = queryBuilder.buildSelectQuery({
+            table: tableName,
+            allowedColumns: availableColumns,
+            filters: req.query,
+            orderBy: [availableColumns[0]],
+            maxValues: 1000,
+            rowFilter: await getRowFilter(req, tableName),
+            asOf: req.asOf
+        });
         
         console.log(`📊 Executing generic filtered SQL:`, sql);
         console.log(`📊 Parameters:`, params);
         
-        const conn = await connectToSnowflake();
-        const stream = conn.execute({
-            sqlText: sql,
-            binds: params,
-            streamResult: true
-        }).streamRows();
+        const stream = await req.dataSource.streamRows(sql, params, { signal: req.abortSignal });
         
-        res.setHeader('Content-Type', 'application/x-ndjson');
+        const writer = createRowWriter(req, res);
         res.setHeader('Cache-Control', 'no-cache');
-        res.setHeader('Access-Control-Allow-Origin', '*');
         res.setHeader('X-Table-Name', tableName);
-        res.setHeader('X-Filter-Count', whereConditions.length.toString());
+        res.setHeader('X-Filter-Count', filterFields.length.toString());
         
         let rowCount = 0;
         
         stream.on('data', row => {
-            res.write(JSON.stringify(row) + '\n');
+            writer.write(row);
             rowCount++;
             
             if (rowCount % 1000 === 0) {
@@ -1247,8 +2209,8 @@ app.get('/api/data/:table/filtered', async (req, res) => {
         });
         
         stream.on('end', () => {
-            console.log(`✅ Completed streaming ${rowCount} filtered rows from ${tableName}`);
-            res.end();
+            console.log(`✅ Completed streaming ${rowCount} filtered rows from ${tableName} (${writer.format})`);
+            writer.end();
         });
         
         stream.on('error', err => {
@@ -1263,12 +2225,12 @@ app.get('/api/data/:table/filtered', async (req, res) => {
     } catch (error) {
         console.error(`❌ Error in generic filtered ${tableName} endpoint:`, error);
         
-        if (error.message.includes('Invalid table name') || error.message.includes('Invalid field name')) {
+        if (error.message.includes('Invalid table name') || error.message.includes('Invalid field')) {
             res.status(400).json({ error: error.message });
         } else if (error.message.includes('Object') && error.message.includes('does not exist')) {
             res.status(404).json({ 
                 error: `Table ${tableName} not found`,
-                suggestion: 'Check table name and verify it exists in DMT_BOM schema'
+                suggestion: `Check table name and verify it exists in ${queryBuilder.DATABASE}.${queryBuilder.SCHEMA}`
             });
         } else {
             res.status(500).json({ error: error.message });
@@ -1279,28 +2241,26 @@ app.get('/api/data/:table/filtered', async (req, res) => {
 
 app.get('/api/health', async (req, res) => {
     try {
-        const conn = await connectToSnowflake();
-        const result = await new Promise((resolve, reject) => {
-            conn.execute({
-                sqlText: 'SELECT 1 as test',
-                complete: (err, stmt, rows) => {
-                    if (err) reject(err);
-                    else resolve(rows);
-                }
-            });
-        });
+        const result = await req.dataSource.execute('SELECT 1 as test');
         
         res.json({ 
             status: 'healthy', 
             database: 'connected',
+            dataSource: dataSource.name,
+            environment: getEnvironment().name,
             timestamp: new Date().toISOString(),
             test_query: result.length > 0 ? 'passed' : 'failed',
-            cacheSize: schemaCache.size
+            cacheSize: schemaCache.size,
+            resultCache: queryResultCache.stats(),
+            connectionPool: dataSource.poolStats(),
+            workloads: workloadRouter.describe(),
+            scheduler: queryScheduler.stats()
         });
     } catch (error) {
         res.status(500).json({ 
             status: 'unhealthy', 
             database: 'disconnected',
+            dataSource: dataSource.name,
             error: error.message,
             timestamp: new Date().toISOString()
         });
@@ -1308,6 +2268,236 @@ app.get('/api/health', async (req, res) => {
 });
 
 
+// Gauges read from the pool, caches and scheduler at scrape time
+const snowflakeSessions = metrics.gauge('snowflake_sessions', 'Pooled Snowflake connections by state', ['state']);
+const snowflakeActiveQueries = metrics.gauge('snowflake_active_queries', 'Statements running on pooled connections');
+const snowflakePoolMax = metrics.gauge('snowflake_pool_max_sessions', 'Connection pool capacity');
+const resultCacheEvents = metrics.counter('result_cache_events_total', 'Result cache lookups and upkeep by event', ['event']);
+const schemaCacheLookups = metrics.counter('schema_cache_lookups_total', 'Table schema lookups by result', ['result']);
+const cacheHitRatio = metrics.gauge('cache_hit_ratio', 'Hits over lookups since start', ['cache']);
+const cacheEntries = metrics.gauge('cache_entries', 'Entries held', ['cache']);
+const resultCacheBytes = metrics.gauge('result_cache_bytes', 'Approximate size of the cached results');
+const queueDepth = metrics.gauge('query_queue_depth', 'Query requests waiting for a slot');
+const queueRunning = metrics.gauge('query_running', 'Query requests holding a slot');
+
+metrics.collect(() => {
+    const pool = dataSource.poolStats();
+    const connected = pool.sessions.filter(session => session.connected).length;
+    snowflakeSessions.set({ state: 'connected' }, connected);
+    snowflakeSessions.set({ state: 'disconnected' }, pool.sessions.length - connected);
+    snowflakeActiveQueries.set({}, pool.sessions.reduce((sum, session) => sum + (session.activeQueries || 0), 0));
+    snowflakePoolMax.set({}, pool.maxSessions);
+
+    const cache = queryResultCache.stats();
+    ['hits', 'misses', 'stores', 'evictions', 'invalidations', 'rejected'].forEach(event => {
+        resultCacheEvents.set({ event }, cache[event]);
+    });
+    cacheHitRatio.set({ cache: 'result' }, cache.hitRate);
+    cacheEntries.set({ cache: 'result' }, cache.entries);
+    resultCacheBytes.set({}, cache.sizeBytes);
+
+    const schemaLookups = schemaCacheStats.hits + schemaCacheStats.misses;
+    schemaCacheLookups.set({ result: 'hit' }, schemaCacheStats.hits);
+    schemaCacheLookups.set({ result: 'miss' }, schemaCacheStats.misses);
+    cacheHitRatio.set({ cache: 'schema' }, schemaLookups > 0 ? +(schemaCacheStats.hits / schemaLookups).toFixed(3) : 0);
+    cacheEntries.set({ cache: 'schema' }, schemaCache.size);
+
+    const scheduler = queryScheduler.stats();
+    queueDepth.set({}, scheduler.queued);
+    queueRunning.set({}, scheduler.running);
+});
+
+
+/**
+ * Prometheus scrape endpoint (text format). Outside /api, so no sign-in; set METRICS_TOKEN to require
+ * "Authorization: Bearer <token>".
+ * Usage: GET /metrics
+ */
+app.get('/metrics', (req, res) => {
+    const token = process.env.METRICS_TOKEN;
+    if (token && req.get('Authorization') !== `Bearer ${token}`) {
+        return res.status(401).json({ error: 'Metrics token required' });
+    }
+
+    res.set('Content-Type', metrics.contentType);
+    res.send(metrics.render());
+});
+
+
+/**
+ * Client configuration: the environment profile this server runs against (shown in the page header)
+ * and whether its data source can read as of a past point in time (timeTravel)
+ * Usage: GET /api/config
+ */
+app.get('/api/config', (req, res) => {
+    res.json({
+        environment: describeEnvironment(),
+        timeTravel: supportsTimeTravel(),
+        serverTime: new Date().toISOString()
+    });
+});
+
+
+/**
+ * Sign in through the environment's identity provider. The session gets a new id and cookie.
+ * Usage: POST /api/auth/login
+ * Body: { "username": "first.last@company.com", "role": "ANALYST" }
+ */
+app.post('/api/auth/login', async (req, res) => {
+    // The signed-in session's id, chosen up front so a connection the provider opens (Snowflake SSO)
+    // is pooled under it and the first query does not log in again
+    const sessionId = crypto.randomUUID();
+
+    try {
+        const credentials = req.body || {};
+        const identity = await identityProvider.authenticate({
+            credentials,
+            session: { id: sessionId, config: { ...req.session.config } },
+            dataSource
+        });
+
+        const user = { ...identity, provider: identityProvider.name, signedInAt: new Date().toISOString() };
+        req.session = signIn(res, req.session, user, sessionId);
+        if (credentials.role) {
+            updateSessionConfig(req.session, { role: credentials.role });
+        }
+
+        console.log(`🔐 ${user.username} signed in (${identityProvider.name}), session ${req.session.id.slice(0, 8)}`);
+        res.json({ success: true, ...describeSession(req.session) });
+
+    } catch (error) {
+        dataSource.forSession({ id: sessionId }).close();
+        console.error('❌ Sign-in failed:', error.message);
+        res.status(error.message.startsWith('Invalid') ? 400 : 401).json({
+            success: false,
+            error: error.message.startsWith('Invalid') ? error.message : 'Sign-in failed'
+        });
+    }
+});
+
+
+/**
+ * Sign out: end the session and close its Snowflake connection
+ * Usage: POST /api/auth/logout
+ */
+app.post('/api/auth/logout', (req, res) => {
+    if (req.session.user) {
+        console.log(`🔓 ${req.session.user.username} signed out`);
+    }
+    req.dataSource.close();
+    destroySession(res, req.session);
+    res.json({ success: true });
+});
+
+
+/**
+ * Signed-in user of this browser, or 401
+ * Usage: GET /api/auth/me
+ */
+app.get('/api/auth/me', (req, res) => {
+    if (!req.session.user) {
+        return res.status(401).json({
+            error: req.sessionExpired ? 'Session expired, please sign in again' : 'Not signed in',
+            expired: Boolean(req.sessionExpired)
+        });
+    }
+    res.json({ ...describeSession(req.session), entitlements: entitlements.describe(req.entitlements) });
+});
+
+
+/**
+ * How to sign in: the identity provider and the fields its login form needs
+ * Usage: GET /api/auth/provider
+ */
+app.get('/api/auth/provider', (req, res) => {
+    res.json({
+        name: identityProvider.name,
+        description: identityProvider.description,
+        fields: identityProvider.fields
+    });
+});
+
+
+/**
+ * Browser session: which Snowflake identity this browser's queries run under
+ * Usage: GET /api/session
+ */
+app.get('/api/session', (req, res) => {
+    res.json({
+        ...describeSession(req.session),
+        dataSource: dataSource.name,
+        username: req.session.config.username || process.env.USER || null,
+        role: req.session.config.role || process.env.ROLE || null,
+        warehouse: req.session.config.warehouse || process.env.WAREHOUSE || null
+    });
+});
+
+
+/**
+ * Set the Snowflake role/warehouse for this browser session. The pooled connection is
+ * dropped so the next query logs in (SSO) with the new settings.
+ * Usage: POST /api/session
+ * Body: { "role": "ANALYST", "warehouse": "WH" }
+ */
+app.post('/api/session', (req, res) => {
+    const config = updateSessionConfig(req.session, req.body || {});
+    req.dataSource.close();
+
+    console.log(`👤 Session ${req.session.id.slice(0, 8)} now runs as ${config.username || process.env.USER}${config.role ? ` (${config.role})` : ''}`);
+    res.json({ success: true, sessionId: req.session.id.slice(0, 8), ...config });
+});
+
+
+/**
+ * Where the signed-in user's query requests stand: running, or queued with their position
+ * Usage: GET /api/queue
+ */
+app.get('/api/queue', (req, res) => {
+    res.setHeader('Cache-Control', 'no-cache');
+    res.json(queryScheduler.describeFor(req.session.user.username));
+});
+
+
+/**
+ * Query audit log, newest first. Administrators (ADMIN_ROLES) see every user's queries, everyone
+ * else their own history.
+ * Usage: GET /api/admin/query-log?user=jane.doe@corp.com&route=filtered&table=FACT_BOM&status=ok|error&since=2025-01-01T00:00:00Z&until=...&limit=100
+ */
+app.get('/api/admin/query-log', async (req, res) => {
+    try {
+        const user = req.session.user;
+        const admin = isAdmin(req);
+
+        if (req.query.user && req.query.user !== user.username && !admin) {
+            return res.status(403).json({ error: `Only ${ADMIN_ROLES.join(', ')} may read other users' queries` });
+        }
+
+        const { route, table, status, since, until, limit } = req.query;
+        const entries = await queryLog.read({
+            user: admin ? (req.query.user || null) : user.username,
+            route, table, status, since, until, limit
+        });
+
+        res.setHeader('Cache-Control', 'no-cache');
+        res.json({ scope: admin ? 'all' : 'own', count: entries.length, entries });
+    } catch (err) {
+        console.error('❌ Error reading the query log:', err.message);
+        res.status(err.message.includes('Invalid') ? 400 : 500).json({ error: err.message });
+    }
+});
+
+
+/**
+ * End this browser session and close its Snowflake connection (same as POST /api/auth/logout)
+ * Usage: DELETE /api/session
+ */
+app.delete('/api/session', (req, res) => {
+    req.dataSource.close();
+    destroySession(res, req.session);
+    res.json({ success: true });
+});
+
+
 app.get('/api/dimension-schema/:table', async (req, res) => {
     const rawTable = req.params.table;
     const tableName = rawTable.toUpperCase();
@@ -1315,7 +2505,7 @@ app.get('/api/dimension-schema/:table', async (req, res) => {
     try {
         console.log(`⏳ Fetching schema for ${tableName}...`);
         
-        const columns = await getTableSchema(tableName);
+        const columns = await getTableSchema(tableName, req.dataSource);
         
         if (columns.length === 0) {
             return res.status(404).json({ error: `Table ${tableName} not found` });
@@ -1336,38 +2526,6 @@ app.get('/api/dimension-schema/:table', async (req, res) => {
 });
 
 
-/**
- * Error handling middleware
- */
-app.use((err, req, res, next) => {
-    console.error('❌ Unhandled error:', err);
-    res.status(500).json({ error: 'Internal server error' });
-});
-
-
-/**
- * 404 handler
- */
-app.use((req, res) => {
-    console.log(`❌ 404 - Endpoint not found: ${req.method} ${req.path}`);
-    res.status(404).json({ 
-        error: `Endpoint not found: ${req.method} ${req.path}`,
-        availableEndpoints: [
-            // 'GET /api/data/:table?fields=FIELD1,FIELD2&limit=1000',
-            'GET /api/data/:table?fields=FIELD1,FIELD2',
-            'POST /api/dimension-fields/:table',
-            'POST /api/validate-fields',
-            'POST /api/clear-cache',
-            'GET /api/dimension-schema/:table',
-            'GET /api/get_bom_dim',
-            'GET /api/get_fact_names',
-            'GET /api/data/FACT_BOM/filtered',
-            'GET /api/health'
-        ]
-    });
-});
-
-
 /**
  * This endpoint first filters FACT_BOM, then uses results to filter DIM_GMID_DISPLAY. Costly. Replaced.
  * Usage: POST /api/data/comprehensive-gmid-filter
@@ -1378,7 +2536,7 @@ app.use((req, res) => {
  *   "includeGmidDimension": true
  * }
  */
-app.post('/api/data/comprehensive-gmid-filter', async (req, res) => {
+app.post('/api/data/comprehensive-gmid-filter', queued, async (req, res) => {
     try {
         console.log('🔍 Comprehensive GMID filtering request:', req.body);
         
@@ -1392,38 +2550,19 @@ app.post('/api/data/comprehensive-gmid-filter', async (req, res) => {
             });
         }
         
-        // Step 1: Build FACT_BOM query from filters
-        const whereConditions = [];
-        const params = [];
-        
-        Object.entries(factFilters).forEach(([field, values]) => {
-            if (values && Array.isArray(values) && values.length > 0) {
-                const upperField = field.toUpperCase();
-                const validFields = [
-                    'LE', 'COST_ELEMENT', 'ROOT_GMID', 'ROOT_SMARTCODE', 
-                    'ITEM_COST_TYPE', 'COMPONENT_MATERIAL_TYPE', 'MC', 'ZYEAR'
-                ];
-                
-                if (!validFields.includes(upperField)) {
-                    throw new Error(`Invalid field '${field}'. Valid fields: ${validFields.join(', ')}`);
-                }
-                
-                if (values.length > 100) {
-                    throw new Error(`Too many values for field '${field}' (${values.length}). Maximum 100 values allowed.`);
-                }
-                
-                const placeholders = values.map(() => '?').join(',');
-                whereConditions.push(`${upperField} IN (${placeholders})`);
-                params.push(...values);
-            }
+        // Step 1: Build FACT_BOM query from filters (any FACT_BOM join column except PATH_GMID)
+        const fact = await tableRegistry.getFact(req.metadataSource, 'FACT_BOM');
+        const { conditions: whereConditions, binds: params } = queryBuilder.buildWhereConditions(factFilters, {
+            allowedColumns: fact.filterFields.filter(field => field !== 'PATH_GMID')
         });
         
         // Step 2: Execute FACT_BOM query to get ROOT_GMIDs and PATH_GMIDs
+        const factSource = await entitledTable(req, 'FACT_BOM');
         let factSql = `
             SELECT DISTINCT 
                 ROOT_GMID,
                 PATH_GMID
-            FROM ONEMNS_PROD.DMT_BOM.FACT_BOM
+            FROM ${factSource.sql}
         `;
         
         if (whereConditions.length > 0) {
@@ -1432,23 +2571,21 @@ app.post('/api/data/comprehensive-gmid-filter', async (req, res) => {
         
         factSql += ` ORDER BY ROOT_GMID, PATH_GMID`;
         
+        const cached = await lookupResultCache(req, 'comprehensive-gmid-filter', ['FACT_BOM', 'DIM_GMID_DISPLAY'], {
+            filters: factFilters,
+            options: { maxRootGmids, maxPathGmids, includeGmidDimension: Boolean(includeGmidDimension) }
+        });
+        if (cached.entry) {
+            res.setHeader('X-Cache', 'HIT');
+            return res.json(cached.entry.value);
+        }
+        
         console.log(`📊 Step 1 - Executing FACT_BOM query with ${whereConditions.length} filters:`);
         console.log(`📊 SQL: ${factSql}`);
         console.log(`📊 Parameters (${params.length}):`, params.slice(0, 10), params.length > 10 ? `... +${params.length - 10} more` : '');
         
-        const conn = await connectToSnowflake();
-        
         // Execute fact query
-        const factResult = await new Promise((resolve, reject) => {
-            conn.execute({
-                sqlText: factSql,
-                binds: params,
-                complete: (err, stmt, rows) => {
-                    if (err) reject(err);
-                    else resolve(rows);
-                }
-            });
-        });
+        const factResult = await req.dataSource.execute(factSql, [...factSource.binds, ...params], { signal: req.abortSignal });
         
         console.log(`✅ Step 1 complete: Found ${factResult.length} unique GMID combinations in FACT_BOM`);
         
@@ -1491,29 +2628,21 @@ app.post('/api/data/comprehensive-gmid-filter', async (req, res) => {
             console.log(`📊 Step 3 - Querying DIM_GMID_DISPLAY for ${uniqueRootGmids.length} ROOT_GMIDs...`);
             
             const gmidPlaceholders = uniqueRootGmids.map(() => '?').join(',');
+            const gmidSource = await entitledTable(req, 'DIM_GMID_DISPLAY');
             const gmidSql = `
                 SELECT 
                     PATH_GMID,
                     ROOT_GMID,
                     COMPONENT_GMID,
                     DISPLAY
-                FROM ONEMNS_PROD.DMT_BOM.DIM_GMID_DISPLAY 
+                FROM ${gmidSource.sql} 
                 WHERE ROOT_GMID IN (${gmidPlaceholders})
                 AND PATH_GMID IS NOT NULL
                 AND DISPLAY IS NOT NULL
                 ORDER BY ROOT_GMID, PATH_GMID
             `;
             
-            const gmidResult = await new Promise((resolve, reject) => {
-                conn.execute({
-                    sqlText: gmidSql,
-                    binds: uniqueRootGmids,
-                    complete: (err, stmt, rows) => {
-                        if (err) reject(err);
-                        else resolve(rows);
-                    }
-                });
-            });
+            const gmidResult = await req.dataSource.execute(gmidSql, [...gmidSource.binds, ...uniqueRootGmids], { signal: req.abortSignal });
             
             gmidDimensionData = gmidResult;
             console.log(`✅ Step 3 complete: Retrieved ${gmidDimensionData.length} DIM_GMID_DISPLAY records`);
@@ -1547,6 +2676,16 @@ app.post('/api/data/comprehensive-gmid-filter', async (req, res) => {
         res.setHeader('X-Root-GMID-Count', uniqueRootGmids.length.toString());
         res.setHeader('X-Path-GMID-Count', uniquePathGmids.length.toString());
         
+        if (!req.abortSignal.aborted) {
+            queryResultCache.set(cached.key, result, {
+                route: cached.route,
+                tables: cached.tables,
+                version: cached.version,
+                ttl: RESULT_TTL.fact
+            });
+        }
+        res.setHeader('X-Cache', 'MISS');
+        
         console.log(`✅ Comprehensive GMID filtering complete:`, result.stats);
         res.json(result);
         
@@ -1579,22 +2718,23 @@ app.post('/api/data/comprehensive-gmid-filter', async (req, res) => {
  * Usage: POST /api/data/gmid-relationship-analysis
  * Body: { "sampleSize": 1000, "includeOrphans": true }
  */
-app.post('/api/data/gmid-relationship-analysis', async (req, res) => {
+app.post('/api/data/gmid-relationship-analysis', queued, async (req, res) => {
     try {
         console.log('🔍 GMID relationship analysis request:', req.body);
         
-        const { sampleSize = 1000, includeOrphans = true } = req.body;
-        
-        const conn = await connectToSnowflake();
+        const { includeOrphans = true } = req.body;
+        const sampleSize = queryBuilder.normalizeLimit(req.body.sampleSize, { max: 10000, fallback: 1000 });
         
         // Query to analyze GMID relationships
+        const factSource = await entitledTable(req, 'FACT_BOM');
+        const gmidSource = await entitledTable(req, 'DIM_GMID_DISPLAY');
         const analysisSql = `
             WITH fact_gmids AS (
                 SELECT DISTINCT 
                     ROOT_GMID,
                     PATH_GMID,
                     COUNT(*) as fact_count
-                FROM ONEMNS_PROD.DMT_BOM.FACT_BOM 
+                FROM ${factSource.sql} 
                 WHERE ROOT_GMID IS NOT NULL 
                 AND PATH_GMID IS NOT NULL
                 GROUP BY ROOT_GMID, PATH_GMID
@@ -1606,7 +2746,7 @@ app.post('/api/data/gmid-relationship-analysis', async (req, res) => {
                     ROOT_GMID,
                     PATH_GMID,
                     DISPLAY
-                FROM ONEMNS_PROD.DMT_BOM.DIM_GMID_DISPLAY 
+                FROM ${gmidSource.sql} 
                 WHERE ROOT_GMID IS NOT NULL 
                 AND PATH_GMID IS NOT NULL
             )
@@ -1642,15 +2782,7 @@ app.post('/api/data/gmid-relationship-analysis', async (req, res) => {
         
         console.log('📊 Executing GMID relationship analysis...');
         
-        const analysisResult = await new Promise((resolve, reject) => {
-            conn.execute({
-                sqlText: analysisSql,
-                complete: (err, stmt, rows) => {
-                    if (err) reject(err);
-                    else resolve(rows);
-                }
-            });
-        });
+        const analysisResult = await req.dataSource.execute(analysisSql, [...factSource.binds, ...gmidSource.binds], { signal: req.abortSignal });
         
         // Analyze the results
         const stats = {
@@ -1685,23 +2817,78 @@ app.post('/api/data/gmid-relationship-analysis', async (req, res) => {
 });
 
 
+/**
+ * Error handling middleware
+ */
+app.use((err, req, res, next) => {
+    console.error('❌ Unhandled error:', err);
+    res.status(500).json({ error: 'Internal server error', requestId: req.id });
+});
+
+
+/**
+ * 404 handler
+ */
+app.use((req, res) => {
+    console.log(`❌ 404 - Endpoint not found: ${req.method} ${req.path}`);
+    res.status(404).json({ 
+        error: `Endpoint not found: ${req.method} ${req.path}`,
+        availableEndpoints: [
+            // 'GET /api/data/:table?fields=FIELD1,FIELD2&limit=1000',
+            'GET /api/data/:table?fields=FIELD1,FIELD2',
+            'GET /api/data/:table/estimate',
+            'GET /api/data/:table/chunk?chunkSize=N&cursor=...',
+            'POST /api/dimension-fields/:table',
+            'POST /api/validate-fields',
+            'GET|POST /api/clear-cache',
+            'GET /api/dimension-schema/:table',
+            'GET /api/get_bom_dim?fact=FACT_BOM',
+            'GET /api/get_fact_names',
+            'GET /api/registry',
+            'GET /api/data/:table/filtered',
+            'GET /api/data/:table/placeholder',
+            'GET /api/data/:table/sample',
+            'POST /api/data/:table/filtered-join',
+            'GET /api/data/:table/filtered-enhanced',
+            'POST /api/pivot/aggregate',
+            'GET /api/bom/:rootGmid/explosion?LE=...&ZYEAR=...',
+            'GET /api/bom/:componentGmid/where-used?LE=...&ZYEAR=...',
+            'GET /api/bom/:rootGmid/variance?base=...&compare=...&LE=...&baseAsOf=...&compareAsOf=...',
+            'GET|POST|DELETE /api/session',
+            'GET /api/admin/query-log',
+            'GET /api/queue',
+            'POST /api/auth/login',
+            'POST /api/auth/logout',
+            'GET /api/auth/me',
+            'GET /api/auth/provider',
+            'POST /api/data/comprehensive-gmid-filter',
+            'POST /api/data/gmid-relationship-analysis',
+            'GET /api/config',
+            'GET /api/health',
+            'GET /metrics'
+        ]
+    });
+});
+
+
 // Graceful shutdown
 process.on('SIGINT', () => {
     console.log('🔄 Shutting down server gracefully...');
-    closeSnowflakeConnection();
+    dataSource.close();
     process.exit(0);
 });
 
 
 process.on('SIGTERM', () => {
     console.log('🔄 Shutting down server gracefully...');
-    closeSnowflakeConnection();
+    dataSource.close();
     process.exit(0);
 });
 
 
 app.listen(PORT, () => {
     console.log(`✅ Optimized Snowflake database server listening on http://localhost:${PORT}`);
+    console.log(`🌍 Environment: ${getEnvironment().label} (${queryBuilder.DATABASE}.${queryBuilder.SCHEMA})`);
     console.log(`📊 Performance features:`);
     console.log(`   🎯 Smart column selection with validation`);
     console.log(`   💾 Schema caching (${CACHE_TTL/1000/60}min TTL)`);
@@ -1709,9 +2896,25 @@ app.listen(PORT, () => {
     console.log(`   ⚡ Optimized queries with DISTINCT`);
     console.log(`📊 Available endpoints:`);
     console.log(`   GET  /api/data/:table?fields=FIELD1,FIELD2 - Smart column selection`);
+    console.log(`   GET  /api/data/:table/estimate - Row-count estimate for chunked loads`);
+    console.log(`   GET  /api/data/:table/chunk - Keyset-paginated chunk (resumable)`);
     console.log(`   POST /api/dimension-fields/:table - Validated field fetching`);
     console.log(`   POST /api/validate-fields - Batch field validation`);
-    console.log(`   POST /api/clear-cache - Clear schema cache`);
+    console.log(`   GET  /api/registry - Fact and dimension table registry (SETUP + table-registry.json)`);
+    console.log(`   GET  /api/data/:table/filtered - Registry-driven filtered rows (facts, partitioned dimensions, others)`);
+    console.log(`   GET  /api/clear-cache - Inspect schema and result caches`);
+    console.log(`   POST /api/clear-cache - Purge schema and/or result cache`);
+    console.log(`   POST /api/pivot/aggregate - Server-side pivot aggregation`);
+    console.log(`   GET  /api/bom/:rootGmid/explosion - BOM explosion of a root GMID`);
+    console.log(`   GET  /api/bom/:componentGmid/where-used - Roots and paths using a component GMID`);
+    console.log(`   GET  /api/bom/:rootGmid/variance - Quantity / price variance of a root between two years`);
+    console.log(`   POST /api/auth/login, /api/auth/logout - Sign in (${identityProvider.name} provider) and out`);
+    console.log(`   GET  /api/auth/me - Signed-in user of this browser`);
+    console.log(`   GET|POST|DELETE /api/session - Per-browser Snowflake session`);
+    console.log(`   GET  /api/admin/query-log - Query audit log (${queryLog.filePath})`);
+    console.log(`   GET  /api/queue - Queue position of the user's queries`);
     console.log(`   GET  /api/dimension-schema/:table - Get table schema`);
+    console.log(`   GET  /api/config - Environment profile for the client`);
     console.log(`   GET  /api/health - Health check with cache info`);
+    console.log(`   GET  /metrics - Prometheus metrics`);
 });
\ No newline at end of file
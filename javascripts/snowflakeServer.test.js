@@ -0,0 +1,105 @@
+// ===== SERVER CORS TESTS =====
+
+// The page calls the API from another origin (e.g. http://localhost:5500 -> http://localhost:3000)
+// with the session cookie, so the browser only hands it the response headers the server exposes.
+// Starts the server on the local fixture data (APP_ENV=local) and sends cross-origin requests.
+// Run: node --test javascripts/snowflakeServer.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { spawn } = require('node:child_process');
+
+const PORT = 3987;
+const BASE_URL = `http://localhost:${PORT}`;
+const ORIGIN = 'http://localhost:5500';
+const STARTUP_TIMEOUT_MS = 30000;
+const QUERY_LOG_FILE = path.join(os.tmpdir(), `bom-query-log-test-${process.pid}.ndjson`);
+
+let server;
+let cookie;
+
+
+/**
+ * @param {string} route - Path below BASE_URL
+ * @param {Object} init - fetch options
+ * @returns {Promise<Response>}
+ */
+function crossOriginFetch(route, init = {}) {
+    return fetch(`${BASE_URL}${route}`, {
+        ...init,
+        headers: { Origin: ORIGIN, ...(cookie ? { Cookie: cookie } : {}), ...init.headers }
+    });
+}
+
+
+/**
+ * Poll the public configuration route until the server answers
+ */
+async function waitForServer() {
+    const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+        try {
+            const response = await fetch(`${BASE_URL}/api/config`);
+            if (response.ok) return;
+        } catch (err) {
+            // not listening yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    throw new Error(`Server did not start on port ${PORT}`);
+}
+
+
+test.before(async () => {
+    server = spawn(process.execPath, [path.join(__dirname, 'snowflakeServer.js'), String(PORT)], {
+        cwd: __dirname,
+        env: { ...process.env, APP_ENV: 'local', CORS_ORIGINS: '', QUERY_LOG_FILE },
+        stdio: 'ignore'
+    });
+    await waitForServer();
+
+    const response = await crossOriginFetch('/api/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: 'jane.doe@corp.com' })
+    });
+    assert.strictEqual(response.status, 200);
+    cookie = response.headers.get('set-cookie').split(';')[0];
+});
+
+
+test.after(async () => {
+    if (server && server.exitCode === null) {
+        const exited = new Promise(resolve => server.once('exit', resolve));
+        server.kill();
+        await exited;
+    }
+    fs.rmSync(QUERY_LOG_FILE, { force: true });
+});
+
+
+test('chunked loads expose their cursor headers to another origin', async () => {
+    const response = await crossOriginFetch('/api/data/FACT_BOM/chunk?chunkSize=5');
+    assert.strictEqual(response.status, 200);
+    await response.text();
+
+    const exposed = (response.headers.get('access-control-expose-headers') || '').split(',').map(header => header.trim());
+    ['X-Has-More', 'X-Next-Cursor', 'X-Chunk-Rows', 'X-Selected-Fields', 'X-Query-Type', 'X-Filter-Count', 'X-Max-Records']
+        .forEach(header => assert.ok(exposed.includes(header), `${header} is not exposed`));
+    assert.strictEqual(response.headers.get('x-has-more'), 'true');
+    assert.ok(response.headers.get('x-next-cursor'));
+});
+
+
+test('uncached filtered loads answer with the calling origin, not *', async () => {
+    const response = await crossOriginFetch('/api/data/FACT_BOM/filtered?LE=FR01');
+    assert.strictEqual(response.status, 200);
+    await response.text();
+
+    assert.strictEqual(response.headers.get('x-cache'), 'MISS');
+    assert.strictEqual(response.headers.get('access-control-allow-origin'), ORIGIN);
+    assert.strictEqual(response.headers.get('access-control-allow-credentials'), 'true');
+});
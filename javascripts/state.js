@@ -9,7 +9,7 @@
 const state = {
     // Core data
     factData: [],                 // Array to store the main fact table data
-    filteredData: [],             // Array to store filtered fact data
+    filteredData: null,           // Filtered fact data; null while no filter is applied
     dimensions: {},               // Object to store dimension metadata
     hierarchies: {},              // Object to store hierarchy definitions
     selectedRootGmids: [],          // Array to store selected ROOT_GMID values
@@ -19,6 +19,39 @@ const state = {
     valueFormat: 'regular',
     gmidPlaceholderLoaded: false,    // True when placeholder is loaded
     gmidRealDataLoaded: false,       // True when real data replaces placeholder
+
+    // Signed-in user (GET /api/auth/me, see auth.js)
+    currentUser: null,               // { username, displayName, roles, provider }
+    entitlements: null,              // { restricted, fields: { LE, MC, ROOT_SMARTCODE: [values] | null } }
+
+    // Server environment profile (GET /api/config, see app-config.js)
+    environment: null,               // { name, label, dataSource, database, schema, warehouse }
+    timeTravel: false,               // The server's data source can read as of a past point in time
+
+    // Point-in-time reads (see as-of.js)
+    asOf: null,                      // UTC ISO timestamp the tables are read at; null reads the current data
+
+    // Table registry (SETUP + table-registry.json, see data.loadTableRegistry)
+    tableRegistry: null,             // { facts, dimensions } from /api/registry
+    factTable: 'FACT_BOM',           // Fact table the dimensions and measures are loaded for
+
+    // Server-side aggregation
+    serverAggregation: true,         // Let Snowflake sum FACT_BOM for the pivot instead of streaming raw rows
+    aggregateGrain: [],              // FACT_BOM fields the current aggregated factData is grouped by
+    lastFilterParams: null,          // Filter parameters of the last applied filter set
+
+    // Transport
+    columnarTransport: true,         // Ask for the compact columnar format instead of NDJSON for large row streams
+
+    // Pivot calculation
+    pivotWorker: true,               // Calculate pivot cells in a Web Worker (pivot-worker.js); false = main thread
+    factCube: null,                  // Bitmap index over the calculation data (fact-cube.js, built by pivotTable.getFactCube)
+
+    // What-if cost simulation (see what-if.js)
+    whatIfScenario: null,            // Active scenario { name, overrides }; null shows the baseline only
+
+    // Year-over-year variance (see variance.js)
+    varianceMode: null,              // { baseYear, compareYear }; null shows the measures as loaded
     
     // Filter state
     filters: {                    // Filter state object
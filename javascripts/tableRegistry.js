@@ -0,0 +1,231 @@
+// ===== TABLE REGISTRY =====
+
+// Describes every fact and dimension table the app can work with, so routes and client builders are
+// generic instead of written per table. Built from two sources:
+//   - the SETUP table (FACT_TABLE, DIM_TABLE): which dimensions belong to which fact
+//   - table-registry.json (or TABLE_REGISTRY_CONFIG): how each table is shaped
+//       facts:      { measures, measureLabels, orderBy, joins: { DIM_X: 'FACT_COLUMN' } }
+//       dimensions: { label, key, factColumn, labelField, fields, partitionField, maxPartitions,
+//                     hierarchy: { type: 'path' | 'gmid' | 'flat', pathField, displayField } }
+// Tables listed in SETUP but missing from the config are described from their columns (first column
+// as key, first *_DESC / DISPLAY column as label, a PATH column makes a path hierarchy), so a new
+// dimension only needs a SETUP row.
+
+const fs = require('fs');
+const path = require('path');
+const queryBuilder = require('./queryBuilder');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, 'table-registry.json');
+const REGISTRY_TTL = 5 * 60 * 1000; // 5 minutes, like the schema cache
+
+
+/**
+ * Read the registry config file
+ * @param {string} configPath - JSON file
+ * @returns {Object} - { facts, dimensions }
+ */
+function loadConfig(configPath) {
+    if (!fs.existsSync(configPath)) {
+        console.warn(`⚠️ Table registry config not found at ${configPath}, describing tables from their columns`);
+        return { facts: {}, dimensions: {} };
+    }
+
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    return { facts: config.facts || {}, dimensions: config.dimensions || {} };
+}
+
+
+/**
+ * Complete a dimension description, filling what the config leaves out from the table's columns
+ * @param {string} table - Dimension table, e.g. 'DIM_LE'
+ * @param {Object} configured - Entry from the config file (may be empty)
+ * @param {Array<string>} columns - Table columns
+ * @returns {Object} - Dimension description
+ */
+function describeDimension(table, configured, columns) {
+    const key = configured.key || columns[0] || null;
+    const labelField = configured.labelField ||
+        columns.find(column => column.endsWith('_DESC') || column === 'DISPLAY') ||
+        key;
+    const hasPath = columns.includes('PATH');
+
+    const hierarchy = configured.hierarchy !== undefined
+        ? configured.hierarchy
+        : (hasPath ? { type: 'path', pathField: 'PATH' } : { type: 'flat' });
+
+    return {
+        table,
+        name: table.replace(/^DIM_/, ''),
+        dimensionKey: table.replace(/^DIM_/, '').toLowerCase(),
+        label: configured.label || table.replace(/^DIM_/, '').replace(/_/g, ' '),
+        key,
+        factColumn: configured.factColumn || key,
+        labelField,
+        fields: configured.fields || [...new Set([key, labelField, ...(hasPath ? ['PATH'] : [])])].filter(Boolean),
+        partitionField: configured.partitionField || null,
+        maxPartitions: configured.maxPartitions || null,
+        hierarchy
+    };
+}
+
+
+/**
+ * Create the registry. It is loaded on first use and reloaded after REGISTRY_TTL or invalidate().
+ * @param {Object} options - { configPath, ttl }
+ * @returns {Object} - Registry API
+ */
+function createTableRegistry({ configPath = process.env.TABLE_REGISTRY_CONFIG || DEFAULT_CONFIG_PATH, ttl = REGISTRY_TTL } = {}) {
+    let registry = null;
+    let loadedAt = 0;
+    let loading = null;
+
+    async function build(source) {
+        const config = loadConfig(configPath);
+
+        const setupRows = await source.execute(`SELECT FACT_TABLE, DIM_TABLE FROM ${queryBuilder.qualifyTable('SETUP')} ORDER BY FACT_TABLE`);
+        const links = {};
+        setupRows.forEach(row => {
+            const fact = queryBuilder.normalizeIdentifier(row.FACT_TABLE, 'table');
+            (links[fact] = links[fact] || []).push(queryBuilder.normalizeIdentifier(row.DIM_TABLE, 'table'));
+        });
+
+        const factNames = [...new Set([...Object.keys(links), ...Object.keys(config.facts)])];
+        const facts = {};
+        const dimensions = {};
+
+        for (const factName of factNames) {
+            const factConfig = config.facts[factName] || {};
+            const factColumns = await source.getColumns(factName);
+            if (factColumns.length === 0) {
+                console.warn(`⚠️ Table registry: fact table ${factName} not found, skipped`);
+                continue;
+            }
+
+            const dimensionTables = links[factName] || factConfig.dimensions || [];
+            for (const table of dimensionTables) {
+                if (!dimensions[table]) {
+                    const configured = config.dimensions[table] || {};
+                    const columns = configured.key && configured.fields ? [] : await source.getColumns(table);
+                    dimensions[table] = describeDimension(table, configured, columns);
+                }
+            }
+
+            // Fact column each dimension joins on (per-fact override, else the dimension's own)
+            const joins = {};
+            dimensionTables.forEach(table => {
+                const column = (factConfig.joins || {})[table] || dimensions[table].factColumn;
+                if (factColumns.includes(column)) {
+                    joins[table] = column;
+                } else {
+                    console.warn(`⚠️ Table registry: ${factName} has no column ${column} for ${table}`);
+                }
+            });
+
+            const filterFields = [...new Set(Object.values(joins))];
+            const measures = factConfig.measures ||
+                factColumns.filter(column => !filterFields.includes(column));
+
+            facts[factName] = {
+                table: factName,
+                label: factConfig.label || factName.replace(/^FACT_/, '').replace(/_/g, ' '),
+                dimensions: dimensionTables.filter(table => joins[table]),
+                joins,
+                filterFields,
+                measures,
+                measureLabels: factConfig.measureLabels || {},
+                orderBy: factConfig.orderBy || filterFields.slice(0, 3)
+            };
+        }
+
+        console.log(`📚 Table registry loaded: ${Object.keys(facts).length} facts, ${Object.keys(dimensions).length} dimensions`);
+        return { facts, dimensions, loadedAt: new Date().toISOString() };
+    }
+
+    const api = {
+        /**
+         * @param {Object} source - Session-bound data source (req.dataSource)
+         * @returns {Promise<Object>} - { facts, dimensions, loadedAt }
+         */
+        async get(source) {
+            if (registry && (Date.now() - loadedAt) < ttl) {
+                return registry;
+            }
+            if (!loading) {
+                loading = build(source)
+                    .then(result => {
+                        registry = result;
+                        loadedAt = Date.now();
+                        return result;
+                    })
+                    .finally(() => {
+                        loading = null;
+                    });
+            }
+            return loading;
+        },
+
+        /**
+         * @param {Object} source - Session-bound data source
+         * @param {string} table - Fact table name
+         * @returns {Promise<Object>} - Fact description
+         */
+        async getFact(source, table) {
+            const name = queryBuilder.normalizeIdentifier(table, 'table');
+            const fact = (await api.get(source)).facts[name];
+            if (!fact) {
+                throw new Error(`Invalid fact table: ${table} is not registered in SETUP`);
+            }
+            return fact;
+        },
+
+        /**
+         * @param {Object} source - Session-bound data source
+         * @param {string} table - Dimension table name
+         * @returns {Promise<Object>} - Dimension description
+         */
+        async getDimension(source, table) {
+            const name = queryBuilder.normalizeIdentifier(table, 'table');
+            const dimension = (await api.get(source)).dimensions[name];
+            if (!dimension) {
+                throw new Error(`Invalid dimension table: ${table} is not registered in SETUP`);
+            }
+            return dimension;
+        },
+
+        /**
+         * Fact a dimension is joined to: the requested one, else the first fact that uses the dimension
+         * @param {Object} source - Session-bound data source
+         * @param {string} dimensionTable - Dimension table name
+         * @param {string|null} factTable - Requested fact table
+         * @returns {Promise<Object>} - Fact description
+         */
+        async getFactForDimension(source, dimensionTable, factTable = null) {
+            const name = queryBuilder.normalizeIdentifier(dimensionTable, 'table');
+            const { facts } = await api.get(source);
+            const fact = factTable
+                ? await api.getFact(source, factTable)
+                : Object.values(facts).find(candidate => candidate.joins[name]);
+
+            if (!fact || !fact.joins[name]) {
+                throw new Error(`Invalid dimension table: ${dimensionTable} is not joined to ${factTable || 'any fact table'}`);
+            }
+            return fact;
+        },
+
+        /**
+         * Drop the loaded registry (SETUP or the config file changed)
+         */
+        invalidate() {
+            registry = null;
+            loadedAt = 0;
+        }
+    };
+
+    return api;
+}
+
+
+module.exports = {
+    createTableRegistry,
+    describeDimension
+};
@@ -929,8 +929,9 @@ function setupActivityLogControls() {
  * Add a log entry to the activity log
  * @param {string} message - The log message
  * @param {string} type - The type of log ('info', 'warning', 'error')
+ * @param {string} requestId - Server request ID (X-Request-Id) the entry is about, shown short; click copies it
  */
-function addLogEntry(message, type = 'info') {
+function addLogEntry(message, type = 'info', requestId = null) {
     const logContainer = document.getElementById('activityLog');
     if (!logContainer) return;
     
@@ -952,6 +953,16 @@ function addLogEntry(message, type = 'info') {
     // Assemble entry
     entry.appendChild(timestampSpan);
     entry.appendChild(messageSpan);
+
+    // Request ID, to quote when reporting a problem
+    if (requestId) {
+        const requestIdSpan = document.createElement('span');
+        requestIdSpan.className = 'activity-log-request-id';
+        requestIdSpan.textContent = `#${requestId.slice(0, 8)}`;
+        requestIdSpan.title = `Request ID ${requestId} (click to copy)`;
+        requestIdSpan.addEventListener('click', () => navigator.clipboard?.writeText(requestId));
+        entry.prepend(requestIdSpan); // floated right, so it goes first
+    }
     
     // Add to log container
     logContainer.appendChild(entry);
@@ -991,11 +1002,30 @@ function setupRowCountUpdates() {
 }
 
 
+/**
+ * Format an ETA in seconds as "45s", "3m 20s" or "1h 5m"
+ * @param {number} seconds - Remaining seconds
+ * @returns {string}
+ */
+function formatEta(seconds) {
+    const total = Math.max(0, Math.round(seconds));
+    if (total < 60) {
+        return `${total}s`;
+    }
+    if (total < 3600) {
+        return `${Math.floor(total / 60)}m ${total % 60}s`;
+    }
+    return `${Math.floor(total / 3600)}h ${Math.floor((total % 3600) / 60)}m`;
+}
+
+
 /**
  * Update table status indicator
  * @param {string} tableName - Table name
- * @param {string} status - Status (waiting, loading, loaded, error)
- * @param {number} rowCount - Number of rows (optional)
+ * @param {string} status - Status (waiting, queued, loading, loaded, error)
+ * @param {number|Object} count - Number of rows (optional); while loading, a chunked-load progress
+ *   object { loaded, estimated, percent, etaSeconds } shows the percentage and ETA; while queued,
+ *   { position } or { retryAfter } from the server's query queue (see request-queue.js)
  */
 function updateTableStatus(tableName, status, count = null) {
     const normalizedName = tableName.toLowerCase().replace(/[^a-z0-9_]/g, '');
@@ -1013,11 +1043,38 @@ function updateTableStatus(tableName, status, count = null) {
                 break;
             case 'loading':
                 displayText = 'Loading';
+                if (count && typeof count === 'object') {
+                    if (count.percent !== null && count.percent !== undefined) {
+                        displayText = `Loading ${count.percent}%`;
+                        if (count.etaSeconds !== null && count.etaSeconds !== undefined) {
+                            displayText += ` (ETA ${formatEta(count.etaSeconds)})`;
+                        }
+                    } else if (count.loaded) {
+                        displayText = `Loading (${count.loaded.toLocaleString()})`;
+                    }
+                    if (count.retrying) {
+                        displayText += ' - reconnecting...';
+                    }
+                    statusElement.title = count.estimated
+                        ? `${count.loaded.toLocaleString()} of ~${count.estimated.toLocaleString()} rows`
+                        : '';
+                }
                 className = `table-status loading`;
                 break;
+            case 'queued':
+                displayText = 'Queued';
+                if (count && count.position) {
+                    displayText = `Queued (#${count.position})`;
+                } else if (count && count.retryAfter) {
+                    displayText = `Busy, retry in ${formatEta(count.retryAfter)}`;
+                }
+                className = `table-status queued`;
+                statusElement.title = 'Waiting for the server to run it';
+                break;
             case 'loaded':
                 displayText = count ? `Loaded (${count.toLocaleString()})` : 'Loaded';
                 className = `table-status loaded`;
+                statusElement.title = '';
                 break;
             case 'error':
                 displayText = 'Error';
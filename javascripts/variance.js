@@ -0,0 +1,371 @@
+// ===== YEAR-OVER-YEAR VARIANCE =====
+
+// Two costing years side by side in one load: with a base and a compare ZYEAR picked, every measure
+// of the pivot is shown as four columns
+//
+//   COST_UNIT__BASE    - the measure in the base year
+//   COST_UNIT__COMPARE - the measure in the compare year
+//   COST_UNIT__VAR     - compare minus base
+//   COST_UNIT__VAR_PCT - the change as a percentage of the base
+//
+// The first three are summed like any measure: the rows the pivot works on
+// (pivotTable.getCalculationData) are limited to the two years and carry them, 0 in the other year.
+// A percentage does not add up, so __VAR_PCT is never summed: the calculators compute __VAR and
+// __BASE for the cell and divide (see ratioParts).
+//
+// Why a component moved (GET /api/bom/:rootGmid/variance, see bomExplosion.js) is answered per BOM
+// path: the cost change split into quantity effect and price effect, largest movers first. Each side
+// can be read at its own point in time (see as-of.js), e.g. the same year at two month-end closes.
+
+import { API_BASE_URL } from './app-config.js';
+
+const YEAR_FIELD = 'ZYEAR';
+const BASE_SUFFIX = '__BASE';
+const COMPARE_SUFFIX = '__COMPARE';
+const VAR_SUFFIX = '__VAR';
+const VAR_PCT_SUFFIX = '__VAR_PCT';
+const VARIANCE_FIELD = /^(.+)__(BASE|COMPARE|VAR|VAR_PCT)$/;
+
+// Columns of the movers table, and what they can be sorted by (absolute value, largest first)
+export const MOVER_SORTS = {
+    delta: 'Cost change',
+    qtyEffect: 'Quantity effect',
+    priceEffect: 'Price effect'
+};
+const MOVER_COLUMNS = [
+    ['baseCost', 'Base cost'],
+    ['compareCost', 'Compare cost'],
+    ['delta', 'Δ'],
+    ['deltaPercent', 'Δ %'],
+    ['qtyEffect', 'Quantity effect'],
+    ['priceEffect', 'Price effect']
+];
+
+// Rows derived for a variance, per source array (the same array back keeps the fact cube cached)
+const derivedRows = new WeakMap();
+
+
+/**
+ * Check a variance selection and return a clean copy
+ * @param {Object} variance - { baseYear, compareYear }
+ * @returns {Object} - { baseYear, compareYear } as strings
+ */
+export function normalizeVariance(variance) {
+    const baseYear = String(variance?.baseYear ?? '').trim();
+    const compareYear = String(variance?.compareYear ?? '').trim();
+
+    if (!baseYear || !compareYear) {
+        throw new Error('Invalid variance: pick a base and a compare year');
+    }
+    if (baseYear === compareYear) {
+        throw new Error('Invalid variance: base and compare years must differ');
+    }
+    return { baseYear, compareYear };
+}
+
+
+/**
+ * Years present in the loaded rows, latest first
+ * @param {Array<Object>} records - Fact rows
+ * @returns {Array<string>}
+ */
+export function listYears(records) {
+    const years = new Set();
+    (records || []).forEach(record => {
+        if (record[YEAR_FIELD] != null && record[YEAR_FIELD] !== '') {
+            years.add(String(record[YEAR_FIELD]));
+        }
+    });
+    return Array.from(years).sort((a, b) => b.localeCompare(a));
+}
+
+
+/**
+ * The rows the pivot should sum: the rows themselves without a variance, else copies of the rows of
+ * the two years carrying the base, compare and variance measures. The copies are kept, so the same
+ * rows and variance give the same array.
+ * @param {Array<Object>} records - Fact rows (raw or aggregated)
+ * @param {Object|null} variance - Active variance (from normalizeVariance)
+ * @param {Array<string>} measures - Measure fields to compare
+ * @returns {Array<Object>}
+ */
+export function withVariance(records, variance, measures) {
+    if (!variance || !records || records.length === 0) {
+        return records;
+    }
+
+    const cached = derivedRows.get(records);
+    if (cached && cached.variance === variance) {
+        return cached.rows;
+    }
+
+    const startTime = performance.now();
+    const rows = [];
+    records.forEach(record => {
+        const year = String(record[YEAR_FIELD]);
+        const isBase = year === variance.baseYear;
+        if (!isBase && year !== variance.compareYear) {
+            return;
+        }
+
+        const row = { ...record };
+        measures.forEach(measure => {
+            const value = typeof record[measure] === 'number' ? record[measure] : parseFloat(record[measure] || 0) || 0;
+            row[measure + BASE_SUFFIX] = isBase ? value : 0;
+            row[measure + COMPARE_SUFFIX] = isBase ? 0 : value;
+            row[measure + VAR_SUFFIX] = isBase ? -value : value;
+        });
+        rows.push(row);
+    });
+
+    derivedRows.set(records, { variance, rows });
+    console.log(`📈 Variance ${variance.baseYear} → ${variance.compareYear}: ${rows.length.toLocaleString()} of ${records.length.toLocaleString()} rows in the two years (${Math.round(performance.now() - startTime)}ms)`);
+    return rows;
+}
+
+
+/**
+ * Value fields of the pivot with each compared measure replaced by its base, compare, variance and
+ * variance % columns
+ * @param {Array<string>} valueFields - Value fields of the table
+ * @param {Object|null} variance - Active variance
+ * @param {Array<string>} measures - Measure fields that can be compared (others are kept as they are)
+ * @returns {Array<string>}
+ */
+export function expandValueFields(valueFields, variance, measures) {
+    if (!variance) {
+        return valueFields;
+    }
+
+    return valueFields.flatMap(field => measures.includes(field)
+        ? [field + BASE_SUFFIX, field + COMPARE_SUFFIX, field + VAR_SUFFIX, field + VAR_PCT_SUFFIX]
+        : [field]);
+}
+
+
+/**
+ * @param {Object|null} variance - Active variance
+ * @param {Array<string>} measures - Measure fields compared
+ * @returns {Array<string>} - Measures the variance adds to the fact rows (the summable ones)
+ */
+export function varianceMeasureFields(variance, measures) {
+    if (!variance) return [];
+    return measures.flatMap(measure => [measure + BASE_SUFFIX, measure + COMPARE_SUFFIX, measure + VAR_SUFFIX]);
+}
+
+
+/**
+ * @param {string} field - Value field
+ * @returns {boolean} - True for the base, compare, variance and variance % measures
+ */
+export function isVarianceField(field) {
+    return VARIANCE_FIELD.test(field);
+}
+
+
+/**
+ * Parts a variance % cell is computed from, for the calculators to sum separately
+ * @param {string} field - Value field
+ * @returns {Object|null} - { numerator, denominator } field names, null when the field is summed as usual
+ */
+export function ratioParts(field) {
+    if (!field.endsWith(VAR_PCT_SUFFIX)) {
+        return null;
+    }
+    const measure = field.slice(0, -VAR_PCT_SUFFIX.length);
+    return { numerator: measure + VAR_SUFFIX, denominator: measure + BASE_SUFFIX };
+}
+
+
+/**
+ * Variance % from the summed variance and base (0 when there is no base to compare with)
+ * @param {number} numerator - Summed __VAR
+ * @param {number} denominator - Summed __BASE
+ * @returns {number}
+ */
+export function ratio(numerator, denominator) {
+    return denominator !== 0 ? (numerator / Math.abs(denominator)) * 100 : 0;
+}
+
+
+/**
+ * Column label of a variance measure: 'Cost Unit 2024', 'Cost Unit 2025', 'Cost Unit Δ', 'Cost Unit Δ %'
+ * @param {string} field - Variance field
+ * @param {Function} labelOf - Label of a measure field
+ * @param {Object|null} variance - Active variance
+ * @returns {string}
+ */
+export function varianceFieldLabel(field, labelOf, variance) {
+    const [, measure, part] = field.match(VARIANCE_FIELD);
+    const label = labelOf(measure);
+    switch (part) {
+        case 'BASE':
+            return `${label} ${variance ? variance.baseYear : 'base'}`;
+        case 'COMPARE':
+            return `${label} ${variance ? variance.compareYear : 'compare'}`;
+        case 'VAR':
+            return `${label} Δ`;
+        default:
+            return `${label} Δ %`;
+    }
+}
+
+
+/**
+ * Fact fields aggregated rows must be grouped by to tell the two years apart
+ * @param {Object|null} variance - Active variance
+ * @returns {Array<string>}
+ */
+export function varianceGrainFields(variance) {
+    return variance ? [YEAR_FIELD] : [];
+}
+
+
+/**
+ * Quantity / price variance of a root between two years
+ * @param {string} rootGmid - ROOT_GMID
+ * @param {Object} options - { base, compare, le, fact, baseAsOf, compareAsOf } (le empty: the server picks
+ *        one costed on both sides; an as-of empty: the page's)
+ * @returns {Promise<Object>} - { rootGmid, rootDisplay, LE, base, compare, baseAsOf, compareAsOf, legalEntities, movers, totals }
+ */
+export async function fetchCostVariance(rootGmid, { base, compare, le = null, fact = null, baseAsOf = null, compareAsOf = null } = {}) {
+    const params = new URLSearchParams({ base: String(base), compare: String(compare) });
+    if (le) params.set('LE', le);
+    if (fact) params.set('fact', fact);
+    if (baseAsOf) params.set('baseAsOf', baseAsOf);
+    if (compareAsOf) params.set('compareAsOf', compareAsOf);
+
+    const response = await fetch(`${API_BASE_URL}/bom/${encodeURIComponent(rootGmid)}/variance?${params.toString()}`, {
+        credentials: 'include'
+    });
+    if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.message || `Cost variance request failed: ${response.status} ${response.statusText}`);
+    }
+    return response.json();
+}
+
+
+/**
+ * Movers sorted by the absolute value of a column, largest first
+ * @param {Array<Object>} movers - From fetchCostVariance
+ * @param {string} sortBy - MOVER_SORTS key
+ * @returns {Array<Object>}
+ */
+export function sortMovers(movers, sortBy = 'delta') {
+    const key = sortBy in MOVER_SORTS ? sortBy : 'delta';
+    return [...movers].sort((a, b) => Math.abs(b[key]) - Math.abs(a[key]) || a.pathGmid.localeCompare(b.pathGmid));
+}
+
+
+/**
+ * One side of a comparison: '2025', or '2025 @ 31/01/2025' when read at a point in time
+ * @param {string} year - ZYEAR
+ * @param {string|null} asOf - UTC ISO timestamp
+ * @returns {string}
+ */
+export function sideLabel(year, asOf = null) {
+    return asOf ? `${year} @ ${new Date(asOf).toLocaleDateString()}` : String(year);
+}
+
+
+/**
+ * @param {number} value
+ * @param {number} decimals
+ * @returns {string}
+ */
+function formatNumber(value, decimals) {
+    return Number(value).toLocaleString(undefined, { minimumFractionDigits: 0, maximumFractionDigits: decimals });
+}
+
+
+/**
+ * Render the movers table, with a total row on top
+ * @param {HTMLElement} container - Table container
+ * @param {Object} result - From fetchCostVariance
+ * @param {Object} options - { sortBy, decimalPlaces }
+ */
+export function renderMovers(container, result, { sortBy = 'delta', decimalPlaces = 2 } = {}) {
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    if (result.movers.length === 0) {
+        container.innerHTML = `<div class="variance-empty">No BOM rows for ${result.rootGmid} in ${sideLabel(result.base, result.baseAsOf)} or ${sideLabel(result.compare, result.compareAsOf)}</div>`;
+        return;
+    }
+
+    const table = document.createElement('table');
+    table.className = 'variance-table';
+    const header = document.createElement('tr');
+    ['Component', ...MOVER_COLUMNS.map(([, label]) => label)].forEach(label => {
+        const th = document.createElement('th');
+        th.textContent = label;
+        th.classList.toggle('variance-sorted', label === MOVER_SORTS[sortBy]);
+        header.appendChild(th);
+    });
+    const thead = document.createElement('thead');
+    thead.appendChild(header);
+    table.appendChild(thead);
+
+    const tbody = document.createElement('tbody');
+    const addRow = (label, values, { className = '', title = '' } = {}) => {
+        const tr = document.createElement('tr');
+        tr.className = className;
+        tr.title = title;
+
+        const name = document.createElement('td');
+        name.textContent = label;
+        tr.appendChild(name);
+
+        MOVER_COLUMNS.forEach(([key]) => {
+            const td = document.createElement('td');
+            const value = values[key];
+            const signed = key !== 'baseCost' && key !== 'compareCost';
+            td.className = `variance-number${signed && value < 0 ? ' variance-down' : signed && value > 0 ? ' variance-up' : ''}`;
+            td.textContent = value == null
+                ? '–'
+                : key === 'deltaPercent' ? `${formatNumber(value, 1)}%` : formatNumber(value, decimalPlaces);
+            tr.appendChild(td);
+        });
+        tbody.appendChild(tr);
+    };
+
+    const { totals } = result;
+    addRow(`${result.rootDisplay} (total)`, {
+        ...totals,
+        baseCost: totals.base,
+        compareCost: totals.compare,
+        deltaPercent: totals.base !== 0 ? (totals.delta / Math.abs(totals.base)) * 100 : null
+    }, { className: 'variance-total' });
+
+    sortMovers(result.movers, sortBy).forEach(mover => {
+        const status = mover.status === 'changed' ? '' : ` (${mover.status})`;
+        addRow(`${mover.label}${status}`, mover, {
+            className: `variance-${mover.status}`,
+            title: `${mover.pathGmid} · qty ${formatNumber(mover.baseQty, 4)} → ${formatNumber(mover.compareQty, 4)}, unit cost ${formatNumber(mover.basePrice, decimalPlaces)} → ${formatNumber(mover.comparePrice, decimalPlaces)}`
+        });
+    });
+
+    table.appendChild(tbody);
+    container.appendChild(table);
+}
+
+
+export default {
+    MOVER_SORTS,
+    normalizeVariance,
+    listYears,
+    withVariance,
+    expandValueFields,
+    varianceMeasureFields,
+    isVarianceField,
+    ratioParts,
+    ratio,
+    varianceFieldLabel,
+    varianceGrainFields,
+    fetchCostVariance,
+    sideLabel,
+    sortMovers,
+    renderMovers
+};
@@ -0,0 +1,349 @@
+// ===== WHAT-IF COST SCENARIOS =====
+
+// "What happens to finished-good cost if resin goes up 8%": a scenario overrides COST_UNIT on the fact
+// rows of chosen components, cost elements or material types, either by a percentage or with a new
+// unit cost. Overrides apply in their order, each to the result of the previous ones.
+//
+// The pivot keeps summing fact rows as before (calculateParentMeasure rolls the leaves up the GMID
+// paths), so a changed component moves every node above it. While a scenario is active the rows it
+// works on (pivotTable.getCalculationData) carry two more measures, placed next to COST_UNIT:
+//
+//   COST_UNIT__SCENARIO - COST_UNIT after the overrides
+//   COST_UNIT__DELTA    - scenario minus baseline
+//
+// Scenarios are named and saved per user in localStorage.
+
+const SIMULATED_MEASURE = 'COST_UNIT';
+const SCENARIO_SUFFIX = '__SCENARIO';
+const DELTA_SUFFIX = '__DELTA';
+const STORAGE_KEY = 'pivotWhatIfScenarios';
+const MAX_NAME_LENGTH = 80;
+
+// What an override can target, and the fact field it is matched on
+export const OVERRIDE_TARGETS = {
+    COMPONENT_GMID: { label: 'Component GMID', factField: 'PATH_GMID' },
+    COST_ELEMENT: { label: 'Cost element', factField: 'COST_ELEMENT' },
+    COMPONENT_MATERIAL_TYPE: { label: 'Material type', factField: 'COMPONENT_MATERIAL_TYPE' }
+};
+export const OVERRIDE_MODES = {
+    percent: 'Change by %',
+    absolute: 'New unit cost'
+};
+
+// Rows derived for a scenario, per source array (the same array back keeps the fact cube cached)
+const derivedRows = new WeakMap();
+
+
+/**
+ * Check a scenario and return a clean copy
+ * @param {Object} scenario - { name, overrides: [{ target, value, mode, amount }] }
+ * @returns {Object} - Same shape, trimmed, amounts as numbers
+ */
+export function normalizeScenario(scenario) {
+    const name = String(scenario?.name || '').trim().slice(0, MAX_NAME_LENGTH);
+    if (!name) {
+        throw new Error('Invalid scenario: give it a name');
+    }
+
+    const overrides = (scenario.overrides || []).map((override, index) => {
+        const target = String(override.target || '').toUpperCase();
+        const value = String(override.value ?? '').trim();
+        const mode = override.mode in OVERRIDE_MODES ? override.mode : null;
+        const amount = Number(override.amount);
+
+        if (!OVERRIDE_TARGETS[target]) {
+            throw new Error(`Invalid scenario: override ${index + 1} targets an unknown field '${override.target}'`);
+        }
+        if (!value) {
+            throw new Error(`Invalid scenario: override ${index + 1} needs a ${OVERRIDE_TARGETS[target].label.toLowerCase()}`);
+        }
+        if (!mode) {
+            throw new Error(`Invalid scenario: override ${index + 1} has an unknown mode '${override.mode}'`);
+        }
+        if (String(override.amount ?? '').trim() === '' || !Number.isFinite(amount) || (mode === 'percent' && amount <= -100)) {
+            throw new Error(`Invalid scenario: override ${index + 1} has an invalid amount '${override.amount}'`);
+        }
+        return { target, value, mode, amount };
+    });
+
+    if (overrides.length === 0) {
+        throw new Error('Invalid scenario: add at least one override');
+    }
+    return { name, overrides };
+}
+
+
+/**
+ * Value of an override target on a fact row (the component is the last PATH_GMID segment)
+ * @param {Object} record - Fact row
+ * @param {string} target - OVERRIDE_TARGETS key
+ * @returns {*}
+ */
+function targetValue(record, target) {
+    const value = record[OVERRIDE_TARGETS[target].factField];
+    if (target === 'COMPONENT_GMID') {
+        return record.COMPONENT_GMID ?? (value == null ? value : String(value).split('/').pop());
+    }
+    return value;
+}
+
+
+/**
+ * COST_UNIT of a fact row under a scenario. An aggregated row holds the sum of RECORD_COUNT fact
+ * rows, so a new unit cost replaces that sum with the unit cost times the count.
+ * @param {Object} record - Fact row (raw or aggregated)
+ * @param {Array<Object>} overrides - From normalizeScenario
+ * @returns {number}
+ */
+export function simulateCost(record, overrides) {
+    const baseline = typeof record[SIMULATED_MEASURE] === 'number'
+        ? record[SIMULATED_MEASURE]
+        : parseFloat(record[SIMULATED_MEASURE] || 0) || 0;
+    const recordCount = Number(record.RECORD_COUNT) || 1;
+
+    return overrides.reduce((cost, override) => {
+        if (String(targetValue(record, override.target)) !== override.value) {
+            return cost;
+        }
+        return override.mode === 'percent' ? cost * (1 + override.amount / 100) : override.amount * recordCount;
+    }, baseline);
+}
+
+
+/**
+ * The rows the pivot should sum: the rows themselves without a scenario, else copies carrying the
+ * scenario and delta measures. The copies are kept, so the same rows and scenario give the same array.
+ * @param {Array<Object>} records - Fact rows (raw or aggregated)
+ * @param {Object|null} scenario - Active scenario (from normalizeScenario)
+ * @returns {Array<Object>}
+ */
+export function withScenario(records, scenario) {
+    if (!scenario || !records || records.length === 0) {
+        return records;
+    }
+
+    const cached = derivedRows.get(records);
+    if (cached && cached.scenario === scenario) {
+        return cached.rows;
+    }
+
+    const startTime = performance.now();
+    const scenarioField = SIMULATED_MEASURE + SCENARIO_SUFFIX;
+    const deltaField = SIMULATED_MEASURE + DELTA_SUFFIX;
+    let changed = 0;
+
+    const rows = records.map(record => {
+        const baseline = parseFloat(record[SIMULATED_MEASURE] || 0) || 0;
+        const simulated = simulateCost(record, scenario.overrides);
+        if (simulated !== baseline) changed++;
+        return { ...record, [scenarioField]: simulated, [deltaField]: simulated - baseline };
+    });
+
+    derivedRows.set(records, { scenario, rows });
+    console.log(`🧪 Scenario "${scenario.name}" applied: ${changed.toLocaleString()} of ${records.length.toLocaleString()} rows changed in ${Math.round(performance.now() - startTime)}ms`);
+    return rows;
+}
+
+
+/**
+ * Value fields of the pivot with the scenario and delta columns placed after COST_UNIT (added at
+ * the end when COST_UNIT is not shown)
+ * @param {Array<string>} valueFields - Value fields the user picked
+ * @param {Object|null} scenario - Active scenario
+ * @returns {Array<string>}
+ */
+export function expandValueFields(valueFields, scenario) {
+    if (!scenario) {
+        return valueFields;
+    }
+
+    const simulated = [SIMULATED_MEASURE + SCENARIO_SUFFIX, SIMULATED_MEASURE + DELTA_SUFFIX];
+    const fields = valueFields.includes(SIMULATED_MEASURE) ? [...valueFields] : [...valueFields, SIMULATED_MEASURE];
+    fields.splice(fields.indexOf(SIMULATED_MEASURE) + 1, 0, ...simulated);
+    return fields;
+}
+
+
+/**
+ * @param {Object|null} scenario - Active scenario
+ * @returns {Array<string>} - Measures the scenario adds to the fact rows
+ */
+export function scenarioMeasureFields(scenario) {
+    return scenario ? [SIMULATED_MEASURE + SCENARIO_SUFFIX, SIMULATED_MEASURE + DELTA_SUFFIX] : [];
+}
+
+
+/**
+ * @param {string} field - Value field
+ * @returns {boolean} - True for the scenario and delta measures
+ */
+export function isScenarioField(field) {
+    return field === SIMULATED_MEASURE + SCENARIO_SUFFIX || field === SIMULATED_MEASURE + DELTA_SUFFIX;
+}
+
+
+/**
+ * Column label of a scenario measure: 'Cost Unit (Resin +8%)', 'Cost Unit Δ (Resin +8%)'
+ * @param {string} field - Scenario or delta field
+ * @param {string} baseLabel - Label of COST_UNIT
+ * @param {Object|null} scenario - Active scenario
+ * @returns {string}
+ */
+export function scenarioFieldLabel(field, baseLabel, scenario) {
+    const name = scenario ? scenario.name : 'scenario';
+    return field.endsWith(DELTA_SUFFIX) ? `${baseLabel} Δ (${name})` : `${baseLabel} (${name})`;
+}
+
+
+/**
+ * Fact fields aggregated rows must be grouped by for the overrides to find their rows
+ * @param {Object|null} scenario - Active scenario
+ * @returns {Array<string>}
+ */
+export function scenarioGrainFields(scenario) {
+    if (!scenario) return [];
+    return [...new Set(scenario.overrides.map(override => OVERRIDE_TARGETS[override.target].factField))];
+}
+
+
+/**
+ * @param {string} user - Username (scenarios are kept per user)
+ * @returns {string}
+ */
+function storageKey(user) {
+    return `${STORAGE_KEY}:${user || 'anonymous'}`;
+}
+
+
+/**
+ * Saved scenarios of a user
+ * @param {string} user - Username
+ * @returns {Array<Object>} - Scenarios, by name
+ */
+export function loadSavedScenarios(user) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(storageKey(user)) || '[]');
+        return Array.isArray(saved) ? saved.sort((a, b) => a.name.localeCompare(b.name)) : [];
+    } catch (error) {
+        console.warn('⚠️ Saved scenarios could not be read:', error.message);
+        return [];
+    }
+}
+
+
+/**
+ * Save a scenario, replacing one with the same name
+ * @param {string} user - Username
+ * @param {Object} scenario - Scenario to save (checked with normalizeScenario)
+ * @returns {Object} - The saved scenario
+ */
+export function saveScenario(user, scenario) {
+    const normalized = normalizeScenario(scenario);
+    const saved = loadSavedScenarios(user).filter(existing => existing.name !== normalized.name);
+    saved.push({ ...normalized, savedAt: new Date().toISOString() });
+    localStorage.setItem(storageKey(user), JSON.stringify(saved));
+    return normalized;
+}
+
+
+/**
+ * @param {string} user - Username
+ * @param {string} name - Scenario name
+ */
+export function deleteScenario(user, name) {
+    const saved = loadSavedScenarios(user).filter(existing => existing.name !== name);
+    localStorage.setItem(storageKey(user), JSON.stringify(saved));
+}
+
+
+/**
+ * Render the override editor rows
+ * @param {HTMLElement} container - Override list
+ * @param {Array<Object>} overrides - [{ target, value, mode, amount }]
+ */
+export function renderOverrides(container, overrides) {
+    if (!container) return;
+
+    container.innerHTML = '';
+    overrides.forEach(override => container.appendChild(createOverrideRow(override)));
+}
+
+
+/**
+ * One override row: target, value, mode, amount, remove
+ * @param {Object} override - { target, value, mode, amount }
+ * @returns {HTMLElement}
+ */
+export function createOverrideRow({ target = 'COMPONENT_GMID', value = '', mode = 'percent', amount = '' } = {}) {
+    const row = document.createElement('div');
+    row.className = 'what-if-override';
+
+    const targetSelect = document.createElement('select');
+    targetSelect.className = 'what-if-target';
+    Object.entries(OVERRIDE_TARGETS).forEach(([key, { label }]) => {
+        targetSelect.add(new Option(label, key, false, key === target));
+    });
+
+    const valueInput = document.createElement('input');
+    valueInput.type = 'text';
+    valueInput.className = 'what-if-value';
+    valueInput.placeholder = 'Value';
+    valueInput.value = value;
+
+    const modeSelect = document.createElement('select');
+    modeSelect.className = 'what-if-mode';
+    Object.entries(OVERRIDE_MODES).forEach(([key, label]) => {
+        modeSelect.add(new Option(label, key, false, key === mode));
+    });
+
+    const amountInput = document.createElement('input');
+    amountInput.type = 'number';
+    amountInput.step = 'any';
+    amountInput.className = 'what-if-amount';
+    amountInput.placeholder = 'Amount';
+    amountInput.value = amount;
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'btn-icon what-if-remove';
+    removeBtn.title = 'Remove override';
+    removeBtn.innerHTML = '<i class="fas fa-times"></i>';
+    removeBtn.addEventListener('click', () => row.remove());
+
+    row.append(targetSelect, valueInput, modeSelect, amountInput, removeBtn);
+    return row;
+}
+
+
+/**
+ * Overrides as entered in the editor
+ * @param {HTMLElement} container - Override list
+ * @returns {Array<Object>}
+ */
+export function readOverrides(container) {
+    return Array.from(container.querySelectorAll('.what-if-override')).map(row => ({
+        target: row.querySelector('.what-if-target').value,
+        value: row.querySelector('.what-if-value').value,
+        mode: row.querySelector('.what-if-mode').value,
+        amount: row.querySelector('.what-if-amount').value
+    }));
+}
+
+
+export default {
+    OVERRIDE_TARGETS,
+    OVERRIDE_MODES,
+    normalizeScenario,
+    simulateCost,
+    withScenario,
+    expandValueFields,
+    scenarioMeasureFields,
+    isScenarioField,
+    scenarioFieldLabel,
+    scenarioGrainFields,
+    loadSavedScenarios,
+    saveScenario,
+    deleteScenario,
+    renderOverrides,
+    createOverrideRow,
+    readOverrides
+};
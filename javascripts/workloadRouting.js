@@ -0,0 +1,202 @@
+// ===== WORKLOAD ROUTING =====
+
+// Which warehouse a request's statements run on, and the QUERY_TAG they carry so Snowflake credits
+// can be attributed (QUERY_HISTORY.QUERY_TAG, WAREHOUSE_NAME). Requests are sorted into classes by
+// workload-routing.json (or WORKLOAD_ROUTING_CONFIG):
+//   defaultClass: class of requests no rule matches
+//   classes: { NAME: { warehouse, priority, description } }
+//                                                   - warehouse null: the profile / session warehouse;
+//                                                     priority orders queued requests, lowest first
+//                                                     (see queryScheduler.js)
+//   rules: [{ route, table, class }]                - first match wins; route is the Express path
+//                                                     ('/api/data/:table/chunk'), table the :table or
+//                                                     fact parameter; both may use * wildcards
+// The tag is JSON: { app, env, user, view, route, table, workload, requestId }. view is the page the
+// request came from (X-BOM-View header, see app-config.js), requestId the ID in the server log (see
+// logger.js).
+
+const fs = require('fs');
+const path = require('path');
+const queryBuilder = require('./queryBuilder');
+const { getEnvironment } = require('./environment');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, 'workload-routing.json');
+const ROUTING_TTL = 5 * 60 * 1000; // 5 minutes, like the table registry
+const APP_NAME = 'bom-pivot';
+const VIEW_HEADER = 'x-bom-view';
+const VIEW_PATTERN = /^[A-Za-z0-9_.:-]{1,64}$/;
+const MAX_QUERY_TAG_LENGTH = 2000; // Snowflake's limit
+
+
+/**
+ * @param {string} pattern - Glob with * wildcards, e.g. 'FACT_*'
+ * @returns {RegExp} - Case-insensitive, anchored
+ */
+function globToRegExp(pattern) {
+    const source = String(pattern).split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`, 'i');
+}
+
+
+/**
+ * Read and validate the config file
+ * @param {string} configPath - JSON file
+ * @returns {Object} - { defaultClass, classes, rules } with compiled rule patterns
+ */
+function loadConfig(configPath) {
+    if (!fs.existsSync(configPath)) {
+        console.warn(`⚠️ Workload routing config not found at ${configPath}, every query runs on the session warehouse`);
+        return { defaultClass: 'standard', classes: { standard: { warehouse: null, priority: 0 } }, rules: [] };
+    }
+
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    const classes = {};
+    Object.entries(config.classes || {}).forEach(([name, settings]) => {
+        classes[name] = {
+            warehouse: settings.warehouse ? queryBuilder.normalizeIdentifier(settings.warehouse, 'warehouse') : null,
+            priority: Number(settings.priority) || 0,
+            description: settings.description || ''
+        };
+    });
+
+    const defaultClass = config.defaultClass || 'standard';
+    if (!classes[defaultClass]) {
+        classes[defaultClass] = { warehouse: null, priority: 0, description: '' };
+    }
+
+    const rules = (config.rules || []).map((rule, index) => {
+        if (!classes[rule.class]) {
+            throw new Error(`Invalid workload routing config: rule ${index + 1} uses unknown class '${rule.class}'`);
+        }
+        if (!rule.route && !rule.table) {
+            throw new Error(`Invalid workload routing config: rule ${index + 1} needs a route or a table`);
+        }
+        return {
+            class: rule.class,
+            route: rule.route ? globToRegExp(rule.route) : null,
+            table: rule.table ? globToRegExp(rule.table) : null
+        };
+    });
+
+    return { defaultClass, classes, rules };
+}
+
+
+/**
+ * Route pattern and table of a request, as the rules see them
+ * @param {Object} req - Express request (inside its route handler)
+ * @returns {Object} - { route, table }
+ */
+function describeRequest(req) {
+    const table = req.params && req.params.table ? req.params.table
+        : (req.body && req.body.fact ? req.body.fact : null);
+    return {
+        route: req.route ? `${req.baseUrl}${req.route.path}` : req.path,
+        table: table ? String(table).toUpperCase() : null
+    };
+}
+
+
+/**
+ * QUERY_TAG of a request
+ * @param {Object} req - Express request
+ * @param {Object} request - From describeRequest
+ * @param {string} workload - Class name
+ * @returns {string} - JSON, at most MAX_QUERY_TAG_LENGTH characters
+ */
+function buildQueryTag(req, { route, table }, workload) {
+    const view = req.get(VIEW_HEADER);
+    const user = req.session && req.session.user;
+    const tag = JSON.stringify({
+        app: APP_NAME,
+        env: getEnvironment().name,
+        user: user ? user.username : null,
+        view: view && VIEW_PATTERN.test(view) ? view : null,
+        route: `${req.method} ${route}`,
+        table,
+        workload,
+        requestId: req.id || null
+    });
+    return tag.slice(0, MAX_QUERY_TAG_LENGTH);
+}
+
+
+/**
+ * Create the router. The config is loaded on first use and reloaded after ROUTING_TTL.
+ * @param {Object} options - { configPath, ttl }
+ * @returns {Object} - Router API
+ */
+function createWorkloadRouter({ configPath = process.env.WORKLOAD_ROUTING_CONFIG || DEFAULT_CONFIG_PATH, ttl = ROUTING_TTL } = {}) {
+    let config = null;
+    let loadedAt = 0;
+
+    function getConfig() {
+        if (!config || (Date.now() - loadedAt) >= ttl) {
+            config = loadConfig(configPath);
+            loadedAt = Date.now();
+            console.log(`🏭 Workload routing loaded: ${Object.keys(config.classes).length} classes, ${config.rules.length} rules`);
+        }
+        return config;
+    }
+
+    const router = {
+        /**
+         * Class of a route / table pair
+         * @param {Object} request - { route, table }
+         * @returns {Object} - { name, warehouse, priority } (warehouse null: the session warehouse)
+         */
+        classify({ route, table }) {
+            const { defaultClass, classes, rules } = getConfig();
+            const rule = rules.find(candidate =>
+                (!candidate.route || (route && candidate.route.test(route))) &&
+                (!candidate.table || (table && candidate.table.test(table)))
+            );
+            const name = rule ? rule.class : defaultClass;
+            return { name, warehouse: classes[name].warehouse, priority: classes[name].priority };
+        },
+
+        /**
+         * Routing of a request's statements, for dataSource.withContext. Worked out once the route
+         * handler runs (req.route is set) and kept on req.workload.
+         * @param {Object} req - Express request
+         * @returns {Object} - { workload, warehouse, priority, table, queryTag }
+         */
+        contextFor(req) {
+            if (req.workload) {
+                return req.workload;
+            }
+
+            const request = describeRequest(req);
+            const workload = router.classify(request);
+            const context = {
+                workload: workload.name,
+                warehouse: workload.warehouse,
+                priority: workload.priority,
+                table: request.table,
+                queryTag: buildQueryTag(req, request, workload.name)
+            };
+
+            if (req.route) {
+                req.workload = context;
+                console.log(`🏭 ${req.method} ${request.route}${request.table ? ` (${request.table})` : ''} → ${workload.name} workload, ${workload.warehouse || 'session warehouse'}`);
+            }
+            return context;
+        },
+
+        /**
+         * Classes and their warehouses, for the health endpoint
+         * @returns {Object} - { defaultClass, classes }
+         */
+        describe() {
+            const { defaultClass, classes } = getConfig();
+            return { defaultClass, classes };
+        }
+    };
+
+    return router;
+}
+
+
+module.exports = {
+    createWorkloadRouter
+};